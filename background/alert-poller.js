@@ -0,0 +1,88 @@
+/**
+ * Opinion Lens - Alert Poller
+ * Polls prices of markets with active alerts on an alarm, so alerts work without an API key
+ * (public /topic prices) and with one while the WebSocket is down (latest trade prices).
+ * While the WebSocket streams prices it only refreshes the markets, for volume, cutoff and spread conditions.
+ */
+
+import { storage } from '../shared/storage.js';
+import { ALERT_STATUS, ALERT_POLL_BATCH_SIZE, ALERT_POLL_BATCH_DELAY } from '../shared/constants.js';
+import { getMarketTokenPrices } from '../shared/market-model.js';
+import { sleep } from '../shared/utils.js';
+import { apiClient } from './api-client.js';
+import { notificationService } from './notification-service.js';
+
+class AlertPoller {
+    constructor() {
+        this.isPolling = false;
+    }
+
+    /**
+     * Market IDs with at least one alert that can still fire
+     * @returns {Promise<string[]>}
+     */
+    async getAlertedMarketIds() {
+        const alerts = await storage.getAlerts();
+        return [...new Set(
+            alerts.filter(a => a.status !== ALERT_STATUS.TRIGGERED).map(a => String(a.marketId))
+        )];
+    }
+
+    /**
+     * Fetch alerted markets in rate-limited batches and check alerts against their prices
+     * @param {Object} [options]
+     * @param {boolean} [options.prices=true] - Also fetch prices; off while WebSocket ticks provide them
+     */
+    async poll({ prices: withPrices = true } = {}) {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            const marketIds = await this.getAlertedMarketIds();
+
+            for (let i = 0; i < marketIds.length; i += ALERT_POLL_BATCH_SIZE) {
+                if (i > 0) await sleep(ALERT_POLL_BATCH_DELAY);
+
+                const batch = marketIds.slice(i, i + ALERT_POLL_BATCH_SIZE);
+                const markets = (await Promise.all(batch.map(id => this._fetchMarket(id)))).filter(Boolean);
+                const priceMaps = withPrices ? await Promise.all(markets.map(market => this._getPrices(market))) : [];
+                const prices = Object.assign({}, ...priceMaps);
+
+                if (markets.length > 0) {
+                    await notificationService.checkAlerts(prices, markets);
+                }
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Fetch one market, logging failures other than transient network errors
+     */
+    async _fetchMarket(marketId) {
+        try {
+            return await apiClient.getMarketDetails(marketId, { fresh: true });
+        } catch (error) {
+            // Suppress network IO suspended errors from spamming the alarm logs
+            if (!error.message?.includes('Network Error') && !error.message?.includes('Failed to fetch')) {
+                console.error('[Alarm] Failed to check market:', marketId, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Latest trade prices with an API key, otherwise the prices the public topic endpoint returned
+     */
+    async _getPrices(market) {
+        if (apiClient.hasApiKey()) {
+            const prices = await apiClient.getMarketPrices(market, { fresh: true });
+            if (Object.keys(prices).length > 0) return prices;
+        }
+        return getMarketTokenPrices(market);
+    }
+}
+
+export const alertPoller = new AlertPoller();
+export default alertPoller;
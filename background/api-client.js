@@ -5,14 +5,32 @@
  */
 
 import { storage } from '../shared/storage.js';
+import { CACHE_TTL, STORAGE_KEYS, POSITIONS_PAGE_SIZE, MAX_POSITION_PAGES } from '../shared/constants.js';
+import { MARKET_STATUS, normalizeMarket, normalizeMarkets, isMarketActive, getMarketTokenIds } from '../shared/market-model.js';
+import { summarizeOrderbook } from '../shared/orderbook.js';
+import { HISTORY_INTERVALS, DEFAULT_HISTORY_INTERVAL, normalizePriceHistory, downsample } from '../shared/price-history.js';
+import { snapshotsToPoints } from '../shared/price-snapshots.js';
+import { RequestScheduler, parseRetryAfter } from '../shared/request-scheduler.js';
+import { ResponseCache } from '../shared/response-cache.js';
+import { fetchPages } from '../shared/pagination.js';
+import { sortMarkets } from '../shared/market-catalog.js';
+import { searchMarkets } from '../shared/market-search.js';
+import { normalizeTrades } from '../shared/market-activity.js';
+import { normalizePositions } from '../shared/positions.js';
 
 const PROXY_API_BASE = 'https://proxy.opinion.trade:8443/openapi';
+const PUBLIC_API_BASE = 'https://proxy.opinion.trade:8443/api/bsc/api/v2';
+const BSC_CHAIN_ID = '56';
 const REQUEST_TIMEOUT = 15000;
 
 class ApiClient {
     constructor() {
         this.apiKey = null;
         this.isInitialized = false;
+        // Shared by every request so tabs and the popup stay within API_RATE_LIMIT together
+        this.scheduler = new RequestScheduler();
+        // Stale-while-revalidate responses, persisted so a fresh service worker or popup starts warm
+        this.cache = new ResponseCache({ store: storage });
     }
 
     /**
@@ -39,47 +57,70 @@ class ApiClient {
     }
 
     /**
-     * Fetch with timeout and error handling
+     * Listen for cached responses replaced by fresh data
+     * @param {function({kind: string, id: string, data: any}): void} listener - kind is the cache key's
+     *   endpoint ('markets', 'market', 'price', 'orderbook', 'activity' or 'positions'), id the rest of the key
+     * @returns {function(): void} Unsubscribe
      */
-    async fetchWithTimeout(url, options = {}) {
+    onUpdate(listener) {
+        return this.cache.onUpdate((key, data) => {
+            const separator = key.indexOf(':');
+            listener({ kind: key.slice(0, separator), id: key.slice(separator + 1), data });
+        });
+    }
+
+    /**
+     * Serve a response from the cache, revalidating it in the background once older than ttl
+     * @param {string} key - `${kind}:${id}`
+     * @param {number} ttl - ms
+     * @param {function(): Promise} loader
+     * @param {Object} options
+     * @param {boolean} [options.fresh=false] - Wait for the network instead (the result still refreshes the cache)
+     */
+    _cached(key, ttl, loader, { fresh = false } = {}) {
+        return fresh ? this.cache.refresh(key, loader) : this.cache.get(key, ttl, loader);
+    }
+
+    /**
+     * Fetch JSON through the request scheduler
+     * Rate limited; GETs are retried with backoff and coalesced with identical in-flight GETs
+     * @param {string} url
+     * @param {Object} options - fetch options
+     * @param {number} timeout - ms per attempt
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    request(url, options = {}, timeout = REQUEST_TIMEOUT) {
+        const method = (options.method || 'GET').toUpperCase();
+        const idempotent = method === 'GET';
+        return this.scheduler.request(
+            idempotent ? `${method} ${url}` : null,
+            () => this._fetchJson(url, options, timeout),
+            { idempotent }
+        );
+    }
 
+    /**
+     * Single fetch attempt with timeout; HTTP errors carry `status` and `retryAfter` for the scheduler
+     */
+    async _fetchJson(url, options, timeout) {
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
 
         try {
-            const response = await fetch(url, {
-                ...options,
-                signal: controller.signal,
-                headers: {
-                    'apikey': this.apiKey,
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                }
-            });
-
+            const response = await fetch(url, { ...options, signal: controller.signal });
             clearTimeout(timeoutId);
 
             if (!response.ok) {
-                if (response.status === 401) {
-                    throw new Error('INVALID_API_KEY');
-                }
-                if (response.status === 429) {
-                    throw new Error('RATE_LIMITED');
-                }
-                throw new Error(`API_ERROR_${response.status}`);
-            }
-
-            const data = await response.json();
-
-            if (data.errno !== 0 && data.code !== 0) {
-                // Opinion API usually uses errno=0 or code=0. 
-                // If BOTH are not 0, it's an error. But if errno is undefined and code is undefined, don't fail just yet.
-                if (data.errno !== undefined || data.code !== undefined) {
-                    throw new Error(data.errmsg || data.msg || data.message || 'API_ERROR');
-                }
+                const code = response.status === 401 ? 'INVALID_API_KEY'
+                    : response.status === 429 ? 'RATE_LIMITED'
+                        : `API_ERROR_${response.status}`;
+                const error = new Error(code);
+                error.status = response.status;
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
 
-            return data.result !== undefined ? data.result : (data.data !== undefined ? data.data : data);
+            return await response.json();
         } catch (error) {
             clearTimeout(timeoutId);
 
@@ -91,152 +132,155 @@ class ApiClient {
     }
 
     /**
-     * Get markets list
+     * Fetch an authenticated API endpoint and unwrap its result
      */
-    async getMarkets(params = {}) {
-        const { page = 1, limit = 200, status = 'activated', sortBy = 5 } = params;
+    async fetchWithTimeout(url, options = {}) {
+        const data = await this.request(url, {
+            ...options,
+            headers: {
+                'apikey': this.apiKey,
+                'Content-Type': 'application/json',
+                ...options.headers
+            }
+        });
 
-        // ── Authenticated path: use the official /openapi/market endpoint ──
-        if (this.apiKey) {
-            // API docs: sort=1(new), 2(ending soon), 3(vol desc), 5(vol24h desc)
-            // API docs: status=activated or resolved, limit max=20
-            // Paginate to get more than 20 markets
-            const allMarkets = [];
-            const maxPages = Math.ceil(Math.min(limit, 200) / 20);
-            for (let p = 1; p <= maxPages; p++) {
-                try {
-                    const queryParams = new URLSearchParams({
-                        page: String(p),
-                        limit: '20',
-                        status,
-                        sort: String(sortBy)
-                    });
-                    const result = await this.fetchWithTimeout(
-                        `${PROXY_API_BASE}/market?${queryParams}`
-                    );
-                    const pageList = result?.list || [];
-                    allMarkets.push(...pageList);
-                    if (pageList.length < 20) break; // No more pages
-                } catch {
-                    break;
-                }
+        if (data.errno !== 0 && data.code !== 0) {
+            // Opinion API usually uses errno=0 or code=0. 
+            // If BOTH are not 0, it's an error. But if errno is undefined and code is undefined, don't fail just yet.
+            if (data.errno !== undefined || data.code !== undefined) {
+                throw new Error(data.errmsg || data.msg || data.message || 'API_ERROR');
             }
-            console.log(`[Opinion Lens] Authenticated: fetched ${allMarkets.length} markets across ${Math.min(maxPages, Math.ceil(allMarkets.length / 20))} pages`);
-            return allMarkets.slice(0, limit);
         }
 
-        // ── Public fallback: fetch multiple pages from /topic, filter client-side ──
-        try {
-            // Fetch up to 20 pages of 20 to get a large pool of markets
-            const allMarkets = [];
-            for (let p = 1; p <= 20; p++) {
-                try {
-                    const pageResult = await this.fetchWithTimeout(
-                        `https://proxy.opinion.trade:8443/api/bsc/api/v2/topic?limit=20&sortBy=1&page=${p}`
-                    );
-                    const pageList = pageResult?.list || pageResult?.result?.list || [];
-                    allMarkets.push(...pageList);
-                    if (pageList.length < 20) break; // No more pages
-                } catch {
-                    break; // Stop if a page fails
-                }
-            }
+        return data.result !== undefined ? data.result : (data.data !== undefined ? data.data : data);
+    }
 
-            console.log(`[Opinion Lens] Public: fetched ${allMarkets.length} raw markets`);
+    /**
+     * Get markets list, cached for CACHE_TTL.MARKETS
+     * @param {Object} params
+     * @param {number} [params.limit=200]
+     * @param {string} [params.status='activated']
+     * @param {number} [params.sortBy=5] - One of MARKET_SORT
+     * @returns {Promise<PagedResult>} Markets in `items`, with how complete the list is
+     */
+    async getMarkets(params = {}) {
+        const { limit = 200, status = 'activated', sortBy = 5 } = params;
 
-            const now = Math.floor(Date.now() / 1000);
+        if (this.apiKey) {
+            return this._cached(`markets:${status}:${sortBy}:${limit}`, CACHE_TTL.MARKETS,
+                () => this._fetchMarkets({ limit, status, sortBy }));
+        }
 
-            // Only keep ACTIVE markets (status === 2 AND cutoff in the future or no cutoff)
-            const activeMarkets = allMarkets.filter(m =>
-                m.status === 2 && (!m.cutoffTime || m.cutoffTime > now)
-            );
+        // The public pool is the same for every status and sort order, so it is cached once and
+        // filtered per request (at serve time, since a stale pool may hold markets that have closed since)
+        const pool = await this._cached('markets:public', CACHE_TTL.MARKETS, () => this._fetchPublicMarkets());
+        const matching = pool.items.filter(m => status === MARKET_STATUS.RESOLVED
+            ? m.status === MARKET_STATUS.RESOLVED
+            : isMarketActive(m));
 
-            console.log(`[Opinion Lens] Active after filtering: ${activeMarkets.length} markets`);
-
-            // Map to our internal format
-            const mapped = activeMarkets.map(m => ({
-                marketId: m.topicId,
-                title: m.title || m.topicTitle,
-                yesTokenId: m.yesPos || '',
-                noTokenId: m.noPos || '',
-                yesLabel: m.yesLabel || 'YES',
-                noLabel: m.noLabel || 'NO',
-                volume24h: parseFloat(m.volume24h || 0),
-                totalVolume: parseFloat(m.volume || 0),
-                cutoffAt: m.cutoffTime || null,
-                createTime: m.createTime || 0,
-                yesPrice: parseFloat(m.yesMarketPrice || m.yesBuyPrice || 0.5),
-                noPrice: parseFloat(m.noBuyPrice || 0),
-                slug: m.slug || '',
-                thumbnailUrl: m.thumbnailUrl || '',
-                labelName: m.labelName || []
-            }));
-
-            // Sort based on the caller's request
-            if (sortBy === 1) {
-                // New Markets: sort by creation time descending (newest first)
-                mapped.sort((a, b) => b.createTime - a.createTime);
-            } else {
-                // Trending: sort by total volume descending (highest volume = most trending)
-                mapped.sort((a, b) => b.totalVolume - a.totalVolume);
-            }
+        return {
+            ...pool,
+            items: sortMarkets(matching, sortBy).slice(0, limit),
+            total: pool.complete ? matching.length : null
+        };
+    }
 
-            // Return requested limit
-            return mapped.slice(0, limit);
-        } catch (err) {
-            console.warn('Public markets fallback failed:', err);
-            return [];
-        }
+    /**
+     * Fetch markets from the official /openapi/market endpoint
+     */
+    async _fetchMarkets({ limit, status, sortBy }) {
+        // API docs: sort=1(new), 2(ending soon), 3(vol desc), 5(vol24h desc)
+        // API docs: status=activated or resolved, limit max=20
+        // Paginate to get more than 20 markets
+        const result = await fetchPages(async (page) => {
+            const queryParams = new URLSearchParams({
+                page: String(page),
+                limit: '20',
+                status,
+                sort: String(sortBy)
+            });
+            const pageResult = await this.fetchWithTimeout(`${PROXY_API_BASE}/market?${queryParams}`);
+            const pageList = pageResult?.list || [];
+            return { items: normalizeMarkets(pageList), hasMore: pageList.length >= 20, total: pageResult?.total };
+        }, { pageSize: 20, maxPages: Math.ceil(Math.min(limit, 200) / 20) });
+
+        console.log(`[Opinion Lens] Authenticated: fetched ${result.items.length} markets across ${result.pagesFetched} pages (${result.pagesFailed} failed)`);
+        // The walk stops at the requested limit, so only failed pages make this list partial
+        return { ...result, items: result.items.slice(0, limit), complete: result.pagesFailed === 0 };
+    }
+
+    /**
+     * Public fallback: fetch up to 20 pages from /topic, markets of every status
+     */
+    async _fetchPublicMarkets() {
+        const result = await fetchPages(page => this.getPublicMarketsPage(page), { pageSize: 20, maxPages: 20 });
+        console.log(`[Opinion Lens] Public: fetched ${result.items.length} markets across ${result.pagesFetched} pages (${result.pagesFailed} failed)`);
+        return result;
     }
 
     /**
-     * Get market details by ID (with public fallback)
+     * Fetch one page of the public /topic list, newest markets first
+     * @param {number} page - 1-based
+     * @returns {Promise<{items: Market[], hasMore: boolean, total: number|undefined}>}
      */
-    async getMarketDetails(marketId) {
+    async getPublicMarketsPage(page) {
+        const pageResult = await this.fetchWithTimeout(
+            `${PUBLIC_API_BASE}/topic?limit=20&sortBy=1&page=${page}`
+        );
+        const pageList = pageResult?.list || pageResult?.result?.list || [];
+        return {
+            items: normalizeMarkets(pageList),
+            hasMore: pageList.length >= 20,
+            total: pageResult?.total ?? pageResult?.result?.total
+        };
+    }
+
+    /**
+     * Get market details by ID (with public fallback), cached for CACHE_TTL.MARKET_DETAILS
+     * @param {string} marketId
+     * @param {Object} options
+     * @param {boolean} [options.fresh=false] - Skip the cache, for callers acting on current prices
+     */
+    getMarketDetails(marketId, { fresh = false } = {}) {
+        return this._cached(`market:${marketId}`, CACHE_TTL.MARKET_DETAILS,
+            () => this._fetchMarketDetails(marketId), { fresh });
+    }
+
+    async _fetchMarketDetails(marketId) {
         // Try authenticated endpoint first
         if (this.apiKey) {
             try {
                 const result = await this.fetchWithTimeout(`${PROXY_API_BASE}/market/${marketId}`);
-                if (result?.data || result) return result?.data || result;
+                const market = normalizeMarket(result?.data || result);
+                if (market) return market;
             } catch (e) {
                 // Fall through to public endpoint
             }
         }
 
         // Public fallback: uses the same proxy but the public v2 topic API (no API key required)
+        const market = await this._fetchPublicTopic(`topic/${marketId}`);
+        if (market && (market.yesTokenId || market.isMulti)) return market;
+
+        // Multi-outcome markets only return their childList from /topic/mutil/{id}
+        const multiMarket = await this._fetchPublicTopic(`topic/mutil/${marketId}`);
+        return multiMarket || market;
+    }
+
+    /**
+     * Fetch and normalize a single market from the public v2 API
+     */
+    async _fetchPublicTopic(path) {
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-            const response = await fetch(`https://proxy.opinion.trade:8443/api/bsc/api/v2/topic/${marketId}`, {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
-            if (!response.ok) return null;
-            const json = await response.json();
+            const json = await this.request(`${PUBLIC_API_BASE}/${path}`);
             // API returns { errno: 0, result: { data: { ... } } }
             const data = json?.result?.data || json?.data || json;
             if (data && data.topicId) {
-                return {
-                    marketId: data.topicId || marketId,
-                    title: data.title || data.topicTitle || '',
-                    marketTitle: data.title || data.topicTitle || '',
-                    yesTokenId: data.yesPos || '',
-                    noTokenId: data.noPos || '',
-                    yesLabel: data.yesLabel || 'YES',
-                    noLabel: data.noLabel || 'NO',
-                    yesPrice: parseFloat(data.yesMarketPrice || data.yesBuyPrice || 0.5),
-                    noPrice: parseFloat(data.noMarketPrice || data.noBuyPrice || 0.5),
-                    slug: data.slug || '',
-                    thumbnailUrl: data.thumbnailUrl || '',
-                    childList: data.childList || [],
-                    volume24h: parseFloat(data.volume24h || data.volume || 0),
-                    cutoffAt: data.cutoffTime || 0,
-                    status: data.status,
-                };
+                return normalizeMarket(data);
             }
             return null;
         } catch (e) {
-            console.warn(`[Opinion Lens] Public fallback for market ${marketId} also failed:`, e.message);
+            console.warn(`[Opinion Lens] Public fallback for ${path} also failed:`, e.message);
             return null;
         }
     }
@@ -251,20 +295,13 @@ class ApiClient {
 
         for (let p = 1; p <= 50; p++) {
             try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 8000);
-                const response = await fetch(
+                const json = await this.request(
                     `https://proxy.opinion.trade:8443/api/bsc/api/v2/topic?limit=20&sortBy=1&page=${p}`, {
                     headers: {
                         'Content-Type': 'application/json',
                         ...(this.apiKey ? { 'apikey': this.apiKey } : {})
-                    },
-                    signal: controller.signal
-                });
-                clearTimeout(timeoutId);
-
-                if (!response.ok) break;
-                const json = await response.json();
+                    }
+                }, 8000);
                 const list = json?.list || json?.result?.list || [];
                 if (list.length === 0) break;
 
@@ -276,7 +313,7 @@ class ApiClient {
                     // Direct slug prefix match
                     if (mSlug && (mSlug.startsWith(slugLower) || slugLower.startsWith(mSlug))) {
                         console.log(`[Opinion Lens] searchBySlug: FOUND on page ${p}: "${m.title || m.topicTitle}"`);
-                        return this._mapTopicToMarket(m);
+                        return normalizeMarket(m);
                     }
 
                     // Word-based match (2+ slug words found in title or slug)
@@ -284,7 +321,7 @@ class ApiClient {
                         const score = slugWords.filter(w => mTitle.includes(w) || mSlug.includes(w)).length;
                         if (score >= 2) {
                             console.log(`[Opinion Lens] searchBySlug: FOUND (words) on page ${p}: "${m.title || m.topicTitle}"`);
-                            return this._mapTopicToMarket(m);
+                            return normalizeMarket(m);
                         }
                     }
                 }
@@ -301,83 +338,223 @@ class ApiClient {
     }
 
     /**
-     * Map a raw topic API object to our internal market format
+     * Get latest token price, cached for CACHE_TTL.PRICES
+     * @param {string} tokenId
+     * @param {Object} options
+     * @param {boolean} [options.fresh=false] - Skip the cache
      */
-    _mapTopicToMarket(m) {
-        return {
-            marketId: m.topicId,
-            title: m.title || m.topicTitle || '',
-            marketTitle: m.title || m.topicTitle || '',
-            yesTokenId: m.yesPos || '',
-            noTokenId: m.noPos || '',
-            yesLabel: m.yesLabel || 'YES',
-            noLabel: m.noLabel || 'NO',
-            volume24h: parseFloat(m.volume24h || 0),
-            totalVolume: parseFloat(m.volume || 0),
-            cutoffAt: m.cutoffTime || null,
-            createTime: m.createTime || 0,
-            yesPrice: parseFloat(m.yesMarketPrice || m.yesBuyPrice || 0.5),
-            noPrice: parseFloat(m.noBuyPrice || 0),
-            slug: m.slug || '',
-            thumbnailUrl: m.thumbnailUrl || '',
-            labelName: m.labelName || [],
-            childList: m.childList || [],
-            status: m.status,
-        };
-    }
-    /**
-     * Get latest token price
-     */
-    async getLatestPrice(tokenId) {
+    async getLatestPrice(tokenId, { fresh = false } = {}) {
         if (!this.apiKey) return null; // Public users rely on initial activity list price
 
         const queryParams = new URLSearchParams({ token_id: tokenId });
-        return this.fetchWithTimeout(
+        return this._cached(`price:${tokenId}`, CACHE_TTL.PRICES, () => this.fetchWithTimeout(
             `${PROXY_API_BASE}/token/latest-price?${queryParams}`
-        );
+        ), { fresh });
     }
 
     /**
-     * Get token orderbook
+     * Get latest prices for every outcome token of a market (each child of a multi-outcome market)
+     * @param {Object} market
+     * @param {Object} options
+     * @param {boolean} [options.fresh=false] - Skip the cache
+     * @returns {Promise<Object<string, number>>} tokenId -> price
      */
-    async getOrderbook(tokenId) {
-        const queryParams = new URLSearchParams({ token_id: tokenId });
-        return this.fetchWithTimeout(
-            `${PROXY_API_BASE}/token/orderbook?${queryParams}`
-        );
+    async getMarketPrices(market, { fresh = false } = {}) {
+        const prices = {};
+        for (const tokenId of getMarketTokenIds(market)) {
+            try {
+                const p = await this.getLatestPrice(tokenId, { fresh });
+                if (p?.price) prices[tokenId] = parseFloat(p.price);
+            } catch (e) { /* ignore */ }
+        }
+        return prices;
     }
 
     /**
-     * Get price history
+     * Get token orderbook, cached for CACHE_TTL.ORDERBOOK
+     * Falls back to the public depth endpoint (needs the market's questionId) without an API key
+     * @param {string} tokenId
+     * @param {Object} options
+     * @param {string} [options.questionId]
+     * @param {number} [options.symbolType] - 0 for the YES token, 1 for the NO token
+     * @param {boolean} [options.fresh=false] - Skip the cache
      */
-    async getPriceHistory(tokenId, interval = '1h') {
+    getOrderbook(tokenId, { questionId, symbolType = 0, fresh = false } = {}) {
+        return this._cached(`orderbook:${tokenId}`, CACHE_TTL.ORDERBOOK,
+            () => this._fetchOrderbook(tokenId, { questionId, symbolType }), { fresh });
+    }
+
+    async _fetchOrderbook(tokenId, { questionId, symbolType }) {
+        if (this.apiKey) {
+            try {
+                const queryParams = new URLSearchParams({ token_id: tokenId });
+                return await this.fetchWithTimeout(
+                    `${PROXY_API_BASE}/token/orderbook?${queryParams}`
+                );
+            } catch (e) {
+                if (!questionId) throw e;
+                // Fall through to public endpoint
+            }
+        }
+
+        if (!questionId) return null;
+
         const queryParams = new URLSearchParams({
-            token_id: tokenId,
-            interval
+            symbol: tokenId,
+            chainId: BSC_CHAIN_ID,
+            question_id: questionId,
+            symbol_types: String(symbolType)
         });
         return this.fetchWithTimeout(
-            `${PROXY_API_BASE}/token/price-history?${queryParams}`
+            `${PUBLIC_API_BASE}/order/market/depth?${queryParams}`
         );
     }
 
     /**
-     * Search markets by query
+     * Get YES and NO depth summaries for one binary market
+     * @param {{yesTokenId: string, noTokenId: string, questionId: string}} target
+     * @returns {Promise<{yes: Object|null, no: Object|null}>}
      */
-    async searchMarkets(query) {
-        // Get all markets and filter locally
-        const markets = await this.getMarkets({ limit: 50 });
+    async getMarketDepth({ yesTokenId, noTokenId, questionId }) {
+        const load = async (tokenId, symbolType) => {
+            if (!tokenId) return null;
+            try {
+                const book = await this.getOrderbook(tokenId, { questionId, symbolType });
+                return book ? summarizeOrderbook(book) : null;
+            } catch (e) {
+                console.warn(`[Opinion Lens] Orderbook for ${tokenId} failed:`, e.message);
+                return null;
+            }
+        };
 
-        if (!query) return markets;
+        const [yes, no] = await Promise.all([load(yesTokenId, 0), load(noTokenId, 1)]);
+        return { yes, no };
+    }
 
-        const lowerQuery = query.toLowerCase();
-        return markets.filter(market => {
-            const title = (market.title || market.marketTitle || '').toLowerCase();
-            return title.includes(lowerQuery);
-        });
+    /**
+     * Get YES-token price history as normalized points, cached for CACHE_TTL.PRICE_HISTORY
+     * Falls back to the public kline-batch endpoint (needs the market's questionId) without an API key,
+     * then to snapshots recorded locally by the price recorder
+     * @param {string} tokenId
+     * @param {string} interval - Key of HISTORY_INTERVALS
+     * @param {Object} options
+     * @param {string} [options.questionId]
+     * @returns {Promise<Array<{t: number, p: number}>>}
+     */
+    async getPriceHistory(tokenId, interval = DEFAULT_HISTORY_INTERVAL, { questionId } = {}) {
+        const config = HISTORY_INTERVALS[interval] || HISTORY_INTERVALS[DEFAULT_HISTORY_INTERVAL];
+        const cacheKey = `${STORAGE_KEYS.CACHE_PRICE_HISTORY}_${tokenId}_${interval}`;
+
+        // Entries older than RESPONSE_CACHE_MAX_AGE are pruned on startup, like cached responses
+        const cached = await storage.getCache(cacheKey);
+        if (cached && (Date.now() - cached.timestamp) < CACHE_TTL.PRICE_HISTORY) {
+            return cached.data;
+        }
+
+        try {
+            let raw = null;
+            if (this.apiKey) {
+                try {
+                    const queryParams = new URLSearchParams({ token_id: tokenId, interval: config.api });
+                    raw = await this.fetchWithTimeout(
+                        `${PROXY_API_BASE}/token/price-history?${queryParams}`
+                    );
+                } catch (e) {
+                    if (!questionId) throw e;
+                    // Fall through to public endpoint
+                }
+            }
+
+            if (!raw && questionId) {
+                const endTime = Math.floor(Date.now() / 1000);
+                const queryParams = new URLSearchParams({
+                    question_ids: questionId,
+                    period: config.period,
+                    size: String(config.size),
+                    symbol_types: '0',
+                    chainId: BSC_CHAIN_ID,
+                    end_time: String(endTime)
+                });
+                if (config.seconds) queryParams.set('start_time', String(endTime - config.seconds));
+                raw = await this.fetchWithTimeout(
+                    `${PUBLIC_API_BASE}/order/kline-batch?${queryParams}`
+                );
+            }
+
+            const points = downsample(normalizePriceHistory(raw, questionId));
+            if (points.length > 0) {
+                await storage.setCache(cacheKey, points);
+                return points;
+            }
+            return this._getRecordedHistory(tokenId, config);
+        } catch (error) {
+            // Serve stale or locally recorded history rather than nothing
+            if (cached) return cached.data;
+            const recorded = await this._getRecordedHistory(tokenId, config);
+            if (recorded.length > 0) return recorded;
+            throw error;
+        }
     }
 
     /**
-     * Get user positions
+     * Price history from locally recorded snapshots
+     */
+    async _getRecordedHistory(tokenId, { seconds }) {
+        const snapshots = await storage.getPriceSnapshots(tokenId);
+        const since = seconds ? Math.floor(Date.now() / 1000) - seconds : null;
+        return downsample(snapshotsToPoints(snapshots, since));
+    }
+
+    /**
+     * Get one page of a market's trades from the public activity feed, newest first, cached for CACHE_TTL.ACTIVITY
+     * @param {number|string} topicId
+     * @param {Object} options
+     * @param {boolean} [options.isMulti=false] - Multi-outcome topics include every child market's trades
+     * @param {number} [options.page=1] - 1-based
+     * @param {number} [options.limit=20]
+     * @param {boolean} [options.fresh=false] - Skip the cache, for live trade lists
+     * @returns {Promise<{items: Trade[], hasMore: boolean, total: number|undefined}>}
+     */
+    getMarketActivity(topicId, { isMulti = false, page = 1, limit = 20, fresh = false } = {}) {
+        return this._cached(`activity:${topicId}:${isMulti ? 'multi' : 'binary'}:${page}:${limit}`, CACHE_TTL.ACTIVITY, async () => {
+            const queryParams = new URLSearchParams({
+                limit: String(limit),
+                page: String(page),
+                topicId: String(topicId)
+            });
+            if (isMulti) queryParams.set('isMulti', 'true');
+
+            const result = await this.fetchWithTimeout(`${PUBLIC_API_BASE}/activity?${queryParams}`);
+            const list = result?.list || [];
+            return {
+                items: normalizeTrades(list),
+                hasMore: list.length >= limit,
+                total: result?.total
+            };
+        }, { fresh });
+    }
+
+    /**
+     * Search markets by query, best matches first (used until the market catalog has synced)
+     * @param {string} query
+     * @param {Object} options
+     * @param {boolean} [options.includeResolved=false]
+     * @param {number} [options.limit=50]
+     * @returns {Promise<Market[]>}
+     */
+    async searchMarkets(query, { includeResolved = false, limit = 50 } = {}) {
+        const statuses = includeResolved ? [MARKET_STATUS.ACTIVATED, MARKET_STATUS.RESOLVED] : [MARKET_STATUS.ACTIVATED];
+        const lists = await Promise.all(statuses.map(status => this.getMarkets({ status, limit: 200 })));
+        return searchMarkets(lists.flatMap(list => list.items), query, { limit });
+    }
+
+    /**
+     * Get user positions, cached for CACHE_TTL.POSITIONS
+     * @param {string} walletAddress
+     * @param {Object} [params]
+     * @param {number} [params.page=1]
+     * @param {number} [params.pageSize=50]
+     * @param {boolean} [params.fresh=false] - Skip the cache, for position change checks
      */
     async getUserPositions(walletAddress, params = {}) {
         if (!this.apiKey) {
@@ -385,17 +562,38 @@ class ApiClient {
         }
         if (!walletAddress) throw new Error('Wallet address required');
 
-        const { page = 1, pageSize = 50 } = params;
+        const { page = 1, pageSize = 50, fresh = false } = params;
         const queryParams = new URLSearchParams({
             page: String(page),
             pageSize: String(pageSize)
         });
 
-        const result = await this.fetchWithTimeout(
-            `${PROXY_API_BASE}/positions/user/${walletAddress}?${queryParams}`
-        );
+        return this._cached(`positions:${walletAddress}:${page}:${pageSize}`, CACHE_TTL.POSITIONS, async () => {
+            const result = await this.fetchWithTimeout(
+                `${PROXY_API_BASE}/positions/user/${walletAddress}?${queryParams}`
+            );
+            return result?.list || [];
+        }, { fresh });
+    }
+
+    /**
+     * Get every open position of a wallet, fetched page by page
+     * @param {string} walletAddress
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=false] - Skip the cache, for position change checks
+     * @returns {Promise<PagedResult>} Open positions in `items`, largest value first
+     */
+    async getAllUserPositions(walletAddress, { fresh = false } = {}) {
+        // Checked up front: fetchPages would report these as a failed page
+        if (!this.apiKey) throw new Error('API_KEY_REQUIRED');
+        if (!walletAddress) throw new Error('Wallet address required');
+
+        const result = await fetchPages(async (page) => {
+            const list = await this.getUserPositions(walletAddress, { page, pageSize: POSITIONS_PAGE_SIZE, fresh });
+            return { items: list, hasMore: list.length >= POSITIONS_PAGE_SIZE };
+        }, { pageSize: POSITIONS_PAGE_SIZE, maxPages: MAX_POSITION_PAGES });
 
-        return result?.list || [];
+        return { ...result, items: normalizePositions(result.items) };
     }
 
     /**
@@ -406,7 +604,8 @@ class ApiClient {
         this.apiKey = key;
 
         try {
-            await this.getMarkets({ limit: 1 });
+            // Uncached and unpaginated, so neither a cached list nor a swallowed page error can vouch for the key
+            await this.fetchWithTimeout(`${PROXY_API_BASE}/market?${new URLSearchParams({ page: '1', limit: '1', status: 'activated' })}`);
             return { valid: true };
         } catch (error) {
             return {
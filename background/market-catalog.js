@@ -0,0 +1,255 @@
+/**
+ * Opinion Lens - Market Catalog
+ * Keeps a local catalog of every active market, synced incrementally on an alarm,
+ * so market lists, searches and slug lookups don't paginate the API on every request
+ */
+
+import { storage } from '../shared/storage.js';
+import {
+    MESSAGE_TYPES,
+    CATALOG_SYNC_INTERVAL_MINUTES,
+    CATALOG_FULL_SYNC_INTERVAL,
+    CATALOG_MAX_PAGES
+} from '../shared/constants.js';
+import { MARKET_STATUS, isMarketActive } from '../shared/market-model.js';
+import {
+    getNewestCreatedAt,
+    isPageCaughtUp,
+    mergeMarkets,
+    pruneCatalog,
+    sortMarkets,
+    findBySlug
+} from '../shared/market-catalog.js';
+import { searchMarkets } from '../shared/market-search.js';
+import { fetchPages } from '../shared/pagination.js';
+import { apiClient } from './api-client.js';
+
+class MarketCatalog {
+    constructor() {
+        this.markets = new Map();
+        this.syncedAt = 0;
+        this.fullSyncedAt = 0;
+        this.loaded = null;
+        this.syncing = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Listen for markets that appeared since the previous sync (not called for the first sync)
+     * @param {function(Market[]): void} listener
+     * @returns {function(): void} Unsubscribe
+     */
+    onNewMarkets(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Load the persisted catalog once per service worker lifetime
+     */
+    load() {
+        if (!this.loaded) {
+            this.loaded = storage.getMarketCatalog().then(({ markets, syncedAt, fullSyncedAt }) => {
+                mergeMarkets(this.markets, markets);
+                this.syncedAt = syncedAt;
+                this.fullSyncedAt = fullSyncedAt;
+            });
+        }
+        return this.loaded;
+    }
+
+    /**
+     * Whether the catalog has completed a full sync and can answer queries
+     * @returns {Promise<boolean>}
+     */
+    async isReady() {
+        await this.load();
+        return this.fullSyncedAt > 0;
+    }
+
+    /**
+     * Sync with the API: a full walk when the last one is older than CATALOG_FULL_SYNC_INTERVAL,
+     * otherwise only the newest pages until they hold nothing new
+     * @param {Object} options
+     * @param {boolean} [options.force=false] - Sync even if the last sync is recent
+     * @returns {Promise<void>}
+     */
+    sync({ force = false } = {}) {
+        if (!this.syncing) {
+            this.syncing = this._sync(force).finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async _sync(force) {
+        await this.load();
+
+        const now = Date.now();
+        if (!force && now - this.syncedAt < CATALOG_SYNC_INTERVAL_MINUTES * 60 * 1000) return;
+
+        const full = now - this.fullSyncedAt >= CATALOG_FULL_SYNC_INTERVAL;
+        const hadSynced = this.fullSyncedAt > 0;
+        const newestCreatedAt = getNewestCreatedAt([...this.markets.values()]);
+        const { markets: fetched, complete, failed } = full
+            ? await this._fetchAll()
+            : await this._fetchNewest(newestCreatedAt);
+
+        // Only a full walk that reached the end of the list replaces the catalog, dropping markets
+        // the API no longer lists; a walk cut off at CATALOG_MAX_PAGES merges what it fetched
+        if (full && complete) this.markets.clear();
+        const added = mergeMarkets(this.markets, [...fetched.values()]);
+        const removed = pruneCatalog(this.markets);
+
+        this.syncedAt = now;
+        if (full && !failed) this.fullSyncedAt = now;
+        await this._save();
+
+        console.log(`[Opinion Lens] Catalog ${full ? 'full' : 'incremental'} sync: ${this.markets.size} markets (+${added}, -${removed})`);
+
+        if (full || added > 0 || removed > 0) {
+            this._broadcast();
+        }
+        if (hadSynced) this._emitNewMarkets([...fetched.values()], newestCreatedAt);
+    }
+
+    /**
+     * Tell listeners about markets created since the newest one the catalog held before this sync
+     * (a full walk also re-adds markets the catalog simply hadn't seen, which aren't new)
+     * @param {Market[]} fetched
+     * @param {number} newestCreatedAt
+     */
+    _emitNewMarkets(fetched, newestCreatedAt) {
+        const fresh = fetched.filter(m => (m.createdAt || 0) > newestCreatedAt);
+        if (!fresh.length) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(fresh);
+            } catch (error) {
+                console.error('[Opinion Lens] New market listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Every /topic page up to CATALOG_MAX_PAGES, fetched in parallel
+     * @returns {Promise<{markets: Map<string, Market>, complete: boolean, failed: boolean}>} complete when
+     *   the walk reached the end of the list, failed when a page could not be loaded
+     */
+    async _fetchAll() {
+        const result = await fetchPages(page => apiClient.getPublicMarketsPage(page), {
+            pageSize: 20,
+            maxPages: CATALOG_MAX_PAGES
+        });
+        const markets = new Map();
+        mergeMarkets(markets, result.items.filter(m => isMarketActive(m)));
+        return { markets, complete: result.complete, failed: result.pagesFailed > 0 };
+    }
+
+    /**
+     * Newest-first /topic pages, one at a time until a page holds nothing newer than the catalog
+     * @param {number} newestCreatedAt
+     * @returns {Promise<{markets: Map<string, Market>, complete: boolean, failed: boolean}>}
+     */
+    async _fetchNewest(newestCreatedAt) {
+        const markets = new Map();
+        for (let page = 1; page <= CATALOG_MAX_PAGES; page++) {
+            let result;
+            try {
+                result = await apiClient.getPublicMarketsPage(page);
+            } catch (error) {
+                console.warn(`[Opinion Lens] Catalog sync stopped at page ${page}:`, error.message);
+                return { markets, complete: false, failed: true };
+            }
+
+            mergeMarkets(markets, result.items.filter(m => isMarketActive(m)));
+            if (!result.hasMore || isPageCaughtUp(result.items, newestCreatedAt)) break;
+        }
+        return { markets, complete: true, failed: false };
+    }
+
+    async _save() {
+        await storage.setMarketCatalog({
+            markets: [...this.markets.values()],
+            syncedAt: this.syncedAt,
+            fullSyncedAt: this.fullSyncedAt
+        });
+    }
+
+    /**
+     * Tell open views the market lists changed
+     */
+    _broadcast() {
+        chrome.runtime.sendMessage({
+            type: MESSAGE_TYPES.MARKET_UPDATE,
+            data: { source: 'catalog', kind: 'markets', id: 'catalog' }
+        }).catch(() => { }); // Popup may be closed
+    }
+
+    /**
+     * Active markets, skipping any that expired since the last sync
+     */
+    _getActiveMarkets() {
+        return [...this.markets.values()].filter(m => isMarketActive(m));
+    }
+
+    /**
+     * Market list in the shape of apiClient.getMarkets (answered locally, so no pages are fetched)
+     * @param {Object} params
+     * @param {number} [params.limit=200]
+     * @param {number} [params.sortBy=5] - One of MARKET_SORT
+     * @returns {Promise<PagedResult>}
+     */
+    async getMarkets({ limit = 200, sortBy = 5 } = {}) {
+        await this.load();
+        const active = this._getActiveMarkets();
+        return {
+            items: sortMarkets(active, sortBy).slice(0, limit),
+            complete: true,
+            truncated: false,
+            pagesFetched: 0,
+            pagesFailed: 0,
+            total: active.length
+        };
+    }
+
+    /**
+     * Search the catalog, best matches first (by volume for a blank query)
+     * Resolved markets aren't kept in the catalog, so including them fetches them through the API cache
+     * @param {string} query
+     * @param {Object} options
+     * @param {boolean} [options.includeResolved=false]
+     * @param {number} [options.limit=50]
+     * @returns {Promise<Market[]>}
+     */
+    async search(query, { includeResolved = false, limit = 50 } = {}) {
+        await this.load();
+        const markets = sortMarkets(this._getActiveMarkets());
+
+        if (includeResolved) {
+            try {
+                const resolved = await apiClient.getMarkets({ status: MARKET_STATUS.RESOLVED, limit: 200 });
+                markets.push(...resolved.items.filter(m => !this.markets.has(String(m.marketId))));
+            } catch (error) {
+                console.warn('[Opinion Lens] Resolved markets unavailable for search:', error.message);
+            }
+        }
+
+        return searchMarkets(markets, query, { limit });
+    }
+
+    /**
+     * Market a URL slug refers to
+     * @param {string} slug
+     * @returns {Promise<Market|null>}
+     */
+    async findBySlug(slug) {
+        await this.load();
+        return findBySlug(this._getActiveMarkets(), slug);
+    }
+}
+
+export const marketCatalog = new MarketCatalog();
+export default marketCatalog;
@@ -4,67 +4,297 @@
  */
 
 import { storage } from '../shared/storage.js';
-import { formatPrice, formatPnL } from '../shared/utils.js';
+import { formatPrice, formatPnL, formatNumber, formatAddress } from '../shared/utils.js';
+import { ALERT_STATUS, MESSAGE_TYPES, MAX_NEW_MARKET_NOTIFICATIONS, MAX_WHALE_NOTIFICATIONS, MAX_WALLET_NOTIFICATIONS } from '../shared/constants.js';
+import { evaluateAlert, getAlertCondition, getConditionNeeds, describeCondition } from '../shared/alert-conditions.js';
+import { summarizeOrderbook } from '../shared/orderbook.js';
+import { matchFollowedCategories } from '../shared/market-categories.js';
+import { TRADE_SIDE } from '../shared/market-activity.js';
+import { getPositionTitle } from '../shared/positions.js';
+import { apiClient } from './api-client.js';
+
+// Price and volume samples kept per alerted token/market for percent-move and volume conditions
+const PRICE_HISTORY_WINDOW = 24 * 60 * 60; // seconds
+const PRICE_HISTORY_RESOLUTION = 30;       // seconds between kept points
+
+// Context fields that arrive with a price tick; conditions reading anything else are also
+// checked when their market is refreshed, so they do not wait for the price to move
+const PRICE_NEEDS = ['price', 'history'];
+
+/**
+ * Whether an alert's condition reads market data (volume, cutoff, spread) besides the price
+ */
+function readsMarketData(alert) {
+    return [...getConditionNeeds(getAlertCondition(alert))].some(need => !PRICE_NEEDS.includes(need));
+}
 
 class NotificationService {
     constructor() {
-        this.lastPrices = new Map();
+        // Engine state, samples and markets are persisted (see _loadState) so a suspended
+        // service worker resumes from the last baseline instead of starting blind
+        this.priceHistory = new Map();   // tokenId -> [{ t, p }]
+        this.volumeHistory = new Map();  // marketId -> [{ t, v }]
+        this.markets = new Map();        // marketId -> last seen normalized market
+        this.alertStates = new Map();    // alertId -> condition engine state
+        this.stateLoaded = null;
+    }
+
+    /**
+     * Restore engine state (local storage), samples and markets (session storage) once per worker lifetime
+     */
+    _loadState() {
+        if (!this.stateLoaded) {
+            this.stateLoaded = Promise.all([storage.getAlertStates(), storage.getAlertSamples()])
+                .then(([states, samples]) => {
+                    this.alertStates = new Map(Object.entries(states));
+                    this.priceHistory = new Map(Object.entries(samples.prices));
+                    this.volumeHistory = new Map(Object.entries(samples.volumes));
+                    this.markets = new Map(Object.entries(samples.markets));
+                })
+                .catch(error => {
+                    console.error('[Notification] Failed to restore alert state:', error);
+                });
+        }
+        return this.stateLoaded;
     }
 
     /**
-     * Check price alerts against current prices
+     * Persist engine state, samples and markets, dropping entries no active alert uses
+     * @param {Array<Object>} alerts - Active alerts
      */
-    async checkAlerts(prices) {
+    async _saveState(alerts) {
+        const alertIds = new Set(alerts.map(a => a.id));
+        const tokenIds = new Set(alerts.map(a => a.tokenId));
+        const marketIds = new Set(alerts.map(a => String(a.marketId)));
+
+        const keep = (map, keys) => Object.fromEntries([...map].filter(([key]) => keys.has(key)));
+
+        try {
+            await Promise.all([
+                storage.setAlertStates(keep(this.alertStates, alertIds)),
+                storage.setAlertSamples({
+                    prices: keep(this.priceHistory, tokenIds),
+                    volumes: keep(this.volumeHistory, marketIds),
+                    markets: keep(this.markets, marketIds)
+                })
+            ]);
+        } catch (error) {
+            console.error('[Notification] Failed to persist alert state:', error);
+        }
+    }
+
+    /**
+     * Check alerts against current prices and refreshed markets
+     * Alerts are checked when their token has a price, and alerts reading market data
+     * (volume, cutoff, spread) also when their market is refreshed, against the last known price
+     * @param {Object<string, number>} prices - tokenId -> price
+     * @param {Array<Object>} markets - Refreshed normalized markets (volume, cutoff, question IDs)
+     */
+    async checkAlerts(prices, markets = []) {
         const alerts = await storage.getAlerts();
         const settings = await storage.getSettings();
 
         if (!settings.notifications.priceAlerts) return;
 
+        const refreshed = new Set(markets.filter(Boolean).map(m => String(m.marketId)));
+        const activeAlerts = alerts.filter(a => a.status !== ALERT_STATUS.TRIGGERED);
+        const dueAlerts = activeAlerts.filter(a => Number.isFinite(prices[a.tokenId])
+            || (refreshed.has(String(a.marketId)) && readsMarketData(a)));
+        if (dueAlerts.length === 0) return;
+
+        await this._loadState();
+
+        const now = Date.now();
+        this._recordMarkets(markets, now);
+        this._recordPrices(prices, activeAlerts, now);
+
         const triggeredAlerts = [];
+        const spreads = new Map();
 
-        for (const alert of alerts) {
-            const price = prices[alert.tokenId];
-            if (!price) continue;
+        for (const alert of dueAlerts) {
+            const price = Number.isFinite(prices[alert.tokenId]) ? prices[alert.tokenId] : this._getLastPrice(alert.tokenId);
 
-            const triggered = this._checkAlertCondition(alert, price);
-            if (triggered) {
+            const context = await this._buildContext(alert, price, now, spreads);
+            const { fire, state } = evaluateAlert(alert, context, this.alertStates.get(alert.id));
+            this.alertStates.set(alert.id, state);
+
+            // Snoozed alerts still track state, so a move during the snooze does not fire afterwards
+            const snoozed = alert.snoozedUntil && alert.snoozedUntil > now;
+            if (fire && !snoozed) {
                 triggeredAlerts.push({ ...alert, currentPrice: price });
             }
         }
 
+        await this._saveState(activeAlerts);
+
         for (const alert of triggeredAlerts) {
+            const outcome = alert.outcomeLabel ? `${alert.outcomeLabel}: ` : '';
+            const condition = describeCondition(getAlertCondition(alert));
             await this._sendNotification({
                 title: '🎯 Price Alert Triggered',
-                message: `${alert.marketTitle}\n${alert.condition} ${formatPrice(alert.targetPrice)} → Now: ${formatPrice(alert.currentPrice)}`,
-                data: { type: 'price_alert', marketId: alert.marketId }
+                message: `${alert.marketTitle}\n${outcome}${condition}${alert.currentPrice !== null ? ` → Now: ${formatPrice(alert.currentPrice)}` : ''}`,
+                data: {
+                    type: 'price_alert',
+                    marketId: alert.marketId,
+                    isMulti: Boolean(alert.isMulti),
+                    alertId: alert.id,
+                    tokenId: alert.tokenId,
+                    price: alert.currentPrice
+                }
+            });
+
+            // One-time alerts stay listed as triggered instead of being removed
+            await storage.updateAlert(alert.id, {
+                lastTriggeredAt: now,
+                lastTriggeredPrice: alert.currentPrice,
+                triggerCount: (alert.triggerCount || 0) + 1,
+                ...(alert.oneTime ? { status: ALERT_STATUS.TRIGGERED } : {})
             });
+        }
+
+        if (triggeredAlerts.length > 0) {
+            await this.updateBadge();
+        }
+    }
 
-            // Remove one-time alerts
-            if (alert.oneTime) {
-                await storage.removeAlert(alert.id);
+    /**
+     * Remember markets and their 24h volume for volume and cutoff conditions
+     */
+    _recordMarkets(markets, now) {
+        const t = Math.floor(now / 1000);
+        for (const market of markets) {
+            if (!market?.marketId) continue;
+            const marketId = String(market.marketId);
+            this.markets.set(marketId, market);
+
+            if (Number.isFinite(market.volume24h)) {
+                const samples = this.volumeHistory.get(marketId) || [];
+                this.volumeHistory.set(marketId, this._appendPoint(samples, { t, v: market.volume24h }));
             }
         }
     }
 
     /**
-     * Check if alert condition is met
+     * Append current prices of alerted tokens to the per-token history
+     */
+    _recordPrices(prices, alerts, now) {
+        const t = Math.floor(now / 1000);
+        new Set(alerts.map(a => a.tokenId)).forEach(tokenId => {
+            const price = prices[tokenId];
+            if (!Number.isFinite(price)) return;
+            const points = this.priceHistory.get(tokenId) || [];
+            this.priceHistory.set(tokenId, this._appendPoint(points, { t, p: price }));
+        });
+    }
+
+    /**
+     * Last recorded price of a token, or null before its first price
      */
-    _checkAlertCondition(alert, currentPrice) {
-        const lastPrice = this.lastPrices.get(alert.tokenId);
-        this.lastPrices.set(alert.tokenId, currentPrice);
+    _getLastPrice(tokenId) {
+        const points = this.priceHistory.get(tokenId) || [];
+        return points.length > 0 ? points[points.length - 1].p : null;
+    }
 
-        if (!lastPrice) return false;
+    /**
+     * Append a point, replacing the last one when it is closer than the resolution, and trim to the window
+     */
+    _appendPoint(points, point) {
+        const last = points[points.length - 1];
+        const kept = last && point.t - last.t < PRICE_HISTORY_RESOLUTION ? points.slice(0, -1) : points;
+        return [...kept, point].filter(p => p.t >= point.t - PRICE_HISTORY_WINDOW);
+    }
 
-        switch (alert.condition) {
-            case 'above':
-                return lastPrice < alert.targetPrice && currentPrice >= alert.targetPrice;
-            case 'below':
-                return lastPrice > alert.targetPrice && currentPrice <= alert.targetPrice;
-            case 'crosses':
-                return (lastPrice < alert.targetPrice && currentPrice >= alert.targetPrice) ||
-                    (lastPrice > alert.targetPrice && currentPrice <= alert.targetPrice);
-            default:
-                return false;
+    /**
+     * Build the condition context for one alert, fetching only what its condition needs
+     * @param {Map<string, number|null>} spreads - Per-check cache of token spreads
+     */
+    async _buildContext(alert, price, now, spreads) {
+        const needs = getConditionNeeds(getAlertCondition(alert));
+        const market = readsMarketData(alert) ? await this._getMarket(alert.marketId, now) : this.markets.get(String(alert.marketId));
+        const context = {
+            now,
+            price,
+            history: this.priceHistory.get(alert.tokenId) || [],
+            cutoffAt: market?.cutoffAt || null,
+        };
+
+        if (needs.has('volume') && market) {
+            context.volume24h = market.volume24h;
+            context.volumeHistory = await this._getVolumeHistory(market);
+        }
+
+        if (needs.has('spread')) {
+            if (!spreads.has(alert.tokenId)) {
+                spreads.set(alert.tokenId, await this._getSpread(alert.tokenId, market));
+            }
+            context.spread = spreads.get(alert.tokenId);
+        }
+
+        return context;
+    }
+
+    /**
+     * Last seen market, loaded (from the API client's cache when fresh) when no check has passed it yet,
+     * e.g. while the WebSocket streams prices without market data
+     * @returns {Promise<Object|null>}
+     */
+    async _getMarket(marketId, now) {
+        const seen = this.markets.get(String(marketId));
+        if (seen) return seen;
+
+        try {
+            const market = await apiClient.getMarketDetails(marketId);
+            if (market) this._recordMarkets([market], now);
+            return market || null;
+        } catch (error) {
+            console.warn('[Notification] Failed to load market for alert:', marketId, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Past 24h volume samples: locally recorded snapshots plus samples seen by this worker
+     */
+    async _getVolumeHistory(market) {
+        const seen = this.volumeHistory.get(String(market.marketId)) || [];
+        if (market.isMulti || !market.yesTokenId) return seen;
+
+        const snapshots = await storage.getPriceSnapshots(market.yesTokenId);
+        const since = seen.length > 0 ? seen[0].t : Infinity;
+        return [...snapshots.filter(s => s.t < since).map(s => ({ t: s.t, v: s.v })), ...seen];
+    }
+
+    /**
+     * Current bid/ask spread of a token, or null when no order book is available
+     */
+    async _getSpread(tokenId, market) {
+        const binary = [market, ...(market?.children || [])]
+            .find(m => m && (m.yesTokenId === tokenId || m.noTokenId === tokenId));
+
+        try {
+            const book = await apiClient.getOrderbook(tokenId, {
+                questionId: binary?.questionId,
+                symbolType: binary?.noTokenId === tokenId ? 1 : 0,
+                fresh: true
+            });
+            return book ? summarizeOrderbook(book).spread : null;
+        } catch (error) {
+            console.warn('[Notification] Failed to load order book for spread alert:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Show the number of alerts triggered since the user last viewed them on the toolbar icon
+     */
+    async updateBadge() {
+        try {
+            const [alerts, seenAt] = await Promise.all([storage.getAlerts(), storage.getAlertsSeenAt()]);
+            const unseen = alerts.filter(a => (a.lastTriggeredAt || 0) > seenAt).length;
+            await chrome.action.setBadgeBackgroundColor({ color: '#6366F1' });
+            await chrome.action.setBadgeText({ text: unseen > 0 ? String(unseen) : '' });
+        } catch (error) {
+            console.error('[Notification] Failed to update badge:', error);
         }
     }
 
@@ -77,17 +307,134 @@ class NotificationService {
 
         const messages = {
             resolved: `Market resolved: ${event.outcome}`,
-            new: 'New market available!',
+            new: event.category ? `New market in ${event.category}` : 'New market available!',
             ending_soon: 'Market ending in 24 hours'
         };
 
         await this._sendNotification({
             title: `📊 ${event.marketTitle}`,
             message: messages[event.type] || event.type,
-            data: { type: 'market_event', marketId: event.marketId }
+            data: { type: 'market_event', marketId: event.marketId, isMulti: Boolean(event.isMulti), event: event.type }
         });
     }
 
+    /**
+     * Notify about new markets in followed categories
+     * @param {Market[]} markets - Markets new to the catalog
+     */
+    async notifyNewMarkets(markets) {
+        const followed = await storage.getFollowedCategories();
+        if (!followed.length) return;
+
+        const matches = matchFollowedCategories(markets, followed);
+        if (matches.length > MAX_NEW_MARKET_NOTIFICATIONS) {
+            console.log(`[Opinion Lens] ${matches.length} new markets in followed categories, notifying the first ${MAX_NEW_MARKET_NOTIFICATIONS}`);
+        }
+
+        for (const { market, category } of matches.slice(0, MAX_NEW_MARKET_NOTIFICATIONS)) {
+            await this.notifyMarketEvent({
+                type: 'new',
+                marketId: market.marketId,
+                isMulti: market.isMulti,
+                marketTitle: market.title,
+                category
+            });
+        }
+    }
+
+    /**
+     * Notify whale trades in watchlisted markets, one notification each or a single digest
+     * @param {Array<{trade: Trade, market: Market, threshold: number}>} whales
+     * @param {Object} options
+     * @param {boolean} [options.digest=false]
+     */
+    async notifyWhaleTrades(whales, { digest = false } = {}) {
+        const biggest = [...whales].sort((a, b) => b.trade.value - a.trade.value);
+
+        if (digest) {
+            const lines = biggest.slice(0, 3).map(({ trade, market }) =>
+                `${market.title}: $${formatNumber(trade.value)} ${this._describeTrade(trade, market)}`);
+            const more = biggest.length - lines.length;
+            const sameMarket = new Set(whales.map(w => String(w.market.marketId))).size === 1;
+            await this._sendNotification({
+                title: `🐋 ${whales.length} whale trade${whales.length === 1 ? '' : 's'}`,
+                message: `${lines.join('\n')}${more > 0 ? `\n+${more} more` : ''}`,
+                // Opens the market when every trade is in the same one
+                data: {
+                    type: 'whale_trade',
+                    marketId: sameMarket ? whales[0].market.marketId : null,
+                    isMulti: sameMarket && Boolean(whales[0].market.isMulti),
+                    count: whales.length
+                }
+            });
+            return;
+        }
+
+        if (biggest.length > MAX_WHALE_NOTIFICATIONS) {
+            console.log(`[Opinion Lens] ${biggest.length} whale trades, notifying the ${MAX_WHALE_NOTIFICATIONS} largest`);
+        }
+
+        for (const { trade, market } of biggest.slice(0, MAX_WHALE_NOTIFICATIONS)) {
+            await this._sendNotification({
+                title: `🐋 $${formatNumber(trade.value)} whale trade`,
+                message: `${market.title}\n${this._describeTrade(trade, market)}`,
+                data: {
+                    type: 'whale_trade',
+                    marketId: market.marketId,
+                    isMulti: Boolean(market.isMulti),
+                    tokenId: trade.tokenId,
+                    wallet: trade.wallet,
+                    value: trade.value,
+                    price: trade.price
+                }
+            });
+        }
+    }
+
+    /**
+     * One-line trade summary, e.g. "Buy YES @ 45.0¢ by User_1a2b"
+     */
+    _describeTrade(trade, market) {
+        const side = trade.side === TRADE_SIDE.BUY ? 'Buy' : (trade.side === TRADE_SIDE.SELL ? 'Sell' : 'Trade');
+        const outcome = market.isMulti && trade.title ? `${trade.title} ${trade.outcome}` : trade.outcome;
+        const trader = trade.userName || formatAddress(trade.wallet);
+        return `${side} ${outcome} @ ${formatPrice(trade.price)} by ${trader}`;
+    }
+
+    /**
+     * Notify positions opened or closed by followed wallets
+     * @param {Array<{wallet: {address: string, name: string}, position: Position, opened: boolean}>} changes
+     */
+    async notifyWalletPositions(changes) {
+        const settings = await storage.getSettings();
+        // Settings saved before this toggle existed leave it unset: on
+        if (settings.notifications.walletPositions === false) return;
+
+        if (changes.length > MAX_WALLET_NOTIFICATIONS) {
+            console.log(`[Opinion Lens] ${changes.length} followed wallet position changes, notifying the first ${MAX_WALLET_NOTIFICATIONS}`);
+        }
+
+        for (const { wallet, position, opened } of changes.slice(0, MAX_WALLET_NOTIFICATIONS)) {
+            const name = wallet.name || formatAddress(wallet.address);
+            const market = getPositionTitle(position);
+            const size = `${formatNumber(position.shares)} ${position.outcome}`;
+
+            await this._sendNotification({
+                title: `👛 ${name} ${opened ? 'opened' : 'closed'} a position`,
+                message: opened
+                    ? `${market}\n${size}${position.avgPrice !== null ? ` @ ${formatPrice(position.avgPrice)} avg` : ''}`
+                    : `${market}\nNo longer holds ${size}`,
+                data: {
+                    type: 'wallet_position',
+                    marketId: position.topicId,
+                    isMulti: Boolean(position.isMulti),
+                    wallet: wallet.address,
+                    opened
+                }
+            });
+        }
+    }
+
     /**
      * Send portfolio update notification
      */
@@ -99,7 +446,7 @@ class NotificationService {
         await this._sendNotification({
             title: update.pnlChange >= 0 ? '📈 Portfolio Up!' : '📉 Portfolio Down',
             message: `Your portfolio changed by ${change}`,
-            data: { type: 'portfolio_update' }
+            data: { type: 'portfolio_update', pnlChange: update.pnlChange }
         });
     }
 
@@ -124,7 +471,14 @@ class NotificationService {
         await this._sendNotification({
             title: `📋 Order ${status}`,
             message: `${side} ${outcome} @ ${price}\nID: ${data.orderId.substring(0, 8)}...`,
-            data: { type: 'order_update', marketId: data.marketId }
+            data: {
+                type: 'order_update',
+                marketId: data.marketId,
+                orderId: data.orderId,
+                status,
+                side,
+                price: parseFloat(data.price)
+            }
         });
     }
 
@@ -148,14 +502,46 @@ class NotificationService {
         await this._sendNotification({
             title: '⚡ Trade Executed',
             message: message,
-            data: { type: 'trade_executed', marketId: data.marketId }
+            data: {
+                type: 'trade_executed',
+                marketId: data.marketId,
+                side,
+                price: parseFloat(data.price),
+                profit
+            }
         });
     }
 
     /**
-     * Send browser notification
+     * Record a notification in the inbox and tell an open popup
+     * @returns {Promise<string|null>} Inbox entry ID
+     */
+    async _recordInbox({ title, message, data }) {
+        try {
+            const entry = await storage.addInboxEntry({
+                type: data?.type || 'other',
+                title,
+                message,
+                marketId: data?.marketId ? String(data.marketId) : null,
+                isMulti: Boolean(data?.isMulti),
+                payload: data || null
+            });
+            chrome.runtime.sendMessage({ type: MESSAGE_TYPES.INBOX_UPDATED }).catch(() => {
+                // Popup not open
+            });
+            return entry.id;
+        } catch (error) {
+            console.error('[Notification] Failed to record in inbox:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Send browser notification, recording it in the inbox first
      */
     async _sendNotification({ title, message, data }) {
+        const inboxId = await this._recordInbox({ title, message, data });
+
         try {
             const notificationId = await chrome.notifications.create({
                 type: 'basic',
@@ -167,7 +553,7 @@ class NotificationService {
 
             // Store data for click handling
             if (data) {
-                await chrome.storage.session.set({ [`notif_${notificationId}`]: data });
+                await chrome.storage.session.set({ [`notif_${notificationId}`]: { ...data, inboxId } });
             }
 
             return notificationId;
@@ -184,9 +570,13 @@ class NotificationService {
         const result = await chrome.storage.session.get(key);
         const data = result[key];
 
+        if (data?.inboxId) {
+            await storage.markInboxRead([data.inboxId]);
+        }
+
         if (data?.marketId) {
             await chrome.tabs.create({
-                url: `https://app.opinion.trade/detail?topicId=${data.marketId}`
+                url: `https://app.opinion.trade/detail?topicId=${data.marketId}${data.isMulti ? '&type=multi' : ''}`
             });
         } else if (data?.type === 'portfolio_update') {
             await chrome.tabs.create({
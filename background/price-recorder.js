@@ -0,0 +1,72 @@
+/**
+ * Opinion Lens - Price Recorder
+ * Records snapshots of watchlisted and recently viewed markets on an alarm,
+ * so public (no API key) users still get price history
+ */
+
+import { storage } from '../shared/storage.js';
+import { createSnapshot, appendSnapshot, SNAPSHOT_RETENTION } from '../shared/price-snapshots.js';
+import { apiClient } from './api-client.js';
+
+class PriceRecorder {
+    constructor() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Market IDs to record: the watchlist plus recently viewed markets
+     * @returns {Promise<string[]>}
+     */
+    async getTrackedMarketIds() {
+        const [watchlist, recent] = await Promise.all([
+            storage.getWatchlist(),
+            storage.getRecentMarkets()
+        ]);
+        return [...new Set([...watchlist, ...recent.map(m => m.marketId)].map(String))];
+    }
+
+    /**
+     * Record one snapshot per binary market (each child of a multi-outcome market)
+     * @param {number} now - Unix timestamp (seconds)
+     * @returns {Promise<Object<string, number>>} tokenId -> recorded YES price
+     */
+    async record(now = Math.floor(Date.now() / 1000)) {
+        if (this.isRecording) return {};
+        this.isRecording = true;
+
+        const prices = {};
+        try {
+            const marketIds = await this.getTrackedMarketIds();
+
+            for (const marketId of marketIds) {
+                try {
+                    const market = await apiClient.getMarketDetails(marketId, { fresh: true });
+                    if (!market) continue;
+
+                    const binaries = market.isMulti ? market.children : [market];
+                    for (const binary of binaries) {
+                        if (!binary.yesTokenId) continue;
+
+                        const snapshots = await storage.getPriceSnapshots(binary.yesTokenId);
+                        await storage.setPriceSnapshots(
+                            binary.yesTokenId,
+                            appendSnapshot(snapshots, createSnapshot(binary, now), now)
+                        );
+                        prices[binary.yesTokenId] = binary.yesPrice;
+                    }
+                } catch (error) {
+                    console.warn('[Opinion Lens] Failed to record market:', marketId, error.message);
+                }
+            }
+
+            await storage.prunePriceSnapshots(now - SNAPSHOT_RETENTION.MAX_AGE);
+        } finally {
+            this.isRecording = false;
+        }
+
+        return prices;
+    }
+}
+
+export const priceRecorder = new PriceRecorder();
+export default priceRecorder;
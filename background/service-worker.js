@@ -4,11 +4,27 @@
  * Requires API key for all operations - no demo/mock data
  */
 
-import { MESSAGE_TYPES } from '../shared/constants.js';
+import {
+    MESSAGE_TYPES,
+    STORAGE_KEYS,
+    PRICE_RECORD_INTERVAL_MINUTES,
+    ALERT_POLL_INTERVAL_MINUTES,
+    CATALOG_SYNC_INTERVAL_MINUTES,
+    WHALE_POLL_INTERVAL_MINUTES,
+    WALLET_POLL_INTERVAL_MINUTES,
+    RESPONSE_CACHE_MAX_AGE
+} from '../shared/constants.js';
 import { storage } from '../shared/storage.js';
 import { apiClient } from './api-client.js';
 import { wsManager } from './websocket-manager.js';
 import { notificationService } from './notification-service.js';
+import { priceRecorder } from './price-recorder.js';
+import { alertPoller } from './alert-poller.js';
+import { whaleWatcher } from './whale-watcher.js';
+import { walletWatcher } from './wallet-watcher.js';
+import { marketCatalog } from './market-catalog.js';
+import { normalizeFilters, applyFilters } from '../shared/market-filters.js';
+import { summarizeCategories } from '../shared/market-categories.js';
 
 // State
 let isInitialized = false;
@@ -32,12 +48,38 @@ async function init() {
         } catch (e) {
             console.log('[Opinion Lens] WebSocket connection failed:', e.message);
         }
-        // Setup alert checking alarm
-        chrome.alarms.create('checkAlerts', { periodInMinutes: 1 });
     } else {
         console.log('[Opinion Lens] No API key configured - extension in standby mode');
     }
 
+    // Poll alerted markets for every user (public prices without an API key)
+    if (!(await chrome.alarms.get('checkAlerts'))) {
+        chrome.alarms.create('checkAlerts', { periodInMinutes: ALERT_POLL_INTERVAL_MINUTES });
+    }
+
+    // Keep the local market catalog in sync; catch up now if it is missing or stale
+    if (!(await chrome.alarms.get('syncCatalog'))) {
+        chrome.alarms.create('syncCatalog', { periodInMinutes: CATALOG_SYNC_INTERVAL_MINUTES });
+    }
+    marketCatalog.sync().catch(error => {
+        console.error('[Opinion Lens] Catalog sync failed:', error);
+    });
+
+    // Record local price history (used when the API has none); don't reset an existing schedule on wake-up
+    if (!(await chrome.alarms.get('recordPrices'))) {
+        chrome.alarms.create('recordPrices', { periodInMinutes: PRICE_RECORD_INTERVAL_MINUTES });
+    }
+
+    // Watch watchlisted markets for whale trades (public activity feed, works without an API key)
+    if (!(await chrome.alarms.get('checkWhales'))) {
+        chrome.alarms.create('checkWhales', { periodInMinutes: WHALE_POLL_INTERVAL_MINUTES });
+    }
+
+    // Notify positions opened or closed by followed wallets (positions need an API key)
+    if (!(await chrome.alarms.get('checkWallets'))) {
+        chrome.alarms.create('checkWallets', { periodInMinutes: WALLET_POLL_INTERVAL_MINUTES });
+    }
+
     isInitialized = true;
     console.log('[Opinion Lens] Initialized', { hasApiKey });
 }
@@ -49,7 +91,10 @@ function handleWSMessage(message) {
     switch (message.type) {
         case 'price':
             broadcastToTabs({ type: MESSAGE_TYPES.PRICE_UPDATE, data: message.data });
-            notificationService.checkAlerts({ [message.data.tokenId]: message.data.price });
+            chrome.runtime.sendMessage({ type: MESSAGE_TYPES.PRICE_UPDATE, data: message.data }).catch(() => { }); // Popup may be closed
+            notificationService.checkAlerts({ [message.data.tokenId]: parseFloat(message.data.price) }).catch(error => {
+                console.error('[Opinion Lens] Alert check failed:', error);
+            });
             break;
 
         case 'event':
@@ -77,6 +122,57 @@ async function broadcastToTabs(message) {
     });
 }
 
+/**
+ * Announce cached responses replaced by fresh data, so open views can swap it in
+ * Market lists are announced without their data; views re-request them and get the fresh copy from memory
+ */
+apiClient.onUpdate(({ kind, id, data }) => {
+    const message = {
+        type: MESSAGE_TYPES.MARKET_UPDATE,
+        data: { source: 'cache', kind, id, ...(kind === 'markets' ? {} : { result: data }) }
+    };
+    broadcastToTabs(message);
+    chrome.runtime.sendMessage(message).catch(() => { }); // Popup may be closed
+});
+
+// New markets in followed categories become notifications
+marketCatalog.onNewMarkets(markets => {
+    notificationService.notifyNewMarkets(markets).catch(error => {
+        console.error('[Opinion Lens] Failed to notify new markets:', error);
+    });
+});
+
+/**
+ * Drop persisted responses and price histories (one key per token and interval) too old to be served
+ */
+async function pruneResponseCache() {
+    const before = Date.now() - RESPONSE_CACHE_MAX_AGE;
+    try {
+        await storage.pruneCache(STORAGE_KEYS.CACHE_RESPONSES, before);
+        await storage.pruneCache(STORAGE_KEYS.CACHE_PRICE_HISTORY, before);
+    } catch (e) {
+        console.warn('[Opinion Lens] Failed to prune response cache:', e.message);
+    }
+}
+
+/**
+ * Search markets, from the catalog once it has synced
+ * With filters (the popup's filter bar), every match is filtered and sorted before the result is capped
+ * @param {{query: string, includeResolved?: boolean, filters?: Object}} message
+ * @returns {Promise<Market[]>}
+ */
+async function searchMarkets({ query, includeResolved, filters }) {
+    const current = filters && normalizeFilters(filters);
+    const options = {
+        includeResolved: current ? current.status !== 'active' : !!includeResolved,
+        limit: current ? Infinity : 50
+    };
+    const results = await marketCatalog.isReady()
+        ? await marketCatalog.search(query, options)
+        : await apiClient.searchMarkets(query, options);
+    return current ? applyFilters(results, current) : results;
+}
+
 /**
  * Handle messages from popup/content scripts
  */
@@ -94,16 +190,32 @@ async function handleMessage(message, sender) {
     switch (message.type) {
         // Markets
         case MESSAGE_TYPES.GET_MARKETS:
+            // The catalog only holds active markets; an empty catalog falls back to the API
+            if ((message.params?.status ?? 'activated') === 'activated' && await marketCatalog.isReady()) {
+                const markets = await marketCatalog.getMarkets(message.params);
+                if (markets.items.length > 0) return markets;
+            }
             return apiClient.getMarkets(message.params);
 
         case MESSAGE_TYPES.GET_MARKET_DETAILS:
+            storage.addRecentMarket(message.marketId).catch(() => { }); // Best effort, never delays the response
             return apiClient.getMarketDetails(message.marketId);
 
         case MESSAGE_TYPES.SEARCH_MARKETS:
-            return apiClient.searchMarkets(message.query);
+            return searchMarkets(message);
 
-        case MESSAGE_TYPES.SEARCH_BY_SLUG:
-            return apiClient.searchBySlug(message.slug);
+        case MESSAGE_TYPES.GET_CATEGORIES: {
+            const markets = await marketCatalog.isReady()
+                ? await marketCatalog.getMarkets({ limit: Infinity })
+                : await apiClient.getMarkets({ limit: 200 });
+            return summarizeCategories(markets.items);
+        }
+
+        case MESSAGE_TYPES.SEARCH_BY_SLUG: {
+            // Markets created since the last sync, or past the catalog's page cap, are searched through the API
+            const market = await marketCatalog.isReady() ? await marketCatalog.findBySlug(message.slug) : null;
+            return market || apiClient.searchBySlug(message.slug);
+        }
 
         case MESSAGE_TYPES.SUBSCRIBE_USER_MARKET:
             if (wsManager.isConnected) {
@@ -119,11 +231,64 @@ async function handleMessage(message, sender) {
         case MESSAGE_TYPES.GET_LATEST_PRICE:
             return apiClient.getLatestPrice(message.tokenId);
 
+        case MESSAGE_TYPES.GET_ORDERBOOK:
+            return apiClient.getMarketDepth({
+                yesTokenId: message.yesTokenId,
+                noTokenId: message.noTokenId,
+                questionId: message.questionId
+            });
+
+        case MESSAGE_TYPES.GET_PRICE_HISTORY:
+            storage.addRecentMarket(message.marketId).catch(() => { }); // Best effort, never delays the response
+            return apiClient.getPriceHistory(message.tokenId, message.interval, {
+                questionId: message.questionId
+            });
+
+        case MESSAGE_TYPES.GET_MARKET_ACTIVITY:
+            return apiClient.getMarketActivity(message.marketId, {
+                isMulti: message.isMulti,
+                page: message.page,
+                limit: message.limit,
+                fresh: message.fresh
+            });
+
+        case MESSAGE_TYPES.GET_WHALE_THRESHOLDS: {
+            const [settings, markets] = await Promise.all([storage.getSettings(), storage.getWhaleThresholds()]);
+            return { threshold: settings.whales.threshold, markets };
+        }
+
+        case MESSAGE_TYPES.SET_WHALE_THRESHOLD:
+            return storage.setWhaleThreshold(message.marketId, message.threshold);
+
+        // Followed wallets
+        case MESSAGE_TYPES.GET_FOLLOWED_WALLETS:
+            return storage.getFollowedWallets();
+
+        case MESSAGE_TYPES.FOLLOW_WALLET:
+            return storage.followWallet(message.address, message.name);
+
+        case MESSAGE_TYPES.UNFOLLOW_WALLET:
+            return storage.unfollowWallet(message.address);
+
+        case MESSAGE_TYPES.GET_WALLET_POSITIONS:
+            return walletWatcher.getPositions(message.address);
+
+        case MESSAGE_TYPES.GET_WALLET_TRADES:
+            return walletWatcher.getTrades(message.address);
+
         // Portfolio
-        case MESSAGE_TYPES.GET_USER_POSITIONS:
+        case MESSAGE_TYPES.GET_USER_POSITIONS: {
             const wallet = await storage.getWalletAddress();
             if (!wallet) return { error: 'Wallet address required' };
-            return apiClient.getUserPositions(wallet, message.params);
+
+            const positions = await apiClient.getAllUserPositions(wallet, { fresh: message.fresh });
+            // Stream prices of every held market so open views can reprice positions live
+            if (wsManager.isConnected) {
+                new Set(positions.items.map(p => String(p.marketId)))
+                    .forEach(marketId => wsManager.subscribe('market:prices', { marketId }));
+            }
+            return positions;
+        }
 
         // Watchlist
         case MESSAGE_TYPES.GET_WATCHLIST:
@@ -140,6 +305,16 @@ async function handleMessage(message, sender) {
         case MESSAGE_TYPES.REMOVE_FROM_WATCHLIST:
             return storage.removeFromWatchlist(message.marketId);
 
+        // Followed categories
+        case MESSAGE_TYPES.GET_FOLLOWED_CATEGORIES:
+            return storage.getFollowedCategories();
+
+        case MESSAGE_TYPES.FOLLOW_CATEGORY:
+            return storage.followCategory(message.category);
+
+        case MESSAGE_TYPES.UNFOLLOW_CATEGORY:
+            return storage.unfollowCategory(message.category);
+
         // Alerts
         case MESSAGE_TYPES.GET_ALERTS:
             return storage.getAlerts();
@@ -148,7 +323,28 @@ async function handleMessage(message, sender) {
             return storage.addAlert(message.alert);
 
         case MESSAGE_TYPES.DELETE_ALERT:
-            return storage.removeAlert(message.alertId);
+            const remaining = await storage.removeAlert(message.alertId);
+            await notificationService.updateBadge();
+            return remaining;
+
+        case MESSAGE_TYPES.UPDATE_ALERT:
+            return storage.updateAlert(message.alertId, message.updates);
+
+        case MESSAGE_TYPES.MARK_ALERTS_SEEN:
+            await storage.setAlertsSeenAt();
+            await notificationService.updateBadge();
+            return { success: true };
+
+        // Notification inbox
+        case MESSAGE_TYPES.GET_INBOX:
+            return storage.getInbox();
+
+        case MESSAGE_TYPES.MARK_INBOX_READ:
+            return storage.markInboxRead(message.ids || null);
+
+        case MESSAGE_TYPES.CLEAR_INBOX:
+            await storage.clearInbox();
+            return [];
 
         // Settings
         case MESSAGE_TYPES.GET_SETTINGS:
@@ -188,44 +384,31 @@ async function handleMessage(message, sender) {
     }
 }
 
+/**
+ * Jobs run by each alarm
+ */
+const ALARM_JOBS = {
+    // WebSocket price ticks check alerts while connected; the alarm still refreshes markets
+    checkAlerts: () => alertPoller.poll({ prices: !wsManager.isConnected }),
+    // Also prunes expired cache entries, so a browser left open for days doesn't accumulate them
+    syncCatalog: () => Promise.all([marketCatalog.sync(), pruneResponseCache()]),
+    recordPrices: () => !apiClient.hasApiKey() && priceRecorder.record(),
+    checkWhales: () => whaleWatcher.poll(),
+    checkWallets: () => walletWatcher.poll()
+};
+
 /**
  * Handle alarms
  */
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-    if (alarm.name === 'checkAlerts') {
-        // Periodic alert checking when WS is disconnected
-        if (!wsManager.isConnected && apiClient.hasApiKey()) {
-            const watchlist = await storage.getWatchlist();
-            for (const marketId of watchlist) {
-                try {
-                    const market = await apiClient.getMarketDetails(marketId);
-                    if (market) {
-                        const prices = {};
-                        if (market.yesTokenId) {
-                            try {
-                                const p = await apiClient.getLatestPrice(market.yesTokenId);
-                                if (p?.price) prices[market.yesTokenId] = parseFloat(p.price);
-                            } catch (e) { /* ignore */ }
-                        }
-                        if (market.noTokenId) {
-                            try {
-                                const p = await apiClient.getLatestPrice(market.noTokenId);
-                                if (p?.price) prices[market.noTokenId] = parseFloat(p.price);
-                            } catch (e) { /* ignore */ }
-                        }
-
-                        if (Object.keys(prices).length > 0) {
-                            await notificationService.checkAlerts(prices);
-                        }
-                    }
-                } catch (error) {
-                    // Suppress network IO suspended or 404 errors from spamming the alarm logs
-                    if (!error.message?.includes('Network Error') && !error.message?.includes('Failed to fetch')) {
-                        console.error('[Alarm] Failed to check market:', marketId, error);
-                    }
-                }
-            }
-        }
+    const job = ALARM_JOBS[alarm.name];
+    if (!job) return;
+
+    // Network failures are logged instead of surfacing as unhandled rejections
+    try {
+        await job();
+    } catch (error) {
+        console.error(`[Opinion Lens] Alarm ${alarm.name} failed:`, error);
     }
 });
 
@@ -242,6 +425,7 @@ chrome.notifications.onClicked.addListener((notificationId) => {
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('[Opinion Lens] Installed:', details.reason);
     init();
+    pruneResponseCache();
 });
 
 /**
@@ -250,6 +434,7 @@ chrome.runtime.onInstalled.addListener((details) => {
 chrome.runtime.onStartup.addListener(() => {
     console.log('[Opinion Lens] Browser started');
     init();
+    pruneResponseCache();
 });
 
 // Initialize on load
@@ -0,0 +1,136 @@
+/**
+ * Opinion Lens - Wallet Watcher
+ * Loads followed wallets' positions and trades, and polls their positions on an alarm to
+ * notify positions opened or closed
+ */
+
+import { storage } from '../shared/storage.js';
+import { WALLET_POLL_BATCH_SIZE, WALLET_TRADE_MARKETS, RECENT_TRADES_COUNT } from '../shared/constants.js';
+import { diffPositions } from '../shared/positions.js';
+import { mergeTrades } from '../shared/market-activity.js';
+import { apiClient } from './api-client.js';
+import { notificationService } from './notification-service.js';
+
+class WalletWatcher {
+    constructor() {
+        this.isPolling = false;
+    }
+
+    /**
+     * Open positions of a wallet, largest value first
+     * @param {string} address
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=false]
+     * @returns {Promise<Position[]>}
+     */
+    async getPositions(address, { fresh = false } = {}) {
+        const { items } = await apiClient.getAllUserPositions(address, { fresh });
+        return items;
+    }
+
+    /**
+     * Recent trades of a wallet, newest first
+     * There is no per-wallet trade feed, so this searches the activity feeds of the markets the
+     * wallet holds (its largest positions, then the ones it held at the last poll). Without an API key,
+     * or when positions fail to load, only the last poll's positions are searched.
+     * @param {string} address
+     * @returns {Promise<Trade[]>}
+     */
+    async getTrades(address) {
+        const wallet = address.toLowerCase();
+        const [positions, snapshots] = await Promise.all([
+            this.getPositions(wallet).catch(error => {
+                console.warn('[Opinion Lens] Searching trades of wallet without its current positions:', wallet, error.message);
+                return [];
+            }),
+            storage.getWalletPositions()
+        ]);
+
+        const topics = new Map();
+        for (const position of [...positions, ...(snapshots[wallet] || [])]) {
+            if (topics.size >= WALLET_TRADE_MARKETS) break;
+            if (!topics.has(String(position.topicId))) topics.set(String(position.topicId), position.isMulti);
+        }
+
+        const pages = await Promise.all([...topics].map(([topicId, isMulti]) =>
+            apiClient.getMarketActivity(topicId, { isMulti, limit: RECENT_TRADES_COUNT })
+                .then(({ items }) => items.filter(trade => trade.wallet === wallet))
+                .catch(error => {
+                    console.warn('[Opinion Lens] Failed to load trades of market:', topicId, error.message);
+                    return [];
+                })
+        ));
+        return pages.reduce((trades, items) => mergeTrades(trades, items).trades, []);
+    }
+
+    /**
+     * Compare each followed wallet's open positions with the last poll and notify the changes
+     * A wallet's first poll only records its positions
+     */
+    async poll() {
+        if (this.isPolling || !apiClient.hasApiKey()) return;
+        this.isPolling = true;
+
+        try {
+            const [wallets, snapshots] = await Promise.all([
+                storage.getFollowedWallets(),
+                storage.getWalletPositions()
+            ]);
+            if (wallets.length === 0) return;
+
+            const changes = [];
+            const nextSnapshots = {};
+            for (let i = 0; i < wallets.length; i += WALLET_POLL_BATCH_SIZE) {
+                const batch = wallets.slice(i, i + WALLET_POLL_BATCH_SIZE);
+                const results = await Promise.all(batch.map(wallet => this._checkWallet(wallet, snapshots[wallet.address])));
+
+                results.forEach((result, j) => {
+                    const { address } = batch[j];
+                    if (!result) {
+                        // Keep the last positions of a wallet that failed to load
+                        if (snapshots[address]) nextSnapshots[address] = snapshots[address];
+                        return;
+                    }
+                    nextSnapshots[address] = result.positions;
+                    changes.push(...result.changes);
+                });
+            }
+
+            await storage.setWalletPositions(nextSnapshots);
+
+            if (changes.length > 0) {
+                await notificationService.notifyWalletPositions(changes);
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Positions a wallet opened or closed since its last snapshot
+     * @returns {Promise<{positions: Position[], changes: Array<{wallet: Object, position: Position, opened: boolean}>}|null>}
+     */
+    async _checkWallet(wallet, previous) {
+        try {
+            // A missing page would look like closed positions
+            const { items: positions, complete } = await apiClient.getAllUserPositions(wallet.address, { fresh: true });
+            if (!complete) throw new Error('Incomplete positions');
+            if (!previous) return { positions, changes: [] };
+
+            const { opened, closed } = diffPositions(previous, positions);
+            return {
+                positions,
+                changes: [
+                    ...opened.map(position => ({ wallet, position, opened: true })),
+                    ...closed.map(position => ({ wallet, position, opened: false }))
+                ]
+            };
+        } catch (error) {
+            console.warn('[Opinion Lens] Failed to check positions of wallet:', wallet.address, error.message);
+            return null;
+        }
+    }
+}
+
+export const walletWatcher = new WalletWatcher();
+export default walletWatcher;
@@ -0,0 +1,90 @@
+/**
+ * Opinion Lens - Whale Watcher
+ * Polls the public activity feed of watchlisted markets on an alarm and notifies
+ * trades at or above the market's whale threshold
+ */
+
+import { storage } from '../shared/storage.js';
+import { WHALE_POLL_BATCH_SIZE, RECENT_TRADES_COUNT } from '../shared/constants.js';
+import { isWhaleTrade, getWhaleThreshold, getNewTrades } from '../shared/market-activity.js';
+import { apiClient } from './api-client.js';
+import { notificationService } from './notification-service.js';
+
+class WhaleWatcher {
+    constructor() {
+        this.isPolling = false;
+    }
+
+    /**
+     * Check each watchlisted market's newest trades; only trades since the last poll count
+     */
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            const settings = await storage.getSettings();
+            if (!settings.whales?.enabled) return;
+
+            const [watchlist, thresholds, cursors] = await Promise.all([
+                storage.getWatchlist(),
+                storage.getWhaleThresholds(),
+                storage.getWhaleCursors()
+            ]);
+            const marketIds = watchlist.map(String);
+            const config = { threshold: settings.whales.threshold, markets: thresholds };
+
+            const whales = [];
+            for (let i = 0; i < marketIds.length; i += WHALE_POLL_BATCH_SIZE) {
+                const batch = marketIds.slice(i, i + WHALE_POLL_BATCH_SIZE);
+                const results = await Promise.all(batch.map(id => this._checkMarket(id, cursors[id], config)));
+
+                results.forEach((result, j) => {
+                    if (!result) return;
+                    cursors[batch[j]] = result.cursor;
+                    whales.push(...result.whales);
+                });
+            }
+
+            // Markets removed from the watchlist start over if they are added back
+            const nextCursors = Object.fromEntries(marketIds.filter(id => cursors[id]).map(id => [id, cursors[id]]));
+            await storage.setWhaleCursors(nextCursors);
+
+            if (whales.length > 0) {
+                await notificationService.notifyWhaleTrades(whales, { digest: settings.whales.digest });
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * New whale trades of one market
+     * @returns {Promise<{whales: Array<{trade: Trade, market: Market, threshold: number}>, cursor: Object}|null>}
+     */
+    async _checkMarket(marketId, cursor, config) {
+        try {
+            const market = await apiClient.getMarketDetails(marketId);
+            if (!market) return null;
+
+            const { items } = await apiClient.getMarketActivity(marketId, {
+                isMulti: market.isMulti,
+                limit: RECENT_TRADES_COUNT,
+                fresh: true
+            });
+            const threshold = getWhaleThreshold(marketId, config);
+            const { trades, cursor: next } = getNewTrades(items, cursor || null);
+
+            return {
+                whales: trades.filter(t => isWhaleTrade(t, threshold)).map(trade => ({ trade, market, threshold })),
+                cursor: next
+            };
+        } catch (error) {
+            console.warn('[Opinion Lens] Failed to check trades of market:', marketId, error.message);
+            return null;
+        }
+    }
+}
+
+export const whaleWatcher = new WhaleWatcher();
+export default whaleWatcher;
@@ -4,14 +4,49 @@
  */
 
 import { MESSAGE_TYPES } from '../shared/constants.js';
-import { formatPrice, formatPnL, formatNumber } from '../shared/utils.js';
+import { formatPrice, formatPnL, formatNumber, escapeHtml } from '../shared/utils.js';
+import { getPositionTitle, applyPositionPrice } from '../shared/positions.js';
 
 // Configuration
 const CONFIG = {
     widgetId: 'opinion-lens-widget',
     widgetClass: 'ol-widget',
+    refreshInterval: 30000,
 };
 
+// Position fetch errors that need the API key or wallet address set in Options
+const SETUP_ERRORS = ['API_KEY_REQUIRED', 'Wallet address required'];
+
+/**
+ * Widget row of a position, in the shape render and exportCSV use
+ * @param {Position} position
+ * @returns {Object}
+ */
+function toTrackerPosition(position) {
+    return {
+        id: position.id,
+        tokenId: position.tokenId,
+        title: `${getPositionTitle(position)} (${position.outcome})`,
+        quantity: position.shares,
+        avgPrice: position.avgPrice,
+        currentPrice: position.currentPrice,
+        value: position.value,
+        pnl: position.pnl,
+        pnlPercent: position.pnlPercent,
+    };
+}
+
+/**
+ * One CSV field, quoted when it holds a comma, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function toCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Position Tracker Widget
  */
@@ -19,6 +54,10 @@ class PositionTracker {
     constructor() {
         this.container = null;
         this.positions = [];
+        this.holdings = [];
+        this.error = null;
+        this.isComplete = true;
+        this.isLoaded = false;
         this.isVisible = true;
     }
 
@@ -63,7 +102,7 @@ class PositionTracker {
           </div>
         </div>
         <div class="ol-positions" id="ol-positions">
-          <div class="ol-empty">No positions</div>
+          <div class="ol-empty">Loading positions...</div>
         </div>
         <div class="ol-widget-actions">
           <button class="ol-action-btn" id="ol-export-btn">Export CSV</button>
@@ -180,6 +219,23 @@ class PositionTracker {
         font-weight: 500;
         font-family: 'JetBrains Mono', monospace;
       }
+      .ol-position-pnl.positive { color: #10B981; }
+      .ol-position-pnl.negative { color: #EF4444; }
+      .ol-position-meta {
+        display: block;
+        margin-top: 2px;
+        font-size: 10px;
+        color: rgba(255, 255, 255, 0.5);
+        font-family: 'JetBrains Mono', monospace;
+      }
+      .ol-warning {
+        padding: 6px 8px;
+        margin-bottom: 6px;
+        border-radius: 6px;
+        background: rgba(245, 158, 11, 0.1);
+        color: #F59E0B;
+        font-size: 11px;
+      }
       .ol-empty {
         padding: 20px;
         text-align: center;
@@ -222,7 +278,7 @@ class PositionTracker {
 
         // Refresh
         const refreshBtn = this.container.querySelector('#ol-refresh-btn');
-        refreshBtn.addEventListener('click', () => this.loadPositions());
+        refreshBtn.addEventListener('click', () => this.loadPositions({ fresh: true }));
 
         // Make draggable
         this.makeDraggable();
@@ -254,21 +310,42 @@ class PositionTracker {
         });
     }
 
-    async loadPositions() {
+    /**
+     * Fetch the configured wallet's open positions through the service worker
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=false] - Skip the cached positions
+     */
+    async loadPositions({ fresh = false } = {}) {
         try {
-            // In a real implementation, this would fetch from the API
-            // For now, we'll try to extract from the page
-            this.positions = this.extractPositionsFromPage();
-            this.render();
+            const result = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_USER_POSITIONS, fresh });
+            if (!Array.isArray(result?.items)) throw new Error(result?.error || 'Invalid response');
+
+            this.holdings = result.items;
+            this.positions = this.holdings.map(toTrackerPosition);
+            this.isComplete = result.complete;
+            this.error = null;
         } catch (error) {
-            console.error('[Opinion Lens] Failed to load positions:', error);
+            console.error('[Opinion Lens] Failed to load positions:', error.message);
+            this.holdings = [];
+            this.positions = [];
+            this.error = error.message;
         }
+
+        this.isLoaded = true;
+        this.render();
     }
 
-    extractPositionsFromPage() {
-        // This would be customized based on Opinion.trade's actual DOM structure
-        // Placeholder implementation
-        return [];
+    /**
+     * Reprice the positions in a token from a live price broadcast
+     * @param {{tokenId: string, price: number|string}} data
+     */
+    updatePrice(data) {
+        const price = parseFloat(data?.price);
+        const changed = this.holdings.filter(p => applyPositionPrice(p, data?.tokenId, price));
+        if (changed.length === 0) return;
+
+        this.positions = this.holdings.map(toTrackerPosition);
+        this.render();
     }
 
     render() {
@@ -277,9 +354,15 @@ class PositionTracker {
         const totalPnlEl = this.container.querySelector('#ol-total-pnl');
 
         if (this.positions.length === 0) {
-            positionsEl.innerHTML = '<div class="ol-empty">No positions</div>';
+            let message = 'No positions';
+            if (!this.isLoaded) message = 'Loading positions...';
+            else if (SETUP_ERRORS.includes(this.error)) message = 'Add your API key and wallet address in Opinion Lens options';
+            else if (this.error) message = 'Failed to load positions';
+
+            positionsEl.innerHTML = `<div class="ol-empty">${message}</div>`;
             totalValueEl.textContent = '$0.00';
             totalPnlEl.textContent = '$0.00';
+            totalPnlEl.className = 'ol-stat-value ol-pnl';
             return;
         }
 
@@ -290,9 +373,13 @@ class PositionTracker {
         totalPnlEl.textContent = formatPnL(totalPnl);
         totalPnlEl.className = `ol-stat-value ol-pnl ${totalPnl >= 0 ? 'positive' : 'negative'}`;
 
-        positionsEl.innerHTML = this.positions.map(p => `
-      <div class="ol-position">
-        <span class="ol-position-title">${p.title}</span>
+        const warning = this.isComplete ? '' : '<div class="ol-warning">Some positions could not be loaded</div>';
+        positionsEl.innerHTML = warning + this.positions.map(p => `
+      <div class="ol-position" title="${escapeHtml(p.title)}">
+        <span class="ol-position-title">
+          ${escapeHtml(p.title)}
+          <span class="ol-position-meta">${formatNumber(p.quantity)} @ ${p.currentPrice !== null ? formatPrice(p.currentPrice) : '—'}</span>
+        </span>
         <span class="ol-position-pnl ${p.pnl >= 0 ? 'positive' : 'negative'}">
           ${formatPnL(p.pnl)}
         </span>
@@ -302,7 +389,21 @@ class PositionTracker {
 
     startUpdates() {
         // Refresh every 30 seconds
-        setInterval(() => this.loadPositions(), 30000);
+        const refreshInterval = setInterval(() => {
+            // Stop once the extension is reloaded and this script is orphaned
+            if (!chrome.runtime?.id) {
+                clearInterval(refreshInterval);
+                return;
+            }
+            this.loadPositions();
+        }, CONFIG.refreshInterval);
+
+        // Live prices of held markets, streamed by the service worker
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === MESSAGE_TYPES.PRICE_UPDATE) {
+                this.updatePrice(message.data);
+            }
+        });
     }
 
     exportCSV() {
@@ -322,7 +423,7 @@ class PositionTracker {
             p.pnlPercent
         ]);
 
-        const csv = [headers, ...rows].map(r => r.join(',')).join('\n');
+        const csv = [headers, ...rows].map(r => r.map(toCSVField).join(',')).join('\n');
         const blob = new Blob([csv], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
 
@@ -3,8 +3,13 @@
  * Detects macro-related tweets and injects Opinion market cards with dynamic matching
  */
 
-import { MESSAGE_TYPES, OPINION_APP_URL } from '../shared/constants.js';
-import { formatPrice, formatNumber, formatRelativeDate, escapeHtml, debounce, throttle } from '../shared/utils.js';
+import { MESSAGE_TYPES, OPINION_APP_URL, EMBLEM_TRADES_COUNT, WHALE_TRADE_THRESHOLD } from '../shared/constants.js';
+import { formatPrice, formatProbability, formatNumber, formatPnL, formatRelativeDate, formatTimeAgo, escapeHtml, debounce, throttle } from '../shared/utils.js';
+import { rankOutcomes, applyTokenPrice, getLeadingBinary } from '../shared/market-model.js';
+import { getOrderbookTarget } from '../shared/orderbook.js';
+import { DEFAULT_HISTORY_INTERVAL, getPriceChange } from '../shared/price-history.js';
+import { renderSparkline } from '../shared/chart.js';
+import { TRADE_SIDE, isWhaleTrade, getWhaleThreshold } from '../shared/market-activity.js';
 
 // Configuration
 const CONFIG = {
@@ -13,6 +18,8 @@ const CONFIG = {
   textAttr: 'data-ol-text',
   highlightClass: 'ol-keyword',
   maxMarketsPerTweet: 3,
+  maxEmblemOutcomes: 3,
+  maxDepthRows: 3,
   cacheExpiry: 5 * 60 * 1000, // 5 minutes
 };
 
@@ -29,6 +36,12 @@ let contextInvalidated = false;
 // Cache of market IDs that failed to fetch (expired/deleted) — avoid retrying
 const failedMarketIds = new Set();
 
+// Emblem containers → their closed shadow roots (container.shadowRoot is null in closed mode)
+const emblemRoots = new WeakMap();
+
+// Latest-trades footer under each emblem (settings.twitter.showRecentTrades, off by default)
+let showRecentTrades = false;
+
 /**
  * Check if extension context is still valid (not invalidated by update/reload)
  */
@@ -61,7 +74,7 @@ class MarketIndex {
     this.keywordMap.clear();
 
     for (const market of markets) {
-      const keywords = this.extractKeywords(market.marketTitle || market.title || market.question || '');
+      const keywords = this.extractKeywords(market.title || '');
       market._keywords = keywords;
 
       for (const keyword of keywords) {
@@ -183,7 +196,7 @@ class MarketIndex {
       const targetTopicId = parseInt(urlMatch[1], 10);
       // Search local index first
       for (const markets of this.keywordMap.values()) {
-        const exact = markets.find(m => m.id === targetTopicId || m.topicId === targetTopicId || m.marketId === targetTopicId);
+        const exact = markets.find(m => m.marketId === targetTopicId);
         if (exact) {
           return [{ market: exact, score: 999, keywords: ['URL_MATCH'] }];
         }
@@ -211,7 +224,7 @@ class MarketIndex {
       // Try word-based match (2+ words from slug found in market title)
       if (slugWords.length >= 2) {
         for (const market of this.markets) {
-          const title = (market.marketTitle || market.title || '').toLowerCase();
+          const title = market.title.toLowerCase();
           const matchCount = slugWords.filter(w => title.includes(w)).length;
           if (matchCount >= 2) {
             return [{ market, score: 998, keywords: ['SLUG_MATCH'] }];
@@ -233,7 +246,7 @@ class MarketIndex {
 
       if (regex.test(lowerText) || textWords.has(keyword)) {
         for (const market of markets) {
-          const id = market.marketId || market.id || market.topicId;
+          const id = market.marketId;
           if (!matches.has(id)) {
             matches.set(id, {
               market,
@@ -297,7 +310,7 @@ async function refreshIndex() {
     indexLastUpdate = now;
     // Log first 3 market titles for debugging
     markets.slice(0, 3).forEach(m =>
-      console.log(`[Opinion Lens]   → ${m.marketId || m.id}: ${(m.title || m.marketTitle || '').substring(0, 60)}`)
+      console.log(`[Opinion Lens]   → ${m.marketId}: ${m.title.substring(0, 60)}`)
     );
   } else {
     console.warn('[Opinion Lens] No markets returned from API - emblems will not appear');
@@ -463,19 +476,17 @@ function createMarketCard(market, matchedKeywords) {
   const noPrice = 1 - yesPrice;
   const yesPct = Math.round(yesPrice * 100);
 
-  const title = market.marketTitle || market.title || market.question || 'Untitled Market';
-  const marketId = market.marketId || market.id;
-  const isMulti = !!(market.childList?.length > 0) || (!market.yesTokenId && !market.yesLabel);
+  const title = market.title || 'Untitled Market';
+  const { marketId, isMulti } = market;
 
-  // Use API-provided labels (YES/NO or UP/DOWN)
-  const leftLabel = market.yesLabel || 'YES';
-  const rightLabel = market.noLabel || 'NO';
+  const href = `${OPINION_APP_URL}/detail?topicId=${marketId}${isMulti ? '&type=multi' : ''}`;
 
   return `
-    <div class="ol-emblem" data-market-id="${marketId}" data-token-id="${market.yesTokenId || ''}" data-is-multi="${isMulti ? 'true' : 'false'}">
+    <div class="ol-emblem-wrap">
+    <div class="ol-emblem ${isMulti ? 'ol-emblem--multi' : ''}" data-market-id="${marketId}" data-token-id="${market.yesTokenId || ''}" data-is-multi="${isMulti ? 'true' : 'false'}">
       <div class="ol-emblem-glow"></div>
       <div class="ol-emblem-content">
-        <a class="ol-emblem-brand" href="${OPINION_APP_URL}/detail?topicId=${marketId}${isMulti ? '&type=multi' : ''}" target="_blank" rel="noopener">
+        <a class="ol-emblem-brand" href="${href}" target="_blank" rel="noopener">
           <svg viewBox="0 0 24 24" class="ol-emblem-icon">
             <defs>
               <linearGradient id="olGrad" x1="0%" y1="0%" x2="100%" y2="100%">
@@ -488,22 +499,121 @@ function createMarketCard(market, matchedKeywords) {
           </svg>
         </a>
         
-        <a class="ol-emblem-title" href="${OPINION_APP_URL}/detail?topicId=${marketId}${isMulti ? '&type=multi' : ''}" target="_blank" rel="noopener">
+        <a class="ol-emblem-title" href="${href}" target="_blank" rel="noopener">
           ${escapeHtml(title)}
         </a>
 
+        <span class="ol-emblem-trend" data-market-id="${marketId}"></span>
+
+        ${isMulti ? createOutcomeList(market) : createBinaryActions(market, yesPrice, noPrice)}
+
+        <button class="ol-depth-btn" data-market-id="${marketId}" title="Order book">
+          <svg viewBox="0 0 16 16" width="14" height="14" fill="currentColor">
+            <rect x="1" y="3" width="9" height="2" rx="1"/>
+            <rect x="1" y="7" width="14" height="2" rx="1"/>
+            <rect x="1" y="11" width="6" height="2" rx="1"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+    <div class="ol-depth-panel" data-market-id="${marketId}"></div>
+    ${showRecentTrades ? `<div class="ol-trades-footer" data-market-id="${marketId}"></div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Create YES/NO trade buttons for a binary market
+ */
+function createBinaryActions(market, yesPrice, noPrice) {
+  // Use API-provided labels (YES/NO or UP/DOWN)
+  const leftLabel = escapeHtml(market.yesLabel || 'YES');
+  const rightLabel = escapeHtml(market.noLabel || 'NO');
+
+  return `
         <div class="ol-emblem-actions">
           <button class="ol-trade-btn ol-yes-btn" data-side="yes">
             <span class="ol-btn-label">${leftLabel}</span>
-            <span class="ol-btn-price">${formatPrice(yesPrice)}</span>
+            <span class="ol-btn-price" data-price="${yesPrice}">${formatPrice(yesPrice)}</span>
           </button>
           <button class="ol-trade-btn ol-no-btn" data-side="no">
             <span class="ol-btn-label">${rightLabel}</span>
-            <span class="ol-btn-price">${formatPrice(noPrice)}</span>
+            <span class="ol-btn-price" data-price="${noPrice}">${formatPrice(noPrice)}</span>
           </button>
         </div>
-      </div>
-    </div>
+  `;
+}
+
+/**
+ * Create ranked outcome chips for a multi-outcome market
+ */
+function createOutcomeList(market) {
+  const ranked = rankOutcomes(market);
+  const shown = ranked.slice(0, CONFIG.maxEmblemOutcomes);
+  const hidden = ranked.length - shown.length;
+
+  const chips = shown.map(outcome => `
+          <button class="ol-trade-btn ol-outcome" data-side="yes" data-token-id="${outcome.tokenId}">
+            <span class="ol-outcome-label">${escapeHtml(outcome.label)}</span>
+            <span class="ol-outcome-prob" data-price="${outcome.price}">${formatProbability(outcome.price)}</span>
+          </button>
+  `).join('');
+
+  return `
+        <div class="ol-emblem-outcomes">
+          ${chips}
+          ${hidden > 0 ? `<span class="ol-outcome-more">+${hidden}</span>` : ''}
+        </div>
+  `;
+}
+
+/**
+ * Create the compact order book panel shown under an emblem
+ */
+function createDepthPanel(depth, target, market) {
+  if (!depth?.yes && !depth?.no) {
+    return `<div class="ol-depth-empty">No order book available</div>`;
+  }
+
+  const fmt = value => value === null ? '—' : formatPrice(value);
+
+  const side = (summary, kind, label) => {
+    if (!summary || (summary.bids.length === 0 && summary.asks.length === 0)) {
+      return `<div class="ol-depth-side"><div class="ol-depth-label ${kind}">${escapeHtml(label)}</div><div class="ol-depth-empty">No orders</div></div>`;
+    }
+
+    const asks = summary.asks.slice(0, CONFIG.maxDepthRows);
+    const bids = summary.bids.slice(0, CONFIG.maxDepthRows);
+    const maxTotal = Math.max(asks.at(-1)?.total || 0, bids.at(-1)?.total || 0) || 1;
+    const row = (level, type) => `
+            <div class="ol-depth-level ${type}">
+              <span class="ol-depth-fill" style="width: ${(level.total / maxTotal) * 100}%"></span>
+              <span>${formatPrice(level.price)}</span>
+              <span>${formatNumber(level.total)}</span>
+            </div>`;
+
+    return `
+          <div class="ol-depth-side">
+            <div class="ol-depth-label ${kind}">${escapeHtml(label)}</div>
+            <div class="ol-depth-stats">
+              <span>Bid ${fmt(summary.bestBid)} · Ask ${fmt(summary.bestAsk)}</span>
+              <span>Spread ${fmt(summary.spread)} · Mid ${fmt(summary.mid)}</span>
+            </div>
+            ${[...asks].reverse().map(level => row(level, 'ask')).join('')}
+            ${bids.map(level => row(level, 'bid')).join('')}
+          </div>
+    `;
+  };
+
+  const yesLabel = target.label ? 'Yes' : (market.yesLabel || 'YES');
+  const noLabel = target.label ? 'No' : (market.noLabel || 'NO');
+
+  return `
+        ${target.label ? `<div class="ol-depth-outcome">${escapeHtml(target.label)}</div>` : ''}
+        <div class="ol-depth-sides">
+          ${side(depth.yes, 'yes', yesLabel)}
+          ${side(depth.no, 'no', noLabel)}
+        </div>
   `;
 }
 
@@ -679,6 +789,209 @@ function getEnhancedStyles() {
       font-size: 13px;
       font-weight: 600;
     }
+
+    /* Multi-outcome variant: title on top, ranked outcome chips below */
+    .ol-emblem--multi {
+      border-radius: 18px;
+    }
+
+    .ol-emblem--multi .ol-emblem-content {
+      flex-wrap: wrap;
+      height: auto;
+      border-radius: 18px;
+      padding: 8px 12px;
+      row-gap: 6px;
+    }
+
+    .ol-emblem-outcomes {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      flex-basis: 100%;
+    }
+
+    .ol-outcome {
+      height: 28px;
+      background: rgba(99, 102, 241, 0.15);
+      border: 1px solid rgba(99, 102, 241, 0.3);
+    }
+
+    .ol-outcome:hover {
+      background: rgba(99, 102, 241, 0.3);
+    }
+
+    .ol-outcome-label {
+      font-size: 12px;
+      font-weight: 600;
+      max-width: 140px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .ol-outcome-prob {
+      font-size: 12px;
+      font-weight: 700;
+      color: var(--ol-primary-light);
+    }
+
+    .ol-outcome-more {
+      font-size: 12px;
+      color: var(--ol-text-muted);
+    }
+
+    .ol-emblem-trend {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    }
+
+    .ol-emblem-trend:empty {
+      display: none;
+    }
+
+    .ol-change {
+      font-size: 11px;
+      font-weight: 600;
+    }
+
+    .ol-change.up { color: var(--ol-green); }
+    .ol-change.down { color: var(--ol-red); }
+
+    .ol-depth-btn {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+      width: 28px;
+      height: 28px;
+      border: 1px solid var(--ol-border);
+      border-radius: 9999px;
+      background: transparent;
+      color: var(--ol-text-muted);
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+
+    .ol-depth-btn:hover,
+    .ol-depth-btn.active {
+      color: var(--ol-text);
+      background: rgba(99, 102, 241, 0.25);
+    }
+
+    /* Order book panel */
+    .ol-depth-panel {
+      display: none;
+      margin-top: 6px;
+      padding: 10px 12px;
+      max-width: 420px;
+      background: var(--ol-bg);
+      backdrop-filter: blur(16px);
+      -webkit-backdrop-filter: blur(16px);
+      border: 1px solid var(--ol-border);
+      border-radius: 14px;
+      color: var(--ol-text);
+    }
+
+    .ol-depth-panel.open {
+      display: block;
+    }
+
+    .ol-depth-outcome {
+      font-size: 12px;
+      color: var(--ol-text-muted);
+      margin-bottom: 6px;
+    }
+
+    .ol-depth-sides {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 12px;
+    }
+
+    .ol-depth-label {
+      font-size: 11px;
+      font-weight: 700;
+      letter-spacing: 0.5px;
+    }
+
+    .ol-depth-label.yes { color: var(--ol-green); }
+    .ol-depth-label.no { color: var(--ol-red); }
+
+    .ol-depth-stats {
+      display: flex;
+      flex-direction: column;
+      font-size: 10px;
+      color: var(--ol-text-muted);
+      margin: 2px 0 4px;
+    }
+
+    .ol-depth-level {
+      position: relative;
+      display: flex;
+      justify-content: space-between;
+      font-size: 11px;
+      padding: 1px 4px;
+    }
+
+    .ol-depth-level span:not(.ol-depth-fill) {
+      position: relative;
+    }
+
+    .ol-depth-fill {
+      position: absolute;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      border-radius: 2px;
+    }
+
+    .ol-depth-level.bid .ol-depth-fill { background: rgba(16, 185, 129, 0.2); }
+    .ol-depth-level.ask .ol-depth-fill { background: rgba(239, 68, 68, 0.2); }
+
+    .ol-depth-empty {
+      font-size: 11px;
+      color: var(--ol-text-muted);
+    }
+
+    .ol-trades-footer {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      margin-top: 4px;
+      padding: 0 12px;
+      max-width: 420px;
+    }
+
+    .ol-trades-footer:empty {
+      display: none;
+    }
+
+    .ol-trade {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: 11px;
+      color: var(--ol-text-muted);
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .ol-trade-side {
+      font-weight: 700;
+      letter-spacing: 0.5px;
+    }
+
+    .ol-trade-side.buy { color: var(--ol-green); }
+    .ol-trade-side.sell { color: var(--ol-red); }
+
+    .ol-trade.whale {
+      color: #F59E0B;
+      font-weight: 600;
+    }
     
     /* Price flash animations */
     @keyframes priceFlashUp {
@@ -717,6 +1030,7 @@ function getEnhancedStyles() {
 
 /**
  * Inject market cards into tweet
+ * @returns {ShadowRoot|undefined} The emblem's closed shadow root
  */
 function injectMarketCards(tweet, matches) {
   const tweetText = tweet.querySelector('[data-testid="tweetText"]');
@@ -727,6 +1041,7 @@ function injectMarketCards(tweet, matches) {
   container.className = CONFIG.cardClass;
 
   const shadow = container.attachShadow({ mode: 'closed' });
+  emblemRoots.set(container, shadow);
 
   const content = matches.length === 1
     ? createMarketCard(matches[0].market, matches[0].keywords)
@@ -747,6 +1062,7 @@ function injectMarketCards(tweet, matches) {
 
   // Insert after tweet text
   tweetText.parentNode.insertBefore(container, tweetText.nextSibling);
+  return shadow;
 }
 
 /**
@@ -802,6 +1118,44 @@ function setupCardEvents(shadow, matches) {
       }
     });
   });
+
+  // Order book toggle
+  shadow.querySelectorAll('.ol-depth-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const match = matches.find(m => String(m.market.marketId) === btn.dataset.marketId);
+      const panel = btn.closest('.ol-emblem-wrap')?.querySelector('.ol-depth-panel');
+      if (match && panel) toggleDepthPanel(btn, panel, match.market);
+    });
+  });
+}
+
+/**
+ * Expand/collapse an emblem's order book, fetching fresh depth on open
+ */
+async function toggleDepthPanel(btn, panel, market) {
+  const isOpen = panel.classList.toggle('open');
+  btn.classList.toggle('active', isOpen);
+  if (!isOpen) return;
+
+  const target = getOrderbookTarget(market);
+  if (!target) {
+    panel.innerHTML = `<div class="ol-depth-empty">No order book available</div>`;
+    return;
+  }
+
+  if (!isContextValid()) return;
+  panel.innerHTML = `<div class="ol-depth-empty">Loading order book…</div>`;
+
+  try {
+    const depth = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_ORDERBOOK, ...target });
+    panel.innerHTML = depth?.error
+      ? `<div class="ol-depth-empty">Failed to load order book</div>`
+      : createDepthPanel(depth, target, market);
+  } catch (e) {
+    panel.innerHTML = `<div class="ol-depth-empty">Failed to load order book</div>`;
+  }
 }
 
 /**
@@ -897,7 +1251,7 @@ async function processTweet(tweet) {
 
   for (const match of topMatches) {
     try {
-      const mId = match.market.marketId || match.market.id;
+      const mId = match.market.marketId;
 
       // If this is a URL_FETCH marker (market not in local index), fetch from API directly
       if (match.market._needsFetch) {
@@ -912,20 +1266,7 @@ async function processTweet(tweet) {
         });
         if (details && !details.error) {
           // Replace the placeholder with real market data
-          match.market = {
-            marketId: mId,
-            title: details.title || details.marketTitle || details.topicTitle,
-            marketTitle: details.title || details.marketTitle || details.topicTitle,
-            yesTokenId: details.yesPos || details.yesTokenId || '',
-            noTokenId: details.noPos || details.noTokenId || '',
-            yesLabel: details.yesLabel || 'YES',
-            noLabel: details.noLabel || 'NO',
-            yesPrice: parseFloat(details.yesMarketPrice || details.yesBuyPrice || 0.5),
-            noPrice: parseFloat(details.noMarketPrice || details.noBuyPrice || 0.5),
-            slug: details.slug || '',
-            thumbnailUrl: details.thumbnailUrl || '',
-            childList: details.childList || [],
-          };
+          match.market = details;
         } else {
           failedMarketIds.add(String(mId));
           continue; // Skip this match if API fetch fails
@@ -941,7 +1282,7 @@ async function processTweet(tweet) {
           });
           if (found && !found.error && found.marketId) {
             match.market = found;
-            console.log(`[Opinion Lens] Slug resolved to: ${(found.title || found.marketTitle || '').substring(0, 60)}`);
+            console.log(`[Opinion Lens] Slug resolved to: ${found.title.substring(0, 60)}`);
           } else {
             console.warn(`[Opinion Lens] No market found for slug "${match.market.slug}"`);
             continue;
@@ -961,14 +1302,17 @@ async function processTweet(tweet) {
         }
       }
 
-      // Fetch latest price
-      if (match.market.yesTokenId) {
+      // Fetch latest price (each child's YES token for multi-outcome markets)
+      const tokenIds = match.market.isMulti
+        ? match.market.outcomes.map(o => o.tokenId)
+        : [match.market.yesTokenId];
+      for (const tokenId of tokenIds.filter(Boolean)) {
         const priceData = await chrome.runtime.sendMessage({
           type: MESSAGE_TYPES.GET_LATEST_PRICE,
-          tokenId: match.market.yesTokenId
+          tokenId
         });
         if (priceData && priceData.price) {
-          match.market.yesPrice = parseFloat(priceData.price);
+          applyTokenPrice(match.market, tokenId, parseFloat(priceData.price));
         }
       }
     } catch (e) {
@@ -976,7 +1320,7 @@ async function processTweet(tweet) {
         contextInvalidated = true;
         return; // Stop processing entirely
       }
-      console.error('[Opinion Lens] Failed to fetch data for match:', match.market.marketId || match.market.id, e);
+      console.error('[Opinion Lens] Failed to fetch data for match:', match.market.marketId, e);
     }
   }
 
@@ -988,8 +1332,103 @@ async function processTweet(tweet) {
   }
 
   // Inject cards
-  injectMarketCards(tweet, validMatches);
+  const shadow = injectMarketCards(tweet, validMatches);
   tweet.setAttribute(CONFIG.statusAttr, 'has-emblem');
+
+  if (shadow) loadEmblemSparklines(shadow, validMatches);
+  if (shadow && showRecentTrades) loadEmblemTrades(shadow, validMatches);
+}
+
+/**
+ * Fill each emblem's 24h sparkline and change once history arrives
+ */
+async function loadEmblemSparklines(shadow, matches) {
+  for (const { market } of matches) {
+    const binary = getLeadingBinary(market);
+    if (!binary?.yesTokenId || !isContextValid()) continue;
+
+    try {
+      const points = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.GET_PRICE_HISTORY,
+        marketId: market.marketId,
+        tokenId: binary.yesTokenId,
+        questionId: binary.questionId,
+        interval: DEFAULT_HISTORY_INTERVAL
+      });
+      if (!Array.isArray(points) || points.length < 2) continue;
+
+      const change = getPriceChange(points);
+      const direction = change.change >= 0 ? 'up' : 'down';
+      shadow.querySelectorAll(`.ol-emblem-trend[data-market-id="${market.marketId}"]`).forEach(el => {
+        el.innerHTML = `
+          ${renderSparkline(points, { width: 48, height: 18 })}
+          ${change.changePct !== null ? `<span class="ol-change ${direction}">${formatPnL(change.changePct, true)}</span>` : ''}
+        `;
+      });
+    } catch (e) {
+      // Sparklines are decorative; leave the emblem as-is
+    }
+  }
+}
+
+/**
+ * Whale thresholds: the default from settings.whales plus per-market overrides, as the popup uses them
+ * @returns {Promise<{threshold: number, markets: Object<string, number>}>}
+ */
+async function loadWhaleConfig() {
+  try {
+    const config = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_WHALE_THRESHOLDS });
+    if (config && !config.error) return config;
+  } catch (e) {
+    if (e.message?.includes('Extension context invalidated')) contextInvalidated = true;
+  }
+  return { threshold: WHALE_TRADE_THRESHOLD, markets: {} };
+}
+
+/**
+ * Fill each emblem's footer with the market's latest trades, whale-sized ones highlighted
+ */
+async function loadEmblemTrades(shadow, matches) {
+  const whaleConfig = await loadWhaleConfig();
+
+  await Promise.all(matches.map(async ({ market }) => {
+    if (!isContextValid()) return;
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.GET_MARKET_ACTIVITY,
+        marketId: market.marketId,
+        isMulti: market.isMulti,
+        limit: EMBLEM_TRADES_COUNT
+      });
+      if (result?.error) throw new Error(result.error);
+      const trades = Array.isArray(result?.items) ? result.items.slice(0, EMBLEM_TRADES_COUNT) : [];
+      if (trades.length === 0) return;
+
+      const threshold = getWhaleThreshold(market.marketId, whaleConfig);
+      const html = trades.map(trade => {
+        const side = trade.side === TRADE_SIDE.BUY ? 'Buy' : (trade.side === TRADE_SIDE.SELL ? 'Sell' : 'Trade');
+        const outcome = market.isMulti && trade.title ? `${trade.title} · ${trade.outcome}` : trade.outcome;
+        const isWhale = isWhaleTrade(trade, threshold);
+        return `
+          <div class="ol-trade ${isWhale ? 'whale' : ''}">
+            <span class="ol-trade-side ${trade.side || ''}">${side}</span>
+            <span>${escapeHtml(outcome)} · ${isWhale ? '🐋 ' : ''}$${formatNumber(trade.value)} @ ${formatPrice(trade.price)}${trade.createdAt ? ` · ${formatTimeAgo(trade.createdAt * 1000)}` : ''}</span>
+          </div>`;
+      }).join('');
+
+      shadow.querySelectorAll(`.ol-trades-footer[data-market-id="${market.marketId}"]`).forEach(el => {
+        el.innerHTML = html;
+      });
+    } catch (e) {
+      if (e.message?.includes('Extension context invalidated')) {
+        contextInvalidated = true;
+        return;
+      }
+      // The footer is optional; leave it empty
+      console.error('[Opinion Lens] Failed to fetch trades for match:', market.marketId, e);
+    }
+  }));
 }
 
 /**
@@ -1001,10 +1440,13 @@ function updateEmblemPrice(data) {
 
   const containers = document.querySelectorAll(`.${CONFIG.cardClass}`);
   containers.forEach(container => {
-    if (!container.shadowRoot) return;
+    const shadow = emblemRoots.get(container);
+    if (!shadow) return;
 
-    // Find emblems matching this token
-    const emblems = container.shadowRoot.querySelectorAll(`.ol-emblem[data-token-id="${data.tokenId}"]`);
+    const newYesPrice = parseFloat(data.price);
+
+    // Find binary emblems matching this token
+    const emblems = shadow.querySelectorAll(`.ol-emblem[data-token-id="${data.tokenId}"]`);
 
     emblems.forEach(emblem => {
       const yesBtn = emblem.querySelector('.ol-yes-btn');
@@ -1015,40 +1457,56 @@ function updateEmblemPrice(data) {
       const yesPriceEl = yesBtn.querySelector('.ol-btn-price');
       const noPriceEl = noBtn.querySelector('.ol-btn-price');
 
-      const newYesPrice = parseFloat(data.price);
       const newNoPrice = 1 - newYesPrice;
 
-      const oldYesPrice = parseFloat(yesPriceEl.textContent.replace('$', ''));
+      const oldYesPrice = parseFloat(yesPriceEl.dataset.price);
 
       if (Math.abs(oldYesPrice - newYesPrice) > 0.001) {
         yesPriceEl.textContent = formatPrice(newYesPrice);
         noPriceEl.textContent = formatPrice(newNoPrice);
+        yesPriceEl.dataset.price = newYesPrice;
+        noPriceEl.dataset.price = newNoPrice;
 
-        // Flash animation
-        const flashClass = newYesPrice > oldYesPrice ? 'flash-up' : 'flash-down';
-
-        // Remove existing animation if any
-        yesBtn.classList.remove('flash-up', 'flash-down');
-        noBtn.classList.remove('flash-up', 'flash-down');
+        // Flash animation, inverse flash for NO
+        flashButton(yesBtn, newYesPrice > oldYesPrice);
+        flashButton(noBtn, newYesPrice < oldYesPrice);
+      }
+    });
 
-        // Trigger reflow to restart animation
-        void yesBtn.offsetWidth;
-        void noBtn.offsetWidth;
+    // Find multi-outcome chips matching this token
+    const chips = shadow.querySelectorAll(`.ol-outcome[data-token-id="${data.tokenId}"]`);
 
-        yesBtn.classList.add(flashClass);
-        // Inverse flash for NO
-        noBtn.classList.add(newYesPrice > oldYesPrice ? 'flash-down' : 'flash-up');
+    chips.forEach(chip => {
+      const probEl = chip.querySelector('.ol-outcome-prob');
+      const oldPrice = parseFloat(probEl.dataset.price);
 
-        // Clean up classes after animation (0.8s)
-        setTimeout(() => {
-          yesBtn.classList.remove('flash-up', 'flash-down');
-          noBtn.classList.remove('flash-up', 'flash-down');
-        }, 800);
+      if (Math.abs(oldPrice - newYesPrice) > 0.001) {
+        probEl.textContent = formatProbability(newYesPrice);
+        probEl.dataset.price = newYesPrice;
+        flashButton(chip, newYesPrice > oldPrice);
       }
     });
   });
 }
 
+/**
+ * Restart the price flash animation on a button
+ */
+function flashButton(btn, isUp) {
+  // Remove existing animation if any
+  btn.classList.remove('flash-up', 'flash-down');
+
+  // Trigger reflow to restart animation
+  void btn.offsetWidth;
+
+  btn.classList.add(isUp ? 'flash-up' : 'flash-down');
+
+  // Clean up classes after animation (0.8s)
+  setTimeout(() => {
+    btn.classList.remove('flash-up', 'flash-down');
+  }, 800);
+}
+
 /**
  * Initialize
  */
@@ -1063,6 +1521,7 @@ async function init() {
       console.log('[Opinion Lens] Twitter integration disabled');
       return;
     }
+    showRecentTrades = settings.twitter.showRecentTrades === true;
   } catch (error) {
     if (error.message?.includes('Extension context invalidated')) {
       contextInvalidated = true;
@@ -2,7 +2,7 @@
  * Opinion Lens - Options Page
  */
 
-import { MESSAGE_TYPES, DEFAULT_SETTINGS } from '../shared/constants.js';
+import { MESSAGE_TYPES, DEFAULT_SETTINGS, WHALE_TRADE_THRESHOLD } from '../shared/constants.js';
 import { storage } from '../shared/storage.js';
 
 // DOM Elements
@@ -15,9 +15,14 @@ const elements = {
     priceAlerts: document.getElementById('priceAlerts'),
     marketEvents: document.getElementById('marketEvents'),
     portfolioUpdates: document.getElementById('portfolioUpdates'),
+    walletPositions: document.getElementById('walletPositions'),
+    whalesEnabled: document.getElementById('whalesEnabled'),
+    whaleDigest: document.getElementById('whaleDigest'),
+    whaleThreshold: document.getElementById('whaleThreshold'),
     twitterEnabled: document.getElementById('twitterEnabled'),
     showMarketCards: document.getElementById('showMarketCards'),
     showPriceOverlays: document.getElementById('showPriceOverlays'),
+    showRecentTrades: document.getElementById('showRecentTrades'),
     priceFormat: document.getElementById('priceFormat'),
     refreshInterval: document.getElementById('refreshInterval'),
     exportData: document.getElementById('exportData'),
@@ -59,11 +64,18 @@ async function loadSettings() {
     elements.priceAlerts.checked = settings.notifications?.priceAlerts ?? true;
     elements.marketEvents.checked = settings.notifications?.marketEvents ?? true;
     elements.portfolioUpdates.checked = settings.notifications?.portfolioUpdates ?? true;
+    elements.walletPositions.checked = settings.notifications?.walletPositions ?? true;
+
+    // Whale trades
+    elements.whalesEnabled.checked = settings.whales?.enabled ?? true;
+    elements.whaleDigest.checked = settings.whales?.digest ?? false;
+    elements.whaleThreshold.value = settings.whales?.threshold ?? WHALE_TRADE_THRESHOLD;
 
     // Twitter
     elements.twitterEnabled.checked = settings.twitter?.enabled ?? true;
     elements.showMarketCards.checked = settings.twitter?.showMarketCards ?? true;
     elements.showPriceOverlays.checked = settings.twitter?.showPriceOverlays ?? true;
+    elements.showRecentTrades.checked = settings.twitter?.showRecentTrades ?? false;
 
     // Display
     elements.priceFormat.value = settings.display?.priceFormat ?? 'cents';
@@ -161,11 +173,18 @@ async function saveSettings() {
                 priceAlerts: elements.priceAlerts.checked,
                 marketEvents: elements.marketEvents.checked,
                 portfolioUpdates: elements.portfolioUpdates.checked,
+                walletPositions: elements.walletPositions.checked,
+            },
+            whales: {
+                enabled: elements.whalesEnabled.checked,
+                threshold: Math.max(0, parseFloat(elements.whaleThreshold.value) || 0),
+                digest: elements.whaleDigest.checked,
             },
             twitter: {
                 enabled: elements.twitterEnabled.checked,
                 showMarketCards: elements.showMarketCards.checked,
                 showPriceOverlays: elements.showPriceOverlays.checked,
+                showRecentTrades: elements.showRecentTrades.checked,
             },
             display: {
                 priceFormat: elements.priceFormat.value,
@@ -4,8 +4,27 @@
  * No demo/mock data - real Opinion data only
  */
 
-import { MESSAGE_TYPES, TRENDING_MARKETS_COUNT, OPINION_APP_URL } from '../shared/constants.js';
-import { formatPrice, formatNumber, formatRelativeDate, debounce, escapeHtml } from '../shared/utils.js';
+import { MESSAGE_TYPES, TRENDING_MARKETS_COUNT, ENDING_SOON_MARKETS_COUNT, RESOLVED_MARKETS_COUNT, RECENT_TRADES_COUNT, RECENT_TRADES_REFRESH_INTERVAL, WHALE_TRADE_THRESHOLD, MAX_FOLLOWED_WALLETS, OPINION_APP_URL, ALERT_STATUS, ALERT_SNOOZE_DURATION, MAX_ALERT_CONDITIONS, INBOX_TYPES } from '../shared/constants.js';
+import { formatPrice, formatProbability, formatNumber, formatPnL, formatRelativeDate, formatDateTime, formatTimeAgo, formatAddress, isWalletAddress, debounce, escapeHtml } from '../shared/utils.js';
+import { MARKET_STATUS, rankOutcomes, applyTokenPrice, getLeadingBinary, isMarketActive, getResolution } from '../shared/market-model.js';
+import { getOrderbookTarget } from '../shared/orderbook.js';
+import { HISTORY_INTERVALS, DEFAULT_HISTORY_INTERVAL, getPriceChange } from '../shared/price-history.js';
+import { renderSparkline, renderPriceChart } from '../shared/chart.js';
+import { getEditableConditionTypes, getConditionType, getAlertCondition, describeCondition, formatDuration } from '../shared/alert-conditions.js';
+import { SEARCH_SORT, normalizeFilters, countActiveFilters, sortResults } from '../shared/market-filters.js';
+import { MARKET_SORT } from '../shared/market-catalog.js';
+import { groupByEndTime, getTimeRemaining, formatCountdown } from '../shared/market-schedule.js';
+import { TRADE_SIDE, isWhaleTrade, mergeTrades, getWhaleThreshold } from '../shared/market-activity.js';
+import { POSITION_SORT, getPositionTitle, sortPositions, applyPositionPrice, summarizePositions } from '../shared/positions.js';
+import { storage } from '../shared/storage.js';
+
+// Outcomes shown on a multi-outcome card before collapsing into "+N more"
+const MAX_CARD_OUTCOMES = 4;
+
+// Price levels shown per side of the depth ladder
+const MAX_DEPTH_ROWS = 5;
+
+const BELL_ICON = `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/><path d="M13.73 21a2 2 0 0 1-3.46 0"/></svg>`;
 
 // DOM Elements
 const elements = {
@@ -14,23 +33,87 @@ const elements = {
     totalValue: document.getElementById('totalValue'),
     todayPnl: document.getElementById('todayPnl'),
     positionCount: document.getElementById('positionCount'),
+    portfolio: document.getElementById('portfolio'),
     searchInput: document.getElementById('searchInput'),
+    filterToggle: document.getElementById('filterToggle'),
+    filterBadge: document.getElementById('filterBadge'),
+    filterBar: document.getElementById('filterBar'),
+    filterLabel: document.getElementById('filterLabel'),
+    filterStatus: document.getElementById('filterStatus'),
+    filterOutcomeType: document.getElementById('filterOutcomeType'),
+    filterEnding: document.getElementById('filterEnding'),
+    filterMinVolume: document.getElementById('filterMinVolume'),
+    filterMinPrice: document.getElementById('filterMinPrice'),
+    filterMaxPrice: document.getElementById('filterMaxPrice'),
+    filterSort: document.getElementById('filterSort'),
+    filterReset: document.getElementById('filterReset'),
     tabs: document.querySelectorAll('.tab'),
     trendingSection: document.getElementById('trendingSection'),
     newSection: document.getElementById('newSection'),
+    endingSection: document.getElementById('endingSection'),
+    resolvedSection: document.getElementById('resolvedSection'),
+    categoriesSection: document.getElementById('categoriesSection'),
     watchlistSection: document.getElementById('watchlistSection'),
+    alertsSection: document.getElementById('alertsSection'),
+    inboxSection: document.getElementById('inboxSection'),
     aboutSection: document.getElementById('aboutSection'),
+    detailSection: document.getElementById('detailSection'),
+    marketDetail: document.getElementById('marketDetail'),
     trendingMarkets: document.getElementById('trendingMarkets'),
     newMarkets: document.getElementById('newMarkets'),
+    endingMarkets: document.getElementById('endingMarkets'),
+    resolvedMarkets: document.getElementById('resolvedMarkets'),
+    categoriesList: document.getElementById('categoriesList'),
     watchlistMarkets: document.getElementById('watchlistMarkets'),
+    alertsList: document.getElementById('alertsList'),
+    alertsTabBadge: document.getElementById('alertsTabBadge'),
+    inboxList: document.getElementById('inboxList'),
+    inboxFilters: document.getElementById('inboxFilters'),
+    inboxTabBadge: document.getElementById('inboxTabBadge'),
+    inboxMarkRead: document.getElementById('inboxMarkRead'),
+    inboxClear: document.getElementById('inboxClear'),
+    portfolioSection: document.getElementById('portfolioSection'),
+    portfolioSort: document.getElementById('portfolioSort'),
+    portfolioSortDir: document.getElementById('portfolioSortDir'),
+    portfolioList: document.getElementById('portfolioList'),
+    walletsSection: document.getElementById('walletsSection'),
+    walletForm: document.getElementById('walletForm'),
+    walletInput: document.getElementById('walletInput'),
+    walletHint: document.getElementById('walletHint'),
+    walletsList: document.getElementById('walletsList'),
     refreshBtn: document.getElementById('refreshBtn'),
 };
 
 // State
 let state = {
     markets: [],
+    marketsReport: null,
     newMarketsList: [],
+    newMarketsReport: null,
+    endingMarkets: [],
+    endingMarketsReport: null,
+    resolvedMarkets: [],
+    resolvedMarketsReport: null,
     watchlist: [],
+    watchlistMarkets: [],
+    alerts: [],
+    inbox: [],
+    inboxFilter: 'all',
+    filters: normalizeFilters(),
+    categories: [],
+    followedCategories: [],
+    activeCategory: null,
+    categoryMarkets: [],
+    detailMarketId: null,
+    detailMarket: null,
+    detailTrades: { trades: [], page: 0, hasMore: false },
+    whaleConfig: { threshold: WHALE_TRADE_THRESHOLD, markets: {} },
+    positions: [],
+    positionsReport: null,
+    positionsError: null,
+    positionSort: { sort: POSITION_SORT.VALUE, descending: true },
+    followedWallets: [],
+    activeWallet: null,
     activeTab: 'trending',
     hasApiKey: false,
     isLoading: true,
@@ -52,34 +135,55 @@ async function init() {
     // Check connection status first
     await loadConnectionStatus();
 
+    // Saved filters decide whether the first tab shows trending markets or filtered results
+    await loadFilters();
+
     // Load UI based on API key status
     if (state.hasApiKey) {
         await Promise.all([
             loadPortfolio(),
-            loadMarkets(),
+            refreshTrending(),
             loadNewMarkets(),
+            loadEndingMarkets(),
+            loadCategories(),
+            loadFollowedCategories(),
+            loadWhaleThresholds(),
+            loadFollowedWallets(),
             loadWatchlist(),
+            loadAlerts(),
+            loadInbox(),
         ]);
     } else {
         // Load trending + new markets + watchlist (all from public endpoint)
         await Promise.all([
-            loadMarkets(),
+            refreshTrending(),
             loadNewMarkets(),
+            loadEndingMarkets(),
+            loadCategories(),
+            loadFollowedCategories(),
+            loadWhaleThresholds(),
+            loadFollowedWallets(),
             loadWatchlist(),
+            loadAlerts(),
+            loadInbox(),
         ]);
     }
 
     // Listen for real-time updates
     chrome.runtime.onMessage.addListener(handleMessage);
 
-    // Auto-refresh trending + new markets list every 60 seconds while popup is open
+    // Auto-refresh trending, new and ending markets every 60 seconds while popup is open
     setInterval(() => {
-        loadMarkets();
+        refreshTrending();
         loadNewMarkets();
+        loadEndingMarkets({ quiet: true });
         if (state.hasApiKey) {
             loadPortfolio();
         }
     }, 60000);
+
+    // Tick the Ending Soon countdowns
+    setInterval(updateCountdowns, 1000);
 }
 
 /**
@@ -96,13 +200,71 @@ function setupEventListeners() {
         tab.addEventListener('click', () => switchTab(tab.dataset.tab));
     });
 
+    // Inbox actions
+    elements.inboxMarkRead.addEventListener('click', async () => {
+        const inbox = await sendMessage(MESSAGE_TYPES.MARK_INBOX_READ);
+        if (Array.isArray(inbox)) state.inbox = inbox;
+        updateInboxBadge();
+        renderInbox();
+    });
+    elements.inboxClear.addEventListener('click', async () => {
+        await sendMessage(MESSAGE_TYPES.CLEAR_INBOX);
+        state.inbox = [];
+        updateInboxBadge();
+        renderInbox();
+    });
+
+    // Portfolio: header opens the tab, sort controls reorder it
+    elements.portfolio.addEventListener('click', () => switchTab('portfolio'));
+    elements.portfolioSort.addEventListener('change', () => {
+        const sort = elements.portfolioSort.value;
+        // Titles read best A→Z, numbers largest first
+        state.positionSort = { sort, descending: sort !== POSITION_SORT.TITLE };
+        renderPortfolio();
+    });
+    elements.portfolioSortDir.addEventListener('click', () => {
+        state.positionSort.descending = !state.positionSort.descending;
+        renderPortfolio();
+    });
+
+    // Follow a wallet by address
+    elements.walletForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const address = elements.walletInput.value.trim();
+        const error = await followWallet(address);
+
+        elements.walletHint.textContent = error || '';
+        elements.walletHint.classList.toggle('error', Boolean(error));
+        if (!error) {
+            elements.walletInput.value = '';
+            if (!state.activeWallet) renderWallets();
+        }
+    });
+
     // Search
     elements.searchInput.addEventListener('input', debounce(handleSearch, 300));
 
+    // Search filters
+    elements.filterToggle.addEventListener('click', () => {
+        elements.filterBar.classList.toggle('hidden');
+    });
+    [
+        elements.filterLabel,
+        elements.filterStatus,
+        elements.filterOutcomeType,
+        elements.filterEnding,
+        elements.filterMinVolume,
+        elements.filterMinPrice,
+        elements.filterMaxPrice,
+        elements.filterSort,
+    ].forEach(input => input.addEventListener('change', () => applyFilters(readFilterBar())));
+    elements.filterReset.addEventListener('click', () => applyFilters(normalizeFilters()));
+
     // Refresh
     elements.refreshBtn.addEventListener('click', () => {
-        loadMarkets();
+        refreshTrending();
         loadNewMarkets();
+        loadEndingMarkets();
         if (state.hasApiKey) {
             loadPortfolio();
             loadWatchlist();
@@ -143,54 +305,151 @@ function updateConnectionStatus(status) {
 }
 
 /**
- * Load Portfolio
+ * Load the connected wallet's positions, every page, for the header totals and the Portfolio tab
  */
 async function loadPortfolio() {
-    elements.totalValue.textContent = '...';
-    elements.todayPnl.textContent = '...';
-    elements.positionCount.textContent = '...';
+    if (state.positionsReport === null) {
+        elements.totalValue.textContent = '...';
+        elements.todayPnl.textContent = '...';
+        elements.positionCount.textContent = '...';
+    }
 
     try {
-        const positions = await sendMessage(MESSAGE_TYPES.GET_USER_POSITIONS, { params: { pageSize: 100 } });
+        const result = await sendMessage(MESSAGE_TYPES.GET_USER_POSITIONS);
+        if (!Array.isArray(result?.items)) throw new Error(result?.error || 'Invalid response');
 
-        if (positions?.error) {
-            console.log('[Opinion Lens] Portfolio fetch error or no wallet:', positions.error);
-            elements.totalValue.textContent = '$0.00';
-            elements.todayPnl.textContent = '$0.00';
-            elements.positionCount.textContent = '0';
-            return;
-        }
+        const { items, ...report } = result;
+        state.positions = items;
+        state.positionsReport = report;
+        state.positionsError = null;
+    } catch (error) {
+        console.log('[Opinion Lens] Portfolio fetch error or no wallet:', error.message);
+        state.positions = [];
+        state.positionsReport = null;
+        state.positionsError = error.message;
+    }
 
-        if (Array.isArray(positions)) {
-            let totalValue = 0;
-            let totalPnl = 0;
-            let activeCount = 0;
-
-            positions.forEach(pos => {
-                const val = parseFloat(pos.currentValueInQuoteToken || 0);
-                const pnl = parseFloat(pos.unrealizedPnl || 0);
-                // only count positions with some value
-                if (val > 0.001 || Math.abs(pnl) > 0.001) {
-                    totalValue += val;
-                    totalPnl += pnl;
-                    activeCount++;
-                }
-            });
+    renderPortfolioSummary();
+    if (state.activeTab === 'portfolio') renderPortfolio();
+}
+
+/**
+ * Header totals: value, unrealized P&L and position count
+ */
+function renderPortfolioSummary() {
+    const { value, pnl, count } = summarizePositions(state.positions);
 
-            elements.totalValue.textContent = `$${formatNumber(totalValue)}`;
+    elements.totalValue.textContent = `$${formatNumber(value)}`;
 
-            const isPositive = totalPnl >= 0;
-            elements.todayPnl.textContent = `${isPositive ? '+' : ''}$${formatNumber(totalPnl)}`;
-            elements.todayPnl.className = `portfolio-value portfolio-pnl ${isPositive ? 'positive' : 'negative'}`;
+    const isPositive = pnl >= 0;
+    elements.todayPnl.textContent = `${isPositive ? '+' : '-'}$${formatNumber(Math.abs(pnl))}`;
+    elements.todayPnl.className = `portfolio-value portfolio-pnl ${isPositive ? 'positive' : 'negative'}`;
 
-            elements.positionCount.textContent = activeCount.toString();
-        }
-    } catch (e) {
-        console.error('[Opinion Lens] Failed to load portfolio', e);
-        elements.totalValue.textContent = '$0.00';
-        elements.todayPnl.textContent = '$0.00';
-        elements.positionCount.textContent = '0';
+    elements.positionCount.textContent = count.toString();
+}
+
+/**
+ * Render the Portfolio tab: every position in the chosen order
+ */
+function renderPortfolio() {
+    const { sort, descending } = state.positionSort;
+    elements.portfolioSort.value = sort;
+    elements.portfolioSortDir.textContent = descending ? '↓' : '↑';
+    elements.portfolioSortDir.title = descending ? 'Largest first' : 'Smallest first';
+
+    if (state.positionsError) {
+        const needsSetup = ['API_KEY_REQUIRED', 'Wallet address required'].includes(state.positionsError);
+        elements.portfolioList.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">💼</span>
+                <p>${needsSetup ? 'Portfolio needs an API key and a wallet address' : 'Failed to load positions'}</p>
+                ${needsSetup ? '<button class="btn-primary" data-action="open-settings">⚙️ Open Settings</button>' : ''}
+            </div>
+        `;
+        elements.portfolioList.querySelector('[data-action="open-settings"]')
+            ?.addEventListener('click', () => chrome.runtime.openOptionsPage());
+        return;
+    }
+
+    if (!state.positionsReport) {
+        elements.portfolioList.innerHTML = '<div class="loading">Loading positions...</div>';
+        return;
+    }
+
+    if (state.positions.length === 0) {
+        elements.portfolioList.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">💼</span>
+                <p>No open positions</p>
+            </div>
+        `;
+        return;
     }
+
+    const warning = state.positionsReport.complete ? '' : `
+        <div class="list-warning">${state.positionsReport.pagesFailed > 0
+        ? 'Some positions could not be loaded'
+        : `Only the first ${state.positions.length} positions were loaded`}; totals may be incomplete</div>
+    `;
+    elements.portfolioList.innerHTML = warning + sortPositions(state.positions, sort, descending)
+        .map(position => renderPositionRow(position))
+        .join('');
+
+    attachPositionListeners(elements.portfolioList);
+}
+
+/**
+ * Render one position: market and value, then side, shares, average cost, current price and P&L
+ */
+function renderPositionRow(position) {
+    const side = position.outcome.toLowerCase();
+    return `
+        <div class="position-row" data-market-id="${position.topicId}" data-token-id="${position.tokenId}">
+            <div class="position-main">
+                <span class="position-title">${escapeHtml(getPositionTitle(position))}</span>
+                <span class="position-value">$${formatNumber(position.value)}</span>
+            </div>
+            <div class="position-meta">
+                <span>
+                    <span class="position-side ${side === 'yes' || side === 'no' ? side : ''}">${escapeHtml(position.outcome)}</span>
+                    ${formatNumber(position.shares)} @ ${position.avgPrice !== null ? formatPrice(position.avgPrice) : '—'}
+                    → <span class="position-price">${position.currentPrice !== null ? formatPrice(position.currentPrice) : '—'}</span>
+                </span>
+                <span class="position-pnl ${position.pnl >= 0 ? 'positive' : 'negative'}">
+                    ${formatPnL(position.pnl)}${position.pnlPercent !== null ? ` (${formatPnL(position.pnlPercent, true)})` : ''}
+                </span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Open a position's market on click
+ */
+function attachPositionListeners(container) {
+    container.querySelectorAll('.position-row').forEach(row => {
+        row.addEventListener('click', () => openMarketDetail(row.dataset.marketId));
+    });
+}
+
+/**
+ * Reprice the position in a live token price, in place so the list keeps its order
+ */
+function updatePositionPrices(tokenId, price) {
+    const position = state.positions.find(p => p.tokenId === tokenId);
+    if (!position || !applyPositionPrice(position, tokenId, price)) return;
+
+    renderPortfolioSummary();
+    elements.portfolioList.querySelectorAll(`.position-row[data-token-id="${tokenId}"]`).forEach(row => {
+        row.querySelector('.position-value').textContent = `$${formatNumber(position.value)}`;
+        row.querySelector('.position-price').textContent = formatPrice(price);
+
+        const pnl = row.querySelector('.position-pnl');
+        pnl.textContent = `${formatPnL(position.pnl)}${position.pnlPercent !== null ? ` (${formatPnL(position.pnlPercent, true)})` : ''}`;
+        pnl.className = `position-pnl ${position.pnl >= 0 ? 'positive' : 'negative'}`;
+
+        flashCard(row);
+    });
 }
 
 /**
@@ -228,26 +487,30 @@ function showApiKeyRequired() {
 
 /**
  * Load trending markets
+ * @param {Object} options
+ * @param {boolean} [options.quiet=false] - Keep the current list on screen while loading, and on failure
  */
-async function loadMarkets() {
-    elements.trendingMarkets.innerHTML = '<div class="loading">Loading markets...</div>';
+async function loadMarkets({ quiet = false } = {}) {
+    if (!quiet) elements.trendingMarkets.innerHTML = '<div class="loading">Loading markets...</div>';
 
     try {
-        const markets = await sendMessage(MESSAGE_TYPES.GET_MARKETS, {
+        const result = await sendMessage(MESSAGE_TYPES.GET_MARKETS, {
             params: { limit: TRENDING_MARKETS_COUNT, sortBy: 5 }
         });
 
-        if (markets?.error) {
-            throw new Error(markets.error);
+        if (result?.error) {
+            throw new Error(result.error);
         }
 
-        state.markets = Array.isArray(markets) ? markets : [];
+        state.markets = result?.items || [];
+        state.marketsReport = result;
         renderTrendingMarkets();
 
         // Lazy-load prices for each market
         loadMarketPrices();
     } catch (error) {
         console.error('Failed to load markets:', error);
+        if (quiet) return;
 
         elements.trendingMarkets.innerHTML = `
                 <div class="error-state">
@@ -262,24 +525,28 @@ async function loadMarkets() {
 
 /**
  * Load new markets (sorted by newest first)
+ * @param {Object} options
+ * @param {boolean} [options.quiet=false] - Keep the current list on screen while loading, and on failure
  */
-async function loadNewMarkets() {
-    elements.newMarkets.innerHTML = '<div class="loading">Loading new markets...</div>';
+async function loadNewMarkets({ quiet = false } = {}) {
+    if (!quiet) elements.newMarkets.innerHTML = '<div class="loading">Loading new markets...</div>';
 
     try {
         // Fetch with sortBy=1 (newest first) - the API client handles active filtering
-        const markets = await sendMessage(MESSAGE_TYPES.GET_MARKETS, {
+        const result = await sendMessage(MESSAGE_TYPES.GET_MARKETS, {
             params: { limit: TRENDING_MARKETS_COUNT, sortBy: 1 }
         });
 
-        if (markets?.error) {
-            throw new Error(markets.error);
+        if (result?.error) {
+            throw new Error(result.error);
         }
 
-        state.newMarketsList = Array.isArray(markets) ? markets : [];
+        state.newMarketsList = result?.items || [];
+        state.newMarketsReport = result;
         renderNewMarkets();
     } catch (error) {
         console.error('Failed to load new markets:', error);
+        if (quiet) return;
         elements.newMarkets.innerHTML = `
             <div class="error-state">
                 <span class="error-icon">⚠️</span>
@@ -299,241 +566,1889 @@ function renderNewMarkets() {
             <div class="empty-state">
                 <p>No new markets found</p>
             </div>
+            ${renderPartialNotice(state.newMarketsReport)}
         `;
         return;
     }
 
-    elements.newMarkets.innerHTML = state.newMarketsList.map(market => {
-        const marketId = market.marketId || market.id;
-        return renderMarketCard(market, state.watchlist.includes(String(marketId)));
-    }).join('');
+    elements.newMarkets.innerHTML = renderPartialNotice(state.newMarketsReport) + state.newMarketsList.map(market =>
+        renderMarketCard(market, state.watchlist.includes(String(market.marketId)))
+    ).join('');
 
     attachCardListeners(elements.newMarkets);
-}
-
-async function loadMarketPrices() {
-    for (const market of state.markets) {
-        let yesTokenId = market.yesTokenId;
-        const marketId = market.marketId || market.id;
-
-        try {
-            // If yesTokenId is missing from list response, fetch market details
-            if (!yesTokenId && marketId) {
-                const details = await sendMessage(MESSAGE_TYPES.GET_MARKET_DETAILS, { marketId });
-                if (details && !details.error) {
-                    yesTokenId = details.yesTokenId;
-                    Object.assign(market, details); // Cache details
-                }
-            }
-
-            if (!yesTokenId) continue;
-
-            const priceData = await sendMessage(MESSAGE_TYPES.GET_LATEST_PRICE, { tokenId: yesTokenId });
-            if (priceData && priceData.price) {
-                const yesPrice = parseFloat(priceData.price);
-                const noPrice = 1 - yesPrice;
-                const card = document.querySelector(`[data-market-id="${marketId}"]`);
-                if (card) {
-                    const yesFill = card.querySelector('.price-bar.yes .price-bar-fill');
-                    const noFill = card.querySelector('.price-bar.no .price-bar-fill');
-                    const yesLabel = card.querySelector('.price-label.yes span:last-child');
-                    const noLabel = card.querySelector('.price-label.no span:last-child');
-                    if (yesFill) yesFill.style.width = `${yesPrice * 100}%`;
-                    if (noFill) noFill.style.width = `${noPrice * 100}%`;
-                    if (yesLabel) yesLabel.textContent = formatPrice(yesPrice);
-                    if (noLabel) noLabel.textContent = formatPrice(noPrice);
-                }
-            }
-        } catch (e) {
-            console.error('[Opinion Lens] Failed to fetch price for market', marketId, e);
-        }
-    }
+    loadSparklines(elements.newMarkets, state.newMarketsList);
 }
 
 /**
- * Load watchlist
+ * Load markets closing soonest
+ * @param {Object} options
+ * @param {boolean} [options.quiet=false] - Keep the current list on screen while loading, and on failure
  */
-async function loadWatchlist() {
+async function loadEndingMarkets({ quiet = false } = {}) {
     try {
-        state.watchlist = await sendMessage(MESSAGE_TYPES.GET_WATCHLIST) || [];
-        renderWatchlist();
+        const result = await sendMessage(MESSAGE_TYPES.GET_MARKETS, {
+            params: { limit: ENDING_SOON_MARKETS_COUNT, sortBy: MARKET_SORT.ENDING_SOON }
+        });
+
+        if (result?.error) {
+            throw new Error(result.error);
+        }
+
+        state.endingMarkets = result?.items || [];
+        state.endingMarketsReport = result;
+        renderEndingMarkets();
     } catch (error) {
-        console.error('Failed to load watchlist:', error);
+        console.error('Failed to load ending markets:', error);
+        if (quiet) return;
+        elements.endingMarkets.innerHTML = `
+            <div class="error-state">
+                <span class="error-icon">⚠️</span>
+                <p>Failed to load ending markets</p>
+                <button class="btn-retry" onclick="location.reload()">Retry</button>
+            </div>
+        `;
     }
 }
 
 /**
- * Render trending markets
+ * Render ending markets grouped into next hour / today / this week / later
  */
-function renderTrendingMarkets() {
-    if (state.markets.length === 0) {
-        elements.trendingMarkets.innerHTML = `
+function renderEndingMarkets() {
+    const groups = groupByEndTime(state.endingMarkets);
+
+    if (groups.length === 0) {
+        elements.endingMarkets.innerHTML = `
             <div class="empty-state">
-                <p>No active markets found</p>
+                <p>No markets ending soon</p>
             </div>
+            ${renderPartialNotice(state.endingMarketsReport)}
         `;
         return;
     }
 
-    elements.trendingMarkets.innerHTML = state.markets.map(market => {
-        const marketId = market.marketId || market.id;
-        return renderMarketCard(market, state.watchlist.includes(String(marketId)));
-    }).join('');
+    elements.endingMarkets.innerHTML = renderPartialNotice(state.endingMarketsReport) + groups.map(group => `
+        <div class="list-heading">${group.label}</div>
+        ${group.markets.map(market =>
+            renderMarketCard(market, state.watchlist.includes(String(market.marketId)), { countdown: true })
+        ).join('')}
+    `).join('');
 
-    attachCardListeners(elements.trendingMarkets);
+    attachCardListeners(elements.endingMarkets);
+    loadSparklines(elements.endingMarkets, groups.flatMap(group => group.markets));
 }
 
 /**
- * Render watchlist
+ * Update the countdown on every visible card and in the open market detail
  */
-async function renderWatchlist() {
-    if (state.watchlist.length === 0) {
-        elements.watchlistMarkets.innerHTML = `
-            <div class="empty-state">
-                <span class="empty-icon">⭐</span>
-                <p>No markets in watchlist</p>
-                <p class="empty-hint">Click the star on any market to add it</p>
-            </div>
-        `;
-        return;
-    }
+function updateCountdowns() {
+    const countdowns = [
+        ...(state.activeTab === 'ending' ? elements.endingMarkets.querySelectorAll('.countdown') : []),
+        ...elements.marketDetail.querySelectorAll('.countdown'),
+    ];
+
+    const now = Math.floor(Date.now() / 1000);
+    countdowns.forEach(el => {
+        const remaining = Number(el.dataset.cutoff) - now;
+        el.textContent = formatCountdown(remaining);
+        el.classList.toggle('urgent', remaining > 0 && remaining <= 60 * 60);
+        el.closest('.market-card')?.classList.toggle('ended', remaining <= 0);
+    });
+}
 
-    // Try to find market data from already-loaded trending + new markets first
-    const allLoadedMarkets = [...state.markets, ...state.newMarketsList];
-    const watchlistMarkets = [];
+/**
+ * Load recently resolved markets, most recently resolved first
+ * @param {Object} options
+ * @param {boolean} [options.quiet=false] - Keep the current list on screen while loading, and on failure
+ */
+async function loadResolvedMarkets({ quiet = false } = {}) {
+    if (!quiet) elements.resolvedMarkets.innerHTML = '<div class="loading">Loading resolved markets...</div>';
 
-    for (const marketId of state.watchlist) {
-        // Check local cache first
-        const cached = allLoadedMarkets.find(m => String(m.marketId || m.id) === String(marketId));
-        if (cached) {
-            watchlistMarkets.push(cached);
-            continue;
-        }
+    try {
+        const result = await sendMessage(MESSAGE_TYPES.GET_MARKETS, {
+            params: { status: MARKET_STATUS.RESOLVED, limit: RESOLVED_MARKETS_COUNT, sortBy: MARKET_SORT.NEWEST }
+        });
 
-        // Fallback: try fetching details from API (works with or without API key via /topic/{id})
-        try {
-            const market = await sendMessage(MESSAGE_TYPES.GET_MARKET_DETAILS, { marketId });
-            if (market && !market.error) {
-                watchlistMarkets.push(market);
-            }
-        } catch (error) {
-            console.warn('[Opinion Lens] Could not load watchlist market:', marketId);
+        if (result?.error) {
+            throw new Error(result.error);
         }
+
+        const resolvedAt = market => getResolution(market)?.resolvedAt || 0;
+        state.resolvedMarkets = (result?.items || []).sort((a, b) => resolvedAt(b) - resolvedAt(a));
+        state.resolvedMarketsReport = result;
+        renderResolvedMarkets();
+    } catch (error) {
+        console.error('Failed to load resolved markets:', error);
+        if (quiet) return;
+        elements.resolvedMarkets.innerHTML = `
+            <div class="error-state">
+                <span class="error-icon">⚠️</span>
+                <p>Failed to load resolved markets</p>
+                <button class="btn-retry" onclick="location.reload()">Retry</button>
+            </div>
+        `;
     }
+}
 
-    if (watchlistMarkets.length === 0) {
-        elements.watchlistMarkets.innerHTML = `
+/**
+ * Render resolved markets
+ */
+function renderResolvedMarkets() {
+    if (state.resolvedMarkets.length === 0) {
+        elements.resolvedMarkets.innerHTML = `
             <div class="empty-state">
-                <span class="empty-icon">⭐</span>
-                <p>No watchlist data available</p>
-                <p class="empty-hint">Markets may have expired or been removed</p>
+                <p>No resolved markets found</p>
             </div>
+            ${renderPartialNotice(state.resolvedMarketsReport)}
         `;
         return;
     }
 
-    elements.watchlistMarkets.innerHTML = watchlistMarkets.map(market =>
-        renderMarketCard(market, true)
+    elements.resolvedMarkets.innerHTML = renderPartialNotice(state.resolvedMarketsReport) + state.resolvedMarkets.map(market =>
+        renderResolvedCard(market, state.watchlist.includes(String(market.marketId)))
     ).join('');
 
-    attachCardListeners(elements.watchlistMarkets);
+    attachResolvedListeners(elements.resolvedMarkets);
+}
+
+async function loadMarketPrices() {
+    for (const market of state.markets) {
+        const { marketId } = market;
+
+        try {
+            // If token IDs are missing from list response, fetch market details
+            if (!market.yesTokenId && !market.isMulti && marketId) {
+                const details = await sendMessage(MESSAGE_TYPES.GET_MARKET_DETAILS, { marketId });
+                if (details && !details.error) {
+                    Object.assign(market, details); // Cache details
+                    document.querySelectorAll(`.market-card[data-market-id="${marketId}"]`).forEach(card => {
+                        card.dataset.tokenId = market.yesTokenId;
+                    });
+                }
+            }
+
+            // Binary markets are priced by their YES token, multi-outcome markets by each child's YES token
+            const tokenIds = market.isMulti
+                ? market.outcomes.map(o => o.tokenId)
+                : [market.yesTokenId];
+
+            for (const tokenId of tokenIds.filter(Boolean)) {
+                const priceData = await sendMessage(MESSAGE_TYPES.GET_LATEST_PRICE, { tokenId });
+                if (priceData && priceData.price) {
+                    updateMarketPrice({ tokenId, price: priceData.price }, { flash: false });
+                }
+            }
+        } catch (e) {
+            console.error('[Opinion Lens] Failed to fetch price for market', marketId, e);
+        }
+    }
 }
 
 /**
- * Render market card HTML
+ * Load categories, for the Categories tab and the filter bar
  */
-function renderMarketCard(market, isWatched) {
-    const marketId = market.marketId || market.id;
-    const title = market.marketTitle || market.title || 'Untitled Market';
+async function loadCategories() {
+    try {
+        const categories = await sendMessage(MESSAGE_TYPES.GET_CATEGORIES);
+        if (!Array.isArray(categories)) throw new Error(categories?.error || 'No categories');
 
-    // Default prices (will be updated by loadMarketPrices if live)
-    const yesPrice = market.yesPrice !== undefined ? market.yesPrice : 0.5;
-    const noPrice = 1 - yesPrice;
+        state.categories = categories;
+        renderFilterBar();
+        if (state.activeTab === 'categories' && !state.activeCategory) renderCategories();
+    } catch (error) {
+        console.error('Failed to load categories:', error);
+    }
+}
 
-    const volume = parseFloat(market.volume24h) || 0;
-    // cutoffAt is a unix timestamp in seconds
-    const endDate = market.cutoffAt ? new Date(market.cutoffAt * 1000).toISOString() : null;
-    const yesTokenId = market.yesTokenId || '';
+/**
+ * Load the categories whose new markets trigger notifications
+ */
+async function loadFollowedCategories() {
+    try {
+        state.followedCategories = await sendMessage(MESSAGE_TYPES.GET_FOLLOWED_CATEGORIES) || [];
+    } catch (error) {
+        console.error('Failed to load followed categories:', error);
+    }
+}
+
+/**
+ * Load the default and per-market whale trade thresholds
+ */
+async function loadWhaleThresholds() {
+    try {
+        const config = await sendMessage(MESSAGE_TYPES.GET_WHALE_THRESHOLDS);
+        if (config && !config.error) state.whaleConfig = config;
+    } catch (error) {
+        console.error('Failed to load whale thresholds:', error);
+    }
+}
 
+/**
+ * Follow button for a category
+ */
+function renderFollowButton(name) {
+    const isFollowed = state.followedCategories.includes(name);
     return `
-        <div class="market-card" data-market-id="${marketId}" data-token-id="${yesTokenId}">
-            <div class="market-header">
-                <span class="market-title">${escapeHtml(title)}</span>
-                <span class="market-star ${isWatched ? 'active' : ''}" data-action="toggle-watchlist">
-                    ${isWatched ? '★' : '☆'}
-                </span>
-            </div>
-            <div class="market-prices">
-                <div class="price-bar yes">
-                    <div class="price-bar-track">
-                        <div class="price-bar-fill" style="width: ${yesPrice * 100}%"></div>
-                    </div>
-                    <div class="price-label yes">
-                        <span>${market.yesLabel || 'Yes'}</span>
-                        <span>${formatPrice(yesPrice)}</span>
-                    </div>
-                </div>
-                <div class="price-bar no">
-                    <div class="price-bar-track">
-                        <div class="price-bar-fill" style="width: ${noPrice * 100}%"></div>
-                    </div>
-                    <div class="price-label no">
-                        <span>${market.noLabel || 'No'}</span>
-                        <span>${formatPrice(noPrice)}</span>
-                    </div>
-                </div>
-            </div>
-            <div class="market-meta">
-                <span>Vol: $${formatNumber(volume)}</span>
-                <span>Ends: ${formatRelativeDate(endDate)}</span>
-            </div>
-        </div>
+        <button class="category-follow ${isFollowed ? 'active' : ''}" data-action="toggle-follow" data-category="${escapeHtml(name)}"
+            title="${isFollowed ? 'Stop notifying new markets' : 'Notify me about new markets'}">
+            ${isFollowed ? 'Following' : 'Follow'}
+        </button>
     `;
 }
 
 /**
- * Attach event listeners to market cards
+ * Render the category list
  */
-function attachCardListeners(container) {
-    container.querySelectorAll('.market-card').forEach(card => {
-        const marketId = card.dataset.marketId;
-
-        // Card click → open market
-        card.addEventListener('click', (e) => {
-            if (e.target.closest('[data-action]')) return;
-            const isMulti = card.dataset.isMulti === 'true';
-            const targetUrl = `${OPINION_APP_URL}/detail?topicId=${marketId}${isMulti ? '&type=multi' : ''}`;
-            chrome.tabs.create({ url: targetUrl });
-        });
-
-        // Star click → toggle watchlist
-        card.querySelector('.market-star').addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const star = e.target;
-            const isWatched = star.classList.contains('active');
-
-            if (isWatched) {
-                await sendMessage(MESSAGE_TYPES.REMOVE_FROM_WATCHLIST, { marketId });
-                state.watchlist = state.watchlist.filter(id => id !== marketId);
-            } else {
-                await sendMessage(MESSAGE_TYPES.ADD_TO_WATCHLIST, { marketId });
-                state.watchlist.push(marketId);
-            }
+function renderCategories() {
+    if (state.categories.length === 0) {
+        elements.categoriesList.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">🗂️</span>
+                <p>No categories found</p>
+            </div>
+        `;
+        return;
+    }
 
-            star.classList.toggle('active');
-            star.textContent = isWatched ? '☆' : '★';
+    elements.categoriesList.innerHTML = state.categories.map(category => `
+        <div class="category-row" data-category="${escapeHtml(category.name)}">
+            <div class="category-info">
+                <span class="category-name">${escapeHtml(category.name)}</span>
+                <span class="category-meta">
+                    ${category.count} market${category.count === 1 ? '' : 's'}
+                    · $${formatNumber(category.volume24h)} 24h
+                    · $${formatNumber(category.totalVolume)} total
+                </span>
+            </div>
+            ${renderFollowButton(category.name)}
+        </div>
+    `).join('');
 
-            if (state.activeTab === 'watchlist') {
-                renderWatchlist();
-            }
+    elements.categoriesList.querySelectorAll('.category-row').forEach(row => {
+        row.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action]')) return;
+            openCategory(row.dataset.category);
         });
     });
+    attachFollowListeners(elements.categoriesList);
 }
 
 /**
- * Switch tab
+ * Drill down into a category's active markets, busiest first
  */
-function switchTab(tab) {
+async function openCategory(name) {
+    state.activeCategory = name;
+    state.categoryMarkets = [];
+    renderCategoryMarkets({ loading: true });
+
+    try {
+        const results = await sendMessage(MESSAGE_TYPES.SEARCH_MARKETS, {
+            query: '',
+            filters: normalizeFilters({ label: name, sort: SEARCH_SORT.VOLUME_24H })
+        });
+        if (state.activeCategory !== name) return;
+
+        state.categoryMarkets = results?.error ? [] : (results || []);
+        renderCategoryMarkets();
+    } catch (error) {
+        console.error('Failed to load category markets:', error);
+    }
+}
+
+/**
+ * Render the open category: a header with back and follow buttons, then its markets
+ */
+function renderCategoryMarkets({ loading = false } = {}) {
+    const name = state.activeCategory;
+    const header = `
+        <div class="category-header">
+            <button class="category-back" data-action="back">← Categories</button>
+            <span class="category-name">${escapeHtml(name)}</span>
+            ${renderFollowButton(name)}
+        </div>
+    `;
+
+    let body;
+    if (loading) {
+        body = '<div class="loading">Loading markets...</div>';
+    } else if (state.categoryMarkets.length === 0) {
+        body = '<div class="empty-state"><p>No active markets in this category</p></div>';
+    } else {
+        body = state.categoryMarkets.map(market =>
+            renderMarketCard(market, state.watchlist.includes(String(market.marketId)))
+        ).join('');
+    }
+
+    elements.categoriesList.innerHTML = header + body;
+
+    elements.categoriesList.querySelector('[data-action="back"]').addEventListener('click', () => {
+        state.activeCategory = null;
+        state.categoryMarkets = [];
+        renderCategories();
+    });
+    attachFollowListeners(elements.categoriesList);
+
+    if (!loading && state.categoryMarkets.length) {
+        attachCardListeners(elements.categoriesList);
+        loadSparklines(elements.categoriesList, state.categoryMarkets);
+    }
+}
+
+/**
+ * Wire follow buttons
+ */
+function attachFollowListeners(container) {
+    container.querySelectorAll('[data-action="toggle-follow"]').forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const { category } = button.dataset;
+            const type = state.followedCategories.includes(category)
+                ? MESSAGE_TYPES.UNFOLLOW_CATEGORY
+                : MESSAGE_TYPES.FOLLOW_CATEGORY;
+
+            try {
+                const followed = await sendMessage(type, { category });
+                if (Array.isArray(followed)) state.followedCategories = followed;
+
+                const isFollowed = state.followedCategories.includes(category);
+                button.classList.toggle('active', isFollowed);
+                button.textContent = isFollowed ? 'Following' : 'Follow';
+                button.title = isFollowed ? 'Stop notifying new markets' : 'Notify me about new markets';
+            } catch (error) {
+                console.error('Failed to update followed categories:', error);
+            }
+        });
+    });
+}
+
+/**
+ * Load followed wallets
+ */
+async function loadFollowedWallets() {
+    try {
+        const wallets = await sendMessage(MESSAGE_TYPES.GET_FOLLOWED_WALLETS);
+        if (Array.isArray(wallets)) state.followedWallets = wallets;
+    } catch (error) {
+        console.error('Failed to load followed wallets:', error);
+    }
+}
+
+/**
+ * Whether a wallet is followed
+ */
+function isFollowedWallet(address) {
+    return state.followedWallets.some(w => w.address === String(address).toLowerCase());
+}
+
+/**
+ * Follow a wallet
+ * @returns {Promise<string|null>} Error message, null once followed
+ */
+async function followWallet(address, name = '') {
+    if (!isWalletAddress(address)) return 'Enter a 0x… wallet address';
+
+    try {
+        const wallets = await sendMessage(MESSAGE_TYPES.FOLLOW_WALLET, { address, name });
+        if (wallets?.error === 'FOLLOWED_WALLETS_FULL') return `You can follow up to ${MAX_FOLLOWED_WALLETS} wallets`;
+        if (!Array.isArray(wallets)) throw new Error(wallets?.error || 'Invalid response');
+
+        state.followedWallets = wallets;
+        return null;
+    } catch (error) {
+        console.error('Failed to follow wallet:', error);
+        return 'Failed to follow wallet';
+    }
+}
+
+/**
+ * Unfollow a wallet
+ */
+async function unfollowWallet(address) {
+    try {
+        const wallets = await sendMessage(MESSAGE_TYPES.UNFOLLOW_WALLET, { address });
+        if (Array.isArray(wallets)) state.followedWallets = wallets;
+    } catch (error) {
+        console.error('Failed to unfollow wallet:', error);
+    }
+}
+
+/**
+ * Display name of a followed wallet
+ */
+function getWalletName(wallet) {
+    return wallet.name || formatAddress(wallet.address);
+}
+
+/**
+ * Render the followed wallet list
+ */
+function renderWallets() {
+    if (state.followedWallets.length === 0) {
+        elements.walletsList.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">👛</span>
+                <p>No followed wallets</p>
+                <p class="empty-hint">Add an address above, or follow a trader from a market's recent trades</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.walletsList.innerHTML = state.followedWallets.map(wallet => `
+        <div class="wallet-row" data-address="${wallet.address}">
+            <div class="wallet-info">
+                <span class="wallet-name">${escapeHtml(getWalletName(wallet))}</span>
+                <span class="wallet-meta">${formatAddress(wallet.address)} · followed ${formatTimeAgo(wallet.addedAt)}</span>
+            </div>
+            <button class="wallet-follow active" data-action="unfollow-wallet" title="Stop following">Following</button>
+        </div>
+    `).join('');
+
+    elements.walletsList.querySelectorAll('.wallet-row').forEach(row => {
+        row.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action]')) return;
+            openWallet(row.dataset.address);
+        });
+        row.querySelector('[data-action="unfollow-wallet"]').addEventListener('click', async () => {
+            await unfollowWallet(row.dataset.address);
+            renderWallets();
+        });
+    });
+}
+
+/**
+ * Drill down into a followed wallet: its open positions and recent trades
+ */
+async function openWallet(address) {
+    state.activeWallet = address;
+    const wallet = state.followedWallets.find(w => w.address === address) || { address, name: '' };
+
+    elements.walletsList.innerHTML = `
+        <div class="wallet-header">
+            <button class="wallet-back" data-action="back">← Wallets</button>
+            <span class="wallet-name" title="${address}">${escapeHtml(getWalletName(wallet))}</span>
+            <button class="wallet-follow active" data-action="unfollow-wallet" title="Stop following">Following</button>
+        </div>
+        <div class="list-heading">Open positions</div>
+        <div class="wallet-positions"><div class="loading">Loading positions...</div></div>
+        <div class="list-heading">Recent trades</div>
+        <div class="wallet-trades"><div class="depth-empty">Loading trades…</div></div>
+    `;
+
+    const closeWallet = () => {
+        state.activeWallet = null;
+        renderWallets();
+    };
+    elements.walletsList.querySelector('[data-action="back"]').addEventListener('click', closeWallet);
+    elements.walletsList.querySelector('[data-action="unfollow-wallet"]').addEventListener('click', async () => {
+        await unfollowWallet(address);
+        closeWallet();
+    });
+
+    await Promise.all([
+        loadWalletPositions(elements.walletsList.querySelector('.wallet-positions'), address),
+        loadWalletTrades(elements.walletsList.querySelector('.wallet-trades'), address),
+    ]);
+}
+
+/**
+ * Message for a failed wallet request
+ */
+function describeWalletError(error) {
+    return error === 'API_KEY_REQUIRED'
+        ? 'Positions need an API key (Settings)'
+        : 'Failed to load';
+}
+
+/**
+ * Load a followed wallet's open positions
+ */
+async function loadWalletPositions(container, address) {
+    let positions;
+    try {
+        positions = await sendMessage(MESSAGE_TYPES.GET_WALLET_POSITIONS, { address });
+        if (!Array.isArray(positions)) throw new Error(positions?.error || 'Invalid response');
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load wallet positions:', error);
+        if (state.activeWallet === address) {
+            container.innerHTML = `<div class="empty-state"><p>${describeWalletError(error.message)}</p></div>`;
+        }
+        return;
+    }
+
+    if (state.activeWallet !== address) return;
+    if (positions.length === 0) {
+        container.innerHTML = `<div class="empty-state"><p>No open positions</p></div>`;
+        return;
+    }
+
+    container.innerHTML = positions.map(position => renderPositionRow(position)).join('');
+    attachPositionListeners(container);
+}
+
+/**
+ * Load a followed wallet's recent trades
+ */
+async function loadWalletTrades(panel, address) {
+    let trades;
+    try {
+        trades = await sendMessage(MESSAGE_TYPES.GET_WALLET_TRADES, { address });
+        if (!Array.isArray(trades)) throw new Error(trades?.error || 'Invalid response');
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load wallet trades:', error);
+        if (state.activeWallet === address) {
+            panel.innerHTML = `<div class="depth-empty">${describeWalletError(error.message)}</div>`;
+        }
+        return;
+    }
+
+    if (state.activeWallet !== address) return;
+    if (trades.length === 0) {
+        panel.innerHTML = `<div class="depth-empty">No recent trades in the wallet's markets</div>`;
+        return;
+    }
+
+    // Trades span markets, so each row names the market traded
+    panel.innerHTML = trades.map(trade => renderTradeRow(trade, { marketId: trade.marketId, isMulti: true })).join('');
+}
+
+/**
+ * Load watchlist
+ */
+async function loadWatchlist() {
+    try {
+        state.watchlist = await sendMessage(MESSAGE_TYPES.GET_WATCHLIST) || [];
+        renderWatchlist();
+    } catch (error) {
+        console.error('Failed to load watchlist:', error);
+    }
+}
+
+/**
+ * Notice for a market list built from only some of its pages
+ * @param {PagedResult|null} report
+ * @returns {string} HTML, empty when the list is complete
+ */
+function renderPartialNotice(report) {
+    if (!report || report.complete !== false) return '';
+    const pages = report.pagesFetched + report.pagesFailed;
+    const reason = report.pagesFailed > 0
+        ? `${report.pagesFailed} of ${pages} page${pages === 1 ? '' : 's'} failed to load`
+        : `only the first ${pages} page${pages === 1 ? '' : 's'} were loaded`;
+    return `
+        <div class="partial-notice">
+            Partial data: ${reason}
+        </div>
+    `;
+}
+
+/**
+ * Render trending markets
+ */
+function renderTrendingMarkets() {
+    if (state.markets.length === 0) {
+        elements.trendingMarkets.innerHTML = `
+            <div class="empty-state">
+                <p>${isSearching() ? 'No markets match your search' : 'No active markets found'}</p>
+            </div>
+            ${renderPartialNotice(state.marketsReport)}
+        `;
+        return;
+    }
+
+    // Searches can include resolved markets
+    elements.trendingMarkets.innerHTML = renderPartialNotice(state.marketsReport) + state.markets.map(market => {
+        const isWatched = state.watchlist.includes(String(market.marketId));
+        return market.status === MARKET_STATUS.RESOLVED ? renderResolvedCard(market, isWatched) : renderMarketCard(market, isWatched);
+    }).join('');
+
+    attachCardListeners(elements.trendingMarkets);
+    loadSparklines(elements.trendingMarkets, state.markets);
+}
+
+/**
+ * Render watchlist
+ */
+async function renderWatchlist() {
+    if (state.watchlist.length === 0) {
+        elements.watchlistMarkets.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">⭐</span>
+                <p>No markets in watchlist</p>
+                <p class="empty-hint">Click the star on any market to add it</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Try to find market data from already-loaded trending + new markets first
+    const allLoadedMarkets = [...state.markets, ...state.newMarketsList];
+    const watchlistMarkets = [];
+    const unavailable = [];
+
+    for (const marketId of state.watchlist) {
+        // Check local cache first
+        const cached = allLoadedMarkets.find(m => String(m.marketId) === String(marketId));
+        if (cached) {
+            watchlistMarkets.push(cached);
+            continue;
+        }
+
+        // Fallback: try fetching details from API (works with or without API key via /topic/{id})
+        try {
+            const market = await sendMessage(MESSAGE_TYPES.GET_MARKET_DETAILS, { marketId });
+            if (market && !market.error) {
+                watchlistMarkets.push(market);
+                continue;
+            }
+        } catch (error) {
+            console.warn('[Opinion Lens] Could not load watchlist market:', marketId);
+        }
+        unavailable.push(marketId);
+    }
+
+    state.watchlistMarkets = watchlistMarkets;
+
+    // Markets that have ended show how they resolved instead of live prices
+    const live = watchlistMarkets.filter(m => isMarketActive(m));
+    const ended = watchlistMarkets.filter(m => !isMarketActive(m));
+
+    elements.watchlistMarkets.innerHTML = [
+        ...live.map(market => renderMarketCard(market, true)),
+        ended.length || unavailable.length ? '<div class="list-heading">Ended</div>' : '',
+        ...ended.map(market => renderResolvedCard(market, true)),
+        ...unavailable.map(renderUnavailableCard),
+    ].join('');    attachCardListeners(elements.watchlistMarkets);
+    loadSparklines(elements.watchlistMarkets, live);
+}
+
+/**
+ * Render market card HTML
+ */
+function renderMarketCard(market, isWatched, { countdown = false } = {}) {
+    const { marketId } = market;
+    const title = market.title || 'Untitled Market';
+
+    const volume = parseFloat(market.volume24h) || 0;
+    // cutoffAt is a unix timestamp in seconds
+    const endDate = market.cutoffAt ? new Date(market.cutoffAt * 1000).toISOString() : null;
+    const yesTokenId = market.yesTokenId || '';
+
+    return `
+        <div class="market-card" data-market-id="${marketId}" data-token-id="${yesTokenId}" data-is-multi="${market.isMulti ? 'true' : 'false'}">
+            <div class="market-header">
+                <span class="market-title">${escapeHtml(title)}</span>
+                <span class="market-trend"></span>
+                <span class="market-bell ${hasActiveAlert(marketId) ? 'active' : ''}" data-action="toggle-alert" title="Price alerts">${BELL_ICON}</span>
+                <span class="market-star ${isWatched ? 'active' : ''}" data-action="toggle-watchlist">
+                    ${isWatched ? '★' : '☆'}
+                </span>
+            </div>
+            ${market.isMulti ? renderOutcomeList(market) : renderBinaryPrices(market)}
+            <div class="market-meta">
+                <span>Vol: $${formatNumber(volume)}</span>
+                <span class="panel-toggle" data-action="toggle-chart">Chart ▾</span>
+                <span class="panel-toggle" data-action="toggle-depth">Depth ▾</span>
+                ${countdown
+                    ? `<span class="countdown" data-cutoff="${market.cutoffAt}">${formatCountdown(getTimeRemaining(market))}</span>`
+                    : `<span>Ends: ${formatRelativeDate(endDate)}</span>`}
+            </div>
+            <div class="chart-panel card-panel hidden"></div>
+            <div class="depth-panel card-panel hidden"></div>
+            <div class="alert-panel card-panel hidden"></div>
+        </div>
+    `;
+}
+
+/**
+ * Render the card of a market that has ended: its winning outcome and final price once resolved
+ */
+function renderResolvedCard(market, isWatched) {
+    const resolution = getResolution(market);
+    const endedAt = resolution?.resolvedAt || market.cutoffAt;
+
+    return `
+        <div class="market-card resolved-card" data-market-id="${market.marketId}" data-is-multi="${market.isMulti ? 'true' : 'false'}">
+            <div class="market-header">
+                <span class="market-title">${escapeHtml(market.title || 'Untitled Market')}</span>
+                <span class="market-star ${isWatched ? 'active' : ''}" data-action="toggle-watchlist">
+                    ${isWatched ? '★' : '☆'}
+                </span>
+            </div>
+            ${renderResolution(market)}
+            <div class="market-meta">
+                <span>Vol: $${formatNumber(market.totalVolume || 0)}</span>
+                ${endedAt ? `<span>${resolution ? 'Resolved' : 'Ended'}: ${formatDateTime(endedAt * 1000)}</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render an ended market's winning outcome and final price, or that it awaits resolution
+ */
+function renderResolution(market) {
+    const resolution = getResolution(market);
+    const outcome = resolution?.outcome;
+
+    let result;
+    if (outcome) {
+        result = `
+                <span class="resolution-badge">✓ ${escapeHtml(outcome.label)}</span>
+                <span class="resolution-price">Final price ${formatPrice(outcome.price)}</span>
+        `;
+    } else {
+        result = `<span class="resolution-badge pending">${resolution ? 'Resolved · outcome unavailable' : 'Ended · awaiting resolution'}</span>`;
+    }
+    return `<div class="resolution">${result}</div>`;
+}
+
+/**
+ * Render a watchlisted market that could not be loaded
+ */
+function renderUnavailableCard(marketId) {
+    return `
+        <div class="market-card resolved-card unavailable" data-market-id="${escapeHtml(marketId)}" data-is-multi="false">
+            <div class="market-header">
+                <span class="market-title">Market #${escapeHtml(marketId)}</span>
+                <span class="market-star active" data-action="toggle-watchlist">★</span>
+            </div>
+            <div class="resolution">
+                <span class="resolution-badge pending">Unavailable · it may have been removed</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render YES/NO price bars for a binary market
+ */
+function renderBinaryPrices(market) {
+    // Default prices (will be updated by loadMarketPrices if live)
+    const yesPrice = market.yesPrice !== undefined ? market.yesPrice : 0.5;
+    const noPrice = 1 - yesPrice;
+
+    return `
+            <div class="market-prices">
+                <div class="price-bar yes">
+                    <div class="price-bar-track">
+                        <div class="price-bar-fill" style="width: ${yesPrice * 100}%"></div>
+                    </div>
+                    <div class="price-label yes">
+                        <span>${escapeHtml(market.yesLabel || 'Yes')}</span>
+                        <span>${formatPrice(yesPrice)}</span>
+                    </div>
+                </div>
+                <div class="price-bar no">
+                    <div class="price-bar-track">
+                        <div class="price-bar-fill" style="width: ${noPrice * 100}%"></div>
+                    </div>
+                    <div class="price-label no">
+                        <span>${escapeHtml(market.noLabel || 'No')}</span>
+                        <span>${formatPrice(noPrice)}</span>
+                    </div>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Render ranked outcome rows for a multi-outcome market
+ */
+function renderOutcomeList(market, { limit = MAX_CARD_OUTCOMES } = {}) {
+    const ranked = rankOutcomes(market);
+    const shown = ranked.slice(0, limit);
+    const hidden = ranked.length - shown.length;
+
+    const rows = shown.map(outcome => `
+                <div class="outcome-row" data-token-id="${outcome.tokenId}">
+                    <div class="outcome-info">
+                        <span class="outcome-label">${escapeHtml(outcome.label)}</span>
+                        <span class="outcome-prob">${formatProbability(outcome.price)}</span>
+                    </div>
+                    <div class="price-bar-track">
+                        <div class="price-bar-fill" style="width: ${outcome.price * 100}%"></div>
+                    </div>
+                </div>
+    `).join('');
+
+    return `
+            <div class="market-outcomes">
+                ${rows}
+                ${hidden > 0 ? `<div class="outcome-more">+${hidden} more outcome${hidden === 1 ? '' : 's'}</div>` : ''}
+            </div>
+    `;
+}
+
+/**
+ * Render the order book panel: YES and NO depth ladders with best bid/ask, spread and mid
+ */
+function renderDepthPanel(depth, target, market) {
+    if (!depth?.yes && !depth?.no) {
+        return `<div class="depth-empty">No order book available</div>`;
+    }
+
+    const yesLabel = target.label ? 'Yes' : (market.yesLabel || 'Yes');
+    const noLabel = target.label ? 'No' : (market.noLabel || 'No');
+
+    return `
+            ${target.label ? `<div class="depth-outcome">${escapeHtml(target.label)}</div>` : ''}
+            <div class="depth-sides">
+                ${renderDepthSide(depth.yes, 'yes', yesLabel)}
+                ${renderDepthSide(depth.no, 'no', noLabel)}
+            </div>
+    `;
+}
+
+/**
+ * Render one side's ladder: asks above the spread (best ask lowest), bids below (best bid highest)
+ */
+function renderDepthSide(summary, side, label) {
+    const header = `<div class="depth-side-header ${side}">${escapeHtml(label)}</div>`;
+    if (!summary || (summary.bids.length === 0 && summary.asks.length === 0)) {
+        return `<div class="depth-side">${header}<div class="depth-empty">No orders</div></div>`;
+    }
+
+    const asks = summary.asks.slice(0, MAX_DEPTH_ROWS);
+    const bids = summary.bids.slice(0, MAX_DEPTH_ROWS);
+    const maxTotal = Math.max(asks.at(-1)?.total || 0, bids.at(-1)?.total || 0) || 1;
+    const fmt = value => value === null ? '—' : formatPrice(value);
+
+    const row = (level, kind) => `
+                    <div class="depth-level ${kind}">
+                        <span class="depth-fill" style="width: ${(level.total / maxTotal) * 100}%"></span>
+                        <span>${formatPrice(level.price)}</span>
+                        <span>${formatNumber(level.size)}</span>
+                        <span>${formatNumber(level.total)}</span>
+                    </div>`;
+
+    return `
+                <div class="depth-side">
+                    ${header}
+                    <div class="depth-stats">
+                        <span>Bid ${fmt(summary.bestBid)}</span>
+                        <span>Ask ${fmt(summary.bestAsk)}</span>
+                        <span>Spread ${fmt(summary.spread)}</span>
+                        <span>Mid ${fmt(summary.mid)}</span>
+                    </div>
+                    <div class="depth-ladder">
+                        ${[...asks].reverse().map(level => row(level, 'ask')).join('')}
+                        <div class="depth-divider"></div>
+                        ${bids.map(level => row(level, 'bid')).join('')}
+                    </div>
+                </div>
+    `;
+}
+
+/**
+ * Fetch price history for a market's YES token (the leading outcome of a multi-outcome market)
+ */
+async function fetchPriceHistory(market, interval) {
+    const binary = getLeadingBinary(market);
+    if (!binary?.yesTokenId) return [];
+
+    const points = await sendMessage(MESSAGE_TYPES.GET_PRICE_HISTORY, {
+        marketId: market.marketId,
+        tokenId: binary.yesTokenId,
+        questionId: binary.questionId,
+        interval
+    });
+    return Array.isArray(points) ? points : [];
+}
+
+/**
+ * Fill each card's 24h sparkline and change badge
+ */
+async function loadSparklines(container, markets) {
+    for (const market of markets) {
+        try {
+            const points = await fetchPriceHistory(market, DEFAULT_HISTORY_INTERVAL);
+            const trend = container.querySelector(`.market-card[data-market-id="${market.marketId}"] .market-trend`);
+            if (!trend || points.length < 2) continue;
+
+            const change = getPriceChange(points);
+            const direction = change.change > 0 ? 'up' : (change.change < 0 ? 'down' : 'flat');
+            trend.innerHTML = `
+                ${renderSparkline(points)}
+                ${change.changePct !== null ? `<span class="change-badge ${direction}">${formatPnL(change.changePct, true)}</span>` : ''}
+            `;
+        } catch (error) {
+            console.warn('[Opinion Lens] Failed to load sparkline for market', market.marketId, error);
+        }
+    }
+}
+
+/**
+ * Render interval tabs and a chart area for the chart panel
+ */
+function renderChartPanel(activeInterval) {
+    const tabs = Object.entries(HISTORY_INTERVALS).map(([key, { label }]) =>
+        `<button class="chart-interval ${key === activeInterval ? 'active' : ''}" data-interval="${key}">${label}</button>`
+    ).join('');
+
+    return `
+            <div class="chart-intervals">${tabs}</div>
+            <div class="chart-area"><div class="depth-empty">Loading chart…</div></div>
+    `;
+}
+
+/**
+ * Load one interval into an open chart panel
+ */
+async function loadChart(panel, market, interval) {
+    panel.querySelectorAll('.chart-interval').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.interval === interval);
+    });
+    const area = panel.querySelector('.chart-area');
+    area.innerHTML = `<div class="depth-empty">Loading chart…</div>`;
+
+    try {
+        const points = await fetchPriceHistory(market, interval);
+        const change = getPriceChange(points);
+        area.innerHTML = points.length < 2
+            ? `<div class="depth-empty">No price history available</div>`
+            : `
+                ${renderPriceChart(points)}
+                <div class="chart-summary">
+                    <span>${formatPrice(change.first)} → ${formatPrice(change.last)}</span>
+                    ${change.changePct !== null ? `<span class="change-badge ${change.change >= 0 ? 'up' : 'down'}">${formatPnL(change.changePct, true)}</span>` : ''}
+                </div>
+            `;
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load chart:', error);
+        area.innerHTML = `<div class="depth-empty">Failed to load chart</div>`;
+    }
+}
+
+/**
+ * Expand/collapse a card's chart panel
+ */
+function toggleChartPanel(card) {
+    const panel = card.querySelector('.chart-panel');
+    const toggle = card.querySelector('[data-action="toggle-chart"]');
+    const isOpen = !panel.classList.toggle('hidden');
+    toggle.classList.toggle('active', isOpen);
+    if (isOpen) openChart(panel, findMarket(card.dataset.marketId));
+}
+
+/**
+ * Fill a chart panel with interval tabs and load the default interval
+ */
+function openChart(panel, market) {
+    if (!market) {
+        panel.innerHTML = `<div class="depth-empty">No price history available</div>`;
+        return;
+    }
+
+    panel.innerHTML = renderChartPanel(DEFAULT_HISTORY_INTERVAL);
+    panel.querySelectorAll('.chart-interval').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            loadChart(panel, market, btn.dataset.interval);
+        });
+    });
+    loadChart(panel, market, DEFAULT_HISTORY_INTERVAL);
+}
+
+/**
+ * Find a loaded market by ID across every list the popup renders
+ */
+function findMarket(marketId) {
+    return [
+        ...state.markets, ...state.newMarketsList, ...state.endingMarkets, ...state.resolvedMarkets,
+        ...state.categoryMarkets, ...state.watchlistMarkets, ...(state.detailMarket ? [state.detailMarket] : [])
+    ].find(m => String(m.marketId) === String(marketId));
+}
+
+/**
+ * Loaded market for a card, fetching details when token IDs are missing from list responses
+ */
+async function loadCardMarket(marketId) {
+    let market = findMarket(marketId);
+    if (!getLeadingBinary(market)?.yesTokenId) {
+        const details = await sendMessage(MESSAGE_TYPES.GET_MARKET_DETAILS, { marketId });
+        if (details && !details.error) market = market ? Object.assign(market, details) : details;
+    }
+    return market;
+}
+
+/**
+ * Expand/collapse a card's depth panel, fetching a fresh order book on open
+ */
+async function toggleDepthPanel(card) {
+    const panel = card.querySelector('.depth-panel');
+    const toggle = card.querySelector('[data-action="toggle-depth"]');
+    const isOpen = !panel.classList.toggle('hidden');
+    toggle.classList.toggle('active', isOpen);
+    if (isOpen) await loadDepth(panel, card.dataset.marketId);
+}
+
+/**
+ * Fetch a fresh order book into a depth panel
+ */
+async function loadDepth(panel, marketId) {
+    panel.innerHTML = `<div class="depth-empty">Loading order book…</div>`;
+
+    try {
+        const market = await loadCardMarket(marketId);
+        const target = getOrderbookTarget(market);
+        if (!target) {
+            panel.innerHTML = `<div class="depth-empty">No order book available</div>`;
+            return;
+        }
+
+        const depth = await sendMessage(MESSAGE_TYPES.GET_ORDERBOOK, target);
+        panel.innerHTML = depth?.error
+            ? `<div class="depth-empty">Failed to load order book</div>`
+            : renderDepthPanel(depth, target, market);
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load order book:', error);
+        panel.innerHTML = `<div class="depth-empty">Failed to load order book</div>`;
+    }
+}
+
+/**
+ * Whether a market has an alert that can still fire
+ */
+function hasActiveAlert(marketId) {
+    return state.alerts.some(a => String(a.marketId) === String(marketId) && a.status !== ALERT_STATUS.TRIGGERED);
+}
+
+/**
+ * Prefilled editor value for a condition input: the outcome's price for price thresholds
+ */
+function getConditionInputValue(input, outcome) {
+    const value = input.key === 'target' ? outcome.price : input.default;
+    return Number((value * input.scale).toFixed(1));
+}
+
+/**
+ * Render the alert editor: outcome, one-time/recurring mode, and up to MAX_ALERT_CONDITIONS
+ * conditions combined with AND/OR
+ */
+function renderAlertEditor(market) {
+    const outcomes = (market?.outcomes || []).filter(o => o.tokenId);
+    if (outcomes.length === 0) {
+        return `<div class="depth-empty">Alerts are not available for this market</div>`;
+    }
+
+    const outcomeOptions = outcomes.map(o => `
+                        <option value="${o.tokenId}">${escapeHtml(o.label)} · ${formatPrice(o.price)}</option>`).join('');
+    const activeCount = state.alerts.filter(a =>
+        String(a.marketId) === String(market.marketId) && a.status !== ALERT_STATUS.TRIGGERED
+    ).length;
+
+    return `
+            <div class="alert-editor">
+                <div class="alert-fields">
+                    <select class="alert-input" name="tokenId">${outcomeOptions}
+                    </select>
+                    <select class="alert-input" name="mode">
+                        <option value="once">One-time</option>
+                        <option value="recurring">Recurring</option>
+                    </select>
+                </div>
+                <label class="alert-match hidden">
+                    Notify when
+                    <select class="alert-input" name="match">
+                        <option value="and">${getConditionType('and').label.toLowerCase()}</option>
+                        <option value="or">${getConditionType('or').label.toLowerCase()}</option>
+                    </select>
+                    these hold
+                </label>
+                <div class="alert-conditions"></div>
+                <button class="alert-add-condition">+ Add condition</button>
+                <div class="alert-editor-footer">
+                    <span class="alert-hint">${activeCount > 0 ? `${activeCount} active alert${activeCount === 1 ? '' : 's'} on this market` : ''}</span>
+                    <button class="alert-save">Create alert</button>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Render one condition row of the alert editor; fillConditionRow sets its value, unit and window
+ */
+function renderAlertConditionRow() {
+    const conditionOptions = getEditableConditionTypes().map(({ type, label }) => `
+                        <option value="${type}">${label}</option>`).join('');
+
+    return `
+                    <div class="alert-condition">
+                        <select class="alert-input" name="condition">${conditionOptions}
+                        </select>
+                        <label class="alert-value">
+                            <input class="alert-input" name="value" type="number" min="0" step="0.1">
+                            <span class="alert-unit"></span>
+                        </label>
+                        <select class="alert-input hidden" name="window"></select>
+                        <button class="alert-remove-condition" title="Remove condition">×</button>
+                    </div>
+    `;
+}
+
+/**
+ * Prefill a condition row for its type: value, unit and, for windowed conditions, the window choices
+ */
+function fillConditionRow(row, outcome) {
+    const { input } = getConditionType(row.querySelector('[name="condition"]').value);
+    row.querySelector('[name="value"]').value = getConditionInputValue(input, outcome);
+    row.querySelector('.alert-unit').textContent = input.unit;
+
+    const windowSelect = row.querySelector('[name="window"]');
+    windowSelect.innerHTML = (input.window?.options || []).map(seconds => `
+        <option value="${seconds}" ${seconds === input.window.default ? 'selected' : ''}>in ${formatDuration(seconds)}</option>`).join('');
+    windowSelect.classList.toggle('hidden', !input.window);
+}
+
+/**
+ * Expand/collapse a card's alert editor
+ */
+async function toggleAlertPanel(card) {
+    const panel = card.querySelector('.alert-panel');
+    const isOpen = !panel.classList.toggle('hidden');
+    if (!isOpen) return;
+
+    panel.innerHTML = `<div class="depth-empty">Loading…</div>`;
+
+    try {
+        const market = await loadCardMarket(card.dataset.marketId);
+        panel.innerHTML = renderAlertEditor(market);
+        if (!market) return;
+
+        const conditions = panel.querySelector('.alert-conditions');
+        const addButton = panel.querySelector('.alert-add-condition');
+        if (!conditions) return;
+
+        const getOutcome = () => market.outcomes.find(o => o.tokenId === panel.querySelector('[name="tokenId"]').value);
+
+        // The AND/OR choice only shows for several conditions; the last condition cannot be removed
+        const syncConditionControls = () => {
+            const count = conditions.children.length;
+            panel.querySelector('.alert-match').classList.toggle('hidden', count < 2);
+            addButton.classList.toggle('hidden', count >= MAX_ALERT_CONDITIONS);
+            conditions.querySelectorAll('.alert-remove-condition').forEach(button => button.classList.toggle('hidden', count < 2));
+        };
+
+        const addCondition = () => {
+            conditions.insertAdjacentHTML('beforeend', renderAlertConditionRow());
+            const row = conditions.lastElementChild;
+            fillConditionRow(row, getOutcome());
+
+            row.querySelector('[name="condition"]').addEventListener('change', () => fillConditionRow(row, getOutcome()));
+            row.querySelector('.alert-remove-condition').addEventListener('click', () => {
+                row.remove();
+                syncConditionControls();
+            });
+            syncConditionControls();
+        };
+
+        // Price targets follow the selected outcome's price
+        panel.querySelector('[name="tokenId"]').addEventListener('change', () => {
+            const outcome = getOutcome();
+            if (!outcome) return;
+            conditions.querySelectorAll('.alert-condition').forEach(row => {
+                const { input } = getConditionType(row.querySelector('[name="condition"]').value);
+                if (input.key === 'target') row.querySelector('[name="value"]').value = getConditionInputValue(input, outcome);
+            });
+        });
+        addButton.addEventListener('click', addCondition);
+        panel.querySelector('.alert-save').addEventListener('click', () => saveAlert(panel, market));
+
+        addCondition();
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to open alert editor:', error);
+        panel.innerHTML = `<div class="depth-empty">Failed to load market</div>`;
+    }
+}
+
+/**
+ * Read one editor condition row
+ * @returns {{condition: Object|null, error: string|null}}
+ */
+function readConditionRow(row) {
+    const type = row.querySelector('[name="condition"]').value;
+    const { input } = getConditionType(type);
+    const value = Math.round(parseFloat(row.querySelector('[name="value"]').value) / input.scale * 1e6) / 1e6;
+
+    const isPrice = input.key === 'target';
+    if (!(value > 0) || (isPrice && value >= 1)) {
+        return { condition: null, error: isPrice ? 'Enter a target between 0.1¢ and 99.9¢' : 'Enter a value above 0' };
+    }
+
+    const condition = { type, [input.key]: value };
+    if (input.window) condition.window = parseInt(row.querySelector('[name="window"]').value, 10);
+    return { condition, error: null };
+}
+
+/**
+ * Create an alert from the editor's fields; several conditions are combined with the chosen AND/OR
+ */
+async function saveAlert(panel, market) {
+    const hint = panel.querySelector('.alert-hint');
+    const tokenId = panel.querySelector('[name="tokenId"]').value;
+    const outcome = market.outcomes.find(o => o.tokenId === tokenId);
+    const rows = [...panel.querySelectorAll('.alert-condition')].map(readConditionRow);
+
+    const invalid = rows.find(r => r.error)?.error;
+    if (!outcome || invalid) {
+        hint.textContent = invalid || 'Select an outcome';
+        hint.classList.add('error');
+        return;
+    }
+
+    const children = rows.map(r => r.condition);
+    const alert = {
+        marketId: String(market.marketId),
+        isMulti: Boolean(market.isMulti),
+        marketTitle: market.title,
+        tokenId,
+        side: outcome.side,
+        outcomeLabel: outcome.label,
+        condition: children.length === 1
+            ? children[0]
+            : { type: panel.querySelector('[name="match"]').value, conditions: children },
+        baselinePrice: outcome.price,
+        oneTime: panel.querySelector('[name="mode"]').value === 'once',
+        status: ALERT_STATUS.ACTIVE,
+    };
+
+    try {
+        const alerts = await sendMessage(MESSAGE_TYPES.CREATE_ALERT, { alert });
+        if (Array.isArray(alerts)) state.alerts = alerts;
+        updateAlertIndicators();
+        panel.classList.add('hidden');
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to create alert:', error);
+        hint.textContent = 'Failed to create alert';
+        hint.classList.add('error');
+    }
+}
+
+/**
+ * Load alerts from storage and refresh the bells and tab badge
+ */
+async function loadAlerts() {
+    try {
+        const alerts = await sendMessage(MESSAGE_TYPES.GET_ALERTS);
+        state.alerts = Array.isArray(alerts) ? alerts : [];
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load alerts:', error);
+    }
+
+    updateAlertIndicators();
+    if (state.activeTab === 'alerts') renderAlerts();
+}
+
+/**
+ * Sync card bells and the Alerts tab badge with state.alerts
+ */
+function updateAlertIndicators() {
+    const activeCount = state.alerts.filter(a => a.status !== ALERT_STATUS.TRIGGERED).length;
+    elements.alertsTabBadge.textContent = activeCount;
+    elements.alertsTabBadge.classList.toggle('hidden', activeCount === 0);
+
+    document.querySelectorAll('.market-card, .market-detail').forEach(card => {
+        card.querySelector('.market-bell')?.classList.toggle('active', hasActiveAlert(card.dataset.marketId));
+    });
+}
+
+/**
+ * Render the Alerts tab: active alerts, then recently triggered ones
+ */
+function renderAlerts() {
+    if (state.alerts.length === 0) {
+        elements.alertsList.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">🔔</span>
+                <p>No alerts yet</p>
+                <p class="empty-hint">Click the bell on any market to create one</p>
+            </div>
+        `;
+        return;
+    }
+
+    const active = state.alerts.filter(a => a.status !== ALERT_STATUS.TRIGGERED);
+    const triggered = state.alerts
+        .filter(a => a.status === ALERT_STATUS.TRIGGERED)
+        .sort((a, b) => (b.lastTriggeredAt || 0) - (a.lastTriggeredAt || 0));
+
+    elements.alertsList.innerHTML = `
+        ${active.length > 0 ? `<div class="list-heading">Active</div>${active.map(renderAlertRow).join('')}` : ''}
+        ${triggered.length > 0 ? `<div class="list-heading">Recently triggered</div>${triggered.map(renderAlertRow).join('')}` : ''}
+    `;
+
+    attachAlertListeners(elements.alertsList);
+}
+
+/**
+ * Render one alert row
+ */
+function renderAlertRow(alert) {
+    const isTriggered = alert.status === ALERT_STATUS.TRIGGERED;
+    const isSnoozed = !isTriggered && alert.snoozedUntil > Date.now();
+    const condition = describeCondition(getAlertCondition(alert));
+
+    let status = 'Watching';
+    if (isTriggered) {
+        const at = Number.isFinite(alert.lastTriggeredPrice) ? ` at ${formatPrice(alert.lastTriggeredPrice)}` : '';
+        status = `Triggered ${formatDateTime(alert.lastTriggeredAt)}${at}`;
+    } else if (isSnoozed) {
+        status = `Snoozed until ${formatDateTime(alert.snoozedUntil)}`;
+    } else if (alert.lastTriggeredAt) {
+        status = `Last triggered ${formatDateTime(alert.lastTriggeredAt)}`;
+    }
+
+    const snoozeAction = isTriggered ? '' : `
+                    <button class="alert-action" data-alert-action="${isSnoozed ? 'unsnooze' : 'snooze'}">${isSnoozed ? 'Resume' : 'Snooze 1h'}</button>`;
+
+    return `
+            <div class="alert-row ${isTriggered ? 'triggered' : ''} ${isSnoozed ? 'snoozed' : ''}" data-alert-id="${alert.id}" data-market-id="${alert.marketId}">
+                <div class="alert-row-main">
+                    <span class="alert-market">${escapeHtml(alert.marketTitle || 'Market')}</span>
+                    <span class="alert-desc">${escapeHtml(alert.outcomeLabel || (alert.side || 'yes').toUpperCase())}: ${escapeHtml(condition)} · ${alert.oneTime ? 'One-time' : 'Recurring'}</span>
+                    <span class="alert-status">${status}</span>
+                </div>
+                <div class="alert-row-actions">${snoozeAction}
+                    <button class="alert-action" data-alert-action="delete" title="Delete alert">✕</button>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Attach event listeners to alert rows
+ */
+function attachAlertListeners(container) {
+    container.querySelectorAll('.alert-row').forEach(row => {
+        const { alertId, marketId } = row.dataset;
+
+        // Title click → open market; alerts saved before isMulti was stored look it up in loaded lists
+        row.querySelector('.alert-market').addEventListener('click', () => {
+            const alert = state.alerts.find(a => a.id === alertId);
+            openMarketTab(marketId, alert?.isMulti ?? findMarket(marketId)?.isMulti);
+        });
+
+        row.querySelectorAll('[data-alert-action]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                let alerts;
+                switch (btn.dataset.alertAction) {
+                    case 'delete':
+                        alerts = await sendMessage(MESSAGE_TYPES.DELETE_ALERT, { alertId });
+                        break;
+                    case 'snooze':
+                        alerts = await sendMessage(MESSAGE_TYPES.UPDATE_ALERT, {
+                            alertId,
+                            updates: { snoozedUntil: Date.now() + ALERT_SNOOZE_DURATION },
+                        });
+                        break;
+                    case 'unsnooze':
+                        alerts = await sendMessage(MESSAGE_TYPES.UPDATE_ALERT, { alertId, updates: { snoozedUntil: null } });
+                        break;
+                }
+
+                if (Array.isArray(alerts)) state.alerts = alerts;
+                updateAlertIndicators();
+                renderAlerts();
+            });
+        });
+    });
+}
+
+/**
+ * Load the notification inbox and refresh its tab badge
+ */
+async function loadInbox() {
+    try {
+        const inbox = await sendMessage(MESSAGE_TYPES.GET_INBOX);
+        state.inbox = Array.isArray(inbox) ? inbox : [];
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load inbox:', error);
+    }
+
+    updateInboxBadge();
+    if (state.activeTab === 'inbox') renderInbox();
+}
+
+/**
+ * Show the unread count on the Inbox tab
+ */
+function updateInboxBadge() {
+    const unread = state.inbox.filter(e => !e.read).length;
+    elements.inboxTabBadge.textContent = unread;
+    elements.inboxTabBadge.classList.toggle('hidden', unread === 0);
+}
+
+/**
+ * Render the inbox: type filters, then entries newest first
+ */
+function renderInbox() {
+    const filters = [['all', 'All'], ...Object.entries(INBOX_TYPES)];
+    elements.inboxFilters.innerHTML = filters.map(([type, label]) => `
+        <button class="chart-interval ${state.inboxFilter === type ? 'active' : ''}" data-inbox-filter="${type}">${label}</button>
+    `).join('');
+
+    elements.inboxFilters.querySelectorAll('[data-inbox-filter]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            state.inboxFilter = btn.dataset.inboxFilter;
+            renderInbox();
+        });
+    });
+
+    const entries = state.inboxFilter === 'all'
+        ? state.inbox
+        : state.inbox.filter(e => e.type === state.inboxFilter);
+
+    if (entries.length === 0) {
+        elements.inboxList.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">📥</span>
+                <p>No notifications</p>
+                <p class="empty-hint">Alerts, orders, trades and market events show up here</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.inboxList.innerHTML = entries.map(entry => `
+            <div class="inbox-row ${entry.read ? '' : 'unread'}" data-inbox-id="${entry.id}" data-market-id="${entry.marketId || ''}">
+                <div class="inbox-row-header">
+                    <span class="inbox-type">${INBOX_TYPES[entry.type] || 'Other'}</span>
+                    <span class="inbox-time">${formatDateTime(entry.createdAt)}</span>
+                </div>
+                <span class="inbox-title">${escapeHtml(entry.title)}</span>
+                <span class="inbox-message">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</span>
+            </div>
+    `).join('');
+
+    elements.inboxList.querySelectorAll('.inbox-row').forEach(row => {
+        row.addEventListener('click', async () => {
+            const { inboxId, marketId } = row.dataset;
+            const inbox = await sendMessage(MESSAGE_TYPES.MARK_INBOX_READ, { ids: [inboxId] });
+            if (Array.isArray(inbox)) state.inbox = inbox;
+            updateInboxBadge();
+            renderInbox();
+
+            if (marketId) {
+                const entry = state.inbox.find(e => e.id === inboxId);
+                openMarketTab(marketId, entry?.isMulti || findMarket(marketId)?.isMulti);
+            }
+        });
+    });
+}
+
+/**
+ * Attach event listeners to market cards
+ */
+function attachCardListeners(container) {
+    container.querySelectorAll('.market-card:not(.resolved-card)').forEach(card => {
+        const marketId = card.dataset.marketId;
+
+        // Card click → open market detail
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action], .card-panel')) return;
+            openMarketDetail(marketId);
+        });
+
+        // Chart click → expand price chart
+        card.querySelector('[data-action="toggle-chart"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleChartPanel(card);
+        });
+
+        // Depth click → expand order book
+        card.querySelector('[data-action="toggle-depth"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleDepthPanel(card);
+        });
+
+        // Bell click → expand alert editor
+        card.querySelector('[data-action="toggle-alert"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleAlertPanel(card);
+        });
+
+        // Star click → toggle watchlist
+        card.querySelector('.market-star').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleWatchlist(e.target, marketId);
+        });
+    });
+
+    attachResolvedListeners(container);
+}
+
+/**
+ * Add a market to or remove it from the watchlist from its card's star
+ */
+async function toggleWatchlist(star, marketId) {
+    const isWatched = star.classList.contains('active');
+
+    if (isWatched) {
+        await sendMessage(MESSAGE_TYPES.REMOVE_FROM_WATCHLIST, { marketId });
+        state.watchlist = state.watchlist.filter(id => id !== marketId);
+    } else {
+        await sendMessage(MESSAGE_TYPES.ADD_TO_WATCHLIST, { marketId });
+        state.watchlist.push(marketId);
+    }
+
+    // The market may also be on other tabs or in the detail view
+    document.querySelectorAll(`[data-market-id="${marketId}"] .market-star`).forEach(el => {
+        el.classList.toggle('active', !isWatched);
+        el.textContent = isWatched ? '☆' : '★';
+    });
+
+    if (state.activeTab === 'watchlist') {
+        renderWatchlist();
+    }
+}
+
+/**
+ * Wire resolved and unavailable cards: open the market detail on click, star to toggle the watchlist
+ */
+function attachResolvedListeners(container) {
+    container.querySelectorAll('.resolved-card').forEach(card => {
+        const marketId = card.dataset.marketId;
+
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action]')) return;
+            openMarketDetail(marketId);
+        });
+
+        card.querySelector('.market-star').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleWatchlist(e.target, marketId);
+        });
+    });
+}
+
+/**
+ * Open a market on app.opinion.trade in a new tab
+ */
+function openMarketTab(marketId, isMulti) {
+    chrome.tabs.create({ url: `${OPINION_APP_URL}/detail?topicId=${marketId}${isMulti ? '&type=multi' : ''}` });
+}
+
+/**
+ * Show a market's detail view in place of the active tab's list
+ */
+async function openMarketDetail(marketId) {
+    const id = String(marketId);
+    state.detailMarketId = id;
+    state.detailMarket = null;
+
+    document.querySelectorAll('.markets-section').forEach(section => section.classList.add('hidden'));
+    elements.detailSection.classList.remove('hidden');
+    document.querySelector('.search-container').style.display = 'none';
+    elements.filterBar.style.display = 'none';
+    elements.marketDetail.innerHTML = `<div class="loading">Loading market...</div>`;
+    elements.marketDetail.closest('.markets-container').scrollTop = 0;
+
+    // Details carry the rules and token IDs that list responses may leave out
+    let market = findMarket(id);
+    try {
+        const details = await sendMessage(MESSAGE_TYPES.GET_MARKET_DETAILS, { marketId: id });
+        if (details && !details.error) market = market ? Object.assign(market, details) : details;
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load market details:', error);
+    }
+
+    // The user may have gone back or opened another market meanwhile
+    if (state.detailMarketId !== id) return;
+
+    if (!market) {
+        elements.marketDetail.innerHTML = `
+            <div class="detail-header">
+                <button class="detail-back" data-action="close-detail">← Back</button>
+            </div>
+            <div class="error-state">
+                <span class="error-icon">⚠️</span>
+                <p>Failed to load market</p>
+                <button class="btn btn--secondary" data-action="open-market">Open on Opinion ↗</button>
+            </div>
+        `;
+        elements.marketDetail.querySelector('[data-action="close-detail"]').addEventListener('click', () => switchTab(state.activeTab));
+        elements.marketDetail.querySelector('[data-action="open-market"]').addEventListener('click', () => openMarketTab(id, findMarket(id)?.isMulti));
+        return;
+    }
+
+    state.detailMarket = market;
+    renderMarketDetail(market);
+}
+
+/**
+ * Hide the market detail view (switchTab shows the tab's list again)
+ */
+function closeMarketDetail() {
+    clearInterval(tradesTimer);
+    state.detailMarketId = null;
+    state.detailMarket = null;
+    elements.detailSection.classList.add('hidden');
+    elements.marketDetail.innerHTML = '';
+}
+
+/**
+ * Render the market detail view, then load its chart, order book and recent trades
+ */
+function renderMarketDetail(market) {
+    const { marketId } = market;
+    const isWatched = state.watchlist.includes(String(marketId));
+    const isActive = isMarketActive(market);
+    const labels = (market.labels || []).map(label => `<span class="detail-label">${escapeHtml(label)}</span>`).join('');
+
+    const stat = (label, value) => `
+                <div class="detail-stat">
+                    <span class="detail-stat-label">${label}</span>
+                    <span class="detail-stat-value">${value}</span>
+                </div>`;
+
+    elements.marketDetail.innerHTML = `
+        <div class="market-detail" data-market-id="${marketId}" data-token-id="${market.yesTokenId || ''}">
+            <div class="detail-header">
+                <button class="detail-back" data-action="close-detail">← Back</button>
+                <span class="market-bell ${hasActiveAlert(marketId) ? 'active' : ''}" data-action="toggle-alert" title="Price alerts">${BELL_ICON}</span>
+                <span class="market-star ${isWatched ? 'active' : ''}" data-action="toggle-watchlist">
+                    ${isWatched ? '★' : '☆'}
+                </span>
+            </div>
+            <div class="alert-panel card-panel hidden"></div>
+            <h2 class="detail-title">${escapeHtml(market.title || 'Untitled Market')}</h2>
+            ${labels ? `<div class="detail-labels">${labels}</div>` : ''}
+            ${isActive && market.cutoffAt
+                ? `<div class="detail-countdown">Ends in <span class="countdown" data-cutoff="${market.cutoffAt}">${formatCountdown(getTimeRemaining(market))}</span></div>`
+                : ''}
+            ${isActive ? '' : renderResolution(market)}
+            ${market.isMulti ? renderOutcomeList(market, { limit: Infinity }) : renderBinaryPrices(market)}
+            <div class="detail-stats">
+                ${stat('24h volume', `$${formatNumber(market.volume24h || 0)}`)}
+                ${stat('Total volume', `$${formatNumber(market.totalVolume || 0)}`)}
+                ${stat('Created', market.createdAt ? formatDateTime(market.createdAt * 1000) : '—')}
+                ${stat(isActive ? 'Ends' : 'Ended', market.cutoffAt ? formatDateTime(market.cutoffAt * 1000) : '—')}
+            </div>
+            <div class="list-heading">Price chart</div>
+            <div class="chart-panel detail-panel"></div>
+            <div class="list-heading">Order book</div>
+            <div class="depth-panel detail-panel"></div>
+            <div class="list-heading">Recent trades</div>
+            ${renderWhaleThreshold(marketId)}
+            <div class="trades-panel detail-panel"></div>
+            ${market.rules ? `
+            <details class="detail-rules">
+                <summary>Rules</summary>
+                <p>${escapeHtml(market.rules)}</p>
+            </details>` : ''}
+            <div class="detail-actions">
+                <button class="btn btn--secondary" data-action="open-market">
+                    Open on Opinion
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3" />
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+
+    const detail = elements.marketDetail.querySelector('.market-detail');
+    detail.querySelector('[data-action="close-detail"]').addEventListener('click', () => switchTab(state.activeTab));
+    detail.querySelector('[data-action="toggle-alert"]').addEventListener('click', () => toggleAlertPanel(detail));
+    detail.querySelector('[data-action="toggle-watchlist"]').addEventListener('click', (e) => toggleWatchlist(e.currentTarget, String(marketId)));
+    detail.querySelector('[data-action="open-market"]').addEventListener('click', () => openMarketTab(marketId, market.isMulti));
+    detail.querySelector('[data-action="save-whale-threshold"]').addEventListener('click', () => saveWhaleThreshold(detail, market));
+
+    openChart(detail.querySelector('.chart-panel'), market);
+    loadDepth(detail.querySelector('.depth-panel'), marketId);
+    loadRecentTrades(detail.querySelector('.trades-panel'), market);
+}
+
+// Live refresh of the open market's trades
+let tradesTimer = null;
+
+/**
+ * Fetch one page of a market's trades
+ */
+async function fetchTrades(market, { page = 1, fresh = false } = {}) {
+    const result = await sendMessage(MESSAGE_TYPES.GET_MARKET_ACTIVITY, {
+        marketId: market.marketId,
+        isMulti: market.isMulti,
+        page,
+        limit: RECENT_TRADES_COUNT,
+        fresh
+    });
+    if (!Array.isArray(result?.items)) throw new Error(result?.error || 'Invalid response');
+    return result;
+}
+
+/**
+ * Load a market's latest trades into the detail view and keep them live while it is open
+ */
+async function loadRecentTrades(panel, market) {
+    clearInterval(tradesTimer);
+    state.detailTrades = { trades: [], page: 0, hasMore: false };
+    panel.innerHTML = `<div class="depth-empty">Loading trades…</div>`;
+
+    try {
+        const { items, hasMore } = await fetchTrades(market);
+        if (state.detailMarket !== market) return;
+        state.detailTrades = { trades: items, page: 1, hasMore };
+        renderRecentTrades(panel, market);
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load recent trades:', error);
+        panel.innerHTML = `<div class="depth-empty">Failed to load trades</div>`;
+        return;
+    }
+
+    clearInterval(tradesTimer); // The market may have been reopened while this page loaded
+    tradesTimer = setInterval(() => refreshRecentTrades(panel, market), RECENT_TRADES_REFRESH_INTERVAL);
+}
+
+/**
+ * Merge the newest trades into the open detail view, highlighting the ones not shown before
+ */
+async function refreshRecentTrades(panel, market) {
+    try {
+        const { items } = await fetchTrades(market, { fresh: true });
+        if (state.detailMarket !== market) return;
+
+        const { trades, added } = mergeTrades(state.detailTrades.trades, items);
+        if (added.length === 0) return;
+        state.detailTrades.trades = trades;
+        renderRecentTrades(panel, market, new Set(added.map(t => t.id)));
+    } catch (error) {
+        console.warn('[Opinion Lens] Failed to refresh recent trades:', error);
+    }
+}
+
+/**
+ * Append the next page of older trades
+ */
+async function loadMoreTrades(panel, market, button) {
+    button.disabled = true;
+    button.textContent = 'Loading…';
+
+    try {
+        const page = state.detailTrades.page + 1;
+        const { items, hasMore } = await fetchTrades(market, { page });
+        if (state.detailMarket !== market) return;
+
+        state.detailTrades = { trades: mergeTrades(state.detailTrades.trades, items).trades, page, hasMore };
+        renderRecentTrades(panel, market);
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to load more trades:', error);
+        button.disabled = false;
+        button.textContent = 'Retry';
+    }
+}
+
+/**
+ * Render the detail view's trade list with its "Load more" button
+ * @param {Set<string>} [fresh] - IDs of trades that just arrived
+ */
+function renderRecentTrades(panel, market, fresh = new Set()) {
+    const { trades, hasMore } = state.detailTrades;
+    if (trades.length === 0) {
+        panel.innerHTML = `<div class="depth-empty">No recent trades</div>`;
+        return;
+    }
+
+    panel.innerHTML = `
+            ${trades.map(trade => renderTradeRow(trade, market, fresh.has(trade.id))).join('')}
+            ${hasMore ? `<button class="trades-more">Load more</button>` : ''}
+    `;
+    panel.querySelector('.trades-more')?.addEventListener('click', (e) => loadMoreTrades(panel, market, e.currentTarget));
+    panel.querySelectorAll('[data-action="follow-wallet"]').forEach(button => {
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            const error = await followWallet(button.dataset.address, button.dataset.name);
+            if (error) {
+                button.disabled = false;
+                button.title = error;
+                return;
+            }
+            renderRecentTrades(panel, market);
+        });
+    });
+}
+
+/**
+ * Whale threshold editor of the detail view; left empty, the market uses the default from Settings
+ */
+function renderWhaleThreshold(marketId) {
+    const override = state.whaleConfig.markets?.[String(marketId)];
+    return `
+            <div class="whale-threshold">
+                <span class="alert-unit">🐋 Whale at $</span>
+                <input type="number" class="alert-input" min="0" step="100"
+                    value="${Number.isFinite(override) ? override : ''}" placeholder="${state.whaleConfig.threshold}">
+                <button class="alert-save" data-action="save-whale-threshold">Save</button>
+                <span class="alert-hint"></span>
+            </div>
+    `;
+}
+
+/**
+ * Save the open market's whale threshold and re-highlight its trades
+ */
+async function saveWhaleThreshold(detail, market) {
+    const input = detail.querySelector('.whale-threshold .alert-input');
+    const hint = detail.querySelector('.whale-threshold .alert-hint');
+    const threshold = input.value.trim() === '' ? null : Number(input.value);
+
+    if (threshold !== null && !(threshold >= 0)) {
+        hint.textContent = 'Enter an amount';
+        hint.classList.add('error');
+        return;
+    }
+
+    try {
+        const result = await sendMessage(MESSAGE_TYPES.SET_WHALE_THRESHOLD, { marketId: String(market.marketId), threshold });
+        if (result?.error) throw new Error(result.error);
+
+        state.whaleConfig = { ...state.whaleConfig, markets: result };
+        hint.textContent = threshold === null ? 'Using default' : 'Saved';
+        hint.classList.remove('error');
+        renderRecentTrades(detail.querySelector('.trades-panel'), market);
+    } catch (error) {
+        console.error('[Opinion Lens] Failed to save whale threshold:', error);
+        hint.textContent = 'Failed to save';
+        hint.classList.add('error');
+    }
+}
+
+/**
+ * Render one trade: side, outcome and value, then size, price, trader and time
+ * Trades at or above the market's whale threshold are highlighted
+ */
+function renderTradeRow(trade, market, isNew = false) {
+    const side = trade.side === TRADE_SIDE.BUY ? 'Buy' : (trade.side === TRADE_SIDE.SELL ? 'Sell' : 'Trade');
+    const sideClass = Object.values(TRADE_SIDE).includes(trade.side) ? trade.side : '';
+    // Multi-outcome activity mixes every child market, so name the one traded
+    const outcome = market.isMulti && trade.title ? `${trade.title} · ${trade.outcome}` : trade.outcome;
+    const trader = trade.userName || formatAddress(trade.wallet);
+    const isWhale = isWhaleTrade(trade, getWhaleThreshold(market.marketId, state.whaleConfig));
+
+    return `
+            <div class="trade-row ${isWhale ? 'whale' : ''} ${isNew ? 'new' : ''}">
+                <div class="trade-main">
+                    <span class="trade-side ${sideClass}">${side}</span>
+                    <span class="trade-outcome">${escapeHtml(outcome)}</span>
+                    <span class="trade-value">${isWhale ? '🐋 ' : ''}$${formatNumber(trade.value)}</span>
+                </div>
+                <div class="trade-meta">
+                    <span>${formatNumber(trade.shares)} @ ${formatPrice(trade.price)}</span>
+                    <span>
+                        ${escapeHtml(trader)}${trade.createdAt ? ` · ${formatTimeAgo(trade.createdAt * 1000)}` : ''}
+                        ${isWalletAddress(trade.wallet) && !isFollowedWallet(trade.wallet)
+                            ? `<button class="trade-follow" data-action="follow-wallet" data-address="${escapeHtml(trade.wallet)}" data-name="${escapeHtml(trade.userName)}" title="Follow this wallet">+ Follow</button>`
+                            : ''}
+                    </span>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Switch tab
+ */
+function switchTab(tab) {
     state.activeTab = tab;
 
     elements.tabs.forEach(t => {
@@ -542,13 +2457,22 @@ function switchTab(tab) {
 
     elements.trendingSection.classList.toggle('hidden', tab !== 'trending');
     elements.newSection.classList.toggle('hidden', tab !== 'new');
+    elements.endingSection.classList.toggle('hidden', tab !== 'ending');
+    elements.resolvedSection.classList.toggle('hidden', tab !== 'resolved');
+    elements.categoriesSection.classList.toggle('hidden', tab !== 'categories');
     elements.watchlistSection.classList.toggle('hidden', tab !== 'watchlist');
+    elements.alertsSection.classList.toggle('hidden', tab !== 'alerts');
+    elements.inboxSection.classList.toggle('hidden', tab !== 'inbox');
+    elements.portfolioSection.classList.toggle('hidden', tab !== 'portfolio');
+    elements.walletsSection.classList.toggle('hidden', tab !== 'wallets');
     elements.aboutSection.classList.toggle('hidden', tab !== 'about');
+    closeMarketDetail();
 
     // Hide search and footer on about tab
     const searchContainer = document.querySelector('.search-container');
     const footer = document.querySelector('.footer');
     if (searchContainer) searchContainer.style.display = tab === 'about' ? 'none' : '';
+    elements.filterBar.style.display = tab === 'about' ? 'none' : '';
     if (footer) footer.style.display = tab === 'about' ? 'none' : '';
 
     // Reload data when switching to specific tabs
@@ -556,29 +2480,175 @@ function switchTab(tab) {
         loadWatchlist(); // Always refresh from storage so newly starred markets appear
     } else if (tab === 'new') {
         renderNewMarkets(); // Re-render in case data was updated
+    } else if (tab === 'ending') {
+        renderEndingMarkets(); // Regroup markets that crossed into a sooner group
+    } else if (tab === 'resolved') {
+        loadResolvedMarkets({ quiet: state.resolvedMarkets.length > 0 });
+    } else if (tab === 'categories') {
+        if (!state.activeCategory) renderCategories();
+        loadCategories();
+    } else if (tab === 'alerts') {
+        loadAlerts();
+        sendMessage(MESSAGE_TYPES.MARK_ALERTS_SEEN); // Clears the toolbar badge
+    } else if (tab === 'inbox') {
+        loadInbox();
+    } else if (tab === 'portfolio') {
+        renderPortfolio();
+        loadPortfolio(); // Also reports a missing API key or wallet address
+    } else if (tab === 'wallets') {
+        if (state.activeWallet) {
+            openWallet(state.activeWallet);
+        } else {
+            renderWallets();
+        }
     }
 }
 
 /**
- * Handle search
+ * Whether the trending tab shows search results: a query, a narrowing filter or a non-default sort
+ */
+function isSearching() {
+    return !!elements.searchInput.value.trim()
+        || countActiveFilters(state.filters) > 0
+        || state.filters.sort !== SEARCH_SORT.RELEVANCE;
+}
+
+/**
+ * Reload the trending list, or rerun the search shown in its place
+ * @param {Object} options
+ * @param {boolean} [options.quiet=false]
  */
-async function handleSearch(e) {
-    const query = e.target.value.trim();
+function refreshTrending({ quiet = false } = {}) {
+    return isSearching() ? handleSearch() : loadMarkets({ quiet });
+}
 
-    if (!query) {
+// Bumped by every search, so a slow one can't overwrite newer results
+let searchSeq = 0;
+
+/**
+ * Handle search: the query and filter bar together, trending markets when both are empty
+ */
+async function handleSearch() {
+    const seq = ++searchSeq;
+    if (!isSearching()) {
         loadMarkets();
         return;
     }
 
     try {
-        const results = await sendMessage(MESSAGE_TYPES.SEARCH_MARKETS, { query });
-        state.markets = results?.error ? [] : (results || []);
+        const results = await sendMessage(MESSAGE_TYPES.SEARCH_MARKETS, {
+            query: elements.searchInput.value.trim(),
+            filters: state.filters
+        });
+        let markets = results?.error ? [] : (results || []);
+
+        // Markets carry no price change, so the biggest-move sort waits for each one's 24h history
+        if (state.filters.sort === SEARCH_SORT.MOVE_24H) {
+            markets = sortResults(markets, SEARCH_SORT.MOVE_24H, await loadPriceMoves(markets));
+        }
+        if (seq !== searchSeq) return;
+
+        state.markets = markets;
+        state.marketsReport = null;
         renderTrendingMarkets();
     } catch (error) {
         console.error('Search failed:', error);
     }
 }
 
+/**
+ * 24h YES price change of each market that has price history
+ * @param {Market[]} markets
+ * @returns {Promise<Map<string, number>>} Market ID -> change
+ */
+async function loadPriceMoves(markets) {
+    const moves = new Map();
+    await Promise.all(markets.map(async market => {
+        try {
+            const change = getPriceChange(await fetchPriceHistory(market, '1d'));
+            if (change) moves.set(String(market.marketId), change.change);
+        } catch (error) {
+            console.warn('[Opinion Lens] Failed to load 24h move for market', market.marketId, error);
+        }
+    }));
+    return moves;
+}
+
+/**
+ * Load the saved search filters into the filter bar
+ */
+async function loadFilters() {
+    try {
+        state.filters = normalizeFilters(await storage.getSearchFilters());
+    } catch (error) {
+        console.error('Failed to load search filters:', error);
+    }
+    renderFilterBar();
+}
+
+/**
+ * Show the current filters in the filter bar
+ */
+function renderFilterBar() {
+    const { filters } = state;
+
+    // Keep a saved category selectable even when no current market uses it
+    const names = state.categories.map(c => c.name);
+    const labels = filters.label && !names.includes(filters.label) ? [filters.label, ...names] : names;
+    elements.filterLabel.innerHTML = '<option value="">All</option>' + labels.map(label =>
+        `<option value="${escapeHtml(label)}">${escapeHtml(label)}</option>`
+    ).join('');
+
+    elements.filterLabel.value = filters.label;
+    elements.filterStatus.value = filters.status;
+    elements.filterOutcomeType.value = filters.outcomeType;
+    elements.filterEnding.value = String(filters.endingWithinDays);
+    elements.filterMinVolume.value = filters.minVolume || '';
+    elements.filterMinPrice.value = filters.minPrice > 0 ? Math.round(filters.minPrice * 100) : '';
+    elements.filterMaxPrice.value = filters.maxPrice < 1 ? Math.round(filters.maxPrice * 100) : '';
+    elements.filterSort.value = filters.sort;
+
+    const count = countActiveFilters(filters);
+    elements.filterBadge.textContent = count;
+    elements.filterBadge.classList.toggle('hidden', count === 0);
+    elements.filterToggle.classList.toggle('active', count > 0 || filters.sort !== SEARCH_SORT.RELEVANCE);
+}
+
+/**
+ * Filters as entered in the filter bar (prices are entered in cents)
+ * @returns {Object}
+ */
+function readFilterBar() {
+    const cents = (input, fallback) => (input.value === '' ? fallback : Number(input.value) / 100);
+    return normalizeFilters({
+        label: elements.filterLabel.value,
+        status: elements.filterStatus.value,
+        outcomeType: elements.filterOutcomeType.value,
+        endingWithinDays: elements.filterEnding.value,
+        minVolume: elements.filterMinVolume.value,
+        minPrice: cents(elements.filterMinPrice, 0),
+        maxPrice: cents(elements.filterMaxPrice, 1),
+        sort: elements.filterSort.value,
+    });
+}
+
+/**
+ * Save new filters and show their results on the trending tab
+ * @param {Object} filters
+ */
+async function applyFilters(filters) {
+    state.filters = filters;
+    renderFilterBar();
+    if (state.activeTab !== 'trending') switchTab('trending');
+    handleSearch();
+
+    try {
+        await storage.setSearchFilters(filters);
+    } catch (error) {
+        console.error('Failed to save search filters:', error);
+    }
+}
+
 /**
  * Handle incoming messages (real-time updates)
  */
@@ -586,25 +2656,76 @@ function handleMessage(message) {
     switch (message.type) {
         case MESSAGE_TYPES.PRICE_UPDATE:
             updateMarketPrice(message.data);
+            updatePositionPrices(message.data.tokenId, parseFloat(message.data.price));
             break;
         case MESSAGE_TYPES.CONNECTION_STATUS:
             updateConnectionStatus(message);
             break;
+        case MESSAGE_TYPES.MARKET_UPDATE:
+            if (['cache', 'catalog'].includes(message.data?.source)) applyCacheUpdate(message.data);
+            break;
+        case MESSAGE_TYPES.INBOX_UPDATED:
+            loadInbox();
+            loadAlerts(); // Triggered alerts change status
+            break;
+    }
+}
+
+/**
+ * Swap in fresh data the service worker fetched after serving this popup a stale cached copy,
+ * or market lists changed by a catalog sync
+ * @param {{kind: string, id: string, result?: any}} update
+ */
+function applyCacheUpdate({ kind, id, result }) {
+    switch (kind) {
+        case 'markets':
+            // Re-rendering the lists would close any chart, depth or alert panel the user has open
+            if (document.querySelector('.card-panel:not(.hidden)')) return;
+            refreshTrending({ quiet: true });
+            loadEndingMarkets({ quiet: true });
+            loadCategories();
+            loadNewMarkets({ quiet: true });
+            break;
+
+        case 'market': {
+            if (!result) return;
+            [...state.markets, ...state.newMarketsList]
+                .filter(m => String(m.marketId) === id)
+                .forEach(m => Object.assign(m, result));
+
+            // Cards are priced by YES tokens: the market's own, or each child's for multi-outcome markets
+            const outcomes = result.isMulti ? result.outcomes : [{ tokenId: result.yesTokenId, price: result.yesPrice }];
+            outcomes
+                .filter(o => o.tokenId && Number.isFinite(o.price))
+                .forEach(o => updateMarketPrice({ tokenId: o.tokenId, price: o.price }, { flash: false }));
+            break;
+        }
+
+        case 'price':
+            if (result?.price) updateMarketPrice({ tokenId: id, price: result.price });
+            break;
     }
 }
 
 /**
  * Update market price in UI
  */
-function updateMarketPrice(data) {
-    const cards = document.querySelectorAll(`[data-token-id="${data.tokenId}"]`);
+function updateMarketPrice(data, { flash = true } = {}) {
+    const price = parseFloat(data.price);
+
+    // Keep cached market objects in sync so re-renders show the latest price
+    [...state.markets, ...state.newMarketsList, ...state.endingMarkets, ...state.categoryMarkets, ...(state.detailMarket ? [state.detailMarket] : [])]
+        .forEach(m => applyTokenPrice(m, data.tokenId, price));
+
+    // Binary cards and the market detail are keyed by their YES token
+    const cards = document.querySelectorAll(`.market-card[data-token-id="${data.tokenId}"], .market-detail[data-token-id="${data.tokenId}"]`);
     cards.forEach(card => {
         const yesFill = card.querySelector('.price-bar.yes .price-bar-fill');
         const noFill = card.querySelector('.price-bar.no .price-bar-fill');
         const yesLabel = card.querySelector('.price-label.yes span:last-child');
         const noLabel = card.querySelector('.price-label.no span:last-child');
 
-        const yesPrice = parseFloat(data.price);
+        const yesPrice = price;
         const noPrice = 1 - yesPrice;
 
         // Perform flash animation if elements exist
@@ -614,14 +2735,32 @@ function updateMarketPrice(data) {
             yesLabel.textContent = formatPrice(yesPrice);
             noLabel.textContent = formatPrice(noPrice);
 
-            // Subtle flash effect on the card
-            card.style.transition = 'background-color 0.3s ease';
-            card.style.backgroundColor = 'rgba(99, 102, 241, 0.15)';
-            setTimeout(() => {
-                card.style.backgroundColor = '';
-            }, 400);
+            if (flash) flashCard(card);
         }
     });
+
+    // Multi-outcome cards have one row per child token
+    const rows = document.querySelectorAll(`.outcome-row[data-token-id="${data.tokenId}"]`);
+    rows.forEach(row => {
+        const fill = row.querySelector('.price-bar-fill');
+        const prob = row.querySelector('.outcome-prob');
+        if (fill) fill.style.width = `${price * 100}%`;
+        if (prob) prob.textContent = formatProbability(price);
+
+        const card = row.closest('.market-card, .market-detail');
+        if (flash && card) flashCard(card);
+    });
+}
+
+/**
+ * Subtle flash effect on a card after a live price change
+ */
+function flashCard(card) {
+    card.style.transition = 'background-color 0.3s ease';
+    card.style.backgroundColor = 'rgba(99, 102, 241, 0.15)';
+    setTimeout(() => {
+        card.style.backgroundColor = '';
+    }, 400);
 }
 
 // Initialize
@@ -0,0 +1,389 @@
+/**
+ * Opinion Lens - Alert Conditions
+ * Pluggable condition engine for price alerts
+ *
+ * A condition is a plain object `{ type, ...params }`. Each type registers an evaluator
+ * that reports whether the condition is met and whether it has cleared its hysteresis
+ * band. evaluateAlert() layers arming and cooldowns on top, so a value oscillating
+ * around a threshold fires once instead of on every tick.
+ */
+
+import { formatPrice } from './utils.js';
+
+// Minimum time between two notifications from the same alert
+export const DEFAULT_ALERT_COOLDOWN = 5 * 60 * 1000;
+
+// Default hysteresis bands, in each condition's own unit
+const PRICE_HYSTERESIS = 0.01;
+const PERCENT_HYSTERESIS = 1;
+const MULTIPLIER_HYSTERESIS = 0.5;
+
+// Defaults for optional condition parameters (seconds)
+const DEFAULT_MOVE_WINDOW = 60 * 60;
+const MOVE_WINDOWS = [15 * 60, 60 * 60, 4 * 60 * 60, 24 * 60 * 60];
+const DEFAULT_VOLUME_WINDOW = 7 * 24 * 60 * 60;
+
+// Volume samples needed before a trailing average is trusted
+const MIN_VOLUME_SAMPLES = 3;
+
+/**
+ * @typedef {Object} ConditionContext
+ * @property {number} now - Current time (ms)
+ * @property {number} [price] - Current price of the alert's token
+ * @property {Array<{t: number, p: number}>} [history] - Recent prices of the token (t in seconds)
+ * @property {number} [volume24h] - Current 24h volume of the market
+ * @property {Array<{t: number, v: number}>} [volumeHistory] - Past 24h volume samples (t in seconds)
+ * @property {number|null} [spread] - Current bid/ask spread of the token
+ * @property {number|null} [cutoffAt] - Market cutoff (unix seconds)
+ */
+
+/**
+ * @typedef {Object} ConditionResult
+ * @property {boolean} met - The condition holds right now
+ * @property {boolean} cleared - The value has retreated past the hysteresis band, so the alert may re-arm
+ */
+
+/**
+ * @typedef {Object} ConditionInput
+ * @property {string} key - Condition parameter set by the input
+ * @property {string} unit - Unit shown next to the input
+ * @property {number} scale - Displayed value = parameter × scale
+ * @property {number} [default] - Parameter value to prefill; price conditions prefill the current price
+ * @property {{options: number[], default: number}} [window] - Choices for the `window` parameter (seconds)
+ */
+
+/**
+ * @typedef {Object} ConditionType
+ * @property {string} label - Shown in the alert editor
+ * @property {boolean|function(Object): boolean} [edge] - Only fire on a transition: a condition
+ *   already met when the alert is first evaluated waits until it clears
+ * @property {string[]} [needs] - Context fields the evaluator reads
+ * @property {ConditionInput} [input] - Single-parameter editor input; compound types (and, or) have none
+ *   and are built by the editor from several single-input conditions
+ * @property {function(Object, ConditionContext, Object): ConditionResult|null} evaluate - Returns null
+ *   when the context lacks the data needed; the third argument is per-alert memo state
+ * @property {function(Object): string} describe - Lowercase phrase, e.g. "rises above 60.0¢"
+ */
+
+/** @type {Map<string, ConditionType>} */
+const conditionTypes = new Map();
+
+/**
+ * Register a condition type
+ * @param {string} type
+ * @param {ConditionType} definition
+ */
+export function registerConditionType(type, definition) {
+    conditionTypes.set(type, definition);
+}
+
+/**
+ * Get a registered condition type
+ * @param {string} type
+ * @returns {ConditionType|null}
+ */
+export function getConditionType(type) {
+    return conditionTypes.get(type) || null;
+}
+
+/**
+ * Condition types that can be edited with a single input, in registration order
+ * @returns {Array<{type: string, label: string, input: ConditionInput}>}
+ */
+export function getEditableConditionTypes() {
+    return [...conditionTypes.entries()]
+        .filter(([, definition]) => definition.input)
+        .map(([type, definition]) => ({ type, label: definition.label, input: definition.input }));
+}
+
+/**
+ * The condition of an alert; legacy alerts store a type name plus targetPrice
+ * @param {Object} alert
+ * @returns {Object}
+ */
+export function getAlertCondition(alert) {
+    if (alert?.condition && typeof alert.condition === 'object') return alert.condition;
+    return { type: alert?.condition, target: alert?.targetPrice };
+}
+
+/**
+ * Evaluate a condition against the current context
+ * @param {Object} condition
+ * @param {ConditionContext} ctx
+ * @param {Object} memo - Per-alert state the evaluator may update
+ * @returns {ConditionResult|null}
+ */
+export function evaluateCondition(condition, ctx, memo = {}) {
+    const definition = conditionTypes.get(condition?.type);
+    if (!definition) return null;
+    return definition.evaluate(condition, ctx, memo);
+}
+
+/**
+ * Whether a condition only fires on a transition
+ * @param {Object} condition
+ * @returns {boolean}
+ */
+export function isEdgeTriggered(condition) {
+    const edge = conditionTypes.get(condition?.type)?.edge;
+    return typeof edge === 'function' ? edge(condition) : Boolean(edge);
+}
+
+/**
+ * Context fields a condition reads, so callers only fetch what is needed
+ * @param {Object} condition
+ * @returns {Set<string>}
+ */
+export function getConditionNeeds(condition) {
+    const definition = conditionTypes.get(condition?.type);
+    const needs = new Set(definition?.needs || []);
+    for (const child of condition?.conditions || []) {
+        getConditionNeeds(child).forEach(need => needs.add(need));
+    }
+    return needs;
+}
+
+/**
+ * Human-readable description of a condition
+ * @param {Object} condition
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+    const definition = conditionTypes.get(condition?.type);
+    return definition ? definition.describe(condition) : String(condition?.type || 'unknown condition');
+}
+
+/**
+ * Evaluate an alert with arming, hysteresis and cooldown
+ * An alert fires when it is armed and its condition is met, then disarms until the
+ * condition clears its hysteresis band. Fires within the cooldown are suppressed.
+ * @param {Object} alert - Alert with condition, lastTriggeredAt, optional cooldown (ms) and baselinePrice
+ * @param {ConditionContext} ctx
+ * @param {{armed?: boolean, memo?: Object}} state - Engine state from the previous evaluation
+ * @returns {{fire: boolean, state: {armed?: boolean, memo: Object}}}
+ */
+export function evaluateAlert(alert, ctx, state = {}) {
+    const condition = getAlertCondition(alert);
+    const memo = state.memo ? JSON.parse(JSON.stringify(state.memo)) : {};
+    let armed = state.armed;
+
+    // Without prior state, prime against the price the alert was created at,
+    // so a crossing before the first evaluation still fires
+    if (armed === undefined && Number.isFinite(alert.baselinePrice)) {
+        const baseline = evaluateCondition(condition, { ...ctx, price: alert.baselinePrice }, memo);
+        if (baseline) armed = !(baseline.met && isEdgeTriggered(condition));
+    }
+
+    const result = evaluateCondition(condition, ctx, memo);
+    if (!result) {
+        return { fire: false, state: { ...state, armed, memo } };
+    }
+
+    armed = armed ?? !(result.met && isEdgeTriggered(condition));
+    if (!armed && result.cleared) armed = true;
+
+    const cooldown = alert.cooldown ?? DEFAULT_ALERT_COOLDOWN;
+    const coolingDown = Boolean(alert.lastTriggeredAt) && ctx.now - alert.lastTriggeredAt < cooldown;
+    const fire = armed && result.met && !coolingDown;
+
+    return { fire, state: { armed: fire ? false : armed, memo } };
+}
+
+/**
+ * Hysteresis band of a condition, falling back to the type's default
+ */
+function hysteresisOf(condition, fallback) {
+    return Number.isFinite(condition.hysteresis) ? condition.hysteresis : fallback;
+}
+
+/**
+ * Format a duration in seconds as a compact label (e.g., "30m", "4h", "2d")
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+    if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+    if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+    return `${Math.round(seconds / 60)}m`;
+}
+
+/**
+ * Percent change from the earliest price inside the window to the current price
+ * @returns {number|null}
+ */
+function getWindowChange(history, price, windowSeconds, now) {
+    if (!Number.isFinite(price)) return null;
+    const since = now / 1000 - windowSeconds;
+    const base = (history || []).find(point => point.t >= since);
+    if (!base || !(base.p > 0)) return null;
+    return ((price - base.p) / base.p) * 100;
+}
+
+/**
+ * Evaluate compound children, keeping a memo per child so stateful children stay current
+ * @returns {Array<ConditionResult|null>}
+ */
+function evaluateChildren(condition, ctx, memo) {
+    memo.children = memo.children || [];
+    return (condition.conditions || []).map((child, i) => {
+        memo.children[i] = memo.children[i] || {};
+        return evaluateCondition(child, ctx, memo.children[i]);
+    });
+}
+
+// Price thresholds
+
+registerConditionType('above', {
+    label: 'Rises above',
+    edge: true,
+    needs: ['price'],
+    input: { key: 'target', unit: '¢', scale: 100 },
+    evaluate(condition, ctx) {
+        if (!Number.isFinite(ctx.price)) return null;
+        return {
+            met: ctx.price >= condition.target,
+            cleared: ctx.price < condition.target - hysteresisOf(condition, PRICE_HYSTERESIS),
+        };
+    },
+    describe: condition => `rises above ${formatPrice(condition.target)}`,
+});
+
+registerConditionType('below', {
+    label: 'Falls below',
+    edge: true,
+    needs: ['price'],
+    input: { key: 'target', unit: '¢', scale: 100 },
+    evaluate(condition, ctx) {
+        if (!Number.isFinite(ctx.price)) return null;
+        return {
+            met: ctx.price <= condition.target,
+            cleared: ctx.price > condition.target + hysteresisOf(condition, PRICE_HYSTERESIS),
+        };
+    },
+    describe: condition => `falls below ${formatPrice(condition.target)}`,
+});
+
+registerConditionType('crosses', {
+    label: 'Crosses',
+    edge: true,
+    needs: ['price'],
+    input: { key: 'target', unit: '¢', scale: 100 },
+    evaluate(condition, ctx, memo) {
+        if (!Number.isFinite(ctx.price)) return null;
+        const side = ctx.price >= condition.target ? 1 : -1;
+        const flipped = memo.side !== undefined && side !== memo.side;
+        memo.side = side;
+        return {
+            met: flipped,
+            cleared: Math.abs(ctx.price - condition.target) >= hysteresisOf(condition, PRICE_HYSTERESIS),
+        };
+    },
+    describe: condition => `crosses ${formatPrice(condition.target)}`,
+});
+
+// Market activity
+
+registerConditionType('percent_move', {
+    label: 'Moves by',
+    needs: ['price', 'history'],
+    input: { key: 'percent', unit: '%', scale: 1, default: 10, window: { options: MOVE_WINDOWS, default: DEFAULT_MOVE_WINDOW } },
+    evaluate(condition, ctx) {
+        const change = getWindowChange(ctx.history, ctx.price, condition.window || DEFAULT_MOVE_WINDOW, ctx.now);
+        if (change === null) return null;
+
+        const move = condition.direction === 'up' ? change
+            : condition.direction === 'down' ? -change
+                : Math.abs(change);
+        return {
+            met: move >= condition.percent,
+            cleared: move < condition.percent - hysteresisOf(condition, PERCENT_HYSTERESIS),
+        };
+    },
+    describe: condition => {
+        const direction = condition.direction === 'up' ? 'up ' : condition.direction === 'down' ? 'down ' : '';
+        return `moves ${direction}${condition.percent}% within ${formatDuration(condition.window || DEFAULT_MOVE_WINDOW)}`;
+    },
+});
+
+registerConditionType('volume_spike', {
+    label: 'Volume spikes',
+    needs: ['volume'],
+    input: { key: 'multiplier', unit: '× avg', scale: 1, default: 3 },
+    evaluate(condition, ctx) {
+        if (!Number.isFinite(ctx.volume24h)) return null;
+
+        const since = ctx.now / 1000 - (condition.window || DEFAULT_VOLUME_WINDOW);
+        const samples = (ctx.volumeHistory || []).filter(s => s.t >= since && Number.isFinite(s.v));
+        if (samples.length < MIN_VOLUME_SAMPLES) return null;
+
+        const average = samples.reduce((sum, s) => sum + s.v, 0) / samples.length;
+        if (!(average > 0)) return null;
+
+        const ratio = ctx.volume24h / average;
+        return {
+            met: ratio >= condition.multiplier,
+            cleared: ratio < condition.multiplier - hysteresisOf(condition, MULTIPLIER_HYSTERESIS),
+        };
+    },
+    describe: condition =>
+        `24h volume reaches ${condition.multiplier}× its ${formatDuration(condition.window || DEFAULT_VOLUME_WINDOW)} average`,
+});
+
+registerConditionType('spread_widening', {
+    label: 'Spread widens to',
+    needs: ['spread'],
+    input: { key: 'spread', unit: '¢', scale: 100, default: 0.05 },
+    evaluate(condition, ctx) {
+        if (!Number.isFinite(ctx.spread)) return null;
+        return {
+            met: ctx.spread >= condition.spread,
+            cleared: ctx.spread < condition.spread - hysteresisOf(condition, PRICE_HYSTERESIS),
+        };
+    },
+    describe: condition => `spread widens to ${formatPrice(condition.spread)}`,
+});
+
+registerConditionType('time_to_cutoff', {
+    label: 'Closes within',
+    needs: ['cutoff'],
+    input: { key: 'before', unit: 'hours', scale: 1 / 3600, default: 24 * 3600 },
+    evaluate(condition, ctx) {
+        if (!ctx.cutoffAt) return null;
+        const remaining = ctx.cutoffAt - ctx.now / 1000;
+        return {
+            met: remaining > 0 && remaining <= condition.before,
+            cleared: remaining > condition.before,
+        };
+    },
+    describe: condition => `closes within ${formatDuration(condition.before)}`,
+});
+
+// Compound
+
+registerConditionType('and', {
+    label: 'All of',
+    edge: condition => (condition.conditions || []).every(isEdgeTriggered),
+    evaluate(condition, ctx, memo) {
+        const results = evaluateChildren(condition, ctx, memo);
+        if (results.length === 0 || results.some(r => !r)) return null;
+        return {
+            met: results.every(r => r.met),
+            cleared: results.some(r => r.cleared),
+        };
+    },
+    describe: condition => (condition.conditions || []).map(describeCondition).join(' and '),
+});
+
+registerConditionType('or', {
+    label: 'Any of',
+    edge: condition => (condition.conditions || []).every(isEdgeTriggered),
+    evaluate(condition, ctx, memo) {
+        const results = evaluateChildren(condition, ctx, memo).filter(Boolean);
+        if (results.length === 0) return null;
+        return {
+            met: results.some(r => r.met),
+            cleared: results.every(r => r.cleared),
+        };
+    },
+    describe: condition => (condition.conditions || []).map(describeCondition).join(' or '),
+});
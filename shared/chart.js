@@ -0,0 +1,130 @@
+/**
+ * Opinion Lens - SVG Chart Renderer
+ * Builds self-contained SVG markup (inline colors, no IDs) so charts render the same
+ * in the popup and inside the Twitter emblem's Shadow DOM
+ */
+
+import { formatPrice } from './utils.js';
+
+const COLORS = {
+    up: '#10B981',
+    down: '#EF4444',
+    flat: '#6B7280',
+    grid: 'rgba(255, 255, 255, 0.08)',
+    label: 'rgba(255, 255, 255, 0.5)',
+};
+
+// Smallest price range drawn, so a flat series does not fill the full height with noise
+const MIN_PRICE_RANGE = 0.02;
+
+/**
+ * Line color for a series: green when it ended higher, red when lower
+ * @param {Array<{t: number, p: number}>} points
+ * @returns {string}
+ */
+export function getTrendColor(points) {
+    if (!points || points.length < 2) return COLORS.flat;
+    const delta = points[points.length - 1].p - points[0].p;
+    if (delta > 0) return COLORS.up;
+    if (delta < 0) return COLORS.down;
+    return COLORS.flat;
+}
+
+/**
+ * Map points into a plot box
+ * @returns {{coords: Array<[number, number]>, min: number, max: number}}
+ */
+function project(points, { left, top, width, height }) {
+    let min = Math.min(...points.map(pt => pt.p));
+    let max = Math.max(...points.map(pt => pt.p));
+    if (max - min < MIN_PRICE_RANGE) {
+        const mid = (max + min) / 2;
+        min = Math.max(0, mid - MIN_PRICE_RANGE / 2);
+        max = Math.min(1, min + MIN_PRICE_RANGE);
+    }
+
+    const t0 = points[0].t;
+    const tSpan = (points[points.length - 1].t - t0) || 1;
+    const pSpan = max - min;
+
+    const coords = points.map(pt => [
+        round(left + ((pt.t - t0) / tSpan) * width),
+        round(top + (1 - (pt.p - min) / pSpan) * height),
+    ]);
+    return { coords, min, max };
+}
+
+function toPath(coords) {
+    return coords.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join(' ');
+}
+
+/**
+ * Render a minimal trend line
+ * @param {Array<{t: number, p: number}>} points
+ * @param {Object} options
+ * @returns {string} SVG markup, or '' when there is not enough data
+ */
+export function renderSparkline(points, { width = 64, height = 20, strokeWidth = 1.5 } = {}) {
+    if (!points || points.length < 2) return '';
+
+    const inset = strokeWidth;
+    const { coords } = project(points, {
+        left: 0,
+        top: inset,
+        width,
+        height: height - inset * 2,
+    });
+
+    return `<svg class="ol-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true">`
+        + `<path d="${toPath(coords)}" fill="none" stroke="${getTrendColor(points)}" stroke-width="${strokeWidth}" stroke-linejoin="round" stroke-linecap="round"/>`
+        + `</svg>`;
+}
+
+/**
+ * Render a price chart with area fill, min/mid/max gridlines and start/end time labels
+ * @param {Array<{t: number, p: number}>} points
+ * @param {Object} options
+ * @returns {string} SVG markup, or '' when there is not enough data
+ */
+export function renderPriceChart(points, { width = 320, height = 120 } = {}) {
+    if (!points || points.length < 2) return '';
+
+    const box = { left: 0, top: 6, width: width - 40, height: height - 24 };
+    const { coords, min, max } = project(points, box);
+    const color = getTrendColor(points);
+    const bottom = box.top + box.height;
+    const [lastX, lastY] = coords[coords.length - 1];
+
+    const line = toPath(coords);
+    const area = `${line} L${lastX} ${bottom} L${coords[0][0]} ${bottom} Z`;
+
+    const grid = [max, (max + min) / 2, min].map((value, i) => {
+        const y = round(box.top + (box.height / 2) * i);
+        return `<line x1="0" y1="${y}" x2="${box.width}" y2="${y}" stroke="${COLORS.grid}" stroke-width="1"/>`
+            + `<text x="${width - 2}" y="${y + 3}" text-anchor="end" font-size="9" fill="${COLORS.label}">${formatPrice(value)}</text>`;
+    }).join('');
+
+    const span = points[points.length - 1].t - points[0].t;
+    const timeLabels = `<text x="0" y="${height - 4}" font-size="9" fill="${COLORS.label}">${formatTime(points[0].t, span)}</text>`
+        + `<text x="${box.width}" y="${height - 4}" text-anchor="end" font-size="9" fill="${COLORS.label}">${formatTime(points[points.length - 1].t, span)}</text>`;
+
+    return `<svg class="ol-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">`
+        + grid
+        + `<path d="${area}" fill="${color}" fill-opacity="0.12" stroke="none"/>`
+        + `<path d="${line}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>`
+        + `<circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${color}"/>`
+        + timeLabels
+        + `</svg>`;
+}
+
+function formatTime(seconds, span) {
+    const date = new Date(seconds * 1000);
+    if (span <= 24 * 60 * 60) {
+        return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
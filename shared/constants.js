@@ -12,6 +12,8 @@ export const OPINION_APP_URL = 'https://app.opinion.trade';
 export const API_RATE_LIMIT = 15; // requests per second
 export const API_RETRY_ATTEMPTS = 3;
 export const API_RETRY_BASE_DELAY = 1000; // ms
+export const PAGINATION_CONCURRENCY = 4;   // pages of a list fetched in parallel
+export const PAGINATION_PAGE_RETRIES = 1;  // extra attempts for a failed page (timeouts included)
 
 // Cache TTL (milliseconds)
 export const CACHE_TTL = {
@@ -20,7 +22,62 @@ export const CACHE_TTL = {
     PRICES: 30 * 1000,            // 30 seconds (fallback when WS disconnected)
     ORDERBOOK: 30 * 1000,         // 30 seconds
     POSITIONS: 60 * 1000,         // 1 minute
+    PRICE_HISTORY: 5 * 60 * 1000, // 5 minutes
+    ACTIVITY: 30 * 1000,          // 30 seconds
 };
+export const RESPONSE_CACHE_MAX_AGE = 24 * 60 * 60 * 1000; // never serve older responses, even stale
+export const RESPONSE_CACHE_MAX_ENTRIES = 200;               // responses kept in memory
+
+// Price alerts (condition types live in shared/alert-conditions.js)
+export const ALERT_STATUS = {
+    ACTIVE: 'active',
+    TRIGGERED: 'triggered', // one-time alerts after firing
+};
+export const ALERT_SNOOZE_DURATION = 60 * 60 * 1000; // 1 hour
+export const ALERT_POLL_INTERVAL_MINUTES = 1;
+export const ALERT_POLL_BATCH_SIZE = 5;      // markets fetched in parallel
+export const ALERT_POLL_BATCH_DELAY = 1000;  // ms between batches
+export const MAX_ALERT_CONDITIONS = 3;       // conditions combined with AND/OR in one alert
+
+// Notification inbox: entry type -> filter label
+export const INBOX_TYPES = {
+    price_alert: 'Alerts',
+    order_update: 'Orders',
+    trade_executed: 'Trades',
+    market_event: 'Markets',
+    portfolio_update: 'Portfolio',
+    whale_trade: 'Whales',
+    wallet_position: 'Wallets',
+};
+export const MAX_INBOX_ENTRIES = 200;
+
+// Local market catalog (answers market lists and searches without paginating the API)
+export const CATALOG_SYNC_INTERVAL_MINUTES = 5;             // incremental sync: new and expired markets
+export const CATALOG_FULL_SYNC_INTERVAL = 30 * 60 * 1000;   // full sync: refreshes prices, volumes and statuses
+export const CATALOG_MAX_PAGES = 50;                        // /topic pages of 20 walked per sync
+export const MAX_NEW_MARKET_NOTIFICATIONS = 5;              // per sync, for followed categories
+
+// Local price recording (public mode)
+export const PRICE_RECORD_INTERVAL_MINUTES = 5;
+export const MAX_RECENT_MARKETS = 20;
+export const RECENT_MARKET_TTL = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+// Whale trades: highlighted in trade lists, notified for watchlisted markets
+export const WHALE_TRADE_THRESHOLD = 1000;   // USD, default for settings.whales.threshold
+export const WHALE_POLL_INTERVAL_MINUTES = 1;
+export const WHALE_POLL_BATCH_SIZE = 5;      // markets fetched in parallel
+export const MAX_WHALE_NOTIFICATIONS = 5;    // per poll without the digest
+
+// Positions (portfolio and followed wallets), fetched page by page
+export const POSITIONS_PAGE_SIZE = 100;
+export const MAX_POSITION_PAGES = 20;
+
+// Followed wallets (position changes need an API key)
+export const MAX_FOLLOWED_WALLETS = 20;
+export const WALLET_POLL_INTERVAL_MINUTES = 5;
+export const WALLET_POLL_BATCH_SIZE = 5;      // wallets fetched in parallel
+export const WALLET_TRADE_MARKETS = 5;        // markets whose activity is searched for a wallet's trades
+export const MAX_WALLET_NOTIFICATIONS = 5;    // per poll
 
 // WebSocket
 export const WS_HEARTBEAT_INTERVAL = 30000; // 30 seconds
@@ -39,11 +96,30 @@ export const MESSAGE_TYPES = {
     GET_ALERTS: 'GET_ALERTS',
     CREATE_ALERT: 'CREATE_ALERT',
     DELETE_ALERT: 'DELETE_ALERT',
+    UPDATE_ALERT: 'UPDATE_ALERT',
+    MARK_ALERTS_SEEN: 'MARK_ALERTS_SEEN',
+    GET_INBOX: 'GET_INBOX',
+    MARK_INBOX_READ: 'MARK_INBOX_READ',
+    CLEAR_INBOX: 'CLEAR_INBOX',
     GET_SETTINGS: 'GET_SETTINGS',
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     SEARCH_MARKETS: 'SEARCH_MARKETS',
     SEARCH_BY_SLUG: 'SEARCH_BY_SLUG',
+    GET_CATEGORIES: 'GET_CATEGORIES',
+    GET_FOLLOWED_CATEGORIES: 'GET_FOLLOWED_CATEGORIES',
+    FOLLOW_CATEGORY: 'FOLLOW_CATEGORY',
+    UNFOLLOW_CATEGORY: 'UNFOLLOW_CATEGORY',
     GET_LATEST_PRICE: 'GET_LATEST_PRICE',
+    GET_ORDERBOOK: 'GET_ORDERBOOK',
+    GET_PRICE_HISTORY: 'GET_PRICE_HISTORY',
+    GET_MARKET_ACTIVITY: 'GET_MARKET_ACTIVITY',
+    GET_WHALE_THRESHOLDS: 'GET_WHALE_THRESHOLDS',
+    SET_WHALE_THRESHOLD: 'SET_WHALE_THRESHOLD',
+    GET_FOLLOWED_WALLETS: 'GET_FOLLOWED_WALLETS',
+    FOLLOW_WALLET: 'FOLLOW_WALLET',
+    UNFOLLOW_WALLET: 'UNFOLLOW_WALLET',
+    GET_WALLET_POSITIONS: 'GET_WALLET_POSITIONS',
+    GET_WALLET_TRADES: 'GET_WALLET_TRADES',
     SUBSCRIBE_USER_MARKET: 'SUBSCRIBE_USER_MARKET',
     GET_USER_POSITIONS: 'GET_USER_POSITIONS',
     SET_API_KEY: 'SET_API_KEY',
@@ -55,6 +131,7 @@ export const MESSAGE_TYPES = {
     USER_ORDER_UPDATE: 'USER_ORDER_UPDATE',
     USER_TRADE_EXECUTED: 'USER_TRADE_EXECUTED',
     ALERT_TRIGGERED: 'ALERT_TRIGGERED',
+    INBOX_UPDATED: 'INBOX_UPDATED',
     CONNECTION_STATUS: 'CONNECTION_STATUS',
 };
 
@@ -64,9 +141,25 @@ export const STORAGE_KEYS = {
     WALLET_ADDRESS: 'opinion_wallet_address',
     WATCHLIST: 'opinion_watchlist',
     ALERTS: 'opinion_alerts',
+    ALERTS_SEEN_AT: 'opinion_alerts_seen_at',
+    INBOX: 'opinion_inbox',
     SETTINGS: 'opinion_settings',
     CACHE_MARKETS: 'cache_markets',
     CACHE_PRICES: 'cache_prices',
+    CACHE_PRICE_HISTORY: 'cache_price_history',
+    CACHE_RESPONSES: 'cache_response', // prefix, one key per cached API response
+    PRICE_SNAPSHOTS: 'price_snapshots', // prefix, one key per token
+    PRICE_SNAPSHOT_INDEX: 'price_snapshot_index',
+    RECENT_MARKETS: 'opinion_recent_markets',
+    MARKET_CATALOG: 'opinion_market_catalog',
+    ALERT_STATES: 'opinion_alert_states',
+    ALERT_SAMPLES: 'alert_samples', // chrome.storage.session
+    SEARCH_FILTERS: 'opinion_search_filters',
+    FOLLOWED_CATEGORIES: 'opinion_followed_categories',
+    WHALE_THRESHOLDS: 'opinion_whale_thresholds', // per-market overrides of settings.whales.threshold
+    WHALE_CURSORS: 'opinion_whale_cursors',       // newest trade seen per market
+    FOLLOWED_WALLETS: 'opinion_followed_wallets',
+    WALLET_POSITIONS: 'opinion_wallet_positions', // last open positions seen per followed wallet
 };
 
 // Default Settings
@@ -76,18 +169,37 @@ export const DEFAULT_SETTINGS = {
         priceAlerts: true,
         marketEvents: true,
         portfolioUpdates: true,
+        walletPositions: true, // followed wallets opening or closing positions
     },
     display: {
         priceFormat: 'cents', // 'cents' | 'percentage'
         refreshInterval: 30000,
     },
+    whales: {
+        enabled: true,
+        threshold: WHALE_TRADE_THRESHOLD,
+        digest: false, // one summary per poll instead of one notification per trade
+    },
     twitter: {
         enabled: true,
         showMarketCards: true,
         showPriceOverlays: true,
+        showRecentTrades: false, // latest trades under each emblem (one activity request per market)
     },
 };
 
+// Popup search filter bar, persisted between popup opens
+export const DEFAULT_SEARCH_FILTERS = {
+    label: '',                  // '' for every category
+    status: 'active',           // 'active' | 'resolved' | 'all'
+    endingWithinDays: 0,        // 0 for any end date
+    minVolume: 0,
+    minPrice: 0,                // leading YES price, 0-1
+    maxPrice: 1,
+    outcomeType: 'all',         // 'all' | 'binary' | 'multi'
+    sort: 'relevance',          // One of SEARCH_SORT in shared/market-filters.js
+};
+
 // Macro Keywords for Twitter Detection
 export const MACRO_KEYWORDS = {
     centralBanks: [
@@ -120,4 +232,9 @@ export const KEYWORD_SET = new Set(ALL_KEYWORDS.map(k => k.toLowerCase()));
 export const POPUP_WIDTH = 400;
 export const POPUP_HEIGHT = 600;
 export const TRENDING_MARKETS_COUNT = 5;
+export const ENDING_SOON_MARKETS_COUNT = 30;
+export const RESOLVED_MARKETS_COUNT = 30;
+export const RECENT_TRADES_COUNT = 20;
+export const RECENT_TRADES_REFRESH_INTERVAL = 15 * 1000; // live trades in the market detail
+export const EMBLEM_TRADES_COUNT = 2;
 export const MAX_WATCHLIST_SIZE = 20;
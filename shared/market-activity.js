@@ -0,0 +1,157 @@
+/**
+ * Opinion Lens - Market Activity
+ * Normalizes trades from the public /api/v2/activity feed and merges live updates
+ */
+
+import { WHALE_TRADE_THRESHOLD } from './constants.js';
+
+/**
+ * Trade directions
+ */
+export const TRADE_SIDE = {
+    BUY: 'buy',
+    SELL: 'sell',
+};
+
+// Activity rows carry the direction as a txType code
+const TX_TYPES = {
+    '1': TRADE_SIDE.BUY,
+    '2': TRADE_SIDE.SELL,
+};
+
+/**
+ * @typedef {Object} Trade
+ * @property {string} id - Built from wallet, token, time and size (rows carry no transaction hash)
+ * @property {number|string} marketId - Topic ID
+ * @property {string} title - Topic title (the child market's for multi-outcome markets)
+ * @property {string} tokenId
+ * @property {string} outcome - Outcome traded (e.g. "YES", "NO")
+ * @property {'buy'|'sell'|null} side - One of TRADE_SIDE, null for unknown txTypes
+ * @property {number} price - Price between 0 and 1
+ * @property {number} shares
+ * @property {number} value - USD paid or received
+ * @property {number|null} profit - Realized profit in USD, when reported
+ * @property {string} wallet
+ * @property {string} userName
+ * @property {number|null} createdAt - Unix timestamp (seconds)
+ */
+
+/**
+ * Parse a numeric string field
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Normalize one activity row
+ * @param {Object} raw
+ * @returns {Trade|null} Null for rows without a price or size
+ */
+export function normalizeTrade(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const price = toNumber(raw.price);
+    const shares = toNumber(raw.amount);
+    if (price === null || shares === null) return null;
+
+    const createdAt = toNumber(raw.createTime);
+    const wallet = String(raw.walletAddress || '').toLowerCase();
+    const tokenId = String(raw.tokenId || '');
+
+    return {
+        id: `${wallet}:${tokenId}:${createdAt}:${raw.amount}`,
+        marketId: raw.topicId ?? null,
+        title: String(raw.topicTitle || ''),
+        tokenId,
+        outcome: String(raw.txObject || ''),
+        side: TX_TYPES[String(raw.txType)] || null,
+        price,
+        shares,
+        value: toNumber(raw.totalPrice) ?? price * shares,
+        profit: toNumber(raw.profit),
+        wallet,
+        userName: String(raw.userName || ''),
+        createdAt: createdAt && createdAt > 1e12 ? Math.floor(createdAt / 1000) : createdAt,
+    };
+}
+
+/**
+ * Normalize an activity list, newest trade first
+ * @param {Array} list
+ * @returns {Trade[]}
+ */
+export function normalizeTrades(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .map(normalizeTrade)
+        .filter(Boolean)
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/**
+ * Whether a trade is whale-sized
+ * @param {Trade} trade
+ * @param {number} threshold - USD
+ * @returns {boolean}
+ */
+export function isWhaleTrade(trade, threshold = WHALE_TRADE_THRESHOLD) {
+    return threshold > 0 && trade.value >= threshold;
+}
+
+/**
+ * Merge a fresh or further page of trades into a list, newest first, without duplicates
+ * @param {Trade[]} current
+ * @param {Trade[]} incoming
+ * @returns {{trades: Trade[], added: Trade[]}} The merged list and the trades it did not hold before
+ */
+export function mergeTrades(current, incoming) {
+    const known = new Set(current.map(t => t.id));
+    const added = incoming.filter(t => !known.has(t.id) && known.add(t.id));
+    const trades = [...current, ...added].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    return { trades, added };
+}
+
+/**
+ * Whale threshold of a market: its own override, or the default
+ * @param {number|string} marketId
+ * @param {Object} config
+ * @param {number} config.threshold - Default threshold (USD)
+ * @param {Object<string, number>} [config.markets] - Market ID -> threshold (USD)
+ * @returns {number}
+ */
+export function getWhaleThreshold(marketId, { threshold, markets = {} }) {
+    const override = markets[String(marketId)];
+    return Number.isFinite(override) ? override : threshold;
+}
+
+/**
+ * Trades newer than a cursor, and the cursor moved past them
+ * A cursor holds the newest trade time seen and the IDs seen at that second, since several
+ * trades can share it. Without a cursor nothing counts as new: the first look only sets it.
+ * @param {Trade[]} trades
+ * @param {{t: number, ids: string[]}|null} cursor
+ * @returns {{trades: Trade[], cursor: {t: number, ids: string[]}|null}}
+ */
+export function getNewTrades(trades, cursor) {
+    const newest = Math.max(...trades.map(t => t.createdAt || 0), cursor?.t || 0);
+    const next = newest > 0
+        ? {
+            t: newest,
+            ids: [...new Set([
+                ...(newest === cursor?.t ? cursor.ids : []),
+                ...trades.filter(t => t.createdAt === newest).map(t => t.id),
+            ])],
+        }
+        : cursor;
+
+    if (!cursor) return { trades: [], cursor: next };
+
+    const seen = new Set(cursor.ids);
+    const fresh = trades.filter(t => t.createdAt > cursor.t || (t.createdAt === cursor.t && !seen.has(t.id)));
+    return { trades: fresh, cursor: next };
+}
@@ -0,0 +1,125 @@
+/**
+ * Opinion Lens - Market Catalog
+ * Merging, pruning, sorting and slug lookup for the local catalog of active markets
+ */
+
+import { isMarketActive } from './market-model.js';
+
+/**
+ * Sort orders accepted by GET_MARKETS (same codes as the official `sort` query param)
+ */
+export const MARKET_SORT = {
+    NEWEST: 1,
+    ENDING_SOON: 2,
+    VOLUME: 3,
+    VOLUME_24H: 5,
+};
+
+/**
+ * Creation time of the newest market in a list
+ * @param {Market[]} markets
+ * @returns {number} Unix timestamp (seconds), 0 when empty
+ */
+export function getNewestCreatedAt(markets) {
+    return markets.reduce((newest, m) => Math.max(newest, m.createdAt || 0), 0);
+}
+
+/**
+ * Whether a newest-first page holds nothing newer than the catalog, so an incremental sync can stop
+ * @param {Market[]} page
+ * @param {number} newestCreatedAt - Newest creation time already in the catalog
+ * @returns {boolean}
+ */
+export function isPageCaughtUp(page, newestCreatedAt) {
+    return newestCreatedAt > 0 && page.every(m => m.createdAt && m.createdAt <= newestCreatedAt);
+}
+
+/**
+ * Add or replace markets by ID
+ * @param {Map<string, Market>} catalog - Mutated
+ * @param {Market[]} markets
+ * @returns {number} Markets not previously in the catalog
+ */
+export function mergeMarkets(catalog, markets) {
+    let added = 0;
+    for (const market of markets) {
+        const id = String(market.marketId);
+        if (!catalog.has(id)) added++;
+        catalog.set(id, market);
+    }
+    return added;
+}
+
+/**
+ * Remove markets that are past their cutoff or no longer activated
+ * @param {Map<string, Market>} catalog - Mutated
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {number} Markets removed
+ */
+export function pruneCatalog(catalog, now = Math.floor(Date.now() / 1000)) {
+    let removed = 0;
+    for (const [id, market] of catalog) {
+        if (!isMarketActive(market, now)) {
+            catalog.delete(id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Sort a copy of a market list
+ * @param {Market[]} markets
+ * @param {number} sortBy - One of MARKET_SORT (24h volume when unknown)
+ * @returns {Market[]}
+ */
+export function sortMarkets(markets, sortBy = MARKET_SORT.VOLUME_24H) {
+    const sorted = [...markets];
+    switch (Number(sortBy)) {
+        case MARKET_SORT.NEWEST:
+            return sorted.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        case MARKET_SORT.ENDING_SOON:
+            // Markets without a cutoff go last
+            return sorted.sort((a, b) => (a.cutoffAt || Infinity) - (b.cutoffAt || Infinity));
+        case MARKET_SORT.VOLUME:
+            return sorted.sort((a, b) => b.totalVolume - a.totalVolume);
+        default:
+            // The public endpoint reports no 24h volume, so fall back to total volume
+            return sorted.sort((a, b) => (b.volume24h - a.volume24h) || (b.totalVolume - a.totalVolume));
+    }
+}
+
+/**
+ * Find the market a URL slug refers to
+ * A slug that is a prefix of a market's slug (or the reverse) wins; otherwise the market
+ * whose title and slug contain the most slug words, when at least two match
+ * @param {Market[]} markets
+ * @param {string} slug
+ * @returns {Market|null}
+ */
+export function findBySlug(markets, slug) {
+    const slugLower = (slug || '').toLowerCase();
+    if (!slugLower) return null;
+
+    const prefixMatch = markets.find(m => {
+        const mSlug = (m.slug || '').toLowerCase();
+        return mSlug && (mSlug.startsWith(slugLower) || slugLower.startsWith(mSlug));
+    });
+    if (prefixMatch) return prefixMatch;
+
+    const slugWords = slugLower.split('-').filter(w => w.length > 1);
+    if (slugWords.length < 2) return null;
+
+    let best = null;
+    let bestScore = 1;
+    for (const m of markets) {
+        const mSlug = (m.slug || '').toLowerCase();
+        const mTitle = (m.title || '').toLowerCase();
+        const score = slugWords.filter(w => mTitle.includes(w) || mSlug.includes(w)).length;
+        if (score > bestScore) {
+            best = m;
+            bestScore = score;
+        }
+    }
+    return best;
+}
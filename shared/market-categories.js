@@ -0,0 +1,66 @@
+/**
+ * Opinion Lens - Market Categories
+ * Groups markets by their labels for category browsing and followed-category notifications
+ */
+
+// Category of markets without labels
+export const UNCATEGORIZED = 'General';
+
+/**
+ * Categories a market belongs to
+ * @param {Market} market
+ * @returns {string[]}
+ */
+export function getMarketCategories(market) {
+    const labels = [...new Set((market.labels || []).map(l => String(l).trim()).filter(Boolean))];
+    return labels.length ? labels : [UNCATEGORIZED];
+}
+
+/**
+ * Whether a market is in a category (case-insensitive)
+ * @param {Market} market
+ * @param {string} category
+ * @returns {boolean}
+ */
+export function isInCategory(market, category) {
+    const wanted = String(category).toLowerCase();
+    return getMarketCategories(market).some(c => c.toLowerCase() === wanted);
+}
+
+/**
+ * Categories with their market count and volume, busiest first
+ * A market with several labels counts toward each of them
+ * @param {Market[]} markets
+ * @returns {Array<{name: string, count: number, volume24h: number, totalVolume: number}>}
+ */
+export function summarizeCategories(markets) {
+    const categories = new Map();
+    for (const market of markets) {
+        for (const name of getMarketCategories(market)) {
+            const category = categories.get(name) || { name, count: 0, volume24h: 0, totalVolume: 0 };
+            category.count++;
+            category.volume24h += market.volume24h || 0;
+            category.totalVolume += market.totalVolume || 0;
+            categories.set(name, category);
+        }
+    }
+
+    return [...categories.values()].sort((a, b) =>
+        (b.volume24h - a.volume24h) || (b.totalVolume - a.totalVolume) || (b.count - a.count) || a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * New markets in followed categories, each with the followed category it matched
+ * @param {Market[]} markets
+ * @param {string[]} followed - Category names
+ * @returns {Array<{market: Market, category: string}>}
+ */
+export function matchFollowedCategories(markets, followed) {
+    const matches = [];
+    for (const market of markets) {
+        const category = followed.find(name => isInCategory(market, name));
+        if (category) matches.push({ market, category });
+    }
+    return matches;
+}
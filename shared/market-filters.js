@@ -0,0 +1,159 @@
+/**
+ * Opinion Lens - Market Filters
+ * Filtering and sorting of search results for the popup's filter bar
+ */
+
+import { DEFAULT_SEARCH_FILTERS } from './constants.js';
+import { MARKET_STATUS, isMarketActive, getLeadingBinary } from './market-model.js';
+import { MARKET_SORT, sortMarkets } from './market-catalog.js';
+import { isInCategory } from './market-categories.js';
+
+/**
+ * Sort orders offered by the filter bar
+ */
+export const SEARCH_SORT = {
+    RELEVANCE: 'relevance',
+    VOLUME_24H: 'volume24h',
+    VOLUME: 'volume',
+    NEWEST: 'newest',
+    ENDING_SOON: 'ending',
+    MOVE_24H: 'move',
+};
+
+// Filter bar sorts the catalog already knows how to apply
+const CATALOG_SORTS = {
+    [SEARCH_SORT.VOLUME_24H]: MARKET_SORT.VOLUME_24H,
+    [SEARCH_SORT.VOLUME]: MARKET_SORT.VOLUME,
+    [SEARCH_SORT.NEWEST]: MARKET_SORT.NEWEST,
+    [SEARCH_SORT.ENDING_SOON]: MARKET_SORT.ENDING_SOON,
+};
+
+const STATUSES = ['active', 'resolved', 'all'];
+const OUTCOME_TYPES = ['all', 'binary', 'multi'];
+
+/**
+ * Fill in defaults and drop invalid values (filters come back from storage and form inputs)
+ * @param {Object} [filters]
+ * @returns {Object} A complete filter set, see DEFAULT_SEARCH_FILTERS
+ */
+export function normalizeFilters(filters = {}) {
+    const merged = { ...DEFAULT_SEARCH_FILTERS, ...filters };
+    const number = (value, fallback) => {
+        const n = Number(value);
+        return value === '' || value === null || !Number.isFinite(n) ? fallback : n;
+    };
+    const clampPrice = value => Math.min(1, Math.max(0, value));
+
+    let minPrice = clampPrice(number(merged.minPrice, 0));
+    let maxPrice = clampPrice(number(merged.maxPrice, 1));
+    if (minPrice > maxPrice) [minPrice, maxPrice] = [maxPrice, minPrice];
+
+    return {
+        label: String(merged.label || ''),
+        status: STATUSES.includes(merged.status) ? merged.status : DEFAULT_SEARCH_FILTERS.status,
+        endingWithinDays: Math.max(0, number(merged.endingWithinDays, 0)),
+        minVolume: Math.max(0, number(merged.minVolume, 0)),
+        minPrice,
+        maxPrice,
+        outcomeType: OUTCOME_TYPES.includes(merged.outcomeType) ? merged.outcomeType : DEFAULT_SEARCH_FILTERS.outcomeType,
+        sort: Object.values(SEARCH_SORT).includes(merged.sort) ? merged.sort : DEFAULT_SEARCH_FILTERS.sort,
+    };
+}
+
+/**
+ * Number of filters narrowing the results (the sort order doesn't count)
+ * @param {Object} filters
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+    const current = normalizeFilters(filters);
+    const isPriceRange = current.minPrice > 0 || current.maxPrice < 1;
+    return [
+        current.label !== DEFAULT_SEARCH_FILTERS.label,
+        current.status !== DEFAULT_SEARCH_FILTERS.status,
+        current.endingWithinDays > 0,
+        current.minVolume > 0,
+        isPriceRange,
+        current.outcomeType !== DEFAULT_SEARCH_FILTERS.outcomeType,
+    ].filter(Boolean).length;
+}
+
+/**
+ * Price a market is filtered on: its YES price, or the leading outcome's of a multi-outcome market
+ * @param {Market} market
+ * @returns {number|null}
+ */
+export function getFilterPrice(market) {
+    const price = getLeadingBinary(market)?.yesPrice;
+    return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Whether a market passes every filter
+ * @param {Market} market
+ * @param {Object} filters - Normalized filters
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {boolean}
+ */
+export function matchesFilters(market, filters, now = Math.floor(Date.now() / 1000)) {
+    const { label, status, endingWithinDays, minVolume, minPrice, maxPrice, outcomeType } = filters;
+
+    if (status === 'active' && !isMarketActive(market, now)) return false;
+    if (status === 'resolved' && market.status !== MARKET_STATUS.RESOLVED) return false;
+    if (status === 'all' && !isMarketActive(market, now) && market.status !== MARKET_STATUS.RESOLVED) return false;
+
+    if (label && !isInCategory(market, label)) return false;
+
+    if (endingWithinDays > 0) {
+        if (!market.cutoffAt || market.cutoffAt <= now || market.cutoffAt > now + endingWithinDays * 24 * 60 * 60) return false;
+    }
+
+    if ((market.totalVolume || 0) < minVolume) return false;
+
+    if (minPrice > 0 || maxPrice < 1) {
+        const price = getFilterPrice(market);
+        if (price === null || price < minPrice || price > maxPrice) return false;
+    }
+
+    if (outcomeType === 'binary' && market.isMulti) return false;
+    if (outcomeType === 'multi' && !market.isMulti) return false;
+
+    return true;
+}
+
+/**
+ * Sort a copy of a result list
+ * Relevance keeps the search ranking; the 24h move needs each market's price change, which
+ * markets don't carry, so it is passed in and markets without one go last
+ * @param {Market[]} markets
+ * @param {string} sort - One of SEARCH_SORT
+ * @param {Map<string, number>} [moves] - Market ID -> 24h YES price change
+ * @returns {Market[]}
+ */
+export function sortResults(markets, sort, moves = new Map()) {
+    if (sort === SEARCH_SORT.MOVE_24H) {
+        const move = m => {
+            const change = moves.get(String(m.marketId));
+            return Number.isFinite(change) ? Math.abs(change) : -1;
+        };
+        return [...markets].sort((a, b) => move(b) - move(a));
+    }
+    if (sort in CATALOG_SORTS) return sortMarkets(markets, CATALOG_SORTS[sort]);
+    return [...markets];
+}
+
+/**
+ * Filter and sort search results, then cap them
+ * The 24h move sort keeps the search ranking here; the popup reorders once it has price changes
+ * @param {Market[]} markets
+ * @param {Object} filters
+ * @param {Object} options
+ * @param {number} [options.limit=50]
+ * @param {number} [options.now]
+ * @returns {Market[]}
+ */
+export function applyFilters(markets, filters, { limit = 50, now = Math.floor(Date.now() / 1000) } = {}) {
+    const current = normalizeFilters(filters);
+    const matching = markets.filter(m => matchesFilters(m, current, now));
+    return sortResults(matching, current.sort).slice(0, limit);
+}
@@ -8,7 +8,7 @@ import { OPINION_APP_URL } from './constants.js';
 /**
  * Common words to exclude from keyword extraction
  */
-const STOP_WORDS = new Set([
+export const STOP_WORDS = new Set([
     'will', 'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have',
     'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
     'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
@@ -24,7 +24,7 @@ const STOP_WORDS = new Set([
 /**
  * Entity aliases - map common variations to canonical forms
  */
-const ENTITY_ALIASES = {
+export const ENTITY_ALIASES = {
     // Crypto
     'btc': 'bitcoin',
     'eth': 'ethereum',
@@ -131,7 +131,7 @@ class MarketIndexer {
         this.keywordIndex.clear();
 
         for (const market of markets) {
-            const keywords = this.extractKeywords(market.title || market.question || '');
+            const keywords = this.extractKeywords(market.title || '');
 
             // Store keywords on market for later reference
             market._keywords = keywords;
@@ -159,7 +159,7 @@ class MarketIndexer {
         const urlMatch = text.match(/topicId=(\d+)/);
         if (urlMatch) {
             const topicId = parseInt(urlMatch[1], 10);
-            const exactMarket = this.markets.find(m => m.id === topicId || m.topicId === topicId || m.marketId === topicId);
+            const exactMarket = this.markets.find(m => m.marketId === topicId);
             if (exactMarket) {
                 return [{ market: exactMarket, score: 999, matchedKeywords: ['URL_MATCH'] }];
             }
@@ -186,7 +186,7 @@ class MarketIndexer {
 
             if (regex.test(normalizedText) || textWords.has(keywordLower)) {
                 for (const market of markets) {
-                    const marketId = market.id;
+                    const marketId = market.marketId;
 
                     if (!matches.has(marketId)) {
                         matches.set(marketId, {
@@ -246,27 +246,23 @@ class MarketIndexer {
      * Get trade URL for market
      */
     getTradeUrl(market, side = 'yes') {
-        const isMulti = !!(market.childList?.length > 0) || (!market.yesTokenId && !market.yesLabel);
-        const baseUrl = `${OPINION_APP_URL}/detail?topicId=${market.id}`;
-        return isMulti ? `${baseUrl}&type=multi&side=${side}` : `${baseUrl}&side=${side}`;
+        const baseUrl = `${OPINION_APP_URL}/detail?topicId=${market.marketId}`;
+        return market.isMulti ? `${baseUrl}&type=multi&side=${side}` : `${baseUrl}&side=${side}`;
     }
 
     /**
      * Get market summary for display
      */
     getMarketSummary(market) {
-        const yesToken = market.tokens?.find(t => t.outcome === 'Yes') || {};
-        const noToken = market.tokens?.find(t => t.outcome === 'No') || {};
-
         return {
-            id: market.id,
-            title: market.title || market.question,
-            yesPrice: yesToken.price || 0.5,
-            noPrice: noToken.price || 0.5,
-            yesChange24h: yesToken.change24h || 0,
-            volume: market.volume24h || market.volume || 0,
-            endDate: market.endDate || market.resolutionDate,
-            category: market.category || 'General',
+            id: market.marketId,
+            title: market.title,
+            yesPrice: market.yesPrice,
+            noPrice: market.noPrice,
+            yesChange24h: market.yesChange24h || 0,
+            volume: market.volume24h || market.totalVolume,
+            endDate: market.cutoffAt ? new Date(market.cutoffAt * 1000).toISOString() : null,
+            category: market.labels[0] || 'General',
             tradeUrl: this.getTradeUrl(market),
             keywords: market._keywords || []
         };
@@ -0,0 +1,430 @@
+/**
+ * Opinion Lens - Market Model
+ * Normalizes every market-shaped API response into one Market/Outcome shape
+ *
+ * Sources handled:
+ *  - Official /openapi/market objects (marketId, marketTitle, yesTokenId, cutoffAt, childMarkets)
+ *  - Public /api/v2/topic objects (topicId, title, yesPos, cutoffTime, childList)
+ *  - Public /api/v2/activity rows (topicId, topicTitle, thumbnail_url)
+ *  - Already-normalized markets (normalizing is idempotent)
+ */
+
+/**
+ * Normalized market status values (match the official `status` query param)
+ */
+export const MARKET_STATUS = {
+    ACTIVATED: 'activated',
+    RESOLVED: 'resolved',
+    UNKNOWN: 'unknown',
+};
+
+// Numeric status codes used by the public /topic endpoint
+const TOPIC_STATUS_CODES = {
+    2: MARKET_STATUS.ACTIVATED,
+    4: MARKET_STATUS.RESOLVED,
+};
+
+/**
+ * @typedef {Object} Outcome
+ * @property {string} tokenId - Token traded for this outcome
+ * @property {string} label - Display label (e.g. "YES", "UP", or a child market title)
+ * @property {'yes'|'no'} side - Which side of the underlying binary market the token is
+ * @property {number} price - Price between 0 and 1
+ * @property {number|string} [marketId] - Child market ID (multi-outcome markets only)
+ */
+
+/**
+ * @typedef {Object} Market
+ * @property {number|string} marketId
+ * @property {string} title
+ * @property {string} slug
+ * @property {string} thumbnailUrl
+ * @property {string} rules
+ * @property {string} questionId
+ * @property {string} status - One of MARKET_STATUS
+ * @property {boolean} isMulti - True when the market has child outcome markets
+ * @property {string} yesTokenId
+ * @property {string} noTokenId
+ * @property {string} yesLabel
+ * @property {string} noLabel
+ * @property {number} yesPrice - Price between 0 and 1
+ * @property {number} noPrice - Price between 0 and 1
+ * @property {Outcome[]} outcomes
+ * @property {Market[]} children - Child markets of a multi-outcome market
+ * @property {number} volume24h
+ * @property {number} totalVolume
+ * @property {number|null} cutoffAt - Unix timestamp (seconds)
+ * @property {number|null} createdAt - Unix timestamp (seconds)
+ * @property {number|null} resolvedAt - Unix timestamp (seconds)
+ * @property {string} winningTokenId - Token that won, once resolved
+ * @property {string[]} labels - Category labels
+ */
+
+/**
+ * Return the first candidate that parses to a finite number
+ * @param {Array} candidates
+ * @param {number|null} fallback
+ * @returns {number|null}
+ */
+function pickNumber(candidates, fallback = null) {
+    for (const value of candidates) {
+        if (value === null || value === undefined || value === '') continue;
+        const n = typeof value === 'number' ? value : parseFloat(value);
+        if (Number.isFinite(n)) return n;
+    }
+    return fallback;
+}
+
+/**
+ * Return the first non-empty string candidate
+ * @param {Array} candidates
+ * @param {string} fallback
+ * @returns {string}
+ */
+function pickString(candidates, fallback = '') {
+    for (const value of candidates) {
+        if (value === null || value === undefined || value === '') continue;
+        return String(value);
+    }
+    return fallback;
+}
+
+/**
+ * Convert seconds, milliseconds or ISO strings to a unix timestamp in seconds
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toTimestamp(value) {
+    if (value === null || value === undefined || value === '' || value === 0) return null;
+    if (typeof value === 'string' && !/^\d+(\.\d+)?$/.test(value)) {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) return null;
+    return n > 1e12 ? Math.floor(n / 1000) : n;
+}
+
+/**
+ * Coerce an ID to a number when it is numeric, keep it as a string otherwise
+ * @param {*} value
+ * @returns {number|string|null}
+ */
+function toId(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isSafeInteger(n) ? n : String(value);
+}
+
+/**
+ * Resolve the normalized status of a raw market
+ * @param {Object} raw
+ * @returns {string}
+ */
+function normalizeStatus(raw) {
+    const known = Object.values(MARKET_STATUS);
+    const named = String(raw.statusEnum ?? raw.status ?? '').toLowerCase();
+    if (known.includes(named) && named !== MARKET_STATUS.UNKNOWN) return named;
+    if (named === 'active') return MARKET_STATUS.ACTIVATED;
+
+    const coded = TOPIC_STATUS_CODES[Number(raw.status)];
+    if (coded) return coded;
+
+    if (toTimestamp(raw.resolvedAt ?? raw.resolvedTime) || raw.resultPos || raw.resultTokenId) {
+        return MARKET_STATUS.RESOLVED;
+    }
+    return MARKET_STATUS.UNKNOWN;
+}
+
+/**
+ * Build the outcome list: YES/NO for binary markets, one entry per child for multi-outcome markets
+ * @param {Object} market - Market fields needed to derive outcomes
+ * @returns {Outcome[]}
+ */
+function buildOutcomes(market) {
+    if (market.isMulti) {
+        return market.children.map(child => ({
+            tokenId: child.yesTokenId,
+            label: child.title,
+            side: 'yes',
+            price: child.yesPrice,
+            marketId: child.marketId,
+        }));
+    }
+    return [
+        { tokenId: market.yesTokenId, label: market.yesLabel, side: 'yes', price: market.yesPrice },
+        { tokenId: market.noTokenId, label: market.noLabel, side: 'no', price: market.noPrice },
+    ];
+}
+
+/**
+ * Extract the market ID from a raw or normalized market
+ * @param {Object} market
+ * @returns {number|string|null}
+ */
+export function getMarketId(market) {
+    if (!market) return null;
+    return toId(market.marketId ?? market.topicId ?? market.id);
+}
+
+/**
+ * Raw child markets of a multi-outcome API object
+ * @param {Object} raw
+ * @returns {Array}
+ */
+function getRawChildren(raw) {
+    const children = raw.children || raw.childMarkets || raw.childList || [];
+    return Array.isArray(children) ? children : [];
+}
+
+/**
+ * Normalize a single market-shaped API object
+ * @param {Object} raw - Raw API object or already-normalized market
+ * @returns {Market|null} - null when the object has no usable ID
+ */
+export function normalizeMarket(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const marketId = getMarketId(raw);
+    if (marketId === null) return null;
+
+    // Invalid children are dropped here, so one bad outcome does not cost the whole topic
+    const rawChildren = getRawChildren(raw);
+    const children = normalizeMarkets(rawChildren);
+
+    const yesPrice = pickNumber([raw.yesPrice, raw.yesMarketPrice, raw.yesBuyPrice], 0.5);
+    const noPrice = pickNumber(
+        [raw.noPrice, raw.noMarketPrice, raw.noBuyPrice],
+        Math.round((1 - yesPrice) * 1000) / 1000
+    );
+
+    const yesTokenId = pickString([raw.yesTokenId, raw.yesPos]);
+    const noTokenId = pickString([raw.noTokenId, raw.noPos]);
+    const yesLabel = pickString([raw.yesLabel], 'YES');
+    const noLabel = pickString([raw.noLabel], 'NO');
+    const isMulti = raw.isMulti === true || raw.marketType === 1 || rawChildren.length > 0;
+
+    const labels = raw.labels || raw.labelName || [];
+
+    return {
+        marketId,
+        title: pickString([raw.title, raw.marketTitle, raw.topicTitle]),
+        slug: pickString([raw.slug]),
+        thumbnailUrl: pickString([raw.thumbnailUrl, raw.thumbnail_url]),
+        rules: pickString([raw.rules]),
+        questionId: pickString([raw.questionId]),
+        status: normalizeStatus(raw),
+        isMulti,
+        yesTokenId,
+        noTokenId,
+        yesLabel,
+        noLabel,
+        yesPrice,
+        noPrice,
+        outcomes: buildOutcomes({ isMulti, children, yesTokenId, noTokenId, yesLabel, noLabel, yesPrice, noPrice }),
+        children,
+        volume24h: pickNumber([raw.volume24h], 0),
+        totalVolume: pickNumber([raw.totalVolume, raw.volume], 0),
+        cutoffAt: toTimestamp(raw.cutoffAt ?? raw.cutoffTime),
+        createdAt: toTimestamp(raw.createdAt ?? raw.createTime),
+        resolvedAt: toTimestamp(raw.resolvedAt ?? raw.resolvedTime),
+        winningTokenId: pickString([raw.winningTokenId, raw.resultTokenId, raw.resultPos]),
+        labels: Array.isArray(labels) ? labels.map(String) : [],
+    };
+}
+
+/**
+ * Normalize a list of markets, dropping entries that fail validation
+ * Multi-outcome markets keep their valid children and are dropped only when none is valid
+ * @param {Array} list
+ * @returns {Market[]}
+ */
+export function normalizeMarkets(list) {
+    if (!Array.isArray(list)) return [];
+
+    const markets = [];
+    for (const raw of list) {
+        const market = normalizeMarket(raw);
+        const { valid, errors } = validateMarket(market);
+        if (!valid) {
+            console.warn('[Opinion Lens] Dropping invalid market:', getMarketId(raw), errors);
+        } else if (market.children.length === 0 && getRawChildren(raw).length > 0) {
+            console.warn('[Opinion Lens] Dropping market without valid children:', market.marketId);
+        } else {
+            markets.push(market);
+        }
+    }
+    return markets;
+}
+
+/**
+ * Check that an object conforms to the Market shape
+ * @param {Market} market
+ * @param {string} path - Prefix for error messages (used for children)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateMarket(market, path = '') {
+    const errors = [];
+    const err = (field, message) => errors.push(`${path}${field} ${message}`);
+    const isPrice = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+    const isTimestamp = (v) => v === null || (typeof v === 'number' && Number.isFinite(v));
+
+    if (!market || typeof market !== 'object') {
+        return { valid: false, errors: [`${path || 'market'} is not an object`] };
+    }
+
+    if (market.marketId === null || market.marketId === undefined) err('marketId', 'is required');
+    if (typeof market.title !== 'string' || !market.title) err('title', 'must be a non-empty string');
+    if (!Object.values(MARKET_STATUS).includes(market.status)) err('status', `is invalid: ${market.status}`);
+    if (typeof market.isMulti !== 'boolean') err('isMulti', 'must be a boolean');
+    if (typeof market.yesTokenId !== 'string') err('yesTokenId', 'must be a string');
+    if (typeof market.noTokenId !== 'string') err('noTokenId', 'must be a string');
+    if (!isPrice(market.yesPrice)) err('yesPrice', 'must be between 0 and 1');
+    if (!isPrice(market.noPrice)) err('noPrice', 'must be between 0 and 1');
+    if (!Number.isFinite(market.volume24h)) err('volume24h', 'must be a number');
+    if (!Number.isFinite(market.totalVolume)) err('totalVolume', 'must be a number');
+    if (!isTimestamp(market.cutoffAt)) err('cutoffAt', 'must be a timestamp or null');
+    if (!isTimestamp(market.createdAt)) err('createdAt', 'must be a timestamp or null');
+    if (!Array.isArray(market.labels)) err('labels', 'must be an array');
+
+    if (!Array.isArray(market.outcomes)) {
+        err('outcomes', 'must be an array');
+    } else {
+        market.outcomes.forEach((o, i) => {
+            if (typeof o.tokenId !== 'string') err(`outcomes[${i}].tokenId`, 'must be a string');
+            if (typeof o.label !== 'string') err(`outcomes[${i}].label`, 'must be a string');
+            if (!isPrice(o.price)) err(`outcomes[${i}].price`, 'must be between 0 and 1');
+        });
+    }
+
+    if (!Array.isArray(market.children)) {
+        err('children', 'must be an array');
+    } else {
+        market.children.forEach((child, i) => {
+            errors.push(...validateMarket(child, `${path}children[${i}].`).errors);
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check whether a normalized market is open for trading
+ * @param {Market} market
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {boolean}
+ */
+export function isMarketActive(market, now = Math.floor(Date.now() / 1000)) {
+    return market.status === MARKET_STATUS.ACTIVATED && (!market.cutoffAt || market.cutoffAt > now);
+}
+
+/**
+ * The outcome a resolved market settled on
+ * Multi-outcome markets resolve per child, so the winner is the child whose YES token won
+ * @param {Market} market
+ * @returns {Outcome|null} Null when unresolved or the winning token is unknown
+ */
+export function getWinningOutcome(market) {
+    if (market.winningTokenId) {
+        const outcome = market.outcomes.find(o => o.tokenId === market.winningTokenId);
+        if (outcome) return outcome;
+    }
+    if (market.isMulti) {
+        const winner = market.children.find(c => c.winningTokenId && c.winningTokenId === c.yesTokenId);
+        if (winner) return market.outcomes.find(o => o.tokenId === winner.yesTokenId) || null;
+    }
+    return null;
+}
+
+/**
+ * How a resolved market settled
+ * @param {Market} market
+ * @returns {{outcome: Outcome|null, resolvedAt: number|null}|null} Null while unresolved;
+ *   resolvedAt falls back to the cutoff when the API gives no resolution time
+ */
+export function getResolution(market) {
+    if (market.status !== MARKET_STATUS.RESOLVED) return null;
+    return {
+        outcome: getWinningOutcome(market),
+        resolvedAt: market.resolvedAt || market.cutoffAt || null,
+    };
+}
+
+/**
+ * Outcomes ordered by probability, highest first
+ * @param {Market} market
+ * @returns {Outcome[]}
+ */
+export function rankOutcomes(market) {
+    return [...market.outcomes].sort((a, b) => b.price - a.price);
+}
+
+/**
+ * The binary market that best represents a market: itself, or the leading child of a multi-outcome market
+ * @param {Market} market
+ * @returns {Market|null}
+ */
+export function getLeadingBinary(market) {
+    if (!market) return null;
+    if (!market.isMulti) return market;
+
+    const leader = rankOutcomes(market)[0];
+    return (leader && market.children.find(c => c.yesTokenId === leader.tokenId)) || null;
+}
+
+/**
+ * Collect every tradable token of a market (both sides of each child for multi-outcome markets)
+ * @param {Market} market
+ * @returns {string[]}
+ */
+export function getMarketTokenIds(market) {
+    const binaries = market.isMulti ? market.children : [market];
+    return binaries.flatMap(m => [m.yesTokenId, m.noTokenId]).filter(Boolean);
+}
+
+/**
+ * Map every token of a market to its current price (both sides of each child for multi-outcome markets)
+ * @param {Market} market
+ * @returns {Object<string, number>} tokenId -> price
+ */
+export function getMarketTokenPrices(market) {
+    const binaries = market.isMulti ? market.children : [market];
+    const prices = {};
+    for (const binary of binaries) {
+        if (binary.yesTokenId && Number.isFinite(binary.yesPrice)) prices[binary.yesTokenId] = binary.yesPrice;
+        if (binary.noTokenId && Number.isFinite(binary.noPrice)) prices[binary.noTokenId] = binary.noPrice;
+    }
+    return prices;
+}
+
+/**
+ * Apply a live token price to a market in place
+ * The opposite side of the same binary market is set to the complement
+ * @param {Market} market
+ * @param {string} tokenId
+ * @param {number} price - Price between 0 and 1
+ * @returns {boolean} - true when the token belongs to the market
+ */
+export function applyTokenPrice(market, tokenId, price) {
+    if (!tokenId || !Number.isFinite(price)) return false;
+
+    const complement = Math.round((1 - price) * 1000) / 1000;
+    let matched = false;
+
+    if (market.yesTokenId === tokenId) {
+        market.yesPrice = price;
+        market.noPrice = complement;
+        matched = true;
+    } else if (market.noTokenId === tokenId) {
+        market.noPrice = price;
+        market.yesPrice = complement;
+        matched = true;
+    }
+
+    for (const child of market.children) {
+        if (applyTokenPrice(child, tokenId, price)) matched = true;
+    }
+
+    if (matched) market.outcomes = buildOutcomes(market);
+    return matched;
+}
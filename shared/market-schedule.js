@@ -0,0 +1,90 @@
+/**
+ * Opinion Lens - Market Schedule
+ * Countdowns and end-time grouping for markets closing soon
+ */
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * End-time groups of the Ending Soon tab, in display order
+ */
+export const ENDING_GROUPS = [
+    { key: 'hour', label: 'Next hour' },
+    { key: 'today', label: 'Today' },
+    { key: 'week', label: 'This week' },
+    { key: 'later', label: 'Later' },
+];
+
+/**
+ * Seconds until a market's cutoff
+ * @param {Market} market
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {number|null} Null without a cutoff, negative once past it
+ */
+export function getTimeRemaining(market, now = Math.floor(Date.now() / 1000)) {
+    return market.cutoffAt ? market.cutoffAt - now : null;
+}
+
+/**
+ * Unix timestamp (seconds) of the next local midnight
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {number}
+ */
+export function getEndOfDay(now) {
+    const midnight = new Date(now * 1000);
+    midnight.setHours(24, 0, 0, 0);
+    return Math.floor(midnight.getTime() / 1000);
+}
+
+/**
+ * Which ENDING_GROUPS entry a market falls in
+ * @param {Market} market
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {string|null} Group key, null when the market has no cutoff or has ended
+ */
+export function getEndingGroup(market, now = Math.floor(Date.now() / 1000)) {
+    const remaining = getTimeRemaining(market, now);
+    if (remaining === null || remaining <= 0) return null;
+
+    if (remaining <= HOUR) return 'hour';
+    if (market.cutoffAt <= getEndOfDay(now)) return 'today';
+    if (remaining <= 7 * DAY) return 'week';
+    return 'later';
+}
+
+/**
+ * Group markets by end time, soonest first; ended markets and markets without a cutoff are left out
+ * @param {Market[]} markets
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {Array<{key: string, label: string, markets: Market[]}>} Non-empty groups only
+ */
+export function groupByEndTime(markets, now = Math.floor(Date.now() / 1000)) {
+    const groups = new Map(ENDING_GROUPS.map(group => [group.key, { ...group, markets: [] }]));
+    const upcoming = markets
+        .filter(m => getEndingGroup(m, now))
+        .sort((a, b) => a.cutoffAt - b.cutoffAt);
+
+    for (const market of upcoming) {
+        groups.get(getEndingGroup(market, now)).markets.push(market);
+    }
+    return [...groups.values()].filter(group => group.markets.length > 0);
+}
+
+/**
+ * Format a countdown, seconds shown only in the last hour (e.g. "2d 4h", "3h 12m", "4m 05s")
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatCountdown(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return 'Ended';
+
+    const days = Math.floor(seconds / DAY);
+    const hours = Math.floor((seconds % DAY) / HOUR);
+    const minutes = Math.floor((seconds % HOUR) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+}
@@ -0,0 +1,244 @@
+/**
+ * Opinion Lens - Market Search
+ * Full-text search over titles, slugs, labels and outcome names:
+ * accent-insensitive tokens, ticker/alias expansion, typo tolerance and BM25 ranking
+ */
+
+import { STOP_WORDS, ENTITY_ALIASES } from './market-indexer.js';
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Term frequency weight per field: a title hit counts more than a slug hit
+const FIELD_WEIGHTS = {
+    title: 3,
+    outcomes: 2,
+    labels: 2,
+    slug: 1,
+};
+
+// Score multiplier per kind of match between a query term and an indexed term
+const MATCH_WEIGHTS = {
+    exact: 1,
+    alias: 0.9,
+    prefix: 0.7,
+    typo: 0.6,      // one edit
+    typo2: 0.4,     // two edits
+};
+
+// Binary outcome labels say nothing about the market
+const GENERIC_OUTCOME_LABELS = new Set(['yes', 'no']);
+
+/**
+ * Lowercase and strip accents
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized word tokens (letters and digits of any script)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Single-word aliases grouped by canonical form (btc <-> bitcoin), and multi-word ones (federal reserve -> fed)
+ */
+const { ALIAS_GROUPS, PHRASE_ALIASES } = (() => {
+    const byCanonical = new Map();
+    const phrases = [];
+    for (const [alias, canonical] of Object.entries(ENTITY_ALIASES)) {
+        if (alias.includes(' ')) {
+            phrases.push([alias, canonical]);
+            continue;
+        }
+        if (!byCanonical.has(canonical)) byCanonical.set(canonical, new Set([canonical]));
+        byCanonical.get(canonical).add(alias);
+    }
+
+    const groups = new Map();
+    for (const group of byCanonical.values()) {
+        for (const term of group) groups.set(term, [...group].filter(t => t !== term));
+    }
+    return { ALIAS_GROUPS: groups, PHRASE_ALIASES: phrases };
+})();
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment), giving up past max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} Distance, or max + 1 when larger
+ */
+export function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d = Math.min(d, prevPrev[j - 2] + 1);
+            }
+            row.push(d);
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return Math.min(prev[b.length], max + 1);
+}
+
+/**
+ * Typos tolerated in a query term: none for short words and numbers (2025 is not 2026)
+ */
+function maxTypos(token) {
+    if (/\d/.test(token)) return 0;
+    if (token.length >= 8) return 2;
+    return token.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Searchable text of a market, by field
+ * @param {Market} market
+ * @returns {Object<string, string>}
+ */
+function getSearchFields(market) {
+    return {
+        title: market.title || '',
+        slug: (market.slug || '').replace(/-/g, ' '),
+        labels: (market.labels || []).join(' '),
+        outcomes: (market.outcomes || [])
+            .map(o => o.label || '')
+            .filter(label => !GENERIC_OUTCOME_LABELS.has(normalizeText(label)))
+            .join(' '),
+    };
+}
+
+/**
+ * Build a BM25 index over markets
+ * @param {Market[]} markets
+ * @returns {{docs: Array<{market: Market, tf: Map<string, number>, length: number}>, df: Map<string, number>, avgLength: number}}
+ */
+export function buildSearchIndex(markets) {
+    const df = new Map();
+    const docs = markets.map(market => {
+        const tf = new Map();
+        let length = 0;
+        for (const [field, text] of Object.entries(getSearchFields(market))) {
+            for (const token of tokenize(text)) {
+                tf.set(token, (tf.get(token) || 0) + FIELD_WEIGHTS[field]);
+                length += FIELD_WEIGHTS[field];
+            }
+        }
+        tf.forEach((_, token) => df.set(token, (df.get(token) || 0) + 1));
+        return { market, tf, length };
+    });
+
+    const avgLength = docs.length ? docs.reduce((sum, d) => sum + d.length, 0) / docs.length : 0;
+    return { docs, df, avgLength };
+}
+
+/**
+ * Turn a query into terms, each with the indexed tokens it matches and how strongly
+ * Stop words are dropped unless the query is nothing but stop words; phrase aliases add optional terms
+ * @param {string} query
+ * @param {Map<string, number>} vocabulary - Indexed token -> document frequency
+ * @returns {Array<{token: string, optional: boolean, variants: Map<string, number>}>}
+ */
+export function parseQuery(query, vocabulary) {
+    const tokens = [...new Set(tokenize(query))];
+    const meaningful = tokens.filter(t => !STOP_WORDS.has(t));
+    const terms = (meaningful.length ? meaningful : tokens).map(token => ({ token, optional: false }));
+
+    const phrase = ` ${tokens.join(' ')} `;
+    for (const [alias, canonical] of PHRASE_ALIASES) {
+        if (phrase.includes(` ${alias} `) && !terms.some(t => t.token === canonical)) {
+            terms.push({ token: canonical, optional: true });
+        }
+    }
+
+    return terms.map(({ token, optional }) => {
+        const variants = new Map();
+        const add = (term, weight) => {
+            if (vocabulary.has(term) && weight > (variants.get(term) || 0)) variants.set(term, weight);
+        };
+
+        add(token, MATCH_WEIGHTS.exact);
+        (ALIAS_GROUPS.get(token) || []).forEach(alias => add(alias, MATCH_WEIGHTS.alias));
+
+        const typos = maxTypos(token);
+        for (const term of vocabulary.keys()) {
+            if (token.length >= 2 && term.length > token.length && term.startsWith(token)) {
+                add(term, MATCH_WEIGHTS.prefix);
+            } else if (typos > 0) {
+                const distance = editDistance(token, term, typos);
+                if (distance <= typos) add(term, distance === 1 ? MATCH_WEIGHTS.typo : MATCH_WEIGHTS.typo2);
+            }
+        }
+
+        return { token, optional, variants };
+    });
+}
+
+/**
+ * Rank indexed markets against a query
+ * Scores are the BM25 sum over query terms (each term's best-matching variant), scaled by the share
+ * of required terms matched, so markets matching every word come first; ties go to total volume
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} query
+ * @returns {Array<{market: Market, score: number}>}
+ */
+export function rankMarkets(index, query) {
+    const { docs, df, avgLength } = index;
+    const terms = parseQuery(query, df);
+    const required = terms.filter(t => !t.optional).length;
+    const idf = term => Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+
+    const results = [];
+    for (const doc of docs) {
+        let score = 0;
+        let matched = 0;
+        for (const { optional, variants } of terms) {
+            let best = 0;
+            variants.forEach((weight, term) => {
+                const tf = doc.tf.get(term);
+                if (!tf) return;
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (avgLength || 1));
+                best = Math.max(best, weight * idf(term) * (tf * (BM25_K1 + 1)) / norm);
+            });
+            score += best;
+            if (best > 0 && !optional) matched++;
+        }
+        if (score > 0) {
+            results.push({ market: doc.market, score: score * (required ? matched / required : 1) });
+        }
+    }
+
+    return results.sort((a, b) => (b.score - a.score) || (b.market.totalVolume - a.market.totalVolume));
+}
+
+/**
+ * Search markets, best matches first
+ * @param {Market[]} markets
+ * @param {string} query - Blank returns the markets unchanged
+ * @param {Object} options
+ * @param {number} [options.limit=50]
+ * @returns {Market[]}
+ */
+export function searchMarkets(markets, query, { limit = 50 } = {}) {
+    if (!tokenize(query).length) return markets.slice(0, limit);
+    return rankMarkets(buildSearchIndex(markets), query).slice(0, limit).map(r => r.market);
+}
@@ -0,0 +1,115 @@
+/**
+ * Opinion Lens - Order Book
+ * Normalizes order book payloads and derives the depth summary shown in the UI
+ *
+ * Sources handled:
+ *  - Official /openapi/token/orderbook ({ bids: [{ price, size }], asks: [...] })
+ *  - Public /api/v2/order/market/depth (levels as objects or [price, size] tuples)
+ */
+
+import { getLeadingBinary } from './market-model.js';
+
+// Default number of price levels kept per side of the ladder
+export const DEPTH_LEVELS = 8;
+
+/**
+ * @typedef {Object} DepthLevel
+ * @property {number} price - Price between 0 and 1
+ * @property {number} size - Shares resting at this price
+ * @property {number} total - Cumulative shares from the best price to this level
+ */
+
+/**
+ * @typedef {Object} DepthSummary
+ * @property {number|null} bestBid
+ * @property {number|null} bestAsk
+ * @property {number|null} spread - bestAsk - bestBid
+ * @property {number|null} mid - Midpoint of best bid and ask
+ * @property {DepthLevel[]} bids - Highest price first
+ * @property {DepthLevel[]} asks - Lowest price first
+ */
+
+/**
+ * Parse one price level from either an object or a [price, size] tuple
+ * @returns {{price: number, size: number}|null}
+ */
+function parseLevel(level) {
+    if (!level) return null;
+
+    const [price, size] = Array.isArray(level)
+        ? level
+        : [level.price, level.size ?? level.amount ?? level.quantity ?? level.qty ?? level.shares];
+
+    const p = parseFloat(price);
+    const s = parseFloat(size);
+    if (!Number.isFinite(p) || !Number.isFinite(s) || s <= 0 || p < 0 || p > 1) return null;
+    return { price: p, size: s };
+}
+
+/**
+ * Normalize a raw order book into sorted bid and ask levels
+ * @param {Object} raw - API response
+ * @returns {{bids: Array<{price: number, size: number}>, asks: Array<{price: number, size: number}>}}
+ */
+export function normalizeOrderbook(raw) {
+    const bids = (raw?.bids || raw?.buys || []).map(parseLevel).filter(Boolean);
+    const asks = (raw?.asks || raw?.sells || []).map(parseLevel).filter(Boolean);
+
+    bids.sort((a, b) => b.price - a.price);
+    asks.sort((a, b) => a.price - b.price);
+
+    return { bids, asks };
+}
+
+/**
+ * Build the depth summary for one token's order book
+ * @param {Object} book - Raw or normalized order book
+ * @param {number} levels - Price levels kept per side
+ * @returns {DepthSummary}
+ */
+export function summarizeOrderbook(book, levels = DEPTH_LEVELS) {
+    const { bids, asks } = normalizeOrderbook(book);
+
+    const accumulate = (side) => {
+        let total = 0;
+        return side.slice(0, levels).map(({ price, size }) => {
+            total += size;
+            return { price, size, total };
+        });
+    };
+
+    const bestBid = bids.length ? bids[0].price : null;
+    const bestAsk = asks.length ? asks[0].price : null;
+    const hasBoth = bestBid !== null && bestAsk !== null;
+
+    return {
+        bestBid,
+        bestAsk,
+        spread: hasBoth ? round(bestAsk - bestBid) : null,
+        mid: hasBoth ? round((bestAsk + bestBid) / 2) : null,
+        bids: accumulate(bids),
+        asks: accumulate(asks),
+    };
+}
+
+/**
+ * Pick the binary market whose order book represents a market
+ * Multi-outcome markets use their leading outcome's child market
+ * @param {import('./market-model.js').Market} market
+ * @returns {{label: string, yesTokenId: string, noTokenId: string, questionId: string}|null}
+ */
+export function getOrderbookTarget(market) {
+    const binary = getLeadingBinary(market);
+    if (!binary?.yesTokenId) return null;
+
+    return {
+        label: market.isMulti ? binary.title : '',
+        yesTokenId: binary.yesTokenId,
+        noTokenId: binary.noTokenId,
+        questionId: binary.questionId,
+    };
+}
+
+function round(n) {
+    return Math.round(n * 10000) / 10000;
+}
@@ -0,0 +1,94 @@
+/**
+ * Opinion Lens - Pagination
+ * Bounded-concurrency page fetching that reports how complete the result is
+ */
+
+import { PAGINATION_CONCURRENCY, PAGINATION_PAGE_RETRIES } from './constants.js';
+
+/**
+ * @typedef {Object} PagedResult
+ * @property {Array} items - Items of every fetched page, in page order
+ * @property {boolean} complete - Every page up to the end of the list was fetched
+ * @property {boolean} truncated - The walk stopped at maxPages with more pages left
+ * @property {number} pagesFetched
+ * @property {number} pagesFailed
+ * @property {number|null} total - Item count reported by the API (or counted once the last page is known)
+ */
+
+/**
+ * Fetch pages 1..maxPages in parallel, stopping at the last page
+ * The first page is fetched alone: when it reports a total the page count is known up front,
+ * otherwise workers keep claiming pages until one comes back short
+ * @param {function(number): Promise<{items: Array, hasMore: boolean, total?: number}>} fetchPage - 1-based page
+ * @param {Object} options
+ * @param {number} options.pageSize
+ * @param {number} options.maxPages
+ * @param {number} [options.concurrency]
+ * @param {number} [options.retries] - Extra attempts per page (on top of any retries inside fetchPage)
+ * @returns {Promise<PagedResult>}
+ */
+export async function fetchPages(fetchPage, {
+    pageSize,
+    maxPages,
+    concurrency = PAGINATION_CONCURRENCY,
+    retries = PAGINATION_PAGE_RETRIES,
+}) {
+    const pages = new Map();
+    const failed = new Set();
+
+    const load = async (page) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await fetchPage(page);
+                pages.set(page, result);
+                return result;
+            } catch (error) {
+                if (attempt >= retries) {
+                    console.warn(`[Opinion Lens] Page ${page} failed:`, error.message);
+                    failed.add(page);
+                    return null;
+                }
+            }
+        }
+    };
+
+    const first = await load(1);
+    if (!first) return { items: [], complete: false, truncated: false, pagesFetched: 0, pagesFailed: 1, total: null };
+
+    const reportedTotal = Number.isFinite(first.total) ? first.total : null;
+    // Last page, once known; pages past it are never requested (or are discarded)
+    let lastPage = !first.hasMore ? 1
+        : reportedTotal !== null ? Math.min(maxPages, Math.max(1, Math.ceil(reportedTotal / pageSize)))
+            : maxPages;
+    let endFound = !first.hasMore || reportedTotal !== null;
+
+    let nextPage = 2;
+    const worker = async () => {
+        while (nextPage <= lastPage) {
+            const page = nextPage++;
+            const result = await load(page);
+            if (result && !result.hasMore && page < lastPage) {
+                lastPage = page;
+                endFound = true;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+    const pageNumbers = [...pages.keys()].filter(p => p <= lastPage).sort((a, b) => a - b);
+    const items = pageNumbers.flatMap(p => pages.get(p).items);
+    const pagesFailed = [...failed].filter(p => p <= lastPage).length;
+    const reachedEnd = endFound || pages.get(lastPage)?.hasMore === false;
+    const truncated = lastPage === maxPages && (reportedTotal !== null
+        ? reportedTotal > maxPages * pageSize
+        : pages.get(lastPage)?.hasMore === true);
+
+    return {
+        items,
+        complete: pagesFailed === 0 && !truncated,
+        truncated,
+        pagesFetched: pageNumbers.length,
+        pagesFailed,
+        total: reportedTotal ?? (reachedEnd && pagesFailed === 0 ? items.length : null),
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * Opinion Lens - Positions
+ * Normalizes /positions/user rows, sorts and reprices them, and detects positions opened or
+ * closed between snapshots
+ */
+
+/**
+ * Portfolio sort orders
+ */
+export const POSITION_SORT = {
+    VALUE: 'value',
+    PNL: 'pnl',
+    RETURN: 'return',
+    SHARES: 'shares',
+    PRICE: 'price',
+    TITLE: 'title',
+};
+
+// Sort key per POSITION_SORT; null keys go last in either direction
+const SORT_KEYS = {
+    [POSITION_SORT.VALUE]: p => p.value,
+    [POSITION_SORT.PNL]: p => p.pnl,
+    [POSITION_SORT.RETURN]: p => p.pnlPercent,
+    [POSITION_SORT.SHARES]: p => p.shares,
+    [POSITION_SORT.PRICE]: p => p.currentPrice,
+    [POSITION_SORT.TITLE]: p => getPositionTitle(p).toLowerCase(),
+};
+
+/**
+ * @typedef {Object} Position
+ * @property {string} id - Market and token, unique per wallet
+ * @property {number|string} marketId - Market the shares are in (a child market for multi-outcome topics)
+ * @property {number|string} topicId - Topic to open and to read activity from (the parent for child markets)
+ * @property {boolean} isMulti - Whether the market is a child of a multi-outcome topic
+ * @property {string} title - Market title
+ * @property {string} parentTitle - Parent topic title, empty for binary markets
+ * @property {string} outcome - Outcome held (e.g. "YES", "NO")
+ * @property {string} tokenId
+ * @property {number} shares
+ * @property {number|null} avgPrice - Average entry price between 0 and 1
+ * @property {number|null} currentPrice - Value per share
+ * @property {number} value - Current value in USD
+ * @property {number} pnl - Unrealized P&L in USD
+ * @property {number|null} pnlPercent - Unrealized return on cost, in percent
+ */
+
+/**
+ * Parse a numeric string field
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Normalize one position row
+ * @param {Object} raw
+ * @returns {Position|null} Null for rows without a market or share count
+ */
+export function normalizePosition(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const shares = toNumber(raw.sharesOwned);
+    if (raw.marketId === undefined || raw.marketId === null || shares === null) return null;
+
+    const rootMarketId = toNumber(raw.rootMarketId);
+    const isMulti = rootMarketId !== null && rootMarketId > 0 && rootMarketId !== toNumber(raw.marketId);
+    const tokenId = String(raw.tokenId || '');
+    const avgPrice = toNumber(raw.avgEntryPrice);
+    const value = toNumber(raw.currentValueInQuoteToken) ?? 0;
+    const pnl = toNumber(raw.unrealizedPnl) ?? 0;
+    const cost = avgPrice !== null ? avgPrice * shares : null;
+
+    return {
+        id: `${raw.marketId}:${tokenId}`,
+        marketId: raw.marketId,
+        topicId: isMulti ? rootMarketId : raw.marketId,
+        isMulti,
+        title: String(raw.marketTitle || ''),
+        parentTitle: isMulti ? String(raw.rootMarketTitle || '') : '',
+        outcome: String(raw.outcome || ''),
+        tokenId,
+        shares,
+        avgPrice,
+        currentPrice: shares > 0 ? value / shares : null,
+        value,
+        pnl,
+        pnlPercent: cost ? (pnl / cost) * 100 : null,
+    };
+}
+
+/**
+ * Normalize a position list, open positions only, largest value first
+ * @param {Array} list
+ * @returns {Position[]}
+ */
+export function normalizePositions(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .map(normalizePosition)
+        .filter(p => p && p.shares > 0)
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Positions opened and closed between two snapshots of a wallet
+ * A position counts as opened when its market and token were not held before, and as
+ * closed when they no longer are; size changes of a held position are neither.
+ * @param {Position[]} previous
+ * @param {Position[]} current
+ * @returns {{opened: Position[], closed: Position[]}}
+ */
+export function diffPositions(previous, current) {
+    const before = new Set(previous.map(p => p.id));
+    const after = new Set(current.map(p => p.id));
+    return {
+        opened: current.filter(p => !before.has(p.id)),
+        closed: previous.filter(p => !after.has(p.id)),
+    };
+}
+
+/**
+ * Full title of a position's market, e.g. "Parent topic · Child market"
+ * @param {Position} position
+ * @returns {string}
+ */
+export function getPositionTitle(position) {
+    return position.parentTitle ? `${position.parentTitle} · ${position.title}` : position.title;
+}
+
+/**
+ * Sort a copy of a position list
+ * @param {Position[]} positions
+ * @param {string} [sort] - One of POSITION_SORT (value when unknown)
+ * @param {boolean} [descending=true]
+ * @returns {Position[]}
+ */
+export function sortPositions(positions, sort = POSITION_SORT.VALUE, descending = true) {
+    const key = SORT_KEYS[sort] || SORT_KEYS[POSITION_SORT.VALUE];
+    const direction = descending ? -1 : 1;
+
+    return [...positions].sort((a, b) => {
+        const x = key(a);
+        const y = key(b);
+        if (x === null || y === null) return (x === null) - (y === null);
+        if (typeof x === 'string') return direction * x.localeCompare(y);
+        return direction * (x - y);
+    });
+}
+
+/**
+ * Reprice a position in place from a live token price: current price, value, P&L and return
+ * @param {Position} position
+ * @param {string} tokenId
+ * @param {number} price - Price between 0 and 1
+ * @returns {boolean} true when the price is for the position's token
+ */
+export function applyPositionPrice(position, tokenId, price) {
+    if (!tokenId || position.tokenId !== tokenId || !Number.isFinite(price)) return false;
+
+    const cost = position.avgPrice !== null ? position.avgPrice * position.shares : null;
+    position.currentPrice = price;
+    position.value = price * position.shares;
+    if (cost !== null) {
+        position.pnl = position.value - cost;
+        position.pnlPercent = cost ? (position.pnl / cost) * 100 : null;
+    }
+    return true;
+}
+
+/**
+ * Totals of a position list
+ * @param {Position[]} positions
+ * @returns {{value: number, pnl: number, cost: number, count: number}}
+ */
+export function summarizePositions(positions) {
+    return positions.reduce((totals, p) => ({
+        value: totals.value + p.value,
+        pnl: totals.pnl + p.pnl,
+        cost: totals.cost + (p.avgPrice !== null ? p.avgPrice * p.shares : 0),
+        count: totals.count + 1,
+    }), { value: 0, pnl: 0, cost: 0, count: 0 });
+}
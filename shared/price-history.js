@@ -0,0 +1,128 @@
+/**
+ * Opinion Lens - Price History
+ * Normalizes price history payloads into time-ordered points and derives change stats
+ *
+ * Sources handled:
+ *  - Official /openapi/token/price-history ({ history: [{ t, p }] })
+ *  - Public /api/v2/order/kline-batch (candles grouped per questionId)
+ */
+
+/**
+ * Chart intervals offered in the UI
+ * `api` is the official `interval` param; `period`/`size` drive the public kline-batch query
+ * (15min/672 is the combination captured from app.opinion.trade's 1w chart)
+ */
+export const HISTORY_INTERVALS = {
+    '1h': { label: '1H', api: '1h', period: '1min', size: 60, seconds: 60 * 60 },
+    '1d': { label: '1D', api: '1d', period: '15min', size: 96, seconds: 24 * 60 * 60 },
+    '1w': { label: '1W', api: '1w', period: '15min', size: 672, seconds: 7 * 24 * 60 * 60 },
+    'all': { label: 'All', api: 'max', period: '1day', size: 365, seconds: null },
+};
+
+export const DEFAULT_HISTORY_INTERVAL = '1d';
+
+// Points kept per series after downsampling (plenty for a 320px-wide chart)
+export const MAX_HISTORY_POINTS = 120;
+
+/**
+ * @typedef {Object} PricePoint
+ * @property {number} t - Unix timestamp (seconds)
+ * @property {number} p - Price between 0 and 1
+ */
+
+/**
+ * Parse one point from { t, p }, a candle object, or a [time, open, high, low, close] tuple
+ * @returns {PricePoint|null}
+ */
+function parsePoint(point) {
+    if (!point) return null;
+
+    let time;
+    let price;
+    if (Array.isArray(point)) {
+        time = point[0];
+        price = point.length >= 5 ? point[4] : point[1];
+    } else {
+        time = point.t ?? point.time ?? point.timestamp ?? point.startTime ?? point.ts;
+        price = point.p ?? point.price ?? point.close ?? point.c;
+    }
+
+    let t = typeof time === 'number' ? time : parseFloat(time);
+    const p = typeof price === 'number' ? price : parseFloat(price);
+    if (!Number.isFinite(t) || !Number.isFinite(p) || p < 0 || p > 1) return null;
+
+    // Millisecond timestamps → seconds
+    if (t > 1e12) t = Math.floor(t / 1000);
+    return { t, p };
+}
+
+/**
+ * Find the raw series inside a response
+ * kline-batch returns one entry per question; pick the requested one
+ */
+function extractSeries(raw, questionId) {
+    if (!raw) return [];
+    if (Array.isArray(raw.history)) return raw.history;
+
+    const list = Array.isArray(raw) ? raw : (raw.list || raw.data);
+    if (Array.isArray(list)) {
+        const isBatch = list.some(e => e && !Array.isArray(e) && (e.klines || e.kline || e.list));
+        if (!isBatch) return list;
+
+        const entry = list.find(e => (e.questionId || e.question_id) === questionId) || list[0];
+        return entry.klines || entry.kline || entry.list || [];
+    }
+
+    // Batch keyed by questionId
+    if (questionId && Array.isArray(raw[questionId])) return raw[questionId];
+    return [];
+}
+
+/**
+ * Normalize a price history response into ascending, de-duplicated points
+ * @param {Object|Array} raw - API response
+ * @param {string} [questionId] - Question to pick from a kline-batch response
+ * @returns {PricePoint[]}
+ */
+export function normalizePriceHistory(raw, questionId) {
+    const byTime = new Map();
+    for (const point of extractSeries(raw, questionId)) {
+        const parsed = parsePoint(point);
+        if (parsed) byTime.set(parsed.t, parsed);
+    }
+    return [...byTime.values()].sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Reduce a series to at most `max` evenly spaced points, keeping the first and last
+ * @param {PricePoint[]} points
+ * @param {number} max
+ * @returns {PricePoint[]}
+ */
+export function downsample(points, max = MAX_HISTORY_POINTS) {
+    if (points.length <= max) return points;
+    const step = (points.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Change between the first and last point of a series
+ * @param {PricePoint[]} points
+ * @returns {{first: number, last: number, change: number, changePct: number|null}|null}
+ */
+export function getPriceChange(points) {
+    if (!points || points.length < 2) return null;
+
+    const first = points[0].p;
+    const last = points[points.length - 1].p;
+    return {
+        first,
+        last,
+        change: round(last - first),
+        changePct: first > 0 ? round(((last - first) / first) * 100) : null,
+    };
+}
+
+function round(n) {
+    return Math.round(n * 10000) / 10000;
+}
@@ -0,0 +1,103 @@
+/**
+ * Opinion Lens - Price Snapshots
+ * Compact, self-trimming buffer of locally recorded market snapshots
+ * Used as price history when the API has none (public mode)
+ *
+ * Resolution tiers (by age):
+ *  - last 24h:    every recorded snapshot
+ *  - up to 7d:    one per hour
+ *  - up to 30d:   one per day
+ *  - older:       dropped
+ */
+
+export const SNAPSHOT_RETENTION = {
+    FULL_RESOLUTION: 24 * 60 * 60,
+    HOURLY: 7 * 24 * 60 * 60,
+    MAX_AGE: 30 * 24 * 60 * 60,
+};
+
+// Hard cap per series (24h at 5-minute ticks + a week hourly + daily leaves room to spare)
+export const MAX_SNAPSHOTS = 500;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} t - Unix timestamp (seconds)
+ * @property {number} y - YES price
+ * @property {number} n - NO price
+ * @property {number} v - 24h volume
+ */
+
+/**
+ * Build a snapshot from a normalized binary market
+ * @param {import('./market-model.js').Market} market
+ * @param {number} t - Unix timestamp (seconds)
+ * @returns {Snapshot}
+ */
+export function createSnapshot(market, t) {
+    return {
+        t,
+        y: market.yesPrice,
+        n: market.noPrice,
+        v: market.volume24h || 0,
+    };
+}
+
+/**
+ * Downsample a series by age tier and drop anything past retention
+ * The latest snapshot in each bucket wins
+ * @param {Snapshot[]} snapshots
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {Snapshot[]}
+ */
+export function compactSnapshots(snapshots, now) {
+    const sorted = [...snapshots].sort((a, b) => a.t - b.t);
+    const buckets = new Map();
+
+    for (const snapshot of sorted) {
+        const age = now - snapshot.t;
+        if (age > SNAPSHOT_RETENTION.MAX_AGE) continue;
+
+        let bucket;
+        if (age <= SNAPSHOT_RETENTION.FULL_RESOLUTION) {
+            bucket = `s${snapshot.t}`;
+        } else if (age <= SNAPSHOT_RETENTION.HOURLY) {
+            bucket = `h${Math.floor(snapshot.t / 3600)}`;
+        } else {
+            bucket = `d${Math.floor(snapshot.t / 86400)}`;
+        }
+
+        // Re-insert so the bucket keeps the position of its latest snapshot
+        buckets.delete(bucket);
+        buckets.set(bucket, snapshot);
+    }
+
+    const result = [...buckets.values()];
+    return result.length > MAX_SNAPSHOTS ? result.slice(-MAX_SNAPSHOTS) : result;
+}
+
+/**
+ * Append a snapshot, replacing any at the same or a later time, then compact
+ * @param {Snapshot[]} snapshots
+ * @param {Snapshot} snapshot
+ * @param {number} now - Unix timestamp (seconds)
+ * @returns {Snapshot[]}
+ */
+export function appendSnapshot(snapshots, snapshot, now = snapshot.t) {
+    const kept = (snapshots || []).filter(s => s.t < snapshot.t);
+    kept.push(snapshot);
+    return compactSnapshots(kept, now);
+}
+
+/**
+ * Convert snapshots to chart points for one side
+ * @param {Snapshot[]} snapshots
+ * @param {number|null} since - Unix timestamp (seconds); null for everything
+ * @param {'y'|'n'} side
+ * @returns {Array<{t: number, p: number}>}
+ */
+export function snapshotsToPoints(snapshots, since = null, side = 'y') {
+    return (snapshots || [])
+        .filter(s => since === null || s.t >= since)
+        .filter(s => Number.isFinite(s[side]))
+        .map(s => ({ t: s.t, p: s[side] }));
+}
@@ -0,0 +1,139 @@
+/**
+ * Opinion Lens - Request Scheduler
+ * Token-bucket rate limiting, retries with exponential backoff and jitter,
+ * Retry-After handling and coalescing of identical in-flight requests
+ */
+
+import { API_RATE_LIMIT, API_RETRY_ATTEMPTS, API_RETRY_BASE_DELAY } from './constants.js';
+import { sleep } from './utils.js';
+
+// Longest a single Retry-After or backoff may hold requests back (ms)
+export const MAX_RETRY_DELAY = 30 * 1000;
+
+/**
+ * Parse a Retry-After header value (delta seconds or HTTP date)
+ * @param {string|null} value
+ * @param {number} now - ms
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with equal jitter: half the step is fixed, half is random
+ * @param {number} attempt - 0 for the first retry
+ * @param {number} baseDelay - ms
+ * @param {function(): number} random
+ * @returns {number} ms
+ */
+export function getRetryDelay(attempt, baseDelay = API_RETRY_BASE_DELAY, random = Math.random) {
+    const step = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY);
+    return Math.round(step / 2 + random() * step / 2);
+}
+
+/**
+ * Whether a failed request is worth retrying: rate limits, server errors and network failures
+ * Timeouts are not retried, since each attempt already waited the full timeout
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+    if (error?.status) return error.status === 429 || error.status >= 500;
+    return error?.name === 'TypeError';
+}
+
+export class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} [options.rateLimit] - Requests per second (also the burst size)
+     * @param {number} [options.retryAttempts] - Retries after the first attempt
+     * @param {number} [options.retryBaseDelay] - ms
+     * @param {function(): number} [options.now]
+     * @param {function(number): Promise} [options.wait]
+     */
+    constructor({
+        rateLimit = API_RATE_LIMIT,
+        retryAttempts = API_RETRY_ATTEMPTS,
+        retryBaseDelay = API_RETRY_BASE_DELAY,
+        now = () => Date.now(),
+        wait = sleep,
+    } = {}) {
+        this.rateLimit = rateLimit;
+        this.retryAttempts = retryAttempts;
+        this.retryBaseDelay = retryBaseDelay;
+        this.now = now;
+        this.wait = wait;
+
+        this.tokens = rateLimit;
+        this.lastRefill = now();
+        this.pausedUntil = 0;
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Run a request through the scheduler
+     * Identical keyed requests already in flight share one result; idempotent requests are retried
+     * @param {string|null} key - Dedup key (null to never coalesce)
+     * @param {function(): Promise} task - Performs one attempt; errors may carry `status` and `retryAfter` (ms)
+     * @param {Object} options
+     * @param {boolean} [options.idempotent=true] - Safe to retry
+     * @returns {Promise}
+     */
+    request(key, task, { idempotent = true } = {}) {
+        if (key && this.inFlight.has(key)) return this.inFlight.get(key);
+
+        const promise = this._run(task, idempotent).finally(() => {
+            if (key) this.inFlight.delete(key);
+        });
+        if (key) this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Attempt a task, retrying with backoff or the server's Retry-After
+     */
+    async _run(task, idempotent) {
+        for (let attempt = 0; ; attempt++) {
+            await this._acquire();
+
+            try {
+                return await task();
+            } catch (error) {
+                if (Number.isFinite(error.retryAfter)) {
+                    // A 429 applies to the whole client, so hold every queued request back
+                    this.pausedUntil = Math.max(this.pausedUntil, this.now() + Math.min(error.retryAfter, MAX_RETRY_DELAY));
+                }
+
+                if (!idempotent || attempt >= this.retryAttempts || !isRetryableError(error)) throw error;
+
+                const delay = Number.isFinite(error.retryAfter)
+                    ? Math.min(error.retryAfter, MAX_RETRY_DELAY)
+                    : getRetryDelay(attempt, this.retryBaseDelay);
+                await this.wait(delay);
+            }
+        }
+    }
+
+    /**
+     * Take a token, waiting for the bucket to refill (and any Retry-After pause) when empty
+     * Tokens are reserved up front, so concurrent callers queue in order
+     */
+    async _acquire() {
+        const now = this.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.rateLimit, this.tokens + elapsed * this.rateLimit);
+        this.lastRefill = now;
+        this.tokens -= 1;
+
+        const bucketWait = this.tokens < 0 ? (-this.tokens / this.rateLimit) * 1000 : 0;
+        const delay = Math.max(bucketWait, this.pausedUntil - now);
+        if (delay > 0) await this.wait(Math.ceil(delay));
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Opinion Lens - Response Cache
+ * Stale-while-revalidate cache for API responses, kept in memory and persisted through the storage manager
+ */
+
+import { STORAGE_KEYS, RESPONSE_CACHE_MAX_AGE, RESPONSE_CACHE_MAX_ENTRIES } from './constants.js';
+
+/**
+ * Whether a response is worth caching: empty lists (bare or as a paged result's `items`)
+ * and missing results are retried on the next request
+ * @param {any} data
+ * @returns {boolean}
+ */
+export function isCacheable(data) {
+    if (data === null || data === undefined) return false;
+    const list = Array.isArray(data) ? data : data.items;
+    return !Array.isArray(list) || list.length > 0;
+}
+
+export class ResponseCache {
+    /**
+     * @param {Object} options
+     * @param {{getCache: Function, setCache: Function}|null} [options.store] - Persistent storage (memory only when null)
+     * @param {string} [options.prefix] - Storage key prefix
+     * @param {number} [options.maxAge] - Entries older than this (ms) are never served, even while revalidating
+     * @param {number} [options.maxEntries] - Entries kept in memory
+     * @param {function(): number} [options.now]
+     */
+    constructor({
+        store = null,
+        prefix = STORAGE_KEYS.CACHE_RESPONSES,
+        maxAge = RESPONSE_CACHE_MAX_AGE,
+        maxEntries = RESPONSE_CACHE_MAX_ENTRIES,
+        now = () => Date.now(),
+    } = {}) {
+        this.store = store;
+        this.prefix = prefix;
+        this.maxAge = maxAge;
+        this.maxEntries = maxEntries;
+        this.now = now;
+
+        this.entries = new Map();
+        this.loading = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Listen for fresh data replacing a cached entry
+     * @param {function(string, any): void} listener - Called with (key, data)
+     * @returns {function(): void} Unsubscribe
+     */
+    onUpdate(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Cached data for a key, loading it when missing
+     * Expired entries are served as-is while a background load refreshes them
+     * @param {string} key
+     * @param {number} ttl - ms before an entry is revalidated
+     * @param {function(): Promise} loader
+     * @returns {Promise}
+     */
+    async get(key, ttl, loader) {
+        const entry = await this._read(key);
+        if (!entry) return this.refresh(key, loader);
+
+        if (this.now() - entry.timestamp >= ttl) {
+            this.refresh(key, loader).catch(error => {
+                console.warn(`[Opinion Lens] Background refresh of ${key} failed:`, error.message);
+            });
+        }
+        return entry.data;
+    }
+
+    /**
+     * Load a key from the network, bypassing any cached entry
+     * Concurrent loads of the same key share one request
+     * @param {string} key
+     * @param {function(): Promise} loader
+     * @returns {Promise}
+     */
+    refresh(key, loader) {
+        if (this.loading.has(key)) return this.loading.get(key);
+
+        const promise = (async () => {
+            const replaced = !!(await this._read(key));
+            const data = await loader();
+            if (isCacheable(data)) {
+                await this._write(key, data);
+                if (replaced) this._emit(key, data);
+            }
+            return data;
+        })().finally(() => this.loading.delete(key));
+
+        this.loading.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Memory entry, falling back to persistent storage; null when missing or older than maxAge
+     */
+    async _read(key) {
+        let entry = this.entries.get(key);
+        if (!entry && this.store) {
+            entry = await this.store.getCache(`${this.prefix}_${key}`);
+            if (entry) this._remember(key, entry);
+        }
+        if (!entry || this.now() - entry.timestamp >= this.maxAge) return null;
+        return entry;
+    }
+
+    async _write(key, data) {
+        this._remember(key, { data, timestamp: this.now() });
+        if (this.store) await this.store.setCache(`${this.prefix}_${key}`, data);
+    }
+
+    /**
+     * Store in memory, evicting the least recently written entries beyond maxEntries
+     */
+    _remember(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    _emit(key, data) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(key, data);
+            } catch (error) {
+                console.error('[Opinion Lens] Cache listener failed:', error);
+            }
+        });
+    }
+}
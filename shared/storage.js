@@ -3,7 +3,8 @@
  * Handles Chrome storage with encryption for sensitive data
  */
 
-import { STORAGE_KEYS, DEFAULT_SETTINGS } from './constants.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, MAX_RECENT_MARKETS, RECENT_MARKET_TTL, MAX_INBOX_ENTRIES, DEFAULT_SEARCH_FILTERS, MAX_FOLLOWED_WALLETS } from './constants.js';
+import { generateId, isWalletAddress } from './utils.js';
 
 /**
  * Simple encryption for API keys (not cryptographically strong, but better than plaintext)
@@ -28,6 +29,21 @@ function decrypt(encoded) {
     }
 }
 
+// Last queued inbox update; every inbox write chains onto it, so notifications fired in the
+// same tick don't read the same inbox and overwrite each other's entries
+let inboxQueue = Promise.resolve();
+
+/**
+ * Run an inbox read-modify-write once the updates queued before it have finished
+ * @param {function(): Promise} update
+ * @returns {Promise}
+ */
+function queueInboxUpdate(update) {
+    const result = inboxQueue.then(update);
+    inboxQueue = result.catch(() => { });
+    return result;
+}
+
 /**
  * Storage Manager Class
  */
@@ -127,6 +143,145 @@ class StorageManager {
         return filtered;
     }
 
+    /**
+     * Get followed categories
+     * @returns {Promise<string[]>}
+     */
+    async getFollowedCategories() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.FOLLOWED_CATEGORIES);
+        return result[STORAGE_KEYS.FOLLOWED_CATEGORIES] || [];
+    }
+
+    /**
+     * Follow a category
+     * @param {string} category
+     */
+    async followCategory(category) {
+        const followed = await this.getFollowedCategories();
+        if (!followed.includes(category)) {
+            followed.push(category);
+            await chrome.storage.local.set({ [STORAGE_KEYS.FOLLOWED_CATEGORIES]: followed });
+        }
+        return followed;
+    }
+
+    /**
+     * Unfollow a category
+     * @param {string} category
+     */
+    async unfollowCategory(category) {
+        const followed = (await this.getFollowedCategories()).filter(c => c !== category);
+        await chrome.storage.local.set({ [STORAGE_KEYS.FOLLOWED_CATEGORIES]: followed });
+        return followed;
+    }
+
+    /**
+     * Get per-market whale thresholds
+     * @returns {Promise<Object<string, number>>} Market ID -> USD
+     */
+    async getWhaleThresholds() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.WHALE_THRESHOLDS);
+        return result[STORAGE_KEYS.WHALE_THRESHOLDS] || {};
+    }
+
+    /**
+     * Set a market's whale threshold
+     * @param {string} marketId
+     * @param {number|null} threshold - USD, null to use the default again
+     */
+    async setWhaleThreshold(marketId, threshold) {
+        const thresholds = await this.getWhaleThresholds();
+        if (threshold === null || threshold === undefined) {
+            delete thresholds[String(marketId)];
+        } else {
+            thresholds[String(marketId)] = threshold;
+        }
+        await chrome.storage.local.set({ [STORAGE_KEYS.WHALE_THRESHOLDS]: thresholds });
+        return thresholds;
+    }
+
+    /**
+     * Get the newest trade seen per market by the whale watcher
+     * @returns {Promise<Object<string, {t: number, ids: string[]}>>}
+     */
+    async getWhaleCursors() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.WHALE_CURSORS);
+        return result[STORAGE_KEYS.WHALE_CURSORS] || {};
+    }
+
+    /**
+     * Set the newest trade seen per market
+     * @param {Object<string, {t: number, ids: string[]}>} cursors
+     */
+    async setWhaleCursors(cursors) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.WHALE_CURSORS]: cursors });
+    }
+
+    /**
+     * Get followed wallets, oldest first
+     * @returns {Promise<Array<{address: string, name: string, addedAt: number}>>}
+     */
+    async getFollowedWallets() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.FOLLOWED_WALLETS);
+        return result[STORAGE_KEYS.FOLLOWED_WALLETS] || [];
+    }
+
+    /**
+     * Follow a wallet, or rename one already followed
+     * @param {string} address
+     * @param {string} [name] - Display name, e.g. the trader's user name
+     */
+    async followWallet(address, name = '') {
+        if (!isWalletAddress(address)) throw new Error('INVALID_WALLET');
+
+        const wallet = address.trim().toLowerCase();
+        const followed = await this.getFollowedWallets();
+        const existing = followed.find(w => w.address === wallet);
+
+        if (existing) {
+            if (name) existing.name = name;
+        } else {
+            if (followed.length >= MAX_FOLLOWED_WALLETS) throw new Error('FOLLOWED_WALLETS_FULL');
+            followed.push({ address: wallet, name, addedAt: Date.now() });
+        }
+        await chrome.storage.local.set({ [STORAGE_KEYS.FOLLOWED_WALLETS]: followed });
+        return followed;
+    }
+
+    /**
+     * Unfollow a wallet and forget its last positions
+     * @param {string} address
+     */
+    async unfollowWallet(address) {
+        const wallet = String(address).toLowerCase();
+        const followed = (await this.getFollowedWallets()).filter(w => w.address !== wallet);
+        const snapshots = await this.getWalletPositions();
+        delete snapshots[wallet];
+
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.FOLLOWED_WALLETS]: followed,
+            [STORAGE_KEYS.WALLET_POSITIONS]: snapshots
+        });
+        return followed;
+    }
+
+    /**
+     * Get the last open positions seen per followed wallet
+     * @returns {Promise<Object<string, Position[]>>} Wallet address -> positions
+     */
+    async getWalletPositions() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.WALLET_POSITIONS);
+        return result[STORAGE_KEYS.WALLET_POSITIONS] || {};
+    }
+
+    /**
+     * Set the last open positions seen per followed wallet
+     * @param {Object<string, Position[]>} snapshots
+     */
+    async setWalletPositions(snapshots) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.WALLET_POSITIONS]: snapshots });
+    }
+
     /**
      * Get alerts
      * @returns {Promise<Array>}
@@ -155,6 +310,114 @@ class StorageManager {
         return alerts;
     }
 
+    /**
+     * Update fields of an alert
+     * @param {string} alertId
+     * @param {Object} updates
+     */
+    async updateAlert(alertId, updates) {
+        const alerts = await this.getAlerts();
+        const updated = alerts.map(a => a.id === alertId ? { ...a, ...updates } : a);
+        await this.setAlerts(updated);
+        return updated;
+    }
+
+    /**
+     * Get when triggered alerts were last viewed
+     * @returns {Promise<number>} Timestamp in ms
+     */
+    async getAlertsSeenAt() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.ALERTS_SEEN_AT);
+        return result[STORAGE_KEYS.ALERTS_SEEN_AT] || 0;
+    }
+
+    /**
+     * Mark triggered alerts as viewed
+     * @param {number} timestamp - ms
+     */
+    async setAlertsSeenAt(timestamp = Date.now()) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.ALERTS_SEEN_AT]: timestamp });
+    }
+
+    /**
+     * Get notification inbox entries, newest first
+     * @returns {Promise<Array>}
+     */
+    async getInbox() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.INBOX);
+        return result[STORAGE_KEYS.INBOX] || [];
+    }
+
+    /**
+     * Record a notification in the inbox (capped at MAX_INBOX_ENTRIES)
+     * @param {{type: string, title: string, message: string, marketId?: string, payload?: Object}} entry
+     * @returns {Promise<Object>} The stored entry
+     */
+    addInboxEntry(entry) {
+        return queueInboxUpdate(async () => {
+            const inbox = await this.getInbox();
+            const stored = { ...entry, id: generateId(), createdAt: Date.now(), read: false };
+            await chrome.storage.local.set({ [STORAGE_KEYS.INBOX]: [stored, ...inbox].slice(0, MAX_INBOX_ENTRIES) });
+            return stored;
+        });
+    }
+
+    /**
+     * Mark inbox entries as read
+     * @param {string[]|null} ids - Entry IDs, or null for every entry
+     * @returns {Promise<Array>}
+     */
+    markInboxRead(ids = null) {
+        return queueInboxUpdate(async () => {
+            const inbox = await this.getInbox();
+            const updated = inbox.map(e => (!ids || ids.includes(e.id)) ? { ...e, read: true } : e);
+            await chrome.storage.local.set({ [STORAGE_KEYS.INBOX]: updated });
+            return updated;
+        });
+    }
+
+    /**
+     * Remove every inbox entry
+     */
+    clearInbox() {
+        return queueInboxUpdate(() => chrome.storage.local.remove(STORAGE_KEYS.INBOX));
+    }
+
+    /**
+     * Get persisted condition engine state per alert (armed flag and condition memo)
+     * @returns {Promise<Object<string, Object>>} alertId -> state
+     */
+    async getAlertStates() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.ALERT_STATES);
+        return result[STORAGE_KEYS.ALERT_STATES] || {};
+    }
+
+    /**
+     * Set condition engine state per alert
+     * @param {Object<string, Object>} states
+     */
+    async setAlertStates(states) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.ALERT_STATES]: states });
+    }
+
+    /**
+     * Get recent price and volume samples, and the last seen alerted markets, used by alert conditions
+     * Session storage survives service worker suspension and is cleared with the browser session
+     * @returns {Promise<{prices: Object<string, Array>, volumes: Object<string, Array>, markets: Object<string, Object>}>}
+     */
+    async getAlertSamples() {
+        const result = await chrome.storage.session.get(STORAGE_KEYS.ALERT_SAMPLES);
+        return { prices: {}, volumes: {}, markets: {}, ...(result[STORAGE_KEYS.ALERT_SAMPLES] || {}) };
+    }
+
+    /**
+     * Set recent price and volume samples and alerted markets
+     * @param {{prices: Object<string, Array>, volumes: Object<string, Array>, markets: Object<string, Object>}} samples
+     */
+    async setAlertSamples(samples) {
+        await chrome.storage.session.set({ [STORAGE_KEYS.ALERT_SAMPLES]: samples });
+    }
+
     /**
      * Remove alert
      * @param {string} alertId
@@ -186,6 +449,108 @@ class StorageManager {
         return merged;
     }
 
+    /**
+     * Get the popup's search filters
+     * @returns {Promise<Object>}
+     */
+    async getSearchFilters() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.SEARCH_FILTERS);
+        return { ...DEFAULT_SEARCH_FILTERS, ...(result[STORAGE_KEYS.SEARCH_FILTERS] || {}) };
+    }
+
+    /**
+     * Save the popup's search filters
+     * @param {Object} filters
+     */
+    async setSearchFilters(filters) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.SEARCH_FILTERS]: filters });
+    }
+
+    /**
+     * Get recently viewed markets, most recent first
+     * @returns {Promise<Array<{marketId: string, viewedAt: number}>>}
+     */
+    async getRecentMarkets() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.RECENT_MARKETS);
+        const cutoff = Date.now() - RECENT_MARKET_TTL;
+        return (result[STORAGE_KEYS.RECENT_MARKETS] || []).filter(m => m.viewedAt > cutoff);
+    }
+
+    /**
+     * Mark a market as viewed
+     * @param {string} marketId
+     */
+    async addRecentMarket(marketId) {
+        if (!marketId) return [];
+        const id = String(marketId);
+        const recent = (await this.getRecentMarkets()).filter(m => m.marketId !== id);
+        recent.unshift({ marketId: id, viewedAt: Date.now() });
+        const trimmed = recent.slice(0, MAX_RECENT_MARKETS);
+        await chrome.storage.local.set({ [STORAGE_KEYS.RECENT_MARKETS]: trimmed });
+        return trimmed;
+    }
+
+    /**
+     * Get the local market catalog
+     * @returns {Promise<{markets: Array, syncedAt: number, fullSyncedAt: number}>}
+     */
+    async getMarketCatalog() {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.MARKET_CATALOG);
+        return result[STORAGE_KEYS.MARKET_CATALOG] || { markets: [], syncedAt: 0, fullSyncedAt: 0 };
+    }
+
+    /**
+     * Save the local market catalog
+     * @param {{markets: Array, syncedAt: number, fullSyncedAt: number}} catalog
+     */
+    async setMarketCatalog(catalog) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.MARKET_CATALOG]: catalog });
+    }
+
+    /**
+     * Get recorded price snapshots for a token
+     * @param {string} tokenId
+     * @returns {Promise<Array>}
+     */
+    async getPriceSnapshots(tokenId) {
+        const key = `${STORAGE_KEYS.PRICE_SNAPSHOTS}_${tokenId}`;
+        const result = await chrome.storage.local.get(key);
+        return result[key] || [];
+    }
+
+    /**
+     * Save recorded price snapshots for a token and note it in the index
+     * @param {string} tokenId
+     * @param {Array} snapshots
+     */
+    async setPriceSnapshots(tokenId, snapshots) {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.PRICE_SNAPSHOT_INDEX);
+        const index = result[STORAGE_KEYS.PRICE_SNAPSHOT_INDEX] || {};
+        index[tokenId] = snapshots.length ? snapshots[snapshots.length - 1].t : 0;
+
+        await chrome.storage.local.set({
+            [`${STORAGE_KEYS.PRICE_SNAPSHOTS}_${tokenId}`]: snapshots,
+            [STORAGE_KEYS.PRICE_SNAPSHOT_INDEX]: index
+        });
+    }
+
+    /**
+     * Delete snapshot series that have not been updated since `before`
+     * @param {number} before - Unix timestamp (seconds)
+     * @returns {Promise<string[]>} Removed token IDs
+     */
+    async prunePriceSnapshots(before) {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.PRICE_SNAPSHOT_INDEX);
+        const index = result[STORAGE_KEYS.PRICE_SNAPSHOT_INDEX] || {};
+        const stale = Object.keys(index).filter(tokenId => index[tokenId] < before);
+        if (stale.length === 0) return [];
+
+        stale.forEach(tokenId => delete index[tokenId]);
+        await chrome.storage.local.remove(stale.map(tokenId => `${STORAGE_KEYS.PRICE_SNAPSHOTS}_${tokenId}`));
+        await chrome.storage.local.set({ [STORAGE_KEYS.PRICE_SNAPSHOT_INDEX]: index });
+        return stale;
+    }
+
     /**
      * Get cached data
      * @param {string} key
@@ -219,6 +584,21 @@ class StorageManager {
         return (Date.now() - cached.timestamp) < ttl;
     }
 
+    /**
+     * Delete cache entries under a key prefix written before `before`
+     * @param {string} prefix
+     * @param {number} before - ms timestamp
+     * @returns {Promise<string[]>} Removed keys
+     */
+    async pruneCache(prefix, before) {
+        const all = await chrome.storage.local.get(null);
+        const stale = Object.keys(all).filter(key =>
+            key.startsWith(`${prefix}_`) && !(all[key]?.timestamp >= before)
+        );
+        if (stale.length > 0) await chrome.storage.local.remove(stale);
+        return stale;
+    }
+
     /**
      * Clear all extension data
      */
@@ -73,6 +73,54 @@ export function formatRelativeDate(date) {
     return target.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+/**
+ * Format a timestamp as a short local date and time (e.g., "Mar 4, 02:30 PM")
+ * @param {number|string|Date} date - Date or ms timestamp
+ * @returns {string}
+ */
+export function formatDateTime(date) {
+    const target = new Date(date);
+    if (isNaN(target)) return '';
+    return target.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Format how long ago a timestamp was (e.g., "just now", "5m ago", "3h ago", "2d ago")
+ * @param {number|string|Date} date - Date or ms timestamp
+ * @param {number} now - ms timestamp
+ * @returns {string} Falls back to formatDateTime after a week
+ */
+export function formatTimeAgo(date, now = Date.now()) {
+    const target = new Date(date);
+    if (isNaN(target)) return '';
+
+    const seconds = Math.max(0, Math.floor((now - target.getTime()) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 60 * 60) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 24 * 60 * 60) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 7 * 24 * 60 * 60) return `${Math.floor(seconds / 86400)}d ago`;
+    return formatDateTime(target);
+}
+
+/**
+ * Shorten a wallet address (e.g., "0x45db…8a00")
+ * @param {string} address
+ * @returns {string}
+ */
+export function formatAddress(address) {
+    if (!address) return '';
+    return address.length > 12 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address;
+}
+
+/**
+ * Check for an EVM wallet address
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isWalletAddress(address) {
+    return /^0x[0-9a-f]{40}$/i.test(String(address || '').trim());
+}
+
 /**
  * Debounce function execution
  * @param {Function} fn - Function to debounce
@@ -0,0 +1,210 @@
+/**
+ * Tests for shared/alert-conditions.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_ALERT_COOLDOWN,
+    getAlertCondition,
+    evaluateCondition,
+    evaluateAlert,
+    getConditionNeeds,
+    getEditableConditionTypes,
+    describeCondition,
+    formatDuration,
+} from '../shared/alert-conditions.js';
+
+const NOW = 1_800_000_000_000;
+const SEC = NOW / 1000;
+
+/**
+ * Run an alert over a series of prices, returning which ticks fired
+ */
+function run(alert, prices, extra = {}) {
+    let state;
+    return prices.map((price, i) => {
+        const result = evaluateAlert(alert, { now: NOW + i * 60_000, price, ...extra }, state);
+        state = result.state;
+        return result.fire;
+    });
+}
+
+describe('getAlertCondition', () => {
+    it('reads legacy type + targetPrice alerts', () => {
+        expect(getAlertCondition({ condition: 'above', targetPrice: 0.6 })).toEqual({ type: 'above', target: 0.6 });
+    });
+
+    it('returns condition objects as-is', () => {
+        const condition = { type: 'percent_move', percent: 10 };
+        expect(getAlertCondition({ condition })).toBe(condition);
+    });
+});
+
+describe('price thresholds', () => {
+    const above = { condition: { type: 'above', target: 0.6 } };
+
+    it('fires once when the price rises through the target', () => {
+        expect(run(above, [0.55, 0.61, 0.62])).toEqual([false, true, false]);
+    });
+
+    it('does not fire when already above on first evaluation', () => {
+        expect(run(above, [0.65, 0.66])).toEqual([false, false]);
+    });
+
+    it('ignores oscillation inside the hysteresis band', () => {
+        const alert = { ...above, cooldown: 0 };
+        expect(run(alert, [0.58, 0.6, 0.595, 0.6, 0.58, 0.61])).toEqual([false, true, false, false, false, true]);
+    });
+
+    it('fires on falls below', () => {
+        expect(run({ condition: { type: 'below', target: 0.4 } }, [0.45, 0.39])).toEqual([false, true]);
+    });
+
+    it('fires on each crossing in either direction once clear of the band', () => {
+        const alert = { condition: { type: 'crosses', target: 0.5 }, cooldown: 0 };
+        expect(run(alert, [0.45, 0.52, 0.498, 0.47, 0.53])).toEqual([false, true, false, false, true]);
+    });
+
+    it('fires legacy alerts', () => {
+        expect(run({ condition: 'below', targetPrice: 0.4 }, [0.45, 0.39])).toEqual([false, true]);
+    });
+});
+
+describe('baseline', () => {
+    it('detects a crossing before the first evaluation from the creation price', () => {
+        const alert = { condition: { type: 'above', target: 0.6 }, baselinePrice: 0.55 };
+        expect(evaluateAlert(alert, { now: NOW, price: 0.65 }).fire).toBe(true);
+    });
+
+    it('detects a cross from the creation side', () => {
+        const alert = { condition: { type: 'crosses', target: 0.5 }, baselinePrice: 0.55 };
+        expect(evaluateAlert(alert, { now: NOW, price: 0.45 }).fire).toBe(true);
+    });
+
+    it('resumes from persisted state rather than the baseline', () => {
+        const alert = { condition: { type: 'above', target: 0.6 }, baselinePrice: 0.55 };
+        expect(evaluateAlert(alert, { now: NOW, price: 0.65 }, { armed: false, memo: {} }).fire).toBe(false);
+    });
+});
+
+describe('cooldown', () => {
+    it('suppresses fires within the cooldown of the last trigger', () => {
+        const alert = { condition: { type: 'above', target: 0.6 }, lastTriggeredAt: NOW - 1000 };
+        const { fire } = evaluateAlert(alert, { now: NOW, price: 0.65 }, { armed: true });
+        expect(fire).toBe(false);
+    });
+
+    it('fires again after the cooldown', () => {
+        const alert = { condition: { type: 'above', target: 0.6 }, lastTriggeredAt: NOW - DEFAULT_ALERT_COOLDOWN };
+        const { fire } = evaluateAlert(alert, { now: NOW, price: 0.65 }, { armed: true });
+        expect(fire).toBe(true);
+    });
+});
+
+describe('percent_move', () => {
+    const history = [{ t: SEC - 3000, p: 0.5 }, { t: SEC - 600, p: 0.52 }];
+
+    it('measures the move from the start of the window', () => {
+        const condition = { type: 'percent_move', percent: 10 };
+        expect(evaluateCondition(condition, { now: NOW, price: 0.56, history }).met).toBe(true);
+        expect(evaluateCondition(condition, { now: NOW, price: 0.54, history }).met).toBe(false);
+    });
+
+    it('respects direction', () => {
+        const condition = { type: 'percent_move', percent: 10, direction: 'down' };
+        expect(evaluateCondition(condition, { now: NOW, price: 0.56, history }).met).toBe(false);
+        expect(evaluateCondition(condition, { now: NOW, price: 0.44, history }).met).toBe(true);
+    });
+
+    it('needs history inside the window', () => {
+        const condition = { type: 'percent_move', percent: 10, window: 300 };
+        expect(evaluateCondition(condition, { now: NOW, price: 0.6, history })).toBeNull();
+    });
+});
+
+describe('volume_spike', () => {
+    const volumeHistory = [1, 2, 3].map(i => ({ t: SEC - i * 3600, v: 1000 }));
+
+    it('compares 24h volume with the trailing average', () => {
+        const condition = { type: 'volume_spike', multiplier: 3 };
+        expect(evaluateCondition(condition, { now: NOW, volume24h: 3500, volumeHistory }).met).toBe(true);
+        expect(evaluateCondition(condition, { now: NOW, volume24h: 2000, volumeHistory }).met).toBe(false);
+    });
+
+    it('needs enough samples', () => {
+        const condition = { type: 'volume_spike', multiplier: 3 };
+        expect(evaluateCondition(condition, { now: NOW, volume24h: 5000, volumeHistory: volumeHistory.slice(1) })).toBeNull();
+    });
+});
+
+describe('spread_widening and time_to_cutoff', () => {
+    it('fires when the spread reaches the threshold', () => {
+        const condition = { type: 'spread_widening', spread: 0.05 };
+        expect(evaluateCondition(condition, { now: NOW, spread: 0.06 }).met).toBe(true);
+        expect(evaluateCondition(condition, { now: NOW, spread: null })).toBeNull();
+    });
+
+    it('fires immediately when the market is already inside the window', () => {
+        const alert = { condition: { type: 'time_to_cutoff', before: 86400 } };
+        expect(evaluateAlert(alert, { now: NOW, cutoffAt: SEC + 3600 }).fire).toBe(true);
+        expect(evaluateAlert(alert, { now: NOW, cutoffAt: SEC + 2 * 86400 }).fire).toBe(false);
+        expect(evaluateAlert(alert, { now: NOW, cutoffAt: SEC - 60 }).fire).toBe(false);
+    });
+});
+
+describe('compound conditions', () => {
+    const and = {
+        type: 'and',
+        conditions: [{ type: 'above', target: 0.6 }, { type: 'time_to_cutoff', before: 86400 }],
+    };
+
+    it('requires every child for AND', () => {
+        expect(evaluateCondition(and, { now: NOW, price: 0.65, cutoffAt: SEC + 3600 }).met).toBe(true);
+        expect(evaluateCondition(and, { now: NOW, price: 0.55, cutoffAt: SEC + 3600 }).met).toBe(false);
+        expect(evaluateCondition(and, { now: NOW, price: 0.65 })).toBeNull();
+    });
+
+    it('requires any available child for OR', () => {
+        const or = { ...and, type: 'or' };
+        expect(evaluateCondition(or, { now: NOW, price: 0.65 }).met).toBe(true);
+    });
+
+    it('keeps per-child state for stateful children', () => {
+        const alert = {
+            condition: { type: 'or', conditions: [{ type: 'crosses', target: 0.5 }, { type: 'below', target: 0.1 }] },
+            cooldown: 0,
+        };
+        expect(run(alert, [0.45, 0.55])).toEqual([false, true]);
+    });
+
+    it('collects context needs from children', () => {
+        expect([...getConditionNeeds(and)].sort()).toEqual(['cutoff', 'price']);
+    });
+
+    it('describes children', () => {
+        expect(describeCondition(and)).toBe('rises above 60.0¢ and closes within 1d');
+    });
+});
+
+describe('getEditableConditionTypes', () => {
+    it('lists single-input types but not compound ones', () => {
+        const types = getEditableConditionTypes().map(t => t.type);
+        expect(types).toContain('above');
+        expect(types).toContain('volume_spike');
+        expect(types).not.toContain('and');
+    });
+
+    it('offers window choices for percent moves', () => {
+        const { input } = getEditableConditionTypes().find(t => t.type === 'percent_move');
+        expect(input.window.options).toContain(input.window.default);
+        expect(describeCondition({ type: 'percent_move', percent: 5, window: input.window.options[0] })).toBe('moves 5% within 15m');
+    });
+});
+
+describe('formatDuration', () => {
+    it('uses the largest whole unit', () => {
+        expect(formatDuration(90 * 60)).toBe('90m');
+        expect(formatDuration(4 * 3600)).toBe('4h');
+        expect(formatDuration(2 * 86400)).toBe('2d');
+    });
+});
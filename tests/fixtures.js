@@ -0,0 +1,28 @@
+/**
+ * Shared test fixtures
+ */
+
+/**
+ * Minimal normalized market, active and binary unless overridden
+ * @param {number} [marketId=1]
+ * @param {Object} [overrides]
+ * @returns {import('../shared/market-model.js').Market}
+ */
+export function market(marketId = 1, overrides = {}) {
+    return {
+        marketId,
+        title: `Market ${marketId}`,
+        slug: '',
+        status: 'activated',
+        isMulti: false,
+        yesPrice: 0.5,
+        labels: [],
+        outcomes: [],
+        children: [],
+        volume24h: 0,
+        totalVolume: 0,
+        cutoffAt: null,
+        createdAt: null,
+        ...overrides,
+    };
+}
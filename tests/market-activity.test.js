@@ -0,0 +1,139 @@
+/**
+ * Tests for shared/market-activity.js
+ * Fixture is the captured /api/v2/activity payload checked into the repo root
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    TRADE_SIDE,
+    normalizeTrade,
+    normalizeTrades,
+    isWhaleTrade,
+    mergeTrades,
+    getWhaleThreshold,
+    getNewTrades,
+} from '../shared/market-activity.js';
+import activityResponse from '../activity-response.json';
+
+const row = activityResponse.result.list[0];
+
+describe('normalizeTrade', () => {
+    const trade = normalizeTrade(row);
+
+    it('maps the activity row fields', () => {
+        expect(trade.marketId).toBe(2675);
+        expect(trade.title).toBe('$4B');
+        expect(trade.tokenId).toBe(row.tokenId);
+        expect(trade.outcome).toBe('NO');
+        expect(trade.side).toBe(TRADE_SIDE.SELL);
+        expect(trade.userName).toBe('User_888a00');
+        expect(trade.wallet).toBe(row.walletAddress.toLowerCase());
+        expect(trade.createdAt).toBe(1771849836);
+    });
+
+    it('parses prices and sizes from strings', () => {
+        expect(trade.price).toBeCloseTo(0.992);
+        expect(trade.shares).toBeCloseTo(49.72);
+        expect(trade.value).toBeCloseTo(49.32224);
+        expect(trade.profit).toBeCloseTo(-0.19888);
+    });
+
+    it('falls back to price times size without a total', () => {
+        const { totalPrice, ...rest } = row;
+        expect(normalizeTrade({ ...rest, price: '0.5', amount: '10' }).value).toBe(5);
+    });
+
+    it('builds a stable ID and leaves unknown trade types without a side', () => {
+        expect(normalizeTrade(row).id).toBe(trade.id);
+        expect(normalizeTrade({ ...row, txType: '9' }).side).toBeNull();
+    });
+
+    it('rejects rows without a price or size', () => {
+        expect(normalizeTrade({ ...row, price: '' })).toBeNull();
+        expect(normalizeTrade({ ...row, amount: null })).toBeNull();
+        expect(normalizeTrade(null)).toBeNull();
+    });
+});
+
+describe('normalizeTrades', () => {
+    it('drops invalid rows and puts the newest trade first', () => {
+        const trades = normalizeTrades([
+            { ...row, createTime: 100 },
+            { ...row, price: 'x' },
+            { ...row, createTime: 300 },
+        ]);
+        expect(trades.map(t => t.createdAt)).toEqual([300, 100]);
+    });
+
+    it('returns an empty list for a missing payload', () => {
+        expect(normalizeTrades(undefined)).toEqual([]);
+    });
+});
+
+describe('isWhaleTrade', () => {
+    it('flags trades at or above the threshold', () => {
+        expect(isWhaleTrade({ value: 1000 }, 1000)).toBe(true);
+        expect(isWhaleTrade({ value: 999.99 }, 1000)).toBe(false);
+    });
+
+    it('flags nothing without a threshold', () => {
+        expect(isWhaleTrade({ value: 5000 }, 0)).toBe(false);
+    });
+});
+
+describe('mergeTrades', () => {
+    const trade = (id, createdAt) => ({ id, createdAt });
+
+    it('adds unseen trades and keeps the newest first', () => {
+        const { trades, added } = mergeTrades(
+            [trade('b', 200), trade('a', 100)],
+            [trade('c', 300), trade('b', 200), trade('c', 300)]
+        );
+        expect(trades.map(t => t.id)).toEqual(['c', 'b', 'a']);
+        expect(added.map(t => t.id)).toEqual(['c']);
+    });
+
+    it('appends an older page', () => {
+        const { trades } = mergeTrades([trade('b', 200)], [trade('a', 100)]);
+        expect(trades.map(t => t.id)).toEqual(['b', 'a']);
+    });
+});
+
+describe('getWhaleThreshold', () => {
+    it('prefers the market override', () => {
+        const config = { threshold: 1000, markets: { 42: 250 } };
+        expect(getWhaleThreshold(42, config)).toBe(250);
+        expect(getWhaleThreshold('7', config)).toBe(1000);
+        expect(getWhaleThreshold(7, { threshold: 500 })).toBe(500);
+    });
+});
+
+describe('getNewTrades', () => {
+    const trade = (id, createdAt) => ({ id, createdAt });
+
+    it('only sets the cursor on the first look', () => {
+        const { trades, cursor } = getNewTrades([trade('b', 200), trade('a', 100)], null);
+        expect(trades).toEqual([]);
+        expect(cursor).toEqual({ t: 200, ids: ['b'] });
+    });
+
+    it('returns trades past the cursor, including unseen ones in the same second', () => {
+        const { trades, cursor } = getNewTrades(
+            [trade('d', 300), trade('c', 200), trade('b', 200), trade('a', 100)],
+            { t: 200, ids: ['b'] }
+        );
+        expect(trades.map(t => t.id)).toEqual(['d', 'c']);
+        expect(cursor).toEqual({ t: 300, ids: ['d'] });
+    });
+
+    it('keeps the IDs already seen at the newest second', () => {
+        const { trades, cursor } = getNewTrades([trade('c', 200), trade('b', 200)], { t: 200, ids: ['b'] });
+        expect(trades.map(t => t.id)).toEqual(['c']);
+        expect(cursor).toEqual({ t: 200, ids: ['b', 'c'] });
+    });
+
+    it('keeps the cursor when there are no trades', () => {
+        expect(getNewTrades([], { t: 200, ids: ['b'] })).toEqual({ trades: [], cursor: { t: 200, ids: ['b'] } });
+        expect(getNewTrades([], null)).toEqual({ trades: [], cursor: null });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for shared/market-catalog.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    MARKET_SORT,
+    getNewestCreatedAt,
+    isPageCaughtUp,
+    mergeMarkets,
+    pruneCatalog,
+    sortMarkets,
+    findBySlug,
+} from '../shared/market-catalog.js';
+import { normalizeMarkets } from '../shared/market-model.js';
+import topicList from '../topic_sort1.json';
+import { market } from './fixtures.js';
+
+const NOW = 1000;
+
+describe('getNewestCreatedAt', () => {
+    it('returns the newest creation time, or 0', () => {
+        expect(getNewestCreatedAt([market(1, { createdAt: 5 }), market(1, { createdAt: 9 }), market()])).toBe(9);
+        expect(getNewestCreatedAt([])).toBe(0);
+    });
+});
+
+describe('isPageCaughtUp', () => {
+    it('is caught up when nothing on the page is newer than the catalog', () => {
+        expect(isPageCaughtUp([market(1, { createdAt: 5 }), market(1, { createdAt: 9 })], 9)).toBe(true);
+        expect(isPageCaughtUp([market(1, { createdAt: 10 })], 9)).toBe(false);
+    });
+
+    it('never stops an empty catalog or pages without creation times', () => {
+        expect(isPageCaughtUp([market(1, { createdAt: 5 })], 0)).toBe(false);
+        expect(isPageCaughtUp([market()], 9)).toBe(false);
+    });
+});
+
+describe('mergeMarkets', () => {
+    it('replaces markets by ID and counts new ones', () => {
+        const catalog = new Map([['1', market(1, { title: 'Old' })]]);
+        const added = mergeMarkets(catalog, [market(1, { title: 'New' }), market(2)]);
+
+        expect(added).toBe(1);
+        expect(catalog.get('1').title).toBe('New');
+        expect(catalog.size).toBe(2);
+    });
+});
+
+describe('pruneCatalog', () => {
+    it('removes markets past cutoff or no longer activated', () => {
+        const catalog = new Map([
+            ['1', market(1, { cutoffAt: NOW + 1 })],
+            ['2', market(2, { cutoffAt: NOW - 1 })],
+            ['3', market(3, { status: 'resolved' })],
+        ]);
+
+        expect(pruneCatalog(catalog, NOW)).toBe(2);
+        expect([...catalog.keys()]).toEqual(['1']);
+    });
+});
+
+describe('sortMarkets', () => {
+    const markets = [
+        market(1, { createdAt: 3, cutoffAt: 50, totalVolume: 10, volume24h: 0 }),
+        market(2, { createdAt: 1, cutoffAt: null, totalVolume: 30, volume24h: 0 }),
+        market(3, { createdAt: 2, cutoffAt: 20, totalVolume: 20, volume24h: 5 }),
+    ];
+    const ids = list => list.map(m => m.marketId);
+
+    it('sorts newest first', () => {
+        expect(ids(sortMarkets(markets, MARKET_SORT.NEWEST))).toEqual([1, 3, 2]);
+    });
+
+    it('sorts by soonest cutoff, markets without one last', () => {
+        expect(ids(sortMarkets(markets, MARKET_SORT.ENDING_SOON))).toEqual([3, 1, 2]);
+    });
+
+    it('sorts by total volume', () => {
+        expect(ids(sortMarkets(markets, MARKET_SORT.VOLUME))).toEqual([2, 3, 1]);
+    });
+
+    it('sorts by 24h volume, then total volume', () => {
+        expect(ids(sortMarkets(markets))).toEqual([3, 2, 1]);
+    });
+
+    it('does not mutate the input', () => {
+        sortMarkets(markets, MARKET_SORT.VOLUME);
+        expect(ids(markets)).toEqual([1, 2, 3]);
+    });
+});
+
+describe('findBySlug', () => {
+    const markets = normalizeMarkets(topicList);
+
+    it('finds a market by slug prefix', () => {
+        expect(findBySlug(markets, 'bitcoin-up-or-down-on-february-24')?.marketId).toBe(7657);
+    });
+
+    it('falls back to the best word match', () => {
+        const catalog = [
+            market(1, { title: 'Will the Fed cut rates?' }),
+            market(2, { title: 'Will the Fed cut rates in March 2026?' }),
+        ];
+        expect(findBySlug(catalog, 'fed-cut-march-2026')?.marketId).toBe(2);
+    });
+
+    it('returns null without a match', () => {
+        expect(findBySlug(markets, 'no-such-market-anywhere')).toBeNull();
+        expect(findBySlug(markets, '')).toBeNull();
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for shared/market-categories.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    UNCATEGORIZED,
+    getMarketCategories,
+    isInCategory,
+    summarizeCategories,
+    matchFollowedCategories,
+} from '../shared/market-categories.js';
+import { market } from './fixtures.js';
+
+describe('getMarketCategories', () => {
+    it('uses distinct trimmed labels', () => {
+        expect(getMarketCategories(market(1, { labels: ['Crypto', ' Crypto', 'Macro'] }))).toEqual(['Crypto', 'Macro']);
+    });
+
+    it('puts unlabeled markets in the general category', () => {
+        expect(getMarketCategories(market(1))).toEqual([UNCATEGORIZED]);
+        expect(getMarketCategories({ marketId: 1 })).toEqual([UNCATEGORIZED]);
+    });
+});
+
+describe('isInCategory', () => {
+    it('matches case-insensitively', () => {
+        expect(isInCategory(market(1, { labels: ['Crypto'] }), 'crypto')).toBe(true);
+        expect(isInCategory(market(1, { labels: ['Crypto'] }), 'Sports')).toBe(false);
+    });
+});
+
+describe('summarizeCategories', () => {
+    it('counts markets and adds up volume per category, busiest first', () => {
+        const summary = summarizeCategories([
+            market(1, { labels: ['Crypto'], volume24h: 10, totalVolume: 100 }),
+            market(2, { labels: ['Crypto', 'Macro'], volume24h: 5, totalVolume: 50 }),
+            market(3, { labels: ['Sports'], volume24h: 30, totalVolume: 30 }),
+            market(4),
+        ]);
+
+        expect(summary).toEqual([
+            { name: 'Sports', count: 1, volume24h: 30, totalVolume: 30 },
+            { name: 'Crypto', count: 2, volume24h: 15, totalVolume: 150 },
+            { name: 'Macro', count: 1, volume24h: 5, totalVolume: 50 },
+            { name: UNCATEGORIZED, count: 1, volume24h: 0, totalVolume: 0 },
+        ]);
+    });
+
+    it('falls back to total volume when there is no 24h volume', () => {
+        const summary = summarizeCategories([
+            market(1, { labels: ['Crypto'], totalVolume: 10 }),
+            market(2, { labels: ['Sports'], totalVolume: 20 }),
+        ]);
+        expect(summary.map(c => c.name)).toEqual(['Sports', 'Crypto']);
+    });
+});
+
+describe('matchFollowedCategories', () => {
+    it('returns markets in a followed category with the category they matched', () => {
+        const matches = matchFollowedCategories(
+            [market(1, { labels: ['Crypto'] }), market(2, { labels: ['Sports'] }), market(3, { labels: ['Macro', 'crypto'] })],
+            ['Crypto']
+        );
+        expect(matches.map(m => [m.market.marketId, m.category])).toEqual([[1, 'Crypto'], [3, 'Crypto']]);
+    });
+
+    it('matches nothing when no category is followed', () => {
+        expect(matchFollowedCategories([market(1, { labels: ['Crypto'] })], [])).toEqual([]);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for shared/market-filters.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    SEARCH_SORT,
+    normalizeFilters,
+    countActiveFilters,
+    getFilterPrice,
+    matchesFilters,
+    sortResults,
+    applyFilters,
+} from '../shared/market-filters.js';
+import { DEFAULT_SEARCH_FILTERS } from '../shared/constants.js';
+import { market } from './fixtures.js';
+
+const NOW = 1_000_000;
+const DAY = 24 * 60 * 60;
+
+const ids = list => list.map(m => m.marketId);
+const filters = overrides => normalizeFilters(overrides);
+
+describe('normalizeFilters', () => {
+    it('fills in defaults', () => {
+        expect(normalizeFilters()).toEqual(DEFAULT_SEARCH_FILTERS);
+    });
+
+    it('parses form values and drops invalid ones', () => {
+        expect(normalizeFilters({ minVolume: '500', endingWithinDays: '7', status: 'bogus', sort: 'bogus' })).toMatchObject({
+            minVolume: 500,
+            endingWithinDays: 7,
+            status: 'active',
+            sort: 'relevance',
+        });
+        expect(normalizeFilters({ minVolume: '' }).minVolume).toBe(0);
+    });
+
+    it('clamps and orders the price range', () => {
+        expect(normalizeFilters({ minPrice: 0.8, maxPrice: 0.2 })).toMatchObject({ minPrice: 0.2, maxPrice: 0.8 });
+        expect(normalizeFilters({ minPrice: -1, maxPrice: 3 })).toMatchObject({ minPrice: 0, maxPrice: 1 });
+    });
+});
+
+describe('countActiveFilters', () => {
+    it('counts narrowing filters but not the sort order', () => {
+        expect(countActiveFilters(DEFAULT_SEARCH_FILTERS)).toBe(0);
+        expect(countActiveFilters({ sort: SEARCH_SORT.NEWEST })).toBe(0);
+        expect(countActiveFilters({ label: 'Crypto', minPrice: 0.1, maxPrice: 0.9, outcomeType: 'multi' })).toBe(3);
+    });
+});
+
+describe('getFilterPrice', () => {
+    it('uses the leading outcome of a multi-outcome market', () => {
+        const multi = market(1, {
+            isMulti: true,
+            children: [market(2, { yesTokenId: 'a', yesPrice: 0.2 }), market(3, { yesTokenId: 'b', yesPrice: 0.7 })],
+            outcomes: [{ tokenId: 'a', price: 0.2 }, { tokenId: 'b', price: 0.7 }],
+        });
+        expect(getFilterPrice(market(1, { yesPrice: 0.3 }))).toBe(0.3);
+        expect(getFilterPrice(multi)).toBe(0.7);
+    });
+});
+
+describe('matchesFilters', () => {
+    it('filters by status', () => {
+        const resolved = market(1, { status: 'resolved' });
+        const expired = market(2, { cutoffAt: NOW - 1 });
+
+        expect(matchesFilters(market(3), filters({ status: 'active' }), NOW)).toBe(true);
+        expect(matchesFilters(resolved, filters({ status: 'active' }), NOW)).toBe(false);
+        expect(matchesFilters(resolved, filters({ status: 'resolved' }), NOW)).toBe(true);
+        expect(matchesFilters(resolved, filters({ status: 'all' }), NOW)).toBe(true);
+        expect(matchesFilters(expired, filters({ status: 'all' }), NOW)).toBe(false);
+    });
+
+    it('filters by category, case-insensitively', () => {
+        expect(matchesFilters(market(1, { labels: ['Crypto'] }), filters({ label: 'crypto' }), NOW)).toBe(true);
+        expect(matchesFilters(market(1, { labels: ['Sports'] }), filters({ label: 'crypto' }), NOW)).toBe(false);
+    });
+
+    it('filters by end date, excluding markets without one', () => {
+        const within = filters({ endingWithinDays: 7 });
+        expect(matchesFilters(market(1, { cutoffAt: NOW + 3 * DAY }), within, NOW)).toBe(true);
+        expect(matchesFilters(market(1, { cutoffAt: NOW + 10 * DAY }), within, NOW)).toBe(false);
+        expect(matchesFilters(market(1), within, NOW)).toBe(false);
+    });
+
+    it('filters by volume, price and outcome type', () => {
+        expect(matchesFilters(market(1, { totalVolume: 99 }), filters({ minVolume: 100 }), NOW)).toBe(false);
+        expect(matchesFilters(market(1, { yesPrice: 0.9 }), filters({ maxPrice: 0.8 }), NOW)).toBe(false);
+        expect(matchesFilters(market(1, { yesPrice: 0.4 }), filters({ minPrice: 0.2, maxPrice: 0.8 }), NOW)).toBe(true);
+        expect(matchesFilters(market(1, { isMulti: true }), filters({ outcomeType: 'binary' }), NOW)).toBe(false);
+        expect(matchesFilters(market(1), filters({ outcomeType: 'multi' }), NOW)).toBe(false);
+    });
+});
+
+describe('sortResults', () => {
+    const markets = [
+        market(1, { totalVolume: 10, volume24h: 5, createdAt: 1, cutoffAt: NOW + 30 }),
+        market(2, { totalVolume: 30, volume24h: 1, createdAt: 3, cutoffAt: NOW + 10 }),
+        market(3, { totalVolume: 20, volume24h: 0, createdAt: 2 }),
+    ];
+
+    it('keeps the search ranking for relevance', () => {
+        expect(ids(sortResults(markets, SEARCH_SORT.RELEVANCE))).toEqual([1, 2, 3]);
+    });
+
+    it('sorts by volume, age and end date', () => {
+        expect(ids(sortResults(markets, SEARCH_SORT.VOLUME_24H))).toEqual([1, 2, 3]);
+        expect(ids(sortResults(markets, SEARCH_SORT.VOLUME))).toEqual([2, 3, 1]);
+        expect(ids(sortResults(markets, SEARCH_SORT.NEWEST))).toEqual([2, 3, 1]);
+        expect(ids(sortResults(markets, SEARCH_SORT.ENDING_SOON))).toEqual([2, 1, 3]);
+    });
+
+    it('sorts by the biggest 24h move in either direction, unknown moves last', () => {
+        const moves = new Map([['1', 0.05], ['3', -0.12]]);
+        expect(ids(sortResults(markets, SEARCH_SORT.MOVE_24H, moves))).toEqual([3, 1, 2]);
+    });
+});
+
+describe('applyFilters', () => {
+    it('filters, sorts and caps the results', () => {
+        const markets = [
+            market(1, { totalVolume: 5, labels: ['Crypto'] }),
+            market(2, { totalVolume: 50, labels: ['Crypto'] }),
+            market(3, { totalVolume: 500, labels: ['Sports'] }),
+            market(4, { totalVolume: 20, labels: ['Crypto'] }),
+        ];
+        const results = applyFilters(markets, { label: 'Crypto', sort: SEARCH_SORT.VOLUME }, { limit: 2, now: NOW });
+        expect(ids(results)).toEqual([2, 4]);
+    });
+});
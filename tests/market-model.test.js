@@ -0,0 +1,366 @@
+/**
+ * Tests for shared/market-model.js
+ * Fixtures are the captured API payloads checked into the repo root
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    MARKET_STATUS,
+    getMarketId,
+    normalizeMarket,
+    normalizeMarkets,
+    validateMarket,
+    isMarketActive,
+    rankOutcomes,
+    getMarketTokenIds,
+    getMarketTokenPrices,
+    applyTokenPrice,
+    getLeadingBinary,
+    getWinningOutcome,
+    getResolution,
+} from '../shared/market-model.js';
+import topicList from '../topic_sort1.json';
+import resolvedTopic from '../temp.json';
+import activityResponse from '../activity-response.json';
+
+describe('normalizeMarket - public /topic payload', () => {
+    const market = normalizeMarket(topicList[0]);
+
+    it('maps identity fields', () => {
+        expect(market.marketId).toBe(7657);
+        expect(market.title).toBe('Bitcoin Up or Down on February 24?(12:00 ET)');
+        expect(market.slug).toBe('bitcoin-up-or-down-on-february-24-12-00-et');
+        expect(market.labels).toEqual(['Crypto']);
+    });
+
+    it('maps token IDs and labels', () => {
+        expect(market.yesTokenId).toBe(topicList[0].yesPos);
+        expect(market.noTokenId).toBe(topicList[0].noPos);
+        expect(market.yesLabel).toBe('UP');
+        expect(market.noLabel).toBe('DOWN');
+    });
+
+    it('parses prices, falling back from empty market price to buy price', () => {
+        expect(market.yesPrice).toBe(0.525);
+        // noMarketPrice is "" in the payload
+        expect(market.noPrice).toBe(0.51);
+    });
+
+    it('parses volumes and timestamps as numbers', () => {
+        expect(market.totalVolume).toBe(70.845);
+        expect(market.volume24h).toBe(0);
+        expect(market.cutoffAt).toBe(1771891200);
+        expect(market.createdAt).toBe(1771855940);
+        expect(market.resolvedAt).toBeNull();
+    });
+
+    it('builds binary outcomes', () => {
+        expect(market.isMulti).toBe(false);
+        expect(market.children).toEqual([]);
+        expect(market.outcomes).toEqual([
+            { tokenId: market.yesTokenId, label: 'UP', side: 'yes', price: 0.525 },
+            { tokenId: market.noTokenId, label: 'DOWN', side: 'no', price: 0.51 },
+        ]);
+    });
+
+    it('maps numeric status 2 to activated', () => {
+        expect(market.status).toBe(MARKET_STATUS.ACTIVATED);
+    });
+
+    it('produces a valid market for every fixture entry', () => {
+        topicList.forEach(raw => {
+            expect(validateMarket(normalizeMarket(raw))).toEqual({ valid: true, errors: [] });
+        });
+    });
+
+    it('is idempotent', () => {
+        expect(normalizeMarket(market)).toEqual(market);
+    });
+});
+
+describe('normalizeMarket - resolved topic payload', () => {
+    const market = normalizeMarket(resolvedTopic);
+
+    it('maps numeric status 4 to resolved', () => {
+        expect(market.status).toBe(MARKET_STATUS.RESOLVED);
+    });
+
+    it('exposes resolution fields', () => {
+        expect(market.resolvedAt).toBe(1766163930);
+        expect(market.winningTokenId).toBe(resolvedTopic.resultPos);
+    });
+
+    it('keeps a zero buy price rather than defaulting', () => {
+        expect(market.yesPrice).toBe(0.999);
+        expect(market.noPrice).toBe(0);
+    });
+});
+
+describe('normalizeMarket - activity row', () => {
+    const row = activityResponse.result.list[0];
+    const market = normalizeMarket(row);
+
+    it('uses topicId and topicTitle', () => {
+        expect(market.marketId).toBe(2675);
+        expect(market.title).toBe('$4B');
+        expect(market.thumbnailUrl).toBe(row.thumbnail_url);
+    });
+
+    it('does not mistake the trade price for a market price', () => {
+        expect(market.yesPrice).toBe(0.5);
+        expect(market.noPrice).toBe(0.5);
+    });
+});
+
+describe('normalizeMarket - official /openapi/market payload', () => {
+    const raw = {
+        marketId: 42,
+        marketTitle: 'Will the Fed cut rates in March?',
+        statusEnum: 'Activated',
+        yesTokenId: '111',
+        noTokenId: '222',
+        volume: '1500.5',
+        volume24h: '300',
+        cutoffAt: 1800000000,
+        createdAt: 1700000000000,
+    };
+
+    it('maps official field names', () => {
+        const market = normalizeMarket(raw);
+        expect(market.marketId).toBe(42);
+        expect(market.title).toBe('Will the Fed cut rates in March?');
+        expect(market.status).toBe(MARKET_STATUS.ACTIVATED);
+        expect(market.yesTokenId).toBe('111');
+        expect(market.totalVolume).toBe(1500.5);
+        expect(market.volume24h).toBe(300);
+    });
+
+    it('converts millisecond timestamps to seconds', () => {
+        expect(normalizeMarket(raw).createdAt).toBe(1700000000);
+    });
+
+    it('derives NO price from YES price when missing', () => {
+        expect(normalizeMarket({ ...raw, yesPrice: 0.7 }).noPrice).toBe(0.3);
+    });
+
+    it('normalizes child markets into outcomes', () => {
+        const market = normalizeMarket({
+            ...raw,
+            childMarkets: [
+                { marketId: 43, marketTitle: 'Yes, 25bps', yesTokenId: 'a', noTokenId: 'b', yesPrice: 0.6 },
+                { marketId: 44, marketTitle: 'Yes, 50bps', yesTokenId: 'c', noTokenId: 'd', yesPrice: 0.2 },
+            ],
+        });
+
+        expect(market.isMulti).toBe(true);
+        expect(market.children).toHaveLength(2);
+        expect(market.outcomes).toEqual([
+            { tokenId: 'a', label: 'Yes, 25bps', side: 'yes', price: 0.6, marketId: 43 },
+            { tokenId: 'c', label: 'Yes, 50bps', side: 'yes', price: 0.2, marketId: 44 },
+        ]);
+        expect(validateMarket(market).valid).toBe(true);
+    });
+});
+
+describe('normalizeMarket - invalid input', () => {
+    it('returns null for missing objects or IDs', () => {
+        expect(normalizeMarket(null)).toBeNull();
+        expect(normalizeMarket({ title: 'No ID' })).toBeNull();
+    });
+});
+
+describe('getMarketId', () => {
+    it('reads marketId, topicId or id', () => {
+        expect(getMarketId({ marketId: 1 })).toBe(1);
+        expect(getMarketId({ topicId: '2' })).toBe(2);
+        expect(getMarketId({ id: 3 })).toBe(3);
+        expect(getMarketId(null)).toBeNull();
+    });
+});
+
+describe('validateMarket', () => {
+    it('reports each invalid field', () => {
+        const market = { ...normalizeMarket(topicList[0]), title: '', yesPrice: 1.5 };
+        const { valid, errors } = validateMarket(market);
+        expect(valid).toBe(false);
+        expect(errors).toContain('title must be a non-empty string');
+        expect(errors).toContain('yesPrice must be between 0 and 1');
+    });
+
+    it('prefixes child errors with their path', () => {
+        const market = normalizeMarket(topicList[0]);
+        market.children = [{ ...market, children: [], marketId: null }];
+        expect(validateMarket(market).errors).toContain('children[0].marketId is required');
+    });
+
+    it('rejects non-objects', () => {
+        expect(validateMarket(null).valid).toBe(false);
+    });
+});
+
+describe('normalizeMarkets', () => {
+    it('drops entries that fail validation', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const markets = normalizeMarkets([...topicList, { topicId: 1 }, null]);
+        expect(markets.map(m => m.marketId)).toEqual([7657, 7653]);
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    it('returns an empty array for non-arrays', () => {
+        expect(normalizeMarkets(undefined)).toEqual([]);
+    });
+
+    it('keeps a multi-outcome market when only some children are invalid', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const [market] = normalizeMarkets([{
+            marketId: 42,
+            marketTitle: 'Fed decision in March?',
+            statusEnum: 'Activated',
+            childMarkets: [
+                { marketId: 43, marketTitle: 'Yes, 25bps', yesTokenId: 'a', noTokenId: 'b', yesPrice: 0.6 },
+                { marketId: 44, marketTitle: '', yesTokenId: 'c', noTokenId: 'd', yesPrice: 0.2 },
+                { marketId: 45, marketTitle: 'Yes, 75bps', yesTokenId: 'e', noTokenId: 'f', yesPrice: 7 },
+            ],
+        }]);
+
+        expect(market.marketId).toBe(42);
+        expect(market.isMulti).toBe(true);
+        expect(market.children.map(c => c.marketId)).toEqual([43]);
+        expect(market.outcomes.map(o => o.tokenId)).toEqual(['a']);
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    it('drops a multi-outcome market whose children are all invalid', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        const markets = normalizeMarkets([{
+            marketId: 42,
+            marketTitle: 'Fed decision in March?',
+            statusEnum: 'Activated',
+            childMarkets: [{ marketId: 43, marketTitle: '', yesTokenId: 'a', noTokenId: 'b' }],
+        }]);
+
+        expect(markets).toEqual([]);
+        expect(warn).toHaveBeenCalledWith('[Opinion Lens] Dropping market without valid children:', 42);
+        warn.mockRestore();
+    });
+});
+
+describe('isMarketActive', () => {
+    const market = normalizeMarket(topicList[0]);
+
+    it('is true before cutoff', () => {
+        expect(isMarketActive(market, market.cutoffAt - 1)).toBe(true);
+    });
+
+    it('is false after cutoff', () => {
+        expect(isMarketActive(market, market.cutoffAt + 1)).toBe(false);
+    });
+
+    it('is false for resolved markets', () => {
+        expect(isMarketActive(normalizeMarket(resolvedTopic), 0)).toBe(false);
+    });
+});
+
+describe('multi-outcome helpers', () => {
+    const makeMulti = () => normalizeMarket({
+        topicId: 325,
+        title: 'Fed decision in March?',
+        status: 2,
+        childList: [
+            { topicId: 326, title: 'No change', yesPos: 'y1', noPos: 'n1', yesMarketPrice: '0.2' },
+            { topicId: 327, title: '25 bps decrease', yesPos: 'y2', noPos: 'n2', yesMarketPrice: '0.7' },
+            { topicId: 328, title: '50+ bps decrease', yesPos: 'y3', noPos: 'n3', yesMarketPrice: '0.1' },
+        ],
+    });
+
+    it('detects childList markets as multi-outcome', () => {
+        const market = makeMulti();
+        expect(market.isMulti).toBe(true);
+        expect(market.outcomes.map(o => o.marketId)).toEqual([326, 327, 328]);
+    });
+
+    it('ranks outcomes by probability without mutating the market', () => {
+        const market = makeMulti();
+        expect(rankOutcomes(market).map(o => o.label)).toEqual([
+            '25 bps decrease', 'No change', '50+ bps decrease',
+        ]);
+        expect(market.outcomes[0].label).toBe('No change');
+    });
+
+    it('collects both sides of every child token', () => {
+        expect(getMarketTokenIds(makeMulti())).toEqual(['y1', 'n1', 'y2', 'n2', 'y3', 'n3']);
+    });
+
+    it('collects YES and NO tokens of a binary market', () => {
+        const market = normalizeMarket(topicList[0]);
+        expect(getMarketTokenIds(market)).toEqual([market.yesTokenId, market.noTokenId]);
+    });
+
+    it('maps both sides of every child token to its price', () => {
+        const market = makeMulti();
+        const prices = getMarketTokenPrices(market);
+        expect(Object.keys(prices)).toEqual(['y1', 'n1', 'y2', 'n2', 'y3', 'n3']);
+        expect(prices.y1).toBe(market.children[0].yesPrice);
+        expect(prices.n1).toBe(market.children[0].noPrice);
+    });
+
+    it('applies a child token price to the child and its outcome', () => {
+        const market = makeMulti();
+        expect(applyTokenPrice(market, 'y1', 0.35)).toBe(true);
+        expect(market.children[0].yesPrice).toBe(0.35);
+        expect(market.children[0].noPrice).toBe(0.65);
+        expect(market.outcomes[0].price).toBe(0.35);
+    });
+
+    it('applies a NO token price as the complement of YES', () => {
+        const market = normalizeMarket(topicList[0]);
+        applyTokenPrice(market, market.noTokenId, 0.4);
+        expect(market.yesPrice).toBe(0.6);
+        expect(market.outcomes.map(o => o.price)).toEqual([0.6, 0.4]);
+    });
+
+    it('picks the leading child as the representative binary market', () => {
+        expect(getLeadingBinary(makeMulti()).marketId).toBe(327);
+        const binary = normalizeMarket(topicList[0]);
+        expect(getLeadingBinary(binary)).toBe(binary);
+        expect(getLeadingBinary(null)).toBeNull();
+    });
+
+    it('ignores tokens that do not belong to the market', () => {
+        const market = makeMulti();
+        expect(applyTokenPrice(market, 'other', 0.5)).toBe(false);
+        expect(applyTokenPrice(market, 'y1', NaN)).toBe(false);
+    });
+});
+
+describe('resolution helpers', () => {
+    it('finds the winning side of a resolved binary market', () => {
+        const market = normalizeMarket(resolvedTopic);
+        expect(getWinningOutcome(market)).toMatchObject({ label: 'UP', side: 'yes', price: 0.999 });
+        expect(getResolution(market)).toMatchObject({ outcome: { label: 'UP' }, resolvedAt: 1766163930 });
+    });
+
+    it('finds the winning child of a multi-outcome market', () => {
+        const market = normalizeMarket({
+            topicId: 325,
+            title: 'Fed decision in March?',
+            status: 4,
+            childList: [
+                { topicId: 326, title: 'No change', yesPos: 'y1', noPos: 'n1', status: 4, resultPos: 'n1' },
+                { topicId: 327, title: '25 bps decrease', yesPos: 'y2', noPos: 'n2', status: 4, resultPos: 'y2' },
+            ],
+        });
+        expect(getWinningOutcome(market)?.label).toBe('25 bps decrease');
+    });
+
+    it('falls back to the cutoff and an unknown winner', () => {
+        const market = normalizeMarket({ ...resolvedTopic, resultPos: '', resolvedTime: null });
+        expect(getResolution(market)).toEqual({ outcome: null, resolvedAt: resolvedTopic.cutoffTime });
+    });
+
+    it('reports nothing for unresolved markets', () => {
+        expect(getResolution(normalizeMarket(topicList[0]))).toBeNull();
+    });
+});
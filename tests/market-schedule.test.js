@@ -0,0 +1,78 @@
+/**
+ * Tests for shared/market-schedule.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    getTimeRemaining,
+    getEndOfDay,
+    getEndingGroup,
+    groupByEndTime,
+    formatCountdown,
+} from '../shared/market-schedule.js';
+import { market } from './fixtures.js';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// 09:00 local time, so the rest of "today" is 15 hours whatever the time zone
+const NOW = Math.floor(new Date(2026, 2, 10, 9, 0, 0).getTime() / 1000);
+
+describe('getTimeRemaining', () => {
+    it('counts seconds to the cutoff', () => {
+        expect(getTimeRemaining(market(1, { cutoffAt: NOW + 90 }), NOW)).toBe(90);
+        expect(getTimeRemaining(market(1, { cutoffAt: NOW - 5 }), NOW)).toBe(-5);
+        expect(getTimeRemaining(market(1, { cutoffAt: null }), NOW)).toBeNull();
+    });
+});
+
+describe('getEndOfDay', () => {
+    it('returns the next local midnight', () => {
+        expect(getEndOfDay(NOW)).toBe(NOW + 15 * HOUR);
+    });
+});
+
+describe('getEndingGroup', () => {
+    it('groups by next hour, rest of today, this week and later', () => {
+        expect(getEndingGroup(market(1, { cutoffAt: NOW + 30 * 60 }), NOW)).toBe('hour');
+        expect(getEndingGroup(market(1, { cutoffAt: NOW + 10 * HOUR }), NOW)).toBe('today');
+        expect(getEndingGroup(market(1, { cutoffAt: NOW + 20 * HOUR }), NOW)).toBe('week');
+        expect(getEndingGroup(market(1, { cutoffAt: NOW + 8 * DAY }), NOW)).toBe('later');
+    });
+
+    it('leaves out ended markets and markets without a cutoff', () => {
+        expect(getEndingGroup(market(1, { cutoffAt: NOW }), NOW)).toBeNull();
+        expect(getEndingGroup(market(1, { cutoffAt: null }), NOW)).toBeNull();
+    });
+});
+
+describe('groupByEndTime', () => {
+    it('returns non-empty groups in order, soonest market first', () => {
+        const groups = groupByEndTime([
+            market(1, { cutoffAt: NOW + 3 * DAY }),
+            market(2, { cutoffAt: NOW + 20 * 60 }),
+            market(3, { cutoffAt: NOW + 10 * 60 }),
+            market(4, { cutoffAt: NOW - 60 }),
+            market(5, { cutoffAt: null }),
+        ], NOW);
+
+        expect(groups.map(g => [g.key, g.markets.map(m => m.marketId)])).toEqual([
+            ['hour', [3, 2]],
+            ['week', [1]],
+        ]);
+        expect(groups[0].label).toBe('Next hour');
+    });
+});
+
+describe('formatCountdown', () => {
+    it('shows days and hours, hours and minutes, or minutes and seconds', () => {
+        expect(formatCountdown(2 * DAY + 4 * HOUR + 59)).toBe('2d 4h');
+        expect(formatCountdown(3 * HOUR + 12 * 60 + 5)).toBe('3h 12m');
+        expect(formatCountdown(4 * 60 + 5)).toBe('4m 05s');
+    });
+
+    it('shows ended at or past zero', () => {
+        expect(formatCountdown(0)).toBe('Ended');
+        expect(formatCountdown(-3)).toBe('Ended');
+    });
+});
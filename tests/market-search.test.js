@@ -0,0 +1,129 @@
+/**
+ * Tests for shared/market-search.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeText,
+    tokenize,
+    editDistance,
+    buildSearchIndex,
+    parseQuery,
+    rankMarkets,
+    searchMarkets,
+} from '../shared/market-search.js';
+import { normalizeMarkets } from '../shared/market-model.js';
+import topicList from '../topic_sort1.json';
+import { market } from './fixtures.js';
+
+const MARKETS = [
+    market(1, { title: 'Will Bitcoin reach $150k in 2026?', labels: ['Crypto'], totalVolume: 500 }),
+    market(2, { title: 'Ethereum above $5,000 by June?', labels: ['Crypto'], totalVolume: 300 }),
+    market(3, { title: 'Fed rate cut in March?', labels: ['Economics'] }),
+    market(4, {
+        title: 'Who will win the São Paulo mayoral race?',
+        outcomes: [{ label: 'Guilherme Boulos' }, { label: 'Ricardo Nunes' }],
+    }),
+    market(5, { title: 'BTC dominance above 60%?', slug: 'btc-dominance-above-60' }),
+    market(6, { title: 'Will it rain in Tokyo?', outcomes: [{ label: 'YES' }, { label: 'NO' }] }),
+];
+
+const ids = results => results.map(m => m.marketId);
+
+describe('normalizeText and tokenize', () => {
+    it('strips accents and case', () => {
+        expect(normalizeText('São Paulo')).toBe('sao paulo');
+    });
+
+    it('splits on punctuation, keeping digits and other scripts', () => {
+        expect(tokenize('Bitcoin $150k, 2026?')).toEqual(['bitcoin', '150k', '2026']);
+        expect(tokenize('比特币 price')).toEqual(['比特币', 'price']);
+    });
+});
+
+describe('editDistance', () => {
+    it('counts substitutions, insertions and transpositions', () => {
+        expect(editDistance('bitcoin', 'bitcoin', 2)).toBe(0);
+        expect(editDistance('bitcon', 'bitcoin', 2)).toBe(1);
+        expect(editDistance('bticoin', 'bitcoin', 2)).toBe(1);
+        expect(editDistance('etherium', 'ethereum', 2)).toBe(1);
+    });
+
+    it('gives up past the limit', () => {
+        expect(editDistance('bitcoin', 'ethereum', 2)).toBe(3);
+    });
+});
+
+describe('parseQuery', () => {
+    const { df } = buildSearchIndex(MARKETS);
+
+    it('drops stop words unless nothing else is left', () => {
+        expect(parseQuery('will bitcoin', df).map(t => t.token)).toEqual(['bitcoin']);
+        expect(parseQuery('will', df).map(t => t.token)).toEqual(['will']);
+    });
+
+    it('expands tickers to names and back', () => {
+        expect([...parseQuery('btc', df)[0].variants.keys()]).toEqual(expect.arrayContaining(['btc', 'bitcoin']));
+        expect([...parseQuery('bitcoin', df)[0].variants.keys()]).toContain('btc');
+    });
+
+    it('adds multi-word aliases as optional terms', () => {
+        const terms = parseQuery('federal reserve', df);
+        expect(terms.find(t => t.token === 'fed')).toMatchObject({ optional: true });
+    });
+
+    it('never fuzzes numbers', () => {
+        const { df: years } = buildSearchIndex([market(1, { title: 'Election 2025' }), market(2, { title: 'Election 2026' })]);
+        expect([...parseQuery('2026', years)[0].variants.keys()]).toEqual(['2026']);
+    });
+});
+
+describe('searchMarkets', () => {
+    it('finds markets through tickers and aliases', () => {
+        expect(ids(searchMarkets(MARKETS, 'btc'))).toEqual(expect.arrayContaining([1, 5]));
+        expect(ids(searchMarkets(MARKETS, 'fomc'))).toEqual([3]);
+    });
+
+    it('tolerates typos', () => {
+        expect(ids(searchMarkets(MARKETS, 'etherium'))).toEqual([2]);
+        expect(ids(searchMarkets(MARKETS, 'bitcon'))[0]).toBe(1);
+    });
+
+    it('matches accent-insensitively and on outcome names', () => {
+        expect(ids(searchMarkets(MARKETS, 'sao paulo'))).toEqual([4]);
+        expect(ids(searchMarkets(MARKETS, 'boulos'))).toEqual([4]);
+    });
+
+    it('matches labels and word prefixes', () => {
+        expect(ids(searchMarkets(MARKETS, 'crypto'))).toEqual([1, 2]);
+        expect(ids(searchMarkets(MARKETS, 'ethere'))).toEqual([2]);
+    });
+
+    it('ignores generic yes/no outcome labels', () => {
+        expect(searchMarkets(MARKETS, 'yes')).toEqual([]);
+    });
+
+    it('ranks markets matching every word first', () => {
+        expect(ids(searchMarkets(MARKETS, 'bitcoin 2026'))[0]).toBe(1);
+    });
+
+    it('returns the markets unchanged for a blank query', () => {
+        expect(searchMarkets(MARKETS, '  ', { limit: 2 })).toEqual(MARKETS.slice(0, 2));
+    });
+
+    it('searches normalized API markets', () => {
+        const results = searchMarkets(normalizeMarkets(topicList), 'bitcoin up or down');
+        expect(results.length).toBeGreaterThan(0);
+        expect(results[0].title.toLowerCase()).toContain('bitcoin');
+    });
+});
+
+describe('rankMarkets', () => {
+    it('breaks score ties by total volume', () => {
+        const index = buildSearchIndex([
+            market(1, { title: 'Gold price', totalVolume: 1 }),
+            market(2, { title: 'Gold price', totalVolume: 9 }),
+        ]);
+        expect(rankMarkets(index, 'gold').map(r => r.market.marketId)).toEqual([2, 1]);
+    });
+});
@@ -0,0 +1,291 @@
+/**
+ * Tests for background/notification-service.js alert checks
+ * Drives checkAlerts across several polls against mocked chrome storage and notifications
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../background/api-client.js', () => ({
+    apiClient: {
+        getMarketDetails: vi.fn(),
+        getOrderbook: vi.fn(),
+    },
+}));
+
+const mockLocal = new Map();
+const mockSession = new Map();
+
+/**
+ * chrome.storage area backed by a Map
+ */
+function createArea(map) {
+    return {
+        get: vi.fn(async (keys) => {
+            if (keys === null || keys === undefined) return Object.fromEntries(map);
+            const list = Array.isArray(keys) ? keys : [keys];
+            return Object.fromEntries(list.filter(k => map.has(k)).map(k => [k, map.get(k)]));
+        }),
+        set: vi.fn(async (items) => {
+            Object.entries(items).forEach(([k, v]) => map.set(k, structuredClone(v)));
+        }),
+        remove: vi.fn(async (keys) => {
+            (Array.isArray(keys) ? keys : [keys]).forEach(k => map.delete(k));
+        }),
+    };
+}
+
+let notificationCount = 0;
+
+globalThis.chrome = {
+    storage: {
+        local: createArea(mockLocal),
+        session: createArea(mockSession),
+    },
+    notifications: {
+        create: vi.fn(async () => `notification-${++notificationCount}`),
+        clear: vi.fn(),
+    },
+    runtime: {
+        getURL: vi.fn(path => path),
+        sendMessage: vi.fn(async () => { }),
+    },
+    action: {
+        setBadgeBackgroundColor: vi.fn(async () => { }),
+        setBadgeText: vi.fn(async () => { }),
+    },
+    tabs: {
+        create: vi.fn(async () => { }),
+    },
+};
+
+const { STORAGE_KEYS } = await import('../shared/constants.js');
+const { apiClient } = await import('../background/api-client.js');
+
+const START = 1_800_000_000_000;
+const MINUTE = 60 * 1000;
+const TOKEN = 'yes-token';
+
+/**
+ * Fresh notification service, as after a service worker restart; storage is kept
+ */
+async function loadService() {
+    vi.resetModules();
+    const { notificationService } = await import('../background/notification-service.js');
+    return notificationService;
+}
+
+function setAlerts(alerts) {
+    mockLocal.set(STORAGE_KEYS.ALERTS, alerts.map(alert => ({
+        id: alert.id || 'a1',
+        marketId: '42',
+        marketTitle: 'Test market',
+        tokenId: TOKEN,
+        status: 'active',
+        oneTime: false,
+        ...alert,
+    })));
+}
+
+function getAlert(id = 'a1') {
+    return mockLocal.get(STORAGE_KEYS.ALERTS).find(a => a.id === id);
+}
+
+/**
+ * Check alerts once at `minutes` after the start, returning how many notifications were sent
+ */
+async function poll(service, minutes, prices, markets = []) {
+    vi.setSystemTime(START + minutes * MINUTE);
+    const before = chrome.notifications.create.mock.calls.length;
+    await service.checkAlerts(prices, markets);
+    return chrome.notifications.create.mock.calls.length - before;
+}
+
+describe('notificationService.checkAlerts', () => {
+    let service;
+
+    beforeEach(async () => {
+        mockLocal.clear();
+        mockSession.clear();
+        vi.clearAllMocks();
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.spyOn(console, 'log').mockImplementation(() => { });
+        service = await loadService();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('price thresholds', () => {
+        beforeEach(() => {
+            setAlerts([{ condition: { type: 'above', target: 0.6 }, baselinePrice: 0.5 }]);
+        });
+
+        it('fires once when the price crosses and not again while it stays above', async () => {
+            expect(await poll(service, 0, { [TOKEN]: 0.55 })).toBe(0);
+            expect(await poll(service, 1, { [TOKEN]: 0.61 })).toBe(1);
+            expect(await poll(service, 10, { [TOKEN]: 0.65 })).toBe(0);
+            expect(await poll(service, 20, { [TOKEN]: 0.62 })).toBe(0);
+
+            expect(getAlert().triggerCount).toBe(1);
+            expect(getAlert().lastTriggeredPrice).toBe(0.61);
+        });
+
+        it('re-arms only once the price clears the hysteresis band', async () => {
+            expect(await poll(service, 0, { [TOKEN]: 0.61 })).toBe(1);
+
+            // 0.595 is below the target but inside the 1¢ band
+            expect(await poll(service, 10, { [TOKEN]: 0.595 })).toBe(0);
+            expect(await poll(service, 11, { [TOKEN]: 0.61 })).toBe(0);
+
+            expect(await poll(service, 20, { [TOKEN]: 0.58 })).toBe(0);
+            expect(await poll(service, 21, { [TOKEN]: 0.61 })).toBe(1);
+        });
+
+        it('holds a re-armed alert until the cooldown has passed', async () => {
+            expect(await poll(service, 0, { [TOKEN]: 0.61 })).toBe(1);
+            expect(await poll(service, 1, { [TOKEN]: 0.55 })).toBe(0);
+
+            expect(await poll(service, 2, { [TOKEN]: 0.61 })).toBe(0);
+            expect(await poll(service, 6, { [TOKEN]: 0.61 })).toBe(1);
+        });
+
+        it('treats a price of 0 as a price', async () => {
+            setAlerts([{ condition: { type: 'below', target: 0.05 }, baselinePrice: 0.5 }]);
+            expect(await poll(service, 0, { [TOKEN]: 0 })).toBe(1);
+        });
+
+        it('keeps its state across a service worker restart', async () => {
+            expect(await poll(service, 0, { [TOKEN]: 0.61 })).toBe(1);
+
+            service = await loadService();
+            expect(await poll(service, 10, { [TOKEN]: 0.62 })).toBe(0);
+        });
+
+        it('retires one-time alerts after they fire', async () => {
+            setAlerts([{ condition: { type: 'above', target: 0.6 }, baselinePrice: 0.5, oneTime: true }]);
+
+            expect(await poll(service, 0, { [TOKEN]: 0.61 })).toBe(1);
+            expect(getAlert().status).toBe('triggered');
+
+            await poll(service, 10, { [TOKEN]: 0.5 });
+            expect(await poll(service, 20, { [TOKEN]: 0.7 })).toBe(0);
+        });
+
+        it('ignores prices of other tokens', async () => {
+            expect(await poll(service, 0, { other: 0.9 })).toBe(0);
+            expect(getAlert().lastTriggeredAt).toBeUndefined();
+        });
+    });
+
+    describe('percent moves', () => {
+        it('measures the move from the session samples inside the window', async () => {
+            setAlerts([{ condition: { type: 'percent_move', percent: 10, window: 30 * 60 } }]);
+
+            expect(await poll(service, 0, { [TOKEN]: 0.5 })).toBe(0);
+            expect(await poll(service, 10, { [TOKEN]: 0.53 })).toBe(0);
+            expect(await poll(service, 20, { [TOKEN]: 0.56 })).toBe(1);
+        });
+
+        it('resumes from the samples after a restart', async () => {
+            setAlerts([{ condition: { type: 'percent_move', percent: 10 } }]);
+            await poll(service, 0, { [TOKEN]: 0.5 });
+
+            service = await loadService();
+            expect(await poll(service, 10, { [TOKEN]: 0.56 })).toBe(1);
+        });
+    });
+
+    describe('market conditions', () => {
+        const market = (cutoffInMinutes) => ({
+            marketId: '42',
+            yesTokenId: TOKEN,
+            cutoffAt: Math.floor((START + cutoffInMinutes * MINUTE) / 1000),
+        });
+
+        it('checks cutoff reminders on market refreshes, without a price', async () => {
+            setAlerts([{ condition: { type: 'time_to_cutoff', before: 3600 } }]);
+
+            expect(await poll(service, 0, {}, [market(120)])).toBe(0);
+            expect(await poll(service, 70, {}, [market(120)])).toBe(1);
+            expect(getAlert().lastTriggeredPrice).toBeNull();
+        });
+
+        it('loads the market when a price tick arrives without one', async () => {
+            setAlerts([{ condition: { type: 'time_to_cutoff', before: 3600 } }]);
+            apiClient.getMarketDetails.mockResolvedValue(market(30));
+
+            expect(await poll(service, 0, { [TOKEN]: 0.5 })).toBe(1);
+            expect(apiClient.getMarketDetails).toHaveBeenCalledWith('42');
+        });
+
+        it('does not check price-only alerts on market refreshes', async () => {
+            setAlerts([{ condition: { type: 'above', target: 0.6 }, baselinePrice: 0.5 }]);
+            expect(await poll(service, 0, {}, [market(120)])).toBe(0);
+            expect(getAlert().lastTriggeredAt).toBeUndefined();
+        });
+
+        it('fires on a spread wider than the target', async () => {
+            setAlerts([{ condition: { type: 'spread_widening', spread: 0.05 } }]);
+            apiClient.getOrderbook.mockResolvedValue({
+                bids: [{ price: 0.4, size: 10 }],
+                asks: [{ price: 0.5, size: 10 }],
+            });
+
+            expect(await poll(service, 0, { [TOKEN]: 0.45 }, [market(600)])).toBe(1);
+        });
+    });
+
+    describe('notification clicks', () => {
+        async function clickLastNotification() {
+            const id = await chrome.notifications.create.mock.results.at(-1).value;
+            await service.handleClick(id);
+            return chrome.tabs.create.mock.calls.at(-1)[0].url;
+        }
+
+        it('opens multi-outcome markets as multi topics and records them so in the inbox', async () => {
+            setAlerts([{ condition: { type: 'above', target: 0.6 }, baselinePrice: 0.5, isMulti: true }]);
+            await poll(service, 0, { [TOKEN]: 0.61 });
+
+            expect(await clickLastNotification()).toBe('https://app.opinion.trade/detail?topicId=42&type=multi');
+            expect(mockLocal.get(STORAGE_KEYS.INBOX)[0].isMulti).toBe(true);
+        });
+
+        it('opens binary markets without the multi type', async () => {
+            setAlerts([{ condition: { type: 'above', target: 0.6 }, baselinePrice: 0.5 }]);
+            await poll(service, 0, { [TOKEN]: 0.61 });
+
+            expect(await clickLastNotification()).toBe('https://app.opinion.trade/detail?topicId=42');
+        });
+    });
+
+    describe('compound conditions', () => {
+        const market = { marketId: '42', yesTokenId: TOKEN, cutoffAt: Math.floor(START / 1000) + 1800 };
+
+        it('fires AND conditions only when every child holds', async () => {
+            setAlerts([{
+                condition: {
+                    type: 'and',
+                    conditions: [{ type: 'above', target: 0.6 }, { type: 'time_to_cutoff', before: 3600 }],
+                },
+                baselinePrice: 0.5,
+            }]);
+
+            expect(await poll(service, 0, { [TOKEN]: 0.55 }, [market])).toBe(0);
+            expect(await poll(service, 1, { [TOKEN]: 0.61 }, [market])).toBe(1);
+        });
+
+        it('fires OR conditions on any child, including one checked without a price', async () => {
+            setAlerts([{
+                condition: {
+                    type: 'or',
+                    conditions: [{ type: 'above', target: 0.9 }, { type: 'time_to_cutoff', before: 3600 }],
+                },
+                baselinePrice: 0.5,
+            }]);
+
+            expect(await poll(service, 0, {}, [market])).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for shared/orderbook.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { normalizeOrderbook, summarizeOrderbook, getOrderbookTarget } from '../shared/orderbook.js';
+import { normalizeMarket } from '../shared/market-model.js';
+import topicList from '../topic_sort1.json';
+
+describe('normalizeOrderbook', () => {
+    it('sorts bids descending and asks ascending', () => {
+        const book = normalizeOrderbook({
+            bids: [{ price: '0.50', size: '10' }, { price: '0.52', size: '5' }],
+            asks: [{ price: '0.58', size: '3' }, { price: '0.55', size: '7' }],
+        });
+        expect(book.bids.map(l => l.price)).toEqual([0.52, 0.5]);
+        expect(book.asks.map(l => l.price)).toEqual([0.55, 0.58]);
+    });
+
+    it('accepts [price, size] tuples and alternate size fields', () => {
+        const book = normalizeOrderbook({
+            buys: [['0.4', '20']],
+            sells: [{ price: 0.6, amount: 15 }],
+        });
+        expect(book.bids).toEqual([{ price: 0.4, size: 20 }]);
+        expect(book.asks).toEqual([{ price: 0.6, size: 15 }]);
+    });
+
+    it('drops empty and out-of-range levels', () => {
+        const book = normalizeOrderbook({
+            bids: [{ price: '0.5', size: '0' }, { price: '1.5', size: '1' }, null],
+            asks: [{ price: 'abc', size: '1' }],
+        });
+        expect(book).toEqual({ bids: [], asks: [] });
+    });
+
+    it('handles missing payloads', () => {
+        expect(normalizeOrderbook(null)).toEqual({ bids: [], asks: [] });
+    });
+});
+
+describe('summarizeOrderbook', () => {
+    const raw = {
+        bids: [{ price: 0.52, size: 5 }, { price: 0.5, size: 10 }, { price: 0.48, size: 20 }],
+        asks: [{ price: 0.55, size: 7 }, { price: 0.58, size: 3 }],
+    };
+
+    it('computes best bid/ask, spread and mid', () => {
+        const summary = summarizeOrderbook(raw);
+        expect(summary.bestBid).toBe(0.52);
+        expect(summary.bestAsk).toBe(0.55);
+        expect(summary.spread).toBe(0.03);
+        expect(summary.mid).toBe(0.535);
+    });
+
+    it('accumulates depth from the best price outward', () => {
+        const summary = summarizeOrderbook(raw);
+        expect(summary.bids.map(l => l.total)).toEqual([5, 15, 35]);
+        expect(summary.asks.map(l => l.total)).toEqual([7, 10]);
+    });
+
+    it('limits the number of levels per side', () => {
+        expect(summarizeOrderbook(raw, 1).bids).toHaveLength(1);
+    });
+
+    it('leaves spread and mid empty for a one-sided book', () => {
+        const summary = summarizeOrderbook({ bids: raw.bids });
+        expect(summary.bestAsk).toBeNull();
+        expect(summary.spread).toBeNull();
+        expect(summary.mid).toBeNull();
+    });
+});
+
+describe('getOrderbookTarget', () => {
+    it('uses the tokens of a binary market', () => {
+        const market = normalizeMarket(topicList[0]);
+        expect(getOrderbookTarget(market)).toEqual({
+            label: '',
+            yesTokenId: market.yesTokenId,
+            noTokenId: market.noTokenId,
+            questionId: market.questionId,
+        });
+    });
+
+    it('uses the leading child of a multi-outcome market', () => {
+        const market = normalizeMarket({
+            topicId: 1,
+            title: 'Multi',
+            childList: [
+                { topicId: 2, title: 'A', yesPos: 'a', noPos: 'b', questionId: 'q2', yesMarketPrice: '0.3' },
+                { topicId: 3, title: 'B', yesPos: 'c', noPos: 'd', questionId: 'q3', yesMarketPrice: '0.6' },
+            ],
+        });
+        expect(getOrderbookTarget(market)).toEqual({
+            label: 'B', yesTokenId: 'c', noTokenId: 'd', questionId: 'q3',
+        });
+    });
+
+    it('returns null without tokens', () => {
+        expect(getOrderbookTarget(null)).toBeNull();
+        expect(getOrderbookTarget(normalizeMarket({ topicId: 9, title: 'No tokens' }))).toBeNull();
+    });
+});
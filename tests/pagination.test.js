@@ -0,0 +1,129 @@
+/**
+ * Tests for shared/pagination.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { fetchPages } from '../shared/pagination.js';
+
+/**
+ * Fake paginated endpoint over `count` items, tracking how many pages are in flight at once
+ */
+function createEndpoint(count, { pageSize = 2, reportTotal = false, failures = {} } = {}) {
+    let inFlight = 0;
+    const stats = { maxInFlight: 0, calls: [] };
+
+    const fetchPage = vi.fn(async (page) => {
+        stats.calls.push(page);
+        inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        inFlight--;
+
+        if (failures[page] > 0) {
+            failures[page]--;
+            throw new Error(`page ${page} down`);
+        }
+
+        const start = (page - 1) * pageSize;
+        const items = Array.from({ length: Math.max(0, Math.min(pageSize, count - start)) }, (_, i) => start + i);
+        return { items, hasMore: items.length === pageSize, ...(reportTotal ? { total: count } : {}) };
+    });
+
+    return { fetchPage, stats };
+}
+
+describe('fetchPages', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('fetches every page in order when the total is reported', async () => {
+        const { fetchPage, stats } = createEndpoint(9, { reportTotal: true });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 20, concurrency: 3 });
+
+        expect(result).toEqual({
+            items: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+            complete: true,
+            truncated: false,
+            pagesFetched: 5,
+            pagesFailed: 0,
+            total: 9,
+        });
+        expect(stats.calls).toHaveLength(5);
+        expect(stats.maxInFlight).toBe(3);
+    });
+
+    it('discovers the last page when no total is reported', async () => {
+        const { fetchPage } = createEndpoint(5);
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 20, concurrency: 2 });
+
+        expect(result.items).toEqual([0, 1, 2, 3, 4]);
+        expect(result.complete).toBe(true);
+        expect(result.total).toBe(5);
+    });
+
+    it('stops at maxPages and reports the list as truncated', async () => {
+        const { fetchPage } = createEndpoint(100, { reportTotal: true });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 3 });
+
+        expect(result.items).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(result.complete).toBe(false);
+        expect(result.truncated).toBe(true);
+        expect(result.pagesFailed).toBe(0);
+        expect(result.total).toBe(100);
+    });
+
+    it('reports a truncated list when no total is reported', async () => {
+        const { fetchPage } = createEndpoint(100);
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 3 });
+
+        expect(result.complete).toBe(false);
+        expect(result.truncated).toBe(true);
+        expect(result.total).toBeNull();
+    });
+
+    it('is complete when the last page is exactly maxPages', async () => {
+        const { fetchPage } = createEndpoint(5, { reportTotal: true });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 3 });
+
+        expect(result.complete).toBe(true);
+        expect(result.truncated).toBe(false);
+    });
+
+    it('retries a failed page', async () => {
+        const { fetchPage } = createEndpoint(6, { reportTotal: true, failures: { 2: 1 } });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 20, retries: 1 });
+
+        expect(result.items).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(result.complete).toBe(true);
+    });
+
+    it('keeps the other pages and reports pages that keep failing', async () => {
+        const { fetchPage } = createEndpoint(6, { reportTotal: true, failures: { 2: 5 } });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 20, retries: 1 });
+
+        expect(result.items).toEqual([0, 1, 4, 5]);
+        expect(result.complete).toBe(false);
+        expect(result.pagesFetched).toBe(2);
+        expect(result.pagesFailed).toBe(1);
+    });
+
+    it('reports an unknown total when the end was never seen', async () => {
+        const { fetchPage } = createEndpoint(5, { failures: { 3: 5 } });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 3, retries: 0 });
+
+        expect(result.complete).toBe(false);
+        expect(result.total).toBeNull();
+    });
+
+    it('reports a failed first page', async () => {
+        const { fetchPage } = createEndpoint(6, { failures: { 1: 5 } });
+        const result = await fetchPages(fetchPage, { pageSize: 2, maxPages: 20, retries: 0 });
+
+        expect(result).toEqual({ items: [], complete: false, truncated: false, pagesFetched: 0, pagesFailed: 1, total: null });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for shared/positions.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    POSITION_SORT,
+    normalizePosition,
+    normalizePositions,
+    diffPositions,
+    getPositionTitle,
+    sortPositions,
+    applyPositionPrice,
+    summarizePositions,
+} from '../shared/positions.js';
+
+const row = {
+    marketId: 2676,
+    marketTitle: '$4B',
+    rootMarketId: 2675,
+    rootMarketTitle: 'Opinion FDV one day after launch?',
+    outcome: 'NO',
+    tokenId: '30700032835374382557',
+    sharesOwned: '200',
+    avgEntryPrice: '0.4',
+    currentValueInQuoteToken: '100',
+    unrealizedPnl: '20',
+};
+
+describe('normalizePosition', () => {
+    const position = normalizePosition(row);
+
+    it('maps the position row fields', () => {
+        expect(position.id).toBe('2676:30700032835374382557');
+        expect(position.title).toBe('$4B');
+        expect(position.outcome).toBe('NO');
+        expect(position.shares).toBe(200);
+        expect(position.avgPrice).toBeCloseTo(0.4);
+        expect(position.value).toBe(100);
+        expect(position.pnl).toBe(20);
+    });
+
+    it('derives the current price and the return on cost', () => {
+        expect(position.currentPrice).toBeCloseTo(0.5);
+        expect(position.pnlPercent).toBeCloseTo(25);
+    });
+
+    it('points child markets at their parent topic', () => {
+        expect(position.isMulti).toBe(true);
+        expect(position.topicId).toBe(2675);
+        expect(position.parentTitle).toBe('Opinion FDV one day after launch?');
+
+        const binary = normalizePosition({ ...row, rootMarketId: 0, rootMarketTitle: '' });
+        expect(binary.isMulti).toBe(false);
+        expect(binary.topicId).toBe(2676);
+        expect(binary.parentTitle).toBe('');
+    });
+
+    it('leaves the return empty without an entry price', () => {
+        expect(normalizePosition({ ...row, avgEntryPrice: '' }).pnlPercent).toBeNull();
+    });
+
+    it('rejects rows without a market or share count', () => {
+        expect(normalizePosition({ ...row, marketId: undefined })).toBeNull();
+        expect(normalizePosition({ ...row, sharesOwned: null })).toBeNull();
+        expect(normalizePosition(null)).toBeNull();
+    });
+});
+
+describe('normalizePositions', () => {
+    it('keeps open positions, largest value first', () => {
+        const positions = normalizePositions([
+            { ...row, tokenId: 'a', currentValueInQuoteToken: '10' },
+            { ...row, tokenId: 'b', sharesOwned: '0' },
+            { ...row, tokenId: 'c', currentValueInQuoteToken: '50' },
+            { foo: 'bar' },
+        ]);
+        expect(positions.map(p => p.tokenId)).toEqual(['c', 'a']);
+    });
+
+    it('returns an empty list for a missing payload', () => {
+        expect(normalizePositions(undefined)).toEqual([]);
+    });
+});
+
+describe('diffPositions', () => {
+    const position = (id, shares = 1) => ({ id, shares });
+
+    it('finds opened and closed positions', () => {
+        const { opened, closed } = diffPositions(
+            [position('a'), position('b')],
+            [position('b'), position('c')]
+        );
+        expect(opened.map(p => p.id)).toEqual(['c']);
+        expect(closed.map(p => p.id)).toEqual(['a']);
+    });
+
+    it('ignores size changes of held positions', () => {
+        expect(diffPositions([position('a', 1)], [position('a', 5)])).toEqual({ opened: [], closed: [] });
+    });
+});
+
+describe('getPositionTitle', () => {
+    it('prefixes child markets with their parent topic', () => {
+        expect(getPositionTitle(normalizePosition(row))).toBe('Opinion FDV one day after launch? · $4B');
+        expect(getPositionTitle({ title: 'Binary', parentTitle: '' })).toBe('Binary');
+    });
+});
+
+describe('sortPositions', () => {
+    const positions = [
+        { id: 'a', title: 'Beta', parentTitle: '', value: 10, pnl: 5, pnlPercent: 50, shares: 20, currentPrice: 0.5 },
+        { id: 'b', title: 'alpha', parentTitle: '', value: 30, pnl: -2, pnlPercent: null, shares: 60, currentPrice: 0.5 },
+        { id: 'c', title: 'Gamma', parentTitle: '', value: 20, pnl: 1, pnlPercent: 5, shares: 25, currentPrice: 0.8 },
+    ];
+    const ids = list => list.map(p => p.id);
+
+    it('sorts by value, largest first, by default', () => {
+        expect(ids(sortPositions(positions))).toEqual(['b', 'c', 'a']);
+        expect(ids(sortPositions(positions, 'unknown'))).toEqual(['b', 'c', 'a']);
+    });
+
+    it('sorts either way and keeps positions without a return last', () => {
+        expect(ids(sortPositions(positions, POSITION_SORT.RETURN))).toEqual(['a', 'c', 'b']);
+        expect(ids(sortPositions(positions, POSITION_SORT.RETURN, false))).toEqual(['c', 'a', 'b']);
+    });
+
+    it('sorts titles alphabetically, ignoring case', () => {
+        expect(ids(sortPositions(positions, POSITION_SORT.TITLE, false))).toEqual(['b', 'a', 'c']);
+    });
+
+    it('leaves the input untouched', () => {
+        sortPositions(positions, POSITION_SORT.PNL);
+        expect(ids(positions)).toEqual(['a', 'b', 'c']);
+    });
+});
+
+describe('applyPositionPrice', () => {
+    it('reprices the position token', () => {
+        const position = normalizePosition(row);
+        expect(applyPositionPrice(position, row.tokenId, 0.6)).toBe(true);
+
+        expect(position.currentPrice).toBe(0.6);
+        expect(position.value).toBeCloseTo(120);
+        expect(position.pnl).toBeCloseTo(40);
+        expect(position.pnlPercent).toBeCloseTo(50);
+    });
+
+    it('ignores other tokens and invalid prices', () => {
+        const position = normalizePosition(row);
+        expect(applyPositionPrice(position, 'other', 0.6)).toBe(false);
+        expect(applyPositionPrice(position, row.tokenId, NaN)).toBe(false);
+        expect(position.value).toBe(100);
+    });
+
+    it('keeps the reported P&L without an entry price', () => {
+        const position = normalizePosition({ ...row, avgEntryPrice: null });
+        applyPositionPrice(position, row.tokenId, 0.6);
+        expect(position.value).toBeCloseTo(120);
+        expect(position.pnl).toBe(20);
+    });
+});
+
+describe('summarizePositions', () => {
+    it('adds up value, P&L and cost', () => {
+        const totals = summarizePositions([
+            normalizePosition(row),
+            normalizePosition({ ...row, tokenId: 'x', avgEntryPrice: null }),
+        ]);
+        expect(totals).toEqual({ value: 200, pnl: 40, cost: 80, count: 2 });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for shared/price-history.js and shared/chart.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    HISTORY_INTERVALS,
+    normalizePriceHistory,
+    downsample,
+    getPriceChange,
+} from '../shared/price-history.js';
+import { renderSparkline, renderPriceChart, getTrendColor } from '../shared/chart.js';
+
+describe('normalizePriceHistory', () => {
+    it('parses the official { history: [{ t, p }] } shape', () => {
+        const points = normalizePriceHistory({
+            history: [{ t: 1700000060, p: '0.55' }, { t: 1700000000, p: '0.5' }],
+        });
+        expect(points).toEqual([{ t: 1700000000, p: 0.5 }, { t: 1700000060, p: 0.55 }]);
+    });
+
+    it('picks the requested question from a kline-batch list', () => {
+        const raw = {
+            list: [
+                { questionId: 'q1', klines: [{ time: 1700000000000, close: '0.1' }] },
+                { questionId: 'q2', klines: [{ time: 1700000000000, close: '0.7' }, { time: 1700000900000, close: '0.72' }] },
+            ],
+        };
+        expect(normalizePriceHistory(raw, 'q2')).toEqual([
+            { t: 1700000000, p: 0.7 },
+            { t: 1700000900, p: 0.72 },
+        ]);
+    });
+
+    it('accepts batches keyed by questionId and candle tuples', () => {
+        const raw = { q1: [[1700000000, 0.4, 0.5, 0.3, 0.45]] };
+        expect(normalizePriceHistory(raw, 'q1')).toEqual([{ t: 1700000000, p: 0.45 }]);
+    });
+
+    it('drops invalid points and duplicate timestamps', () => {
+        const points = normalizePriceHistory([
+            { t: 1, p: 0.2 },
+            { t: 1, p: 0.3 },
+            { t: 2, p: 'x' },
+            { t: 3, p: 2 },
+            null,
+        ]);
+        expect(points).toEqual([{ t: 1, p: 0.3 }]);
+    });
+
+    it('returns an empty series for empty responses', () => {
+        expect(normalizePriceHistory(null)).toEqual([]);
+        expect(normalizePriceHistory({})).toEqual([]);
+    });
+});
+
+describe('downsample', () => {
+    const series = Array.from({ length: 1000 }, (_, i) => ({ t: i, p: 0.5 }));
+
+    it('keeps the first and last point', () => {
+        const result = downsample(series, 10);
+        expect(result).toHaveLength(10);
+        expect(result[0].t).toBe(0);
+        expect(result[9].t).toBe(999);
+    });
+
+    it('returns short series untouched', () => {
+        expect(downsample(series.slice(0, 5), 10)).toHaveLength(5);
+    });
+});
+
+describe('getPriceChange', () => {
+    it('computes absolute and percent change', () => {
+        expect(getPriceChange([{ t: 0, p: 0.5 }, { t: 1, p: 0.6 }])).toEqual({
+            first: 0.5, last: 0.6, change: 0.1, changePct: 20,
+        });
+    });
+
+    it('returns null percent change from a zero start', () => {
+        expect(getPriceChange([{ t: 0, p: 0 }, { t: 1, p: 0.1 }]).changePct).toBeNull();
+    });
+
+    it('needs at least two points', () => {
+        expect(getPriceChange([{ t: 0, p: 0.5 }])).toBeNull();
+    });
+});
+
+describe('HISTORY_INTERVALS', () => {
+    it('offers 1h, 1d, 1w and all', () => {
+        expect(Object.keys(HISTORY_INTERVALS)).toEqual(['1h', '1d', '1w', 'all']);
+    });
+});
+
+describe('chart renderer', () => {
+    const rising = [{ t: 0, p: 0.4 }, { t: 60, p: 0.45 }, { t: 120, p: 0.5 }];
+
+    it('colors series by direction', () => {
+        expect(getTrendColor(rising)).toBe('#10B981');
+        expect(getTrendColor([...rising].reverse().map((pt, i) => ({ ...pt, t: i })))).toBe('#EF4444');
+    });
+
+    it('renders a sparkline path with one segment per point', () => {
+        const svg = renderSparkline(rising, { width: 60, height: 20 });
+        expect(svg).toMatch(/^<svg/);
+        expect(svg.match(/[ML]\d/g)).toHaveLength(3);
+    });
+
+    it('renders a chart with gridline labels', () => {
+        const svg = renderPriceChart(rising);
+        expect(svg).toContain('50.0¢');
+        expect(svg).toContain('40.0¢');
+        expect(svg).toContain('<circle');
+    });
+
+    it('renders nothing without enough data', () => {
+        expect(renderSparkline([])).toBe('');
+        expect(renderPriceChart([{ t: 0, p: 0.5 }])).toBe('');
+    });
+});
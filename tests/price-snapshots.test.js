@@ -0,0 +1,93 @@
+/**
+ * Tests for shared/price-snapshots.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    SNAPSHOT_RETENTION,
+    MAX_SNAPSHOTS,
+    createSnapshot,
+    compactSnapshots,
+    appendSnapshot,
+    snapshotsToPoints,
+} from '../shared/price-snapshots.js';
+import { normalizeMarket } from '../shared/market-model.js';
+import topicList from '../topic_sort1.json';
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const NOW = 1_800_000_000;
+
+const snap = (t, y = 0.5) => ({ t, y, n: 1 - y, v: 0 });
+
+describe('createSnapshot', () => {
+    it('captures prices and 24h volume from a normalized market', () => {
+        const market = normalizeMarket(topicList[0]);
+        expect(createSnapshot(market, NOW)).toEqual({
+            t: NOW, y: market.yesPrice, n: market.noPrice, v: market.volume24h,
+        });
+    });
+});
+
+describe('compactSnapshots', () => {
+    it('keeps every snapshot from the last 24h', () => {
+        const series = [snap(NOW - 600), snap(NOW - 300), snap(NOW)];
+        expect(compactSnapshots(series, NOW)).toEqual(series);
+    });
+
+    it('keeps the latest snapshot per hour between 1 and 7 days old', () => {
+        const base = NOW - 2 * DAY - (NOW % HOUR);
+        const series = [snap(base + 60, 0.1), snap(base + 1200, 0.2), snap(base + HOUR, 0.3)];
+        expect(compactSnapshots(series, NOW).map(s => s.y)).toEqual([0.2, 0.3]);
+    });
+
+    it('keeps one snapshot per day beyond 7 days', () => {
+        const base = NOW - 10 * DAY - (NOW % DAY);
+        const series = [snap(base + HOUR, 0.1), snap(base + 5 * HOUR, 0.2)];
+        expect(compactSnapshots(series, NOW).map(s => s.y)).toEqual([0.2]);
+    });
+
+    it('drops snapshots past retention', () => {
+        const series = [snap(NOW - SNAPSHOT_RETENTION.MAX_AGE - 1), snap(NOW)];
+        expect(compactSnapshots(series, NOW)).toEqual([snap(NOW)]);
+    });
+
+    it('caps the series length', () => {
+        const series = Array.from({ length: MAX_SNAPSHOTS + 50 }, (_, i) => snap(NOW - i * 60));
+        const result = compactSnapshots(series, NOW);
+        expect(result).toHaveLength(MAX_SNAPSHOTS);
+        expect(result[result.length - 1].t).toBe(NOW);
+    });
+});
+
+describe('appendSnapshot', () => {
+    it('appends in time order', () => {
+        const series = appendSnapshot([snap(NOW - 300)], snap(NOW));
+        expect(series.map(s => s.t)).toEqual([NOW - 300, NOW]);
+    });
+
+    it('replaces snapshots at the same or a later time', () => {
+        const series = appendSnapshot([snap(NOW - 300), snap(NOW, 0.1)], snap(NOW, 0.9));
+        expect(series).toEqual([snap(NOW - 300), snap(NOW, 0.9)]);
+    });
+
+    it('starts a new series from nothing', () => {
+        expect(appendSnapshot(undefined, snap(NOW))).toEqual([snap(NOW)]);
+    });
+});
+
+describe('snapshotsToPoints', () => {
+    const series = [snap(NOW - DAY - 1, 0.4), snap(NOW - 60, 0.5), snap(NOW, 0.6)];
+
+    it('converts the YES side by default', () => {
+        expect(snapshotsToPoints(series).map(p => p.p)).toEqual([0.4, 0.5, 0.6]);
+    });
+
+    it('filters by start time', () => {
+        expect(snapshotsToPoints(series, NOW - DAY)).toHaveLength(2);
+    });
+
+    it('can read the NO side', () => {
+        expect(snapshotsToPoints(series, null, 'n')[0].p).toBeCloseTo(0.6);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for shared/request-scheduler.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    RequestScheduler,
+    parseRetryAfter,
+    getRetryDelay,
+    isRetryableError,
+    MAX_RETRY_DELAY,
+} from '../shared/request-scheduler.js';
+
+/**
+ * Scheduler on a virtual clock: wait() advances time instantly and records each delay
+ */
+function createScheduler(options = {}) {
+    let clock = 0;
+    const waits = [];
+    const scheduler = new RequestScheduler({
+        rateLimit: 2,
+        retryAttempts: 2,
+        retryBaseDelay: 100,
+        now: () => clock,
+        wait: async (ms) => {
+            waits.push(ms);
+            clock += ms;
+        },
+        ...options,
+    });
+    return { scheduler, waits };
+}
+
+const httpError = (status, retryAfter = null) => Object.assign(new Error(`API_ERROR_${status}`), { status, retryAfter });
+
+describe('parseRetryAfter', () => {
+    it('parses delta seconds', () => {
+        expect(parseRetryAfter('3')).toBe(3000);
+    });
+
+    it('parses HTTP dates relative to now', () => {
+        const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+        expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', now)).toBe(5000);
+    });
+
+    it('returns null for missing or invalid values', () => {
+        expect(parseRetryAfter(null)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('doubles per attempt with jitter in the upper half', () => {
+        expect(getRetryDelay(0, 100, () => 0)).toBe(50);
+        expect(getRetryDelay(0, 100, () => 1)).toBe(100);
+        expect(getRetryDelay(2, 100, () => 0)).toBe(200);
+    });
+
+    it('is capped', () => {
+        expect(getRetryDelay(20, 1000, () => 1)).toBe(MAX_RETRY_DELAY);
+    });
+});
+
+describe('isRetryableError', () => {
+    it('retries rate limits, server errors and network failures', () => {
+        expect(isRetryableError(httpError(429))).toBe(true);
+        expect(isRetryableError(httpError(503))).toBe(true);
+        expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+    });
+
+    it('does not retry client errors or timeouts', () => {
+        expect(isRetryableError(httpError(401))).toBe(false);
+        expect(isRetryableError(httpError(404))).toBe(false);
+        expect(isRetryableError(new Error('TIMEOUT'))).toBe(false);
+    });
+});
+
+describe('RequestScheduler', () => {
+    it('allows a burst up to the rate limit, then spaces requests out', async () => {
+        const { scheduler, waits } = createScheduler();
+        await Promise.all([1, 2, 3].map(i => scheduler.request(`k${i}`, async () => i)));
+        expect(waits).toEqual([500]);
+    });
+
+    it('coalesces identical in-flight requests', async () => {
+        const { scheduler } = createScheduler();
+        const task = vi.fn(async () => ({ ok: true }));
+
+        const [a, b] = await Promise.all([scheduler.request('GET /x', task), scheduler.request('GET /x', task)]);
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(a).toBe(b);
+
+        await scheduler.request('GET /x', task);
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('retries retryable failures with backoff', async () => {
+        const { scheduler, waits } = createScheduler();
+        const task = vi.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValueOnce('ok');
+
+        expect(await scheduler.request('k', task)).toBe('ok');
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(waits[0]).toBeGreaterThanOrEqual(50);
+        expect(waits[0]).toBeLessThanOrEqual(100);
+    });
+
+    it('honours Retry-After and pauses other requests', async () => {
+        const { scheduler, waits } = createScheduler();
+        const task = vi.fn()
+            .mockRejectedValueOnce(httpError(429, 2000))
+            .mockResolvedValueOnce('ok');
+
+        await scheduler.request('k', task);
+        expect(waits).toContain(2000);
+        expect(scheduler.pausedUntil).toBe(2000);
+    });
+
+    it('gives up after the retry budget', async () => {
+        const { scheduler } = createScheduler();
+        const task = vi.fn().mockRejectedValue(httpError(500));
+
+        await expect(scheduler.request('k', task)).rejects.toThrow('API_ERROR_500');
+        expect(task).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry non-idempotent requests', async () => {
+        const { scheduler } = createScheduler();
+        const task = vi.fn().mockRejectedValue(httpError(503));
+
+        await expect(scheduler.request(null, task, { idempotent: false })).rejects.toThrow();
+        expect(task).toHaveBeenCalledTimes(1);
+    });
+});
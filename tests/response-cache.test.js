@@ -0,0 +1,129 @@
+/**
+ * Tests for shared/response-cache.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ResponseCache, isCacheable } from '../shared/response-cache.js';
+
+/**
+ * Cache on a virtual clock with an in-memory store
+ */
+function createCache(options = {}) {
+    const clock = { now: 0 };
+    const persisted = new Map();
+    const store = {
+        getCache: vi.fn(async (key) => persisted.get(key) || null),
+        setCache: vi.fn(async (key, data) => persisted.set(key, { data, timestamp: clock.now })),
+    };
+    const cache = new ResponseCache({ store, prefix: 'test', maxAge: 10000, now: () => clock.now, ...options });
+    return { cache, clock, persisted, store };
+}
+
+// Let a background refresh settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('isCacheable', () => {
+    it('rejects missing results and empty lists', () => {
+        expect(isCacheable(null)).toBe(false);
+        expect(isCacheable(undefined)).toBe(false);
+        expect(isCacheable([])).toBe(false);
+        expect(isCacheable([1])).toBe(true);
+        expect(isCacheable({ items: [], complete: false })).toBe(false);
+        expect(isCacheable({ items: [1], complete: false })).toBe(true);
+        expect(isCacheable({ price: '0.5' })).toBe(true);
+    });
+});
+
+describe('ResponseCache', () => {
+    it('loads on a miss and serves fresh entries from memory', async () => {
+        const { cache, persisted } = createCache();
+        const loader = vi.fn(async () => ({ v: 1 }));
+
+        expect(await cache.get('k', 1000, loader)).toEqual({ v: 1 });
+        expect(await cache.get('k', 1000, loader)).toEqual({ v: 1 });
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(persisted.has('test_k')).toBe(true);
+    });
+
+    it('serves stale entries immediately and announces the refreshed data', async () => {
+        const { cache, clock } = createCache();
+        const listener = vi.fn();
+        cache.onUpdate(listener);
+
+        await cache.get('k', 1000, async () => 'old');
+        clock.now = 2000;
+
+        expect(await cache.get('k', 1000, async () => 'new')).toBe('old');
+        await flush();
+
+        expect(listener).toHaveBeenCalledWith('k', 'new');
+        expect(await cache.get('k', 1000, async () => 'unused')).toBe('new');
+    });
+
+    it('does not announce first loads', async () => {
+        const { cache } = createCache();
+        const listener = vi.fn();
+        cache.onUpdate(listener);
+
+        await cache.get('k', 1000, async () => 'v');
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('falls back to persisted entries after a restart', async () => {
+        const { cache, store } = createCache();
+        await cache.get('k', 1000, async () => 'v');
+
+        const restarted = new ResponseCache({ store, prefix: 'test', maxAge: 10000, now: () => 0 });
+        const loader = vi.fn();
+        expect(await restarted.get('k', 1000, loader)).toBe('v');
+        expect(loader).not.toHaveBeenCalled();
+    });
+
+    it('never serves entries older than maxAge', async () => {
+        const { cache, clock } = createCache();
+        await cache.get('k', 1000, async () => 'ancient');
+        clock.now = 20000;
+
+        expect(await cache.get('k', 1000, async () => 'current')).toBe('current');
+    });
+
+    it('keeps stale data when a background refresh fails', async () => {
+        const { cache, clock } = createCache();
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => { });
+        await cache.get('k', 1000, async () => 'old');
+        clock.now = 2000;
+
+        expect(await cache.get('k', 1000, async () => { throw new Error('offline'); })).toBe('old');
+        await flush();
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    it('does not cache empty results', async () => {
+        const { cache } = createCache();
+        const loader = vi.fn().mockResolvedValueOnce([]).mockResolvedValueOnce([1]);
+
+        expect(await cache.get('k', 1000, loader)).toEqual([]);
+        expect(await cache.get('k', 1000, loader)).toEqual([1]);
+    });
+
+    it('refresh bypasses fresh entries and shares concurrent loads', async () => {
+        const { cache } = createCache();
+        await cache.get('k', 1000, async () => 'cached');
+        const loader = vi.fn(async () => 'network');
+
+        const [a, b] = await Promise.all([cache.refresh('k', loader), cache.refresh('k', loader)]);
+        expect(a).toBe('network');
+        expect(b).toBe('network');
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('evicts the oldest memory entries beyond maxEntries', async () => {
+        const { cache } = createCache({ store: null, maxEntries: 2 });
+        await cache.get('a', 1000, async () => 1);
+        await cache.get('b', 1000, async () => 2);
+        await cache.get('c', 1000, async () => 3);
+
+        expect([...cache.entries.keys()]).toEqual(['b', 'c']);
+    });
+});
@@ -7,6 +7,7 @@ import { describe, it, expect, beforeEach, vi, beforeAll } from 'vitest';
 
 // Create mock chrome.storage before importing storage module
 const mockStorage = new Map();
+const mockSession = new Map();
 
 globalThis.chrome = {
     storage: {
@@ -47,6 +48,12 @@ globalThis.chrome = {
                 });
             }),
         },
+        session: {
+            get: vi.fn(async (key) => ({ [key]: mockSession.get(key) })),
+            set: vi.fn(async (items) => {
+                Object.entries(items).forEach(([k, v]) => mockSession.set(k, v));
+            }),
+        },
     },
 };
 
@@ -62,6 +69,7 @@ describe('StorageManager', () => {
 
     beforeEach(() => {
         mockStorage.clear();
+        mockSession.clear();
         vi.clearAllMocks();
     });
 
@@ -155,6 +163,94 @@ describe('StorageManager', () => {
 
             expect(remaining.find(a => a.id === alertId)).toBeUndefined();
         });
+
+        it('updates alert fields by ID', async () => {
+            const alerts = await storage.addAlert({ marketId: 'market-1', condition: 'above', price: 0.75 });
+            const updated = await storage.updateAlert(alerts[0].id, { snoozedUntil: 123 });
+
+            expect(updated[0].snoozedUntil).toBe(123);
+            expect(updated[0].condition).toBe('above');
+        });
+
+        it('tracks when triggered alerts were last seen', async () => {
+            expect(await storage.getAlertsSeenAt()).toBe(0);
+            await storage.setAlertsSeenAt(1000);
+            expect(await storage.getAlertsSeenAt()).toBe(1000);
+        });
+
+        it('persists condition engine state in local storage', async () => {
+            expect(await storage.getAlertStates()).toEqual({});
+            await storage.setAlertStates({ a1: { armed: false, memo: { side: 1 } } });
+            expect(await storage.getAlertStates()).toEqual({ a1: { armed: false, memo: { side: 1 } } });
+        });
+
+        it('keeps price and volume samples and markets in session storage', async () => {
+            expect(await storage.getAlertSamples()).toEqual({ prices: {}, volumes: {}, markets: {} });
+            await storage.setAlertSamples({ prices: { t1: [{ t: 1, p: 0.5 }] }, volumes: {} });
+            expect((await storage.getAlertSamples()).prices.t1).toHaveLength(1);
+            expect(mockStorage.size).toBe(0);
+        });
+    });
+
+    describe('Inbox', () => {
+        it('records entries newest first as unread', async () => {
+            await storage.addInboxEntry({ type: 'price_alert', title: 'First', message: '' });
+            await storage.addInboxEntry({ type: 'order_update', title: 'Second', message: '' });
+
+            const inbox = await storage.getInbox();
+            expect(inbox.map(e => e.title)).toEqual(['Second', 'First']);
+            expect(inbox[0].id).toBeDefined();
+            expect(inbox[0].read).toBe(false);
+        });
+
+        it('marks selected or all entries read', async () => {
+            const first = await storage.addInboxEntry({ type: 'price_alert', title: 'First', message: '' });
+            await storage.addInboxEntry({ type: 'price_alert', title: 'Second', message: '' });
+
+            let inbox = await storage.markInboxRead([first.id]);
+            expect(inbox.filter(e => e.read).map(e => e.title)).toEqual(['First']);
+
+            inbox = await storage.markInboxRead();
+            expect(inbox.every(e => e.read)).toBe(true);
+        });
+
+        it('keeps every entry added at the same time', async () => {
+            await Promise.all([
+                storage.addInboxEntry({ type: 'price_alert', title: 'First', message: '' }),
+                storage.addInboxEntry({ type: 'whale_trade', title: 'Second', message: '' }),
+            ]);
+
+            const inbox = await storage.getInbox();
+            expect(inbox.map(e => e.title).sort()).toEqual(['First', 'Second']);
+        });
+
+        it('does not lose entries added while marking the inbox read', async () => {
+            await storage.addInboxEntry({ type: 'price_alert', title: 'First', message: '' });
+            await Promise.all([
+                storage.markInboxRead(),
+                storage.addInboxEntry({ type: 'price_alert', title: 'Second', message: '' }),
+            ]);
+
+            const inbox = await storage.getInbox();
+            expect(inbox.map(e => e.title)).toEqual(['Second', 'First']);
+            expect(inbox.find(e => e.title === 'First').read).toBe(true);
+        });
+
+        it('caps the inbox size', async () => {
+            const { MAX_INBOX_ENTRIES, STORAGE_KEYS } = await import('../shared/constants.js');
+            mockStorage.set(STORAGE_KEYS.INBOX, Array.from({ length: MAX_INBOX_ENTRIES }, (_, i) => ({ id: String(i) })));
+            await storage.addInboxEntry({ type: 'price_alert', title: 'New', message: '' });
+
+            const inbox = await storage.getInbox();
+            expect(inbox).toHaveLength(MAX_INBOX_ENTRIES);
+            expect(inbox[0].title).toBe('New');
+        });
+
+        it('clears the inbox', async () => {
+            await storage.addInboxEntry({ type: 'price_alert', title: 'First', message: '' });
+            await storage.clearInbox();
+            expect(await storage.getInbox()).toEqual([]);
+        });
     });
 
     describe('API Key', () => {
@@ -211,6 +307,119 @@ describe('StorageManager', () => {
             const isValid = await storage.isCacheValid('test-key', 60000);
             expect(isValid).toBe(true);
         });
+
+        it('pruneCache removes only old entries under the prefix', async () => {
+            mockStorage.set('cache_response_old', { data: 1, timestamp: 1000 });
+            mockStorage.set('cache_response_new', { data: 2, timestamp: 5000 });
+            mockStorage.set('cache_other', { data: 3, timestamp: 1000 });
+
+            const removed = await storage.pruneCache('cache_response', 2000);
+
+            expect(removed).toEqual(['cache_response_old']);
+            expect(mockStorage.has('cache_response_new')).toBe(true);
+            expect(mockStorage.has('cache_other')).toBe(true);
+        });
+    });
+
+    describe('Market catalog', () => {
+        it('defaults to an empty, never-synced catalog', async () => {
+            expect(await storage.getMarketCatalog()).toEqual({ markets: [], syncedAt: 0, fullSyncedAt: 0 });
+        });
+
+        it('round-trips the catalog', async () => {
+            const catalog = { markets: [{ marketId: 1 }], syncedAt: 10, fullSyncedAt: 5 };
+            await storage.setMarketCatalog(catalog);
+            expect(await storage.getMarketCatalog()).toEqual(catalog);
+        });
+    });
+
+    describe('Followed categories', () => {
+        it('follows each category once and unfollows it', async () => {
+            await storage.followCategory('Crypto');
+            await storage.followCategory('Crypto');
+            expect(await storage.getFollowedCategories()).toEqual(['Crypto']);
+
+            expect(await storage.unfollowCategory('Crypto')).toEqual([]);
+        });
+    });
+
+    describe('Whale thresholds', () => {
+        it('sets and clears a market override', async () => {
+            await storage.setWhaleThreshold(42, 250);
+            await storage.setWhaleThreshold('7', 5000);
+            expect(await storage.getWhaleThresholds()).toEqual({ 42: 250, 7: 5000 });
+
+            expect(await storage.setWhaleThreshold('42', null)).toEqual({ 7: 5000 });
+        });
+    });
+
+    describe('Followed wallets', () => {
+        const address = '0x45dbd8576043ffb26d5c5b8866dea70a42888a00';
+
+        it('follows each wallet once, lowercased, and renames it', async () => {
+            await storage.followWallet(address.toUpperCase().replace('0X', '0x'));
+            const followed = await storage.followWallet(address, 'User_888a00');
+
+            expect(followed).toHaveLength(1);
+            expect(followed[0]).toMatchObject({ address, name: 'User_888a00' });
+        });
+
+        it('rejects invalid addresses', async () => {
+            await expect(storage.followWallet('not-a-wallet')).rejects.toThrow('INVALID_WALLET');
+        });
+
+        it('unfollows a wallet and forgets its positions', async () => {
+            await storage.followWallet(address);
+            await storage.setWalletPositions({ [address]: [{ id: '1:a' }] });
+
+            expect(await storage.unfollowWallet(address)).toEqual([]);
+            expect(await storage.getWalletPositions()).toEqual({});
+        });
+    });
+
+    describe('Search filters', () => {
+        it('fills in defaults for unsaved filters', async () => {
+            const { DEFAULT_SEARCH_FILTERS } = await import('../shared/constants.js');
+            await storage.setSearchFilters({ status: 'resolved' });
+            expect(await storage.getSearchFilters()).toEqual({ ...DEFAULT_SEARCH_FILTERS, status: 'resolved' });
+        });
+    });
+
+    describe('Recent markets', () => {
+        it('keeps the most recently viewed market first without duplicates', async () => {
+            await storage.addRecentMarket(1);
+            await storage.addRecentMarket('2');
+            await storage.addRecentMarket('1');
+
+            const recent = await storage.getRecentMarkets();
+            expect(recent.map(m => m.marketId)).toEqual(['1', '2']);
+        });
+
+        it('caps the list size', async () => {
+            for (let i = 0; i < 30; i++) {
+                await storage.addRecentMarket(`m${i}`);
+            }
+            const recent = await storage.getRecentMarkets();
+            expect(recent).toHaveLength(20);
+            expect(recent[0].marketId).toBe('m29');
+        });
+    });
+
+    describe('Price snapshots', () => {
+        it('stores snapshots per token', async () => {
+            await storage.setPriceSnapshots('tok', [{ t: 100, y: 0.5, n: 0.5, v: 0 }]);
+            expect(await storage.getPriceSnapshots('tok')).toHaveLength(1);
+            expect(await storage.getPriceSnapshots('other')).toEqual([]);
+        });
+
+        it('prunes series not updated since the cutoff', async () => {
+            await storage.setPriceSnapshots('old', [{ t: 100, y: 0.5, n: 0.5, v: 0 }]);
+            await storage.setPriceSnapshots('new', [{ t: 900, y: 0.5, n: 0.5, v: 0 }]);
+
+            expect(await storage.prunePriceSnapshots(500)).toEqual(['old']);
+            expect(await storage.getPriceSnapshots('old')).toEqual([]);
+            expect(await storage.getPriceSnapshots('new')).toHaveLength(1);
+        });
     });
 
     describe('clearAll', () => {
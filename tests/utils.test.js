@@ -9,6 +9,10 @@ import {
     formatPnL,
     formatNumber,
     formatRelativeDate,
+    formatDateTime,
+    formatTimeAgo,
+    formatAddress,
+    isWalletAddress,
     debounce,
     throttle,
     sleep,
@@ -98,6 +102,62 @@ describe('formatNumber', () => {
     });
 });
 
+describe('formatDateTime', () => {
+    it('formats a timestamp with month, day and time', () => {
+        const result = formatDateTime(new Date(2026, 2, 4, 14, 30).getTime());
+        expect(result).toContain('Mar 4');
+        expect(result).toContain('02:30');
+    });
+
+    it('returns empty string for invalid dates', () => {
+        expect(formatDateTime('not a date')).toBe('');
+    });
+});
+
+describe('formatTimeAgo', () => {
+    const now = new Date(2026, 2, 10, 12, 0).getTime();
+
+    it('counts seconds, minutes, hours and days back', () => {
+        expect(formatTimeAgo(now - 20 * 1000, now)).toBe('just now');
+        expect(formatTimeAgo(now - 5 * 60 * 1000, now)).toBe('5m ago');
+        expect(formatTimeAgo(now - 3 * 60 * 60 * 1000, now)).toBe('3h ago');
+        expect(formatTimeAgo(now - 2 * 24 * 60 * 60 * 1000, now)).toBe('2d ago');
+    });
+
+    it('shows the date after a week', () => {
+        expect(formatTimeAgo(new Date(2026, 1, 20, 9, 15).getTime(), now)).toContain('Feb 20');
+    });
+
+    it('returns empty string for invalid dates', () => {
+        expect(formatTimeAgo('not a date', now)).toBe('');
+    });
+});
+
+describe('formatAddress', () => {
+    it('keeps the start and end of an address', () => {
+        expect(formatAddress('0x45dbd8576043ffb26d5c5b8866dea70a42888a00')).toBe('0x45db…8a00');
+    });
+
+    it('leaves short or missing values alone', () => {
+        expect(formatAddress('0x1234')).toBe('0x1234');
+        expect(formatAddress(null)).toBe('');
+    });
+});
+
+describe('isWalletAddress', () => {
+    it('accepts 0x-prefixed 40-digit hex addresses in any case', () => {
+        expect(isWalletAddress('0x45dbd8576043ffb26d5c5b8866dea70a42888a00')).toBe(true);
+        expect(isWalletAddress(' 0x45DBD8576043FFB26D5C5B8866DEA70A42888A00 ')).toBe(true);
+    });
+
+    it('rejects anything else', () => {
+        expect(isWalletAddress('45dbd8576043ffb26d5c5b8866dea70a42888a00')).toBe(false);
+        expect(isWalletAddress('0x45dbd8576043ffb26d5c5b8866dea70a42888a0')).toBe(false);
+        expect(isWalletAddress('0xZZdbd8576043ffb26d5c5b8866dea70a42888a00')).toBe(false);
+        expect(isWalletAddress(undefined)).toBe(false);
+    });
+});
+
 describe('formatRelativeDate', () => {
     beforeEach(() => {
         vi.useFakeTimers();